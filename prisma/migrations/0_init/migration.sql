@@ -0,0 +1,731 @@
+-- CreateEnum
+CREATE TYPE "AccountRole" AS ENUM ('ADMIN', 'MEMBER');
+
+-- CreateEnum
+CREATE TYPE "WorkspaceRole" AS ENUM ('ADMIN', 'MEMBER');
+
+-- CreateEnum
+CREATE TYPE "TeamRole" AS ENUM ('LEAD', 'MEMBER');
+
+-- CreateEnum
+CREATE TYPE "DepartmentRole" AS ENUM ('DEPARTMENT_MANAGER', 'HUMAN_SUPPORT', 'MEMBER');
+
+-- CreateEnum
+CREATE TYPE "InvitationScope" AS ENUM ('ACCOUNT', 'WORKSPACE', 'DEPARTMENT', 'TEAM');
+
+-- CreateEnum
+CREATE TYPE "InvitationStatus" AS ENUM ('INVITED', 'ACCEPTED', 'EXPIRED');
+
+-- CreateEnum
+CREATE TYPE "AutoAssignStrategy" AS ENUM ('ROUND_ROBIN', 'LEAST_OPEN', 'RANDOM');
+
+-- CreateEnum
+CREATE TYPE "MembershipStatus" AS ENUM ('INVITED', 'ACTIVE', 'REMOVED');
+
+-- CreateEnum
+CREATE TYPE "ConversationStatus" AS ENUM ('TODO', 'ASSIGNED', 'ESCALATED', 'CLOSED');
+
+-- CreateEnum
+CREATE TYPE "SlaStatus" AS ENUM ('ON_TRACK', 'AT_RISK', 'BREACHED', 'MET');
+
+-- CreateEnum
+CREATE TYPE "ConversationPriority" AS ENUM ('LOW', 'NORMAL', 'HIGH', 'URGENT');
+
+-- CreateEnum
+CREATE TYPE "MessageDirection" AS ENUM ('INBOUND', 'OUTBOUND', 'INTERNAL');
+
+-- CreateEnum
+CREATE TYPE "DeliveryStatus" AS ENUM ('PENDING', 'SENT', 'DELIVERED', 'FAILED');
+
+-- CreateEnum
+CREATE TYPE "RoutingMatchMode" AS ENUM ('ALL', 'ANY');
+
+-- CreateEnum
+CREATE TYPE "ConversationEventType" AS ENUM ('STATUS_CHANGED', 'ASSIGNED', 'UNASSIGNED', 'PRIORITY_CHANGED', 'TAG_ADDED', 'TAG_REMOVED', 'DEPARTMENT_CHANGED', 'ESCALATED', 'ESCALATION_ACKNOWLEDGED', 'ESCALATION_REJECTED', 'SNOOZED', 'UNSNOOZED', 'MERGED', 'SPLIT');
+
+-- CreateEnum
+CREATE TYPE "EscalationTier" AS ENUM ('TIER_1', 'TIER_2', 'TIER_3');
+
+-- CreateEnum
+CREATE TYPE "EscalationStatus" AS ENUM ('PENDING', 'ACKNOWLEDGED', 'REJECTED');
+
+-- CreateTable
+CREATE TABLE "app_owners" (
+    "id" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "password" TEXT NOT NULL,
+    "name" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "app_owners_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "accounts" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "appOwnerId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "accounts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "workspaces" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "workspaces_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "departments" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "workspaceId" TEXT NOT NULL,
+    "autoAssignStrategy" "AutoAssignStrategy",
+    "autoAssignMaxOpen" INTEGER,
+    "autoAssignOnlineOnly" BOOLEAN NOT NULL DEFAULT false,
+    "autoAssignLastUserId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "departments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "teams" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "departmentId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "teams_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "users" (
+    "id" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "password" TEXT NOT NULL,
+    "firstName" TEXT,
+    "lastName" TEXT,
+    "phone" TEXT,
+    "avatar" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "users_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "invitations" (
+    "id" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "invitedByUserId" TEXT,
+    "invitedByAppOwnerId" TEXT,
+    "scope" "InvitationScope" NOT NULL,
+    "targetId" TEXT,
+    "role" TEXT NOT NULL,
+    "status" "InvitationStatus" NOT NULL DEFAULT 'INVITED',
+    "tokenHash" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "invitations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "account_users" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT,
+    "email" TEXT,
+    "accountId" TEXT NOT NULL,
+    "role" "AccountRole" NOT NULL DEFAULT 'MEMBER',
+    "status" "MembershipStatus" NOT NULL DEFAULT 'ACTIVE',
+    "invitationId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "account_users_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "workspace_users" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT,
+    "email" TEXT,
+    "workspaceId" TEXT NOT NULL,
+    "role" "WorkspaceRole" NOT NULL DEFAULT 'MEMBER',
+    "status" "MembershipStatus" NOT NULL DEFAULT 'ACTIVE',
+    "invitationId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "workspace_users_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "team_users" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT,
+    "email" TEXT,
+    "teamId" TEXT NOT NULL,
+    "role" "TeamRole" NOT NULL DEFAULT 'MEMBER',
+    "status" "MembershipStatus" NOT NULL DEFAULT 'ACTIVE',
+    "invitationId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "team_users_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "department_users" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT,
+    "email" TEXT,
+    "departmentId" TEXT NOT NULL,
+    "role" "DepartmentRole" NOT NULL DEFAULT 'MEMBER',
+    "status" "MembershipStatus" NOT NULL DEFAULT 'ACTIVE',
+    "invitationId" TEXT,
+    "maxOpenConversations" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "department_users_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "contacts" (
+    "id" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "name" TEXT,
+    "phone" TEXT,
+    "avatar" TEXT,
+    "metadata" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "contacts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "conversations" (
+    "id" TEXT NOT NULL,
+    "workspaceId" TEXT NOT NULL,
+    "contactId" TEXT NOT NULL,
+    "subject" TEXT,
+    "status" "ConversationStatus" NOT NULL DEFAULT 'TODO',
+    "priority" "ConversationPriority" NOT NULL DEFAULT 'NORMAL',
+    "metadata" JSONB,
+    "lastMessageAt" TIMESTAMP(3),
+    "departmentId" TEXT,
+    "assignedUserId" TEXT,
+    "assignedAt" TIMESTAMP(3),
+    "statusUpdatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "slaPolicyId" TEXT,
+    "slaStatus" "SlaStatus",
+    "slaStartedAt" TIMESTAMP(3),
+    "firstResponseDueAt" TIMESTAMP(3),
+    "firstRespondedAt" TIMESTAMP(3),
+    "resolutionDueAt" TIMESTAMP(3),
+    "resolvedAt" TIMESTAMP(3),
+    "slaBreachedAt" TIMESTAMP(3),
+    "snoozedAt" TIMESTAMP(3),
+    "snoozedUntil" TIMESTAMP(3),
+    "snoozedByUserId" TEXT,
+    "mergedIntoId" TEXT,
+    "mergedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "conversations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "messages" (
+    "id" TEXT NOT NULL,
+    "conversationId" TEXT NOT NULL,
+    "fromEmail" TEXT NOT NULL,
+    "fromName" TEXT,
+    "toEmail" TEXT NOT NULL,
+    "toName" TEXT,
+    "subject" TEXT,
+    "body" TEXT NOT NULL,
+    "bodyHtml" TEXT,
+    "isRead" BOOLEAN NOT NULL DEFAULT false,
+    "isInternal" BOOLEAN NOT NULL DEFAULT false,
+    "direction" "MessageDirection" NOT NULL DEFAULT 'INBOUND',
+    "sentByUserId" TEXT,
+    "deliveryStatus" "DeliveryStatus",
+    "deliveryError" TEXT,
+    "sentAt" TIMESTAMP(3),
+    "externalMessageId" TEXT,
+    "metadata" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "messages_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "conversation_read_states" (
+    "conversationId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "lastReadMessageId" TEXT,
+    "lastReadAt" TIMESTAMP(3) NOT NULL,
+    "unreadCount" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "conversation_read_states_pkey" PRIMARY KEY ("conversationId","userId")
+);
+
+-- CreateTable
+CREATE TABLE "sla_policies" (
+    "id" TEXT NOT NULL,
+    "workspaceId" TEXT NOT NULL,
+    "departmentId" TEXT,
+    "name" TEXT NOT NULL,
+    "priority" "ConversationPriority" NOT NULL,
+    "firstResponseMinutes" INTEGER NOT NULL,
+    "resolutionMinutes" INTEGER NOT NULL,
+    "atRiskPercent" INTEGER NOT NULL DEFAULT 80,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "sla_policies_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "tags" (
+    "id" TEXT NOT NULL,
+    "workspaceId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "color" TEXT NOT NULL DEFAULT '#6B7280',
+    "description" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "tags_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "conversation_tags" (
+    "conversationId" TEXT NOT NULL,
+    "tagId" TEXT NOT NULL,
+    "addedByUserId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "conversation_tags_pkey" PRIMARY KEY ("conversationId","tagId")
+);
+
+-- CreateTable
+CREATE TABLE "routing_rules" (
+    "id" TEXT NOT NULL,
+    "workspaceId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "matchMode" "RoutingMatchMode" NOT NULL DEFAULT 'ALL',
+    "conditions" JSONB NOT NULL,
+    "departmentId" TEXT,
+    "priority" "ConversationPriority",
+    "tagIds" TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "routing_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "routing_rule_matches" (
+    "id" TEXT NOT NULL,
+    "ruleId" TEXT NOT NULL,
+    "conversationId" TEXT NOT NULL,
+    "actions" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "routing_rule_matches_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "conversation_events" (
+    "id" TEXT NOT NULL,
+    "conversationId" TEXT NOT NULL,
+    "type" "ConversationEventType" NOT NULL,
+    "actorUserId" TEXT,
+    "fromValue" JSONB,
+    "toValue" JSONB,
+    "metadata" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "conversation_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "escalations" (
+    "id" TEXT NOT NULL,
+    "conversationId" TEXT NOT NULL,
+    "escalatedByUserId" TEXT,
+    "reason" TEXT NOT NULL,
+    "tier" "EscalationTier" NOT NULL DEFAULT 'TIER_2',
+    "sourceDepartmentId" TEXT,
+    "targetDepartmentId" TEXT NOT NULL,
+    "status" "EscalationStatus" NOT NULL DEFAULT 'PENDING',
+    "handledByUserId" TEXT,
+    "handledAt" TIMESTAMP(3),
+    "responseNote" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "escalations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "refresh_tokens" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "token" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "refresh_tokens_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "app_owner_refresh_tokens" (
+    "id" TEXT NOT NULL,
+    "appOwnerId" TEXT NOT NULL,
+    "token" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "app_owner_refresh_tokens_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "app_owners_email_key" ON "app_owners"("email");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "accounts_slug_key" ON "accounts"("slug");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "workspaces_accountId_slug_key" ON "workspaces"("accountId", "slug");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "departments_workspaceId_slug_key" ON "departments"("workspaceId", "slug");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "teams_departmentId_slug_key" ON "teams"("departmentId", "slug");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_email_key" ON "users"("email");
+
+-- CreateIndex
+CREATE INDEX "invitations_email_idx" ON "invitations"("email");
+
+-- CreateIndex
+CREATE INDEX "invitations_accountId_idx" ON "invitations"("accountId");
+
+-- CreateIndex
+CREATE INDEX "invitations_tokenHash_idx" ON "invitations"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "invitations_status_idx" ON "invitations"("status");
+
+-- CreateIndex
+CREATE INDEX "account_users_email_idx" ON "account_users"("email");
+
+-- CreateIndex
+CREATE INDEX "account_users_status_idx" ON "account_users"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "account_users_userId_accountId_key" ON "account_users"("userId", "accountId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "account_users_email_accountId_key" ON "account_users"("email", "accountId");
+
+-- CreateIndex
+CREATE INDEX "workspace_users_email_idx" ON "workspace_users"("email");
+
+-- CreateIndex
+CREATE INDEX "workspace_users_status_idx" ON "workspace_users"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "workspace_users_userId_workspaceId_key" ON "workspace_users"("userId", "workspaceId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "workspace_users_email_workspaceId_key" ON "workspace_users"("email", "workspaceId");
+
+-- CreateIndex
+CREATE INDEX "team_users_email_idx" ON "team_users"("email");
+
+-- CreateIndex
+CREATE INDEX "team_users_status_idx" ON "team_users"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "team_users_userId_teamId_key" ON "team_users"("userId", "teamId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "team_users_email_teamId_key" ON "team_users"("email", "teamId");
+
+-- CreateIndex
+CREATE INDEX "department_users_email_idx" ON "department_users"("email");
+
+-- CreateIndex
+CREATE INDEX "department_users_status_idx" ON "department_users"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "department_users_userId_departmentId_key" ON "department_users"("userId", "departmentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "department_users_email_departmentId_key" ON "department_users"("email", "departmentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "contacts_email_key" ON "contacts"("email");
+
+-- CreateIndex
+CREATE INDEX "conversations_workspaceId_lastMessageAt_idx" ON "conversations"("workspaceId", "lastMessageAt");
+
+-- CreateIndex
+CREATE INDEX "conversations_workspaceId_status_idx" ON "conversations"("workspaceId", "status");
+
+-- CreateIndex
+CREATE INDEX "conversations_workspaceId_departmentId_idx" ON "conversations"("workspaceId", "departmentId");
+
+-- CreateIndex
+CREATE INDEX "conversations_slaStatus_idx" ON "conversations"("slaStatus");
+
+-- CreateIndex
+CREATE INDEX "conversations_snoozedUntil_idx" ON "conversations"("snoozedUntil");
+
+-- CreateIndex
+CREATE INDEX "conversations_mergedIntoId_idx" ON "conversations"("mergedIntoId");
+
+-- CreateIndex
+CREATE INDEX "conversations_status_idx" ON "conversations"("status");
+
+-- CreateIndex
+CREATE INDEX "conversations_assignedUserId_idx" ON "conversations"("assignedUserId");
+
+-- CreateIndex
+CREATE INDEX "messages_conversationId_createdAt_idx" ON "messages"("conversationId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "messages_externalMessageId_idx" ON "messages"("externalMessageId");
+
+-- CreateIndex
+CREATE INDEX "messages_deliveryStatus_idx" ON "messages"("deliveryStatus");
+
+-- CreateIndex
+CREATE INDEX "conversation_read_states_userId_unreadCount_idx" ON "conversation_read_states"("userId", "unreadCount");
+
+-- CreateIndex
+CREATE INDEX "sla_policies_workspaceId_priority_idx" ON "sla_policies"("workspaceId", "priority");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "tags_workspaceId_name_key" ON "tags"("workspaceId", "name");
+
+-- CreateIndex
+CREATE INDEX "conversation_tags_tagId_idx" ON "conversation_tags"("tagId");
+
+-- CreateIndex
+CREATE INDEX "routing_rules_workspaceId_position_idx" ON "routing_rules"("workspaceId", "position");
+
+-- CreateIndex
+CREATE INDEX "routing_rule_matches_ruleId_createdAt_idx" ON "routing_rule_matches"("ruleId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "routing_rule_matches_conversationId_idx" ON "routing_rule_matches"("conversationId");
+
+-- CreateIndex
+CREATE INDEX "conversation_events_conversationId_createdAt_idx" ON "conversation_events"("conversationId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "escalations_conversationId_createdAt_idx" ON "escalations"("conversationId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "escalations_targetDepartmentId_status_idx" ON "escalations"("targetDepartmentId", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "refresh_tokens_token_key" ON "refresh_tokens"("token");
+
+-- CreateIndex
+CREATE INDEX "refresh_tokens_userId_idx" ON "refresh_tokens"("userId");
+
+-- CreateIndex
+CREATE INDEX "refresh_tokens_token_idx" ON "refresh_tokens"("token");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "app_owner_refresh_tokens_token_key" ON "app_owner_refresh_tokens"("token");
+
+-- CreateIndex
+CREATE INDEX "app_owner_refresh_tokens_appOwnerId_idx" ON "app_owner_refresh_tokens"("appOwnerId");
+
+-- CreateIndex
+CREATE INDEX "app_owner_refresh_tokens_token_idx" ON "app_owner_refresh_tokens"("token");
+
+-- AddForeignKey
+ALTER TABLE "accounts" ADD CONSTRAINT "accounts_appOwnerId_fkey" FOREIGN KEY ("appOwnerId") REFERENCES "app_owners"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "workspaces" ADD CONSTRAINT "workspaces_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "departments" ADD CONSTRAINT "departments_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "teams" ADD CONSTRAINT "teams_departmentId_fkey" FOREIGN KEY ("departmentId") REFERENCES "departments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "invitations" ADD CONSTRAINT "invitations_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "invitations" ADD CONSTRAINT "invitations_invitedByUserId_fkey" FOREIGN KEY ("invitedByUserId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "invitations" ADD CONSTRAINT "invitations_invitedByAppOwnerId_fkey" FOREIGN KEY ("invitedByAppOwnerId") REFERENCES "app_owners"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "account_users" ADD CONSTRAINT "account_users_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "account_users" ADD CONSTRAINT "account_users_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "accounts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "account_users" ADD CONSTRAINT "account_users_invitationId_fkey" FOREIGN KEY ("invitationId") REFERENCES "invitations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "workspace_users" ADD CONSTRAINT "workspace_users_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "workspace_users" ADD CONSTRAINT "workspace_users_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "workspace_users" ADD CONSTRAINT "workspace_users_invitationId_fkey" FOREIGN KEY ("invitationId") REFERENCES "invitations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "team_users" ADD CONSTRAINT "team_users_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "team_users" ADD CONSTRAINT "team_users_teamId_fkey" FOREIGN KEY ("teamId") REFERENCES "teams"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "team_users" ADD CONSTRAINT "team_users_invitationId_fkey" FOREIGN KEY ("invitationId") REFERENCES "invitations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "department_users" ADD CONSTRAINT "department_users_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "department_users" ADD CONSTRAINT "department_users_departmentId_fkey" FOREIGN KEY ("departmentId") REFERENCES "departments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "department_users" ADD CONSTRAINT "department_users_invitationId_fkey" FOREIGN KEY ("invitationId") REFERENCES "invitations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "conversations" ADD CONSTRAINT "conversations_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "conversations" ADD CONSTRAINT "conversations_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "contacts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "conversations" ADD CONSTRAINT "conversations_departmentId_fkey" FOREIGN KEY ("departmentId") REFERENCES "departments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "conversations" ADD CONSTRAINT "conversations_assignedUserId_fkey" FOREIGN KEY ("assignedUserId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "conversations" ADD CONSTRAINT "conversations_slaPolicyId_fkey" FOREIGN KEY ("slaPolicyId") REFERENCES "sla_policies"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "conversations" ADD CONSTRAINT "conversations_snoozedByUserId_fkey" FOREIGN KEY ("snoozedByUserId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "conversations" ADD CONSTRAINT "conversations_mergedIntoId_fkey" FOREIGN KEY ("mergedIntoId") REFERENCES "conversations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "messages" ADD CONSTRAINT "messages_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "conversations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "messages" ADD CONSTRAINT "messages_sentByUserId_fkey" FOREIGN KEY ("sentByUserId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "conversation_read_states" ADD CONSTRAINT "conversation_read_states_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "conversations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "conversation_read_states" ADD CONSTRAINT "conversation_read_states_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "conversation_read_states" ADD CONSTRAINT "conversation_read_states_lastReadMessageId_fkey" FOREIGN KEY ("lastReadMessageId") REFERENCES "messages"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "sla_policies" ADD CONSTRAINT "sla_policies_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "sla_policies" ADD CONSTRAINT "sla_policies_departmentId_fkey" FOREIGN KEY ("departmentId") REFERENCES "departments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "tags" ADD CONSTRAINT "tags_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "conversation_tags" ADD CONSTRAINT "conversation_tags_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "conversations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "conversation_tags" ADD CONSTRAINT "conversation_tags_tagId_fkey" FOREIGN KEY ("tagId") REFERENCES "tags"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "conversation_tags" ADD CONSTRAINT "conversation_tags_addedByUserId_fkey" FOREIGN KEY ("addedByUserId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "routing_rules" ADD CONSTRAINT "routing_rules_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "routing_rules" ADD CONSTRAINT "routing_rules_departmentId_fkey" FOREIGN KEY ("departmentId") REFERENCES "departments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "routing_rule_matches" ADD CONSTRAINT "routing_rule_matches_ruleId_fkey" FOREIGN KEY ("ruleId") REFERENCES "routing_rules"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "routing_rule_matches" ADD CONSTRAINT "routing_rule_matches_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "conversations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "conversation_events" ADD CONSTRAINT "conversation_events_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "conversations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "conversation_events" ADD CONSTRAINT "conversation_events_actorUserId_fkey" FOREIGN KEY ("actorUserId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "escalations" ADD CONSTRAINT "escalations_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "conversations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "escalations" ADD CONSTRAINT "escalations_escalatedByUserId_fkey" FOREIGN KEY ("escalatedByUserId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "escalations" ADD CONSTRAINT "escalations_handledByUserId_fkey" FOREIGN KEY ("handledByUserId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "escalations" ADD CONSTRAINT "escalations_sourceDepartmentId_fkey" FOREIGN KEY ("sourceDepartmentId") REFERENCES "departments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "escalations" ADD CONSTRAINT "escalations_targetDepartmentId_fkey" FOREIGN KEY ("targetDepartmentId") REFERENCES "departments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "refresh_tokens" ADD CONSTRAINT "refresh_tokens_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "app_owner_refresh_tokens" ADD CONSTRAINT "app_owner_refresh_tokens_appOwnerId_fkey" FOREIGN KEY ("appOwnerId") REFERENCES "app_owners"("id") ON DELETE CASCADE ON UPDATE CASCADE;
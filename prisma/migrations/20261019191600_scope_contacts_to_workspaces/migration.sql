@@ -0,0 +1,76 @@
+-- Scope contacts to workspaces
+--
+-- Contacts used to be unique by email across all workspaces. Each contact now belongs to the
+-- workspace of its first conversation and is copied into every other workspace that has
+-- conversations with it; those conversations move to the copy.
+--
+-- Contacts without conversations have no workspace to go to. The migration stops before changing
+-- anything when there are any; delete them or give them a conversation, then run it again.
+-- List them with:
+--   SELECT "id", "email" FROM "contacts" ct
+--   WHERE NOT EXISTS (SELECT 1 FROM "conversations" c WHERE c."contactId" = ct."id");
+
+-- CheckOrphans
+DO $$
+DECLARE
+  orphan_count INTEGER;
+BEGIN
+  SELECT COUNT(*) INTO orphan_count
+  FROM "contacts" ct
+  WHERE NOT EXISTS (SELECT 1 FROM "conversations" c WHERE c."contactId" = ct."id");
+
+  IF orphan_count > 0 THEN
+    RAISE EXCEPTION '% contacts have no conversations and cannot be placed in a workspace; no contact was changed', orphan_count;
+  END IF;
+END $$;
+
+-- DropIndex
+DROP INDEX "contacts_email_key";
+
+-- AlterTable
+ALTER TABLE "contacts" ADD COLUMN     "workspaceId" TEXT;
+
+-- Keep each contact in the workspace of its first conversation
+UPDATE "contacts" ct
+SET "workspaceId" = (
+  SELECT c."workspaceId"
+  FROM "conversations" c
+  WHERE c."contactId" = ct."id"
+  ORDER BY c."createdAt" ASC, c."id" ASC
+  LIMIT 1
+);
+
+-- Copy the contact into every other workspace it has conversations in
+CREATE TEMP TABLE "contact_copies" AS
+SELECT pairs."sourceId", pairs."workspaceId", gen_random_uuid()::text AS "id"
+FROM (
+  SELECT DISTINCT c."contactId" AS "sourceId", c."workspaceId"
+  FROM "conversations" c
+  JOIN "contacts" ct ON ct."id" = c."contactId"
+  WHERE c."workspaceId" <> ct."workspaceId"
+) pairs;
+
+INSERT INTO "contacts" ("id", "workspaceId", "email", "name", "phone", "avatar", "metadata", "createdAt", "updatedAt")
+SELECT cc."id", cc."workspaceId", ct."email", ct."name", ct."phone", ct."avatar", ct."metadata", ct."createdAt", CURRENT_TIMESTAMP
+FROM "contact_copies" cc
+JOIN "contacts" ct ON ct."id" = cc."sourceId";
+
+UPDATE "conversations" c
+SET "contactId" = cc."id"
+FROM "contact_copies" cc
+WHERE c."contactId" = cc."sourceId"
+  AND c."workspaceId" = cc."workspaceId";
+
+DROP TABLE "contact_copies";
+
+-- AlterTable
+ALTER TABLE "contacts" ALTER COLUMN "workspaceId" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "contacts_workspaceId_createdAt_idx" ON "contacts"("workspaceId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "contacts_workspaceId_email_key" ON "contacts"("workspaceId", "email");
+
+-- AddForeignKey
+ALTER TABLE "contacts" ADD CONSTRAINT "contacts_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,79 @@
+-- CreateEnum
+CREATE TYPE "ContactIdentityType" AS ENUM ('EMAIL', 'PHONE', 'EXTERNAL_ID');
+
+-- AlterEnum
+ALTER TYPE "ConversationEventType" ADD VALUE 'CONTACT_CHANGED';
+
+-- CreateTable
+CREATE TABLE "contact_identities" (
+    "id" TEXT NOT NULL,
+    "workspaceId" TEXT NOT NULL,
+    "contactId" TEXT NOT NULL,
+    "type" "ContactIdentityType" NOT NULL,
+    "value" TEXT NOT NULL,
+    "label" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "contact_identities_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "contact_merges" (
+    "id" TEXT NOT NULL,
+    "workspaceId" TEXT NOT NULL,
+    "targetContactId" TEXT NOT NULL,
+    "sourceContactId" TEXT NOT NULL,
+    "mergedByUserId" TEXT,
+    "sourceSnapshot" JSONB NOT NULL,
+    "conversationCount" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "contact_merges_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "contact_identities_contactId_idx" ON "contact_identities"("contactId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "contact_identities_workspaceId_type_value_key" ON "contact_identities"("workspaceId", "type", "value");
+
+-- CreateIndex
+CREATE INDEX "contact_merges_targetContactId_createdAt_idx" ON "contact_merges"("targetContactId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "contact_identities" ADD CONSTRAINT "contact_identities_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "contact_identities" ADD CONSTRAINT "contact_identities_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "contacts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "contact_merges" ADD CONSTRAINT "contact_merges_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "contact_merges" ADD CONSTRAINT "contact_merges_targetContactId_fkey" FOREIGN KEY ("targetContactId") REFERENCES "contacts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "contact_merges" ADD CONSTRAINT "contact_merges_mergedByUserId_fkey" FOREIGN KEY ("mergedByUserId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Email lookups go through contact identities: record the primary email (lower-cased) and phone
+-- (formatting removed, like ContactIdentityService.normalize) of every existing contact. An email
+-- or phone already recorded for another contact is skipped; such contacts show up as duplicate
+-- suggestions.
+INSERT INTO "contact_identities" ("id", "workspaceId", "contactId", "type", "value", "createdAt")
+SELECT gen_random_uuid()::text, c."workspaceId", c."id", 'EMAIL', LOWER(TRIM(c."email")), c."createdAt"
+FROM "contacts" AS c
+ORDER BY c."createdAt" ASC
+ON CONFLICT ("workspaceId", "type", "value") DO NOTHING;
+
+INSERT INTO "contact_identities" ("id", "workspaceId", "contactId", "type", "value", "createdAt")
+SELECT gen_random_uuid()::text, p."workspaceId", p."id", 'PHONE', p."value", p."createdAt"
+FROM (
+  SELECT c."workspaceId", c."id", c."createdAt",
+    CASE WHEN TRIM(c."phone") LIKE '+%' THEN '+' ELSE '' END
+      || REGEXP_REPLACE(c."phone", '[^0-9]', '', 'g') AS "value"
+  FROM "contacts" AS c
+  WHERE c."phone" IS NOT NULL
+) AS p
+WHERE LENGTH(REGEXP_REPLACE(p."value", '[^0-9]', '', 'g')) BETWEEN 6 AND 15
+ORDER BY p."createdAt" ASC
+ON CONFLICT ("workspaceId", "type", "value") DO NOTHING;
@@ -0,0 +1,37 @@
+-- CreateEnum
+CREATE TYPE "CustomAttributeEntity" AS ENUM ('CONTACT', 'CONVERSATION');
+
+-- CreateEnum
+CREATE TYPE "CustomAttributeType" AS ENUM ('TEXT', 'NUMBER', 'DATE', 'ENUM', 'BOOLEAN');
+
+-- AlterEnum
+ALTER TYPE "ConversationEventType" ADD VALUE 'ATTRIBUTES_CHANGED';
+
+-- AlterTable
+ALTER TABLE "contacts" ADD COLUMN     "customAttributes" JSONB NOT NULL DEFAULT '{}';
+
+-- AlterTable
+ALTER TABLE "conversations" ADD COLUMN     "customAttributes" JSONB NOT NULL DEFAULT '{}';
+
+-- CreateTable
+CREATE TABLE "custom_attribute_definitions" (
+    "id" TEXT NOT NULL,
+    "workspaceId" TEXT NOT NULL,
+    "entityType" "CustomAttributeEntity" NOT NULL,
+    "key" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "type" "CustomAttributeType" NOT NULL,
+    "options" TEXT[],
+    "description" TEXT,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "custom_attribute_definitions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "custom_attribute_definitions_workspaceId_entityType_key_key" ON "custom_attribute_definitions"("workspaceId", "entityType", "key");
+
+-- AddForeignKey
+ALTER TABLE "custom_attribute_definitions" ADD CONSTRAINT "custom_attribute_definitions_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
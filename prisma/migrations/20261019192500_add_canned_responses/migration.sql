@@ -0,0 +1,39 @@
+-- CreateEnum
+CREATE TYPE "CannedResponseScope" AS ENUM ('WORKSPACE', 'DEPARTMENT', 'USER');
+
+-- CreateTable
+CREATE TABLE "canned_responses" (
+    "id" TEXT NOT NULL,
+    "workspaceId" TEXT NOT NULL,
+    "scope" "CannedResponseScope" NOT NULL DEFAULT 'WORKSPACE',
+    "departmentId" TEXT,
+    "ownerUserId" TEXT,
+    "title" TEXT NOT NULL,
+    "shortcut" TEXT,
+    "folder" TEXT,
+    "body" TEXT NOT NULL,
+    "bodyHtml" TEXT,
+    "createdByUserId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "canned_responses_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "canned_responses_workspaceId_scope_idx" ON "canned_responses"("workspaceId", "scope");
+
+-- CreateIndex
+CREATE INDEX "canned_responses_workspaceId_folder_idx" ON "canned_responses"("workspaceId", "folder");
+
+-- AddForeignKey
+ALTER TABLE "canned_responses" ADD CONSTRAINT "canned_responses_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "canned_responses" ADD CONSTRAINT "canned_responses_departmentId_fkey" FOREIGN KEY ("departmentId") REFERENCES "departments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "canned_responses" ADD CONSTRAINT "canned_responses_ownerUserId_fkey" FOREIGN KEY ("ownerUserId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "canned_responses" ADD CONSTRAINT "canned_responses_createdByUserId_fkey" FOREIGN KEY ("createdByUserId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
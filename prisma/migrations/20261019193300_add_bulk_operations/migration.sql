@@ -0,0 +1,58 @@
+-- CreateEnum
+CREATE TYPE "BulkOperationType" AS ENUM ('CLOSE', 'REASSIGN', 'SET_PRIORITY', 'TAG', 'MOVE_DEPARTMENT');
+
+-- CreateEnum
+CREATE TYPE "BulkOperationStatus" AS ENUM ('PENDING', 'RUNNING', 'COMPLETED');
+
+-- CreateEnum
+CREATE TYPE "BulkOperationItemStatus" AS ENUM ('PENDING', 'SUCCEEDED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "bulk_operations" (
+    "id" TEXT NOT NULL,
+    "workspaceId" TEXT NOT NULL,
+    "type" "BulkOperationType" NOT NULL,
+    "params" JSONB NOT NULL,
+    "status" "BulkOperationStatus" NOT NULL DEFAULT 'PENDING',
+    "total" INTEGER NOT NULL,
+    "succeeded" INTEGER NOT NULL DEFAULT 0,
+    "failed" INTEGER NOT NULL DEFAULT 0,
+    "callerInfo" JSONB NOT NULL,
+    "requestedByUserId" TEXT,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "bulk_operations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "bulk_operation_items" (
+    "id" TEXT NOT NULL,
+    "bulkOperationId" TEXT NOT NULL,
+    "conversationId" TEXT NOT NULL,
+    "status" "BulkOperationItemStatus" NOT NULL DEFAULT 'PENDING',
+    "error" TEXT,
+    "processedAt" TIMESTAMP(3),
+
+    CONSTRAINT "bulk_operation_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "bulk_operations_status_createdAt_idx" ON "bulk_operations"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "bulk_operations_workspaceId_createdAt_idx" ON "bulk_operations"("workspaceId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "bulk_operation_items_bulkOperationId_status_idx" ON "bulk_operation_items"("bulkOperationId", "status");
+
+-- AddForeignKey
+ALTER TABLE "bulk_operations" ADD CONSTRAINT "bulk_operations_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bulk_operations" ADD CONSTRAINT "bulk_operations_requestedByUserId_fkey" FOREIGN KEY ("requestedByUserId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bulk_operation_items" ADD CONSTRAINT "bulk_operation_items_bulkOperationId_fkey" FOREIGN KEY ("bulkOperationId") REFERENCES "bulk_operations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- CreateEnum
+CREATE TYPE "PriorityRuleType" AS ENUM ('VIP_CONTACT', 'KEYWORD', 'WAITING_TIME');
+
+-- CreateTable
+CREATE TABLE "priority_rules" (
+    "id" TEXT NOT NULL,
+    "workspaceId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" "PriorityRuleType" NOT NULL,
+    "priority" "ConversationPriority" NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "contactAttribute" TEXT,
+    "contactAttributeValue" TEXT,
+    "keywords" TEXT[],
+    "waitingHours" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "priority_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "priority_rules_type_isActive_idx" ON "priority_rules"("type", "isActive");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "priority_rules_workspaceId_name_key" ON "priority_rules"("workspaceId", "name");
+
+-- AddForeignKey
+ALTER TABLE "priority_rules" ADD CONSTRAINT "priority_rules_workspaceId_fkey" FOREIGN KEY ("workspaceId") REFERENCES "workspaces"("id") ON DELETE CASCADE ON UPDATE CASCADE;
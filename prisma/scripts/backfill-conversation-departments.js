@@ -0,0 +1,46 @@
+require('dotenv').config();
+const prisma = require('../../src/config/database');
+const { logger } = require('../../src/utils/logger');
+
+// Backfill Conversation.departmentId from the legacy metadata.departmentId key
+//
+// Before the departmentId column existed the owning department was stored in conversation metadata.
+// This copies it into the column (only when the department belongs to the conversation's workspace)
+// and removes the legacy key. Safe to run more than once.
+//
+// Usage: node prisma/scripts/backfill-conversation-departments.js
+
+const backfill = async () => {
+  const updated = await prisma.$executeRaw`
+    UPDATE "conversations" AS c
+    SET "departmentId" = d."id",
+        "metadata" = c."metadata" - 'departmentId'
+    FROM "departments" AS d
+    WHERE c."departmentId" IS NULL
+      AND c."metadata" ->> 'departmentId' = d."id"
+      AND d."workspaceId" = c."workspaceId"
+  `;
+
+  logger.info(`Backfilled departmentId on ${updated} conversations`);
+
+  // Remaining keys point at deleted departments or departments of another workspace
+  const orphaned = await prisma.$queryRaw`
+    SELECT "id", "metadata" ->> 'departmentId' AS "departmentId"
+    FROM "conversations"
+    WHERE "metadata" ? 'departmentId'
+  `;
+
+  if (orphaned.length > 0) {
+    logger.warn(`${orphaned.length} conversations reference an unknown department and were left unchanged:`);
+    for (const row of orphaned) {
+      logger.warn(`  conversation ${row.id} → department ${row.departmentId}`);
+    }
+  }
+};
+
+backfill()
+  .catch((error) => {
+    logger.error('Backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,22 @@
+-- Full-text search indexes used by ConversationSearchService (GET /api/v1/inbox/search)
+--
+-- Prisma does not manage expression indexes, so apply this file after running migrations:
+--   psql "$DATABASE_URL" -f prisma/sql/full_text_search.sql
+--
+-- The expressions must match the ones in src/services/conversationSearch.service.js exactly,
+-- otherwise Postgres cannot use the indexes.
+
+-- Message subject and body (stemmed)
+CREATE INDEX IF NOT EXISTS "messages_fts_idx"
+  ON "messages"
+  USING GIN (to_tsvector('english', coalesce("subject", '') || ' ' || "body"));
+
+-- Conversation subject (stemmed)
+CREATE INDEX IF NOT EXISTS "conversations_subject_fts_idx"
+  ON "conversations"
+  USING GIN (to_tsvector('english', coalesce("subject", '')));
+
+-- Contact name and email (not stemmed)
+CREATE INDEX IF NOT EXISTS "contacts_fts_idx"
+  ON "contacts"
+  USING GIN (to_tsvector('simple', coalesce("name", '') || ' ' || "email"));
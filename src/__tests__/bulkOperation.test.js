@@ -0,0 +1,175 @@
+jest.mock('../config/database', () => {
+  const tx = {};
+  return {
+    tx,
+    $transaction: jest.fn(callback => callback(tx)),
+    account: { findFirst: jest.fn() },
+    workspaceUser: { findUnique: jest.fn() },
+    bulkOperation: { update: jest.fn() },
+    bulkOperationItem: { findMany: jest.fn(), updateMany: jest.fn(), count: jest.fn() },
+  };
+});
+jest.mock('../config/redis', () => ({}));
+jest.mock('../socket/socket', () => ({ emitToUser: jest.fn() }));
+jest.mock('../services/inbox.service', () => ({ InboxService: jest.fn() }));
+jest.mock('../services/conversationAction.service', () => ({
+  ConversationActionService: jest.fn().mockImplementation(() => ({
+    verifyCanViewConversation: jest.fn(),
+    runAction: jest.fn(),
+  })),
+}));
+
+const prisma = require('../config/database');
+const { BulkOperationService } = require('../services/bulkOperation.service');
+
+const { tx } = prisma;
+
+const operation = (overrides = {}) => ({
+  id: 'op-1',
+  workspaceId: 'ws-1',
+  type: 'CLOSE',
+  params: {},
+  status: 'RUNNING',
+  total: 3,
+  succeeded: 0,
+  failed: 0,
+  callerInfo: { userId: 'user-1', isAppOwner: false },
+  ...overrides,
+});
+
+const activeMember = (role) => ({ status: 'ACTIVE', role, user: { isActive: true } });
+
+describe('BulkOperationService', () => {
+  let service;
+  let actions;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new BulkOperationService();
+    actions = service.conversationActionService;
+
+    prisma.bulkOperationItem.findMany.mockResolvedValue([
+      { id: 'item-1', conversationId: 'conv-1' },
+      { id: 'item-2', conversationId: 'conv-2' },
+      { id: 'item-3', conversationId: 'conv-3' },
+    ]);
+    prisma.bulkOperationItem.updateMany.mockResolvedValue({ count: 1 });
+    prisma.bulkOperationItem.count.mockResolvedValue(0);
+    prisma.bulkOperation.update.mockImplementation(({ data }) => Promise.resolve(operation(data)));
+    prisma.workspaceUser.findUnique.mockResolvedValue(activeMember('ADMIN'));
+  });
+
+  const itemUpdates = () => prisma.bulkOperationItem.updateMany.mock.calls.map(([{ where, data }]) => ({
+    id: where.id,
+    status: data.status,
+    error: data.error,
+  }));
+
+  describe('_processBatch', () => {
+    it('should record a failed item and carry on with the rest', async () => {
+      actions.runAction
+        .mockResolvedValueOnce()
+        .mockRejectedValueOnce(new Error('Invalid status transition from CLOSED to CLOSED'))
+        .mockResolvedValueOnce();
+
+      await service._processBatch(operation(), 'acc-1', 100);
+
+      expect(itemUpdates()).toEqual([
+        { id: 'item-1', status: 'SUCCEEDED', error: null },
+        { id: 'item-2', status: 'FAILED', error: 'Invalid status transition from CLOSED to CLOSED' },
+        { id: 'item-3', status: 'SUCCEEDED', error: null },
+      ]);
+      expect(prisma.bulkOperationItem.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'item-2', status: 'PENDING' },
+      }));
+      expect(prisma.bulkOperation.update).toHaveBeenLastCalledWith({
+        where: { id: 'op-1' },
+        data: expect.objectContaining({
+          succeeded: { increment: 2 },
+          failed: { increment: 1 },
+          status: 'COMPLETED',
+        }),
+      });
+    });
+
+    it('should run each item in its own transaction', async () => {
+      actions.runAction.mockResolvedValue();
+
+      await service._processBatch(operation(), 'acc-1', 100);
+
+      expect(prisma.$transaction).toHaveBeenCalledTimes(3);
+      expect(actions.runAction).toHaveBeenCalledWith(
+        { type: 'SET_STATUS', status: 'CLOSED' },
+        'conv-1',
+        'ws-1',
+        'acc-1',
+        { userId: 'user-1', isAppOwner: false, workspaceRole: 'ADMIN' },
+        expect.objectContaining({ tx, actorUserId: 'user-1' })
+      );
+    });
+
+    it('should not count items another run already processed', async () => {
+      prisma.bulkOperationItem.updateMany
+        .mockResolvedValueOnce({ count: 1 })
+        .mockResolvedValueOnce({ count: 0 })
+        .mockResolvedValueOnce({ count: 1 });
+
+      await service._processBatch(operation(), 'acc-1', 100);
+
+      expect(prisma.bulkOperation.update).toHaveBeenLastCalledWith({
+        where: { id: 'op-1' },
+        data: expect.objectContaining({ succeeded: { increment: 2 }, failed: { increment: 0 } }),
+      });
+    });
+
+    it('should leave the operation running while items remain', async () => {
+      prisma.bulkOperationItem.count.mockResolvedValue(7);
+
+      await service._processBatch(operation(), 'acc-1', 3);
+
+      expect(prisma.bulkOperation.update.mock.calls[0][0].data).not.toHaveProperty('status');
+    });
+
+    it('should apply the requester\'s current role to each item', async () => {
+      prisma.workspaceUser.findUnique
+        .mockResolvedValueOnce(activeMember('ADMIN'))
+        .mockResolvedValueOnce(activeMember('MEMBER'))
+        .mockResolvedValueOnce(activeMember('MEMBER'));
+
+      await service._processBatch(operation(), 'acc-1', 100);
+
+      const roles = actions.runAction.mock.calls.map(call => call[4].workspaceRole);
+      expect(roles).toEqual(['ADMIN', 'MEMBER', 'MEMBER']);
+    });
+
+    it('should fail the remaining items of a requester who left the workspace', async () => {
+      prisma.workspaceUser.findUnique
+        .mockResolvedValueOnce(activeMember('ADMIN'))
+        .mockResolvedValueOnce({ ...activeMember('ADMIN'), status: 'INACTIVE' })
+        .mockResolvedValueOnce(null);
+
+      await service._processBatch(operation(), 'acc-1', 100);
+
+      const error = 'Insufficient permissions. The requester is no longer an active member of this workspace';
+      expect(itemUpdates()).toEqual([
+        { id: 'item-1', status: 'SUCCEEDED', error: null },
+        { id: 'item-2', status: 'FAILED', error },
+        { id: 'item-3', status: 'FAILED', error },
+      ]);
+      expect(actions.runAction).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail items of an app owner who no longer owns the account', async () => {
+      prisma.account.findFirst.mockResolvedValue(null);
+
+      await service._processBatch(operation({ callerInfo: { userId: 'owner-1', isAppOwner: true } }), 'acc-1', 100);
+
+      expect(prisma.account.findFirst).toHaveBeenCalledWith({
+        where: { id: 'acc-1', appOwnerId: 'owner-1' },
+        select: { id: true },
+      });
+      expect(itemUpdates().map(update => update.status)).toEqual(['FAILED', 'FAILED', 'FAILED']);
+      expect(actions.verifyCanViewConversation).not.toHaveBeenCalled();
+    });
+  });
+});
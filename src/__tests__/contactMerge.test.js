@@ -0,0 +1,186 @@
+jest.mock('../config/database', () => {
+  const tx = {
+    $queryRaw: jest.fn(),
+    contact: { findMany: jest.fn(), update: jest.fn(), delete: jest.fn() },
+    contactIdentity: { findMany: jest.fn(), updateMany: jest.fn(), createMany: jest.fn() },
+    contactMerge: { updateMany: jest.fn(), create: jest.fn() },
+    conversation: { findMany: jest.fn(), updateMany: jest.fn() },
+  };
+  return {
+    tx,
+    $transaction: jest.fn(callback => callback(tx)),
+    contact: { findFirst: jest.fn(), findMany: jest.fn() },
+    contactIdentity: { findMany: jest.fn() },
+  };
+});
+jest.mock('../config/redis', () => ({ del: jest.fn() }));
+jest.mock('../socket/socket', () => ({ emitToWorkspace: jest.fn() }));
+jest.mock('../services/conversationEvent.service', () => ({
+  ConversationEventService: jest.fn().mockImplementation(() => ({ recordEvent: jest.fn() })),
+}));
+
+const prisma = require('../config/database');
+const { ContactMergeService } = require('../services/contactMerge.service');
+
+const { tx } = prisma;
+const admin = { userId: 'user-1', isAppOwner: false, workspaceRole: 'ADMIN' };
+
+const contact = (overrides) => ({
+  workspaceId: 'ws-1',
+  name: null,
+  phone: null,
+  avatar: null,
+  metadata: null,
+  customAttributes: null,
+  createdAt: new Date('2026-01-01T00:00:00Z'),
+  identities: [],
+  ...overrides,
+});
+
+describe('ContactMergeService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new ContactMergeService();
+  });
+
+  describe('mergeContacts', () => {
+    const source = contact({
+      id: 'ct-b',
+      email: 'Jane.Doe@Home.com',
+      name: 'Jane Doe',
+      phone: '+44 7700 900123',
+      metadata: { plan: 'pro', tier: 'gold' },
+      customAttributes: { region: 'EMEA', segment: 'smb' },
+    });
+    const target = contact({
+      id: 'ct-a',
+      email: 'jane.doe@work.com',
+      phone: '+44 7700 900123',
+      metadata: { tier: 'silver' },
+      customAttributes: { segment: 'enterprise' },
+    });
+
+    beforeEach(() => {
+      tx.contact.findMany.mockResolvedValue([source, target]);
+      tx.contactIdentity.findMany.mockResolvedValue([
+        { type: 'EMAIL', value: 'jane.doe@home.com', label: null },
+        { type: 'PHONE', value: '+447700900123', label: 'mobile' },
+      ]);
+      tx.conversation.findMany.mockResolvedValue([{ id: 'conv-1' }, { id: 'conv-2' }]);
+      tx.contactMerge.create.mockResolvedValue({ id: 'merge-1' });
+      prisma.contact.findFirst.mockResolvedValue(target);
+    });
+
+    it('should move the source identities to the target', async () => {
+      await service.mergeContacts('ct-b', 'ct-a', 'ws-1', admin);
+
+      expect(tx.contactIdentity.updateMany).toHaveBeenCalledWith({
+        where: { contactId: 'ct-b' },
+        data: { contactId: 'ct-a' },
+      });
+    });
+
+    it('should skip primary email and phone identities the workspace already has', async () => {
+      await service.mergeContacts('ct-b', 'ct-a', 'ws-1', admin);
+
+      expect(tx.contactIdentity.createMany).toHaveBeenCalledWith({
+        data: [
+          { type: 'EMAIL', value: 'jane.doe@home.com', workspaceId: 'ws-1', contactId: 'ct-a' },
+          { type: 'PHONE', value: '+447700900123', workspaceId: 'ws-1', contactId: 'ct-a' },
+        ],
+        skipDuplicates: true,
+      });
+    });
+
+    it('should not record empty primary identities', async () => {
+      tx.contact.findMany.mockResolvedValue([{ ...source, phone: 'n/a' }, target]);
+
+      await service.mergeContacts('ct-b', 'ct-a', 'ws-1', admin);
+
+      expect(tx.contactIdentity.createMany.mock.calls[0][0].data).toEqual([
+        { type: 'EMAIL', value: 'jane.doe@home.com', workspaceId: 'ws-1', contactId: 'ct-a' },
+      ]);
+    });
+
+    it('should keep target details and fill the empty ones from the source', async () => {
+      await service.mergeContacts('ct-b', 'ct-a', 'ws-1', admin);
+
+      expect(tx.contact.update).toHaveBeenCalledWith({
+        where: { id: 'ct-a' },
+        data: {
+          name: 'Jane Doe',
+          phone: '+44 7700 900123',
+          avatar: null,
+          metadata: { plan: 'pro', tier: 'silver' },
+          customAttributes: { region: 'EMEA', segment: 'enterprise' },
+        },
+      });
+    });
+
+    it('should snapshot the source, record CONTACT_CHANGED events and delete the source', async () => {
+      await service.mergeContacts('ct-b', 'ct-a', 'ws-1', admin);
+
+      const merge = tx.contactMerge.create.mock.calls[0][0].data;
+      expect(merge).toMatchObject({ targetContactId: 'ct-a', sourceContactId: 'ct-b', mergedByUserId: 'user-1', conversationCount: 2 });
+      expect(merge.sourceSnapshot.identities).toEqual([
+        { type: 'EMAIL', value: 'jane.doe@home.com', label: null },
+        { type: 'PHONE', value: '+447700900123', label: 'mobile' },
+      ]);
+      expect(service.conversationEventService.recordEvent).toHaveBeenCalledTimes(2);
+      expect(service.conversationEventService.recordEvent).toHaveBeenCalledWith(
+        'conv-1',
+        'ws-1',
+        'CONTACT_CHANGED',
+        expect.objectContaining({ fromValue: { contactId: 'ct-b' }, toValue: { contactId: 'ct-a' } }),
+        expect.objectContaining({ tx, actorUserId: 'user-1' })
+      );
+      expect(tx.contact.delete).toHaveBeenCalledWith({ where: { id: 'ct-b' } });
+    });
+
+    it('should reject merging a contact into itself', async () => {
+      await expect(service.mergeContacts('ct-a', 'ct-a', 'ws-1', admin))
+        .rejects.toThrow('A contact cannot be merged into itself');
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should reject contacts of another workspace', async () => {
+      tx.contact.findMany.mockResolvedValue([target]);
+
+      await expect(service.mergeContacts('ct-b', 'ct-a', 'ws-1', admin)).rejects.toThrow('Contact not found');
+      expect(tx.conversation.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findDuplicates', () => {
+    it('should count each kind of evidence once per candidate', async () => {
+      prisma.contact.findFirst.mockResolvedValue(contact({
+        id: 'ct-a',
+        email: 'jane.doe@work.com',
+        phone: '07700 900123',
+        identities: [
+          { type: 'EMAIL', value: 'jane.doe@work.com' },
+          { type: 'PHONE', value: '+447700900123' },
+        ],
+      }));
+      // Both phone numbers and the mailbox name point at the same candidate
+      prisma.contactIdentity.findMany.mockImplementation(({ where }) => Promise.resolve(
+        where.type === 'PHONE'
+          ? [{ contactId: 'ct-b' }, { contactId: 'ct-a' }]
+          : [{ contactId: 'ct-a' }, { contactId: 'ct-b' }]
+      ));
+      prisma.contact.findMany.mockResolvedValue([contact({ id: 'ct-b', email: 'jane.doe@home.com' })]);
+
+      const [suggestion, ...rest] = await service.findDuplicates('ct-a', 'ws-1');
+
+      expect(rest).toEqual([]);
+      expect(suggestion.contact.id).toBe('ct-b');
+      expect(suggestion.matches.map(match => match.type)).toEqual(['PHONE', 'EMAIL_LOCAL_PART']);
+      expect(suggestion.score).toBe(100);
+      expect(prisma.contact.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: { in: ['ct-b'] }, workspaceId: 'ws-1' },
+      }));
+    });
+  });
+});
@@ -0,0 +1,256 @@
+const {
+  encodeCursor,
+  decodeCursor,
+  buildCursorQuery,
+  buildCursorPage,
+} = require('../utils/cursor');
+
+const at = (minute) => new Date(Date.UTC(2026, 0, 1, 0, minute));
+
+// Minimal evaluation of the where/orderBy/take parts buildCursorQuery produces
+const matchesWhere = (record, where) => Object.entries(where).every(([key, condition]) => {
+  if (key === 'OR') {
+    return condition.some(part => matchesWhere(record, part));
+  }
+
+  const value = record[key];
+
+  if (condition === null || condition instanceof Date || typeof condition === 'string') {
+    return condition === null ? value === null : value !== null && +value === +condition;
+  }
+
+  if ('not' in condition) {
+    return value !== null;
+  }
+  if ('lt' in condition) {
+    return value !== null && value < condition.lt;
+  }
+  return value !== null && value > condition.gt;
+});
+
+const compareBy = (orderBy) => (a, b) => {
+  for (const entry of orderBy) {
+    const [field, spec] = Object.entries(entry)[0];
+    const sort = typeof spec === 'string' ? spec : spec.sort;
+    const nulls = typeof spec === 'string' ? null : spec.nulls;
+
+    if (a[field] === null || b[field] === null) {
+      if (a[field] === b[field]) {
+        continue;
+      }
+      return (a[field] === null) === (nulls === 'first') ? -1 : 1;
+    }
+
+    if (+a[field] !== +b[field]) {
+      const diff = a[field] < b[field] ? -1 : 1;
+      return sort === 'asc' ? diff : -diff;
+    }
+  }
+  return 0;
+};
+
+const fetchPage = (records, options) => {
+  const query = buildCursorQuery(options);
+  const fetched = records
+    .filter(record => matchesWhere(record, query.where))
+    .sort(compareBy(query.orderBy))
+    .slice(0, query.take);
+  return buildCursorPage(fetched, options);
+};
+
+describe('Cursor helper', () => {
+  describe('encodeCursor / decodeCursor', () => {
+    it('should round-trip a timestamp and id', () => {
+      const cursor = encodeCursor({ id: 'c-1', lastMessageAt: at(5) }, 'lastMessageAt');
+
+      expect(decodeCursor(cursor)).toEqual({ value: at(5), id: 'c-1' });
+    });
+
+    it('should round-trip a NULL sort value', () => {
+      const cursor = encodeCursor({ id: 'c-1', lastMessageAt: null }, 'lastMessageAt');
+
+      expect(decodeCursor(cursor)).toEqual({ value: null, id: 'c-1' });
+    });
+
+    it('should reject malformed cursors', () => {
+      expect(() => decodeCursor('not-a-cursor')).toThrow('Invalid cursor');
+      expect(() => decodeCursor(Buffer.from(JSON.stringify({ v: 'soon', id: 'x' })).toString('base64url'))).toThrow('Invalid cursor');
+      expect(() => decodeCursor(Buffer.from(JSON.stringify({ v: null })).toString('base64url'))).toThrow('Invalid cursor');
+    });
+  });
+
+  describe('buildCursorQuery', () => {
+    const cursorAt = (value) => encodeCursor({ id: 'c-5', lastMessageAt: value }, 'lastMessageAt');
+
+    it('should fetch one extra record in list order without a cursor', () => {
+      expect(buildCursorQuery({ field: 'createdAt', limit: 20 })).toEqual({
+        where: {},
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        take: 21,
+      });
+    });
+
+    it('should reject both cursors at once', () => {
+      expect(() => buildCursorQuery({ field: 'createdAt', limit: 20, after: 'a', before: 'b' }))
+        .toThrow('Use either the after or the before cursor, not both');
+    });
+
+    it('should keep NULL sort values after a non-NULL cursor when paging forward', () => {
+      const query = buildCursorQuery({ field: 'lastMessageAt', nullable: true, limit: 20, after: cursorAt(at(5)) });
+
+      expect(query.where).toEqual({
+        OR: [
+          { lastMessageAt: { lt: at(5) } },
+          { lastMessageAt: at(5), id: { lt: 'c-5' } },
+          { lastMessageAt: null },
+        ],
+      });
+      expect(query.orderBy).toEqual([
+        { lastMessageAt: { sort: 'desc', nulls: 'last' } },
+        { id: 'desc' },
+      ]);
+    });
+
+    it('should only return other NULLs after a NULL cursor when paging forward', () => {
+      const query = buildCursorQuery({ field: 'lastMessageAt', nullable: true, limit: 20, after: cursorAt(null) });
+
+      expect(query.where).toEqual({ lastMessageAt: null, id: { lt: 'c-5' } });
+    });
+
+    it('should walk backward in reverse order with NULLs first', () => {
+      const query = buildCursorQuery({ field: 'lastMessageAt', nullable: true, limit: 20, before: cursorAt(at(5)) });
+
+      expect(query.where).toEqual({
+        OR: [
+          { lastMessageAt: { gt: at(5) } },
+          { lastMessageAt: at(5), id: { gt: 'c-5' } },
+        ],
+      });
+      expect(query.orderBy).toEqual([
+        { lastMessageAt: { sort: 'asc', nulls: 'first' } },
+        { id: 'asc' },
+      ]);
+    });
+
+    it('should include every non-NULL record before a NULL cursor', () => {
+      const query = buildCursorQuery({ field: 'lastMessageAt', nullable: true, limit: 20, before: cursorAt(null) });
+
+      expect(query.where).toEqual({
+        OR: [
+          { lastMessageAt: null, id: { gt: 'c-5' } },
+          { lastMessageAt: { not: null } },
+        ],
+      });
+    });
+
+    it('should not add NULL conditions for non-nullable fields', () => {
+      const query = buildCursorQuery({ field: 'createdAt', order: 'asc', limit: 20, after: encodeCursor({ id: 'm-1', createdAt: at(1) }, 'createdAt') });
+
+      expect(query.where).toEqual({
+        OR: [
+          { createdAt: { gt: at(1) } },
+          { createdAt: at(1), id: { gt: 'm-1' } },
+        ],
+      });
+      expect(query.orderBy).toEqual([{ createdAt: 'asc' }, { id: 'asc' }]);
+    });
+  });
+
+  describe('buildCursorPage', () => {
+    const records = [
+      { id: 'c-1', lastMessageAt: at(3) },
+      { id: 'c-2', lastMessageAt: at(2) },
+      { id: 'c-3', lastMessageAt: at(1) },
+    ];
+
+    it('should drop the extra record and report more records forward', () => {
+      const page = buildCursorPage(records, { field: 'lastMessageAt', limit: 2 });
+
+      expect(page.data.map(record => record.id)).toEqual(['c-1', 'c-2']);
+      expect(page.pagination).toMatchObject({ limit: 2, hasMore: true, hasNext: true, hasPrevious: false, previousCursor: null });
+      expect(decodeCursor(page.pagination.nextCursor)).toEqual({ value: at(2), id: 'c-2' });
+    });
+
+    it('should flip a backward page into list order', () => {
+      const before = encodeCursor({ id: 'c-0', lastMessageAt: at(0) }, 'lastMessageAt');
+      const fetched = [...records].reverse();
+      const page = buildCursorPage(fetched, { field: 'lastMessageAt', limit: 2, before });
+
+      expect(page.data.map(record => record.id)).toEqual(['c-2', 'c-3']);
+      expect(page.pagination).toMatchObject({ hasMore: true, hasNext: true, hasPrevious: true });
+      expect(decodeCursor(page.pagination.previousCursor)).toEqual({ value: at(2), id: 'c-2' });
+      expect(decodeCursor(page.pagination.nextCursor)).toEqual({ value: at(1), id: 'c-3' });
+    });
+
+    it('should keep the requested cursor on an empty page', () => {
+      const after = encodeCursor({ id: 'c-3', lastMessageAt: at(1) }, 'lastMessageAt');
+      const page = buildCursorPage([], { field: 'lastMessageAt', limit: 2, after });
+
+      expect(page.data).toEqual([]);
+      expect(page.pagination).toMatchObject({ hasNext: false, hasPrevious: true, nextCursor: null, previousCursor: after });
+    });
+  });
+
+  describe('paging through a list with NULL sort values', () => {
+    const records = [
+      { id: 'c-1', lastMessageAt: at(3) },
+      { id: 'c-2', lastMessageAt: at(2) },
+      { id: 'c-3', lastMessageAt: at(2) },
+      { id: 'c-4', lastMessageAt: at(1) },
+      { id: 'c-5', lastMessageAt: null },
+      { id: 'c-6', lastMessageAt: null },
+      { id: 'c-7', lastMessageAt: null },
+    ];
+    // Newest first, ties by id descending, NULLs last
+    const listOrder = ['c-1', 'c-3', 'c-2', 'c-4', 'c-7', 'c-6', 'c-5'];
+    const options = { field: 'lastMessageAt', nullable: true, limit: 2 };
+
+    it('should visit every record once forward, with NULLs last', () => {
+      const seen = [];
+      let after;
+
+      for (let guard = 0; guard < 10; guard++) {
+        const page = fetchPage(records, { ...options, after });
+        seen.push(...page.data.map(record => record.id));
+        if (!page.pagination.hasNext) {
+          break;
+        }
+        after = page.pagination.nextCursor;
+      }
+
+      expect(seen).toEqual(listOrder);
+    });
+
+    it('should visit every record once backward from the end', () => {
+      const pages = [];
+      let after;
+      let last;
+
+      for (let guard = 0; guard < 10; guard++) {
+        last = fetchPage(records, { ...options, after });
+        if (!last.pagination.hasNext) {
+          break;
+        }
+        after = last.pagination.nextCursor;
+      }
+
+      let page = last;
+      pages.unshift(page.data.map(record => record.id));
+      for (let guard = 0; guard < 10 && page.pagination.hasPrevious; guard++) {
+        page = fetchPage(records, { ...options, before: page.pagination.previousCursor });
+        pages.unshift(page.data.map(record => record.id));
+      }
+
+      expect(pages.flat()).toEqual(listOrder);
+      expect(page.pagination.hasPrevious).toBe(false);
+    });
+
+    it('should page backward across the NULL boundary', () => {
+      const before = encodeCursor({ id: 'c-6', lastMessageAt: null }, 'lastMessageAt');
+      const page = fetchPage(records, { ...options, before });
+
+      expect(page.data.map(record => record.id)).toEqual(['c-4', 'c-7']);
+      expect(page.pagination.hasPrevious).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+jest.mock('../config/database', () => {
+  const tx = {};
+  return {
+    tx,
+    $transaction: jest.fn(callback => callback(tx)),
+    macro: { findFirst: jest.fn() },
+    conversation: { findFirst: jest.fn() },
+  };
+});
+jest.mock('../config/redis', () => ({}));
+jest.mock('../services/conversationAccess.service', () => ({ ConversationAccessService: jest.fn() }));
+jest.mock('../services/conversationAssignment.service', () => ({ ConversationAssignmentService: jest.fn() }));
+jest.mock('../services/conversationState.service', () => ({ ConversationStateService: jest.fn() }));
+jest.mock('../services/conversationTag.service', () => ({
+  ConversationTagService: jest.fn().mockImplementation(() => ({ addTags: jest.fn() })),
+}));
+jest.mock('../services/conversationNote.service', () => ({
+  ConversationNoteService: jest.fn().mockImplementation(() => ({ createNote: jest.fn() })),
+}));
+jest.mock('../services/conversationPriority.service', () => ({
+  ConversationPriorityService: jest.fn().mockImplementation(() => ({ setPriority: jest.fn() })),
+}));
+jest.mock('../services/departmentAuthority.service', () => ({ DepartmentAuthorityService: jest.fn() }));
+
+const prisma = require('../config/database');
+const { MacroService } = require('../services/macro.service');
+
+const { tx } = prisma;
+const admin = { userId: 'user-1', isAppOwner: false, workspaceRole: 'ADMIN' };
+
+const macro = {
+  id: 'macro-1',
+  isActive: true,
+  actions: [
+    { type: 'SET_PRIORITY', priority: 'HIGH' },
+    { type: 'ADD_TAGS', tagIds: ['tag-1'] },
+    { type: 'ADD_NOTE', body: 'Escalated to billing' },
+  ],
+};
+
+describe('MacroService', () => {
+  let service;
+  let actions;
+  let announcePriority;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new MacroService();
+    actions = service.conversationActionService;
+    prisma.macro.findFirst.mockResolvedValue(macro);
+    prisma.conversation.findFirst.mockResolvedValue({ id: 'conv-1', mergedIntoId: null });
+
+    // The first step queues a side effect, as the real services do
+    announcePriority = jest.fn();
+    actions.conversationPriorityService.setPriority.mockImplementation((conversationId, priority, workspaceId, options) => {
+      options.afterCommit.push(announcePriority);
+      return Promise.resolve({ id: conversationId, priority });
+    });
+    actions.conversationTagService.addTags.mockResolvedValue([{ id: 'tag-1' }]);
+    actions.conversationNoteService.createNote.mockResolvedValue({ message: { id: 'msg-1' } });
+  });
+
+  describe('applyMacro', () => {
+    it('should run every step in one transaction', async () => {
+      const result = await service.applyMacro('macro-1', 'conv-1', 'ws-1', 'acc-1', admin);
+
+      expect(result.applied).toBe(true);
+      expect(result.steps.map(step => step.status)).toEqual(['APPLIED', 'APPLIED', 'APPLIED']);
+      expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+      expect(actions.conversationTagService.addTags).toHaveBeenCalledWith(
+        'conv-1',
+        'ws-1',
+        'acc-1',
+        ['tag-1'],
+        admin,
+        expect.objectContaining({ tx, actorUserId: 'user-1' })
+      );
+      expect(announcePriority).toHaveBeenCalledTimes(1);
+    });
+
+    it('should roll back earlier steps and skip later ones when a step fails', async () => {
+      actions.conversationTagService.addTags.mockRejectedValue(new Error('Tag not found'));
+
+      const result = await service.applyMacro('macro-1', 'conv-1', 'ws-1', 'acc-1', admin);
+
+      expect(result).toEqual({
+        macroId: 'macro-1',
+        conversationId: 'conv-1',
+        applied: false,
+        error: 'Step 2 (ADD_TAGS) failed: Tag not found',
+        steps: [
+          { index: 0, type: 'SET_PRIORITY', status: 'ROLLED_BACK', result: { priority: 'HIGH' } },
+          { index: 1, type: 'ADD_TAGS', status: 'FAILED', error: 'Tag not found' },
+          { index: 2, type: 'ADD_NOTE', status: 'SKIPPED' },
+        ],
+      });
+      expect(actions.conversationNoteService.createNote).not.toHaveBeenCalled();
+    });
+
+    it('should not run side effects of rolled back steps', async () => {
+      actions.conversationTagService.addTags.mockRejectedValue(new Error('Tag not found'));
+
+      await service.applyMacro('macro-1', 'conv-1', 'ws-1', 'acc-1', admin);
+
+      expect(announcePriority).not.toHaveBeenCalled();
+    });
+
+    it('should throw errors that happen outside a step', async () => {
+      prisma.$transaction.mockRejectedValueOnce(new Error('Transaction already closed'));
+
+      await expect(service.applyMacro('macro-1', 'conv-1', 'ws-1', 'acc-1', admin))
+        .rejects.toThrow('Transaction already closed');
+    });
+
+    it('should reject inactive macros', async () => {
+      prisma.macro.findFirst.mockResolvedValue({ ...macro, isActive: false });
+
+      await expect(service.applyMacro('macro-1', 'conv-1', 'ws-1', 'acc-1', admin))
+        .rejects.toThrow('Macro is inactive');
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,101 @@
+jest.mock('../config/database', () => {
+  const tx = {
+    $queryRaw: jest.fn(),
+    conversation: { findMany: jest.fn(), update: jest.fn() },
+    message: { updateMany: jest.fn() },
+  };
+  return {
+    tx,
+    $transaction: jest.fn(callback => callback(tx)),
+    conversation: { findFirst: jest.fn() },
+  };
+});
+jest.mock('../config/redis', () => ({ del: jest.fn() }));
+jest.mock('../socket/socket', () => ({ emitToWorkspace: jest.fn() }));
+jest.mock('../services/conversationAccess.service', () => ({ ConversationAccessService: jest.fn() }));
+jest.mock('../services/conversationEvent.service', () => ({
+  ConversationEventService: jest.fn().mockImplementation(() => ({ recordEvent: jest.fn() })),
+}));
+jest.mock('../services/conversationReadState.service', () => ({ ConversationReadStateService: jest.fn() }));
+jest.mock('../services/conversationTag.service', () => ({ ConversationTagService: jest.fn() }));
+jest.mock('../services/sla.service', () => ({ SlaService: jest.fn() }));
+jest.mock('../services/autoAssignment.service', () => ({ AutoAssignmentService: jest.fn() }));
+
+const prisma = require('../config/database');
+const redis = require('../config/redis');
+const { ConversationMergeService } = require('../services/conversationMerge.service');
+
+const { tx } = prisma;
+const admin = { userId: 'user-1', isAppOwner: false, workspaceRole: 'ADMIN' };
+
+describe('ConversationMergeService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new ConversationMergeService();
+    prisma.conversation.findFirst.mockImplementation(({ where }) => Promise.resolve({ id: where.id }));
+  });
+
+  describe('mergeConversations', () => {
+    it('should reject a source that has already been merged', async () => {
+      tx.conversation.findMany.mockResolvedValue([
+        { id: 'conv-b', status: 'CLOSED', mergedIntoId: 'conv-c' },
+        { id: 'conv-a', status: 'OPEN', mergedIntoId: null },
+      ]);
+
+      await expect(service.mergeConversations('conv-b', 'conv-a', 'ws-1', 'acc-1', admin))
+        .rejects.toThrow('Source conversation has already been merged');
+
+      expect(tx.message.updateMany).not.toHaveBeenCalled();
+      expect(tx.conversation.update).not.toHaveBeenCalled();
+      expect(service.conversationEventService.recordEvent).not.toHaveBeenCalled();
+      expect(redis.del).not.toHaveBeenCalled();
+    });
+
+    it('should reject a target that has already been merged', async () => {
+      tx.conversation.findMany.mockResolvedValue([
+        { id: 'conv-a', status: 'OPEN', mergedIntoId: null },
+        { id: 'conv-b', status: 'CLOSED', mergedIntoId: 'conv-c' },
+      ]);
+
+      await expect(service.mergeConversations('conv-a', 'conv-b', 'ws-1', 'acc-1', admin))
+        .rejects.toThrow('Target conversation has already been merged');
+
+      expect(tx.message.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should check for an earlier merge after locking both conversations in id order', async () => {
+      tx.conversation.findMany.mockResolvedValue([
+        { id: 'conv-b', status: 'CLOSED', mergedIntoId: 'conv-c' },
+        { id: 'conv-a', status: 'OPEN', mergedIntoId: null },
+      ]);
+
+      await expect(service.mergeConversations('conv-b', 'conv-a', 'ws-1', 'acc-1', admin)).rejects.toThrow();
+
+      const lockedIds = tx.$queryRaw.mock.calls.map(call => call[1]);
+      expect(lockedIds).toEqual(['conv-a', 'conv-b']);
+      expect(tx.$queryRaw.mock.invocationCallOrder[1]).toBeLessThan(tx.conversation.findMany.mock.invocationCallOrder[0]);
+    });
+
+    it('should reject merging a conversation into itself', async () => {
+      await expect(service.mergeConversations('conv-a', 'conv-a', 'ws-1', 'acc-1', admin))
+        .rejects.toThrow('A conversation cannot be merged into itself');
+
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('splitConversation', () => {
+    it('should reject a conversation that has already been merged', async () => {
+      tx.conversation.findMany.mockResolvedValue([
+        { id: 'conv-b', status: 'CLOSED', mergedIntoId: 'conv-c' },
+      ]);
+
+      await expect(service.splitConversation('conv-b', 'ws-1', 'acc-1', { messageIds: ['msg-1'] }, admin))
+        .rejects.toThrow('Conversation has already been merged');
+
+      expect(tx.message.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
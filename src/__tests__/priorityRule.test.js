@@ -0,0 +1,137 @@
+jest.mock('../config/database', () => ({
+  $queryRaw: jest.fn(),
+  priorityRule: { findMany: jest.fn() },
+  conversation: { findUnique: jest.fn() },
+}));
+jest.mock('../config/redis', () => ({}));
+jest.mock('../socket/socket', () => ({}));
+jest.mock('../services/conversationAccess.service', () => ({ ConversationAccessService: jest.fn() }));
+jest.mock('../services/conversationEvent.service', () => ({ ConversationEventService: jest.fn() }));
+jest.mock('../services/sla.service', () => ({ SlaService: jest.fn() }));
+
+const prisma = require('../config/database');
+const { PriorityRuleService } = require('../services/priorityRule.service');
+
+const rule = (overrides) => ({
+  workspaceId: 'ws-1',
+  isActive: true,
+  contactAttribute: null,
+  contactAttributeValue: null,
+  keywords: [],
+  waitingHours: null,
+  ...overrides,
+});
+
+describe('PriorityRuleService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new PriorityRuleService();
+    service.conversationPriorityService.setPriority = jest.fn().mockResolvedValue({});
+  });
+
+  describe('matchMessageRule', () => {
+    const vip = rule({ type: 'VIP_CONTACT', contactAttribute: 'tier', contactAttributeValue: 'Gold' });
+
+    it('should match a VIP attribute value case-insensitively', () => {
+      expect(PriorityRuleService.matchMessageRule(vip, {}, { customAttributes: { tier: 'gold' } })).toBe(true);
+      expect(PriorityRuleService.matchMessageRule(vip, {}, { customAttributes: { tier: 'silver' } })).toBe(false);
+    });
+
+    it('should prefer custom attributes over metadata', () => {
+      const contact = { customAttributes: { tier: 'silver' }, metadata: { tier: 'gold' } };
+
+      expect(PriorityRuleService.matchMessageRule(vip, {}, contact)).toBe(false);
+      expect(PriorityRuleService.matchMessageRule(vip, {}, { metadata: { tier: 'gold' } })).toBe(true);
+    });
+
+    it('should treat a set attribute as VIP when no value is required', () => {
+      const flag = rule({ type: 'VIP_CONTACT', contactAttribute: 'vip' });
+
+      expect(PriorityRuleService.matchMessageRule(flag, {}, { metadata: { vip: true } })).toBe(true);
+      expect(PriorityRuleService.matchMessageRule(flag, {}, { metadata: { vip: 'false' } })).toBe(false);
+      expect(PriorityRuleService.matchMessageRule(flag, {}, { metadata: {} })).toBe(false);
+    });
+
+    it('should look for keywords in the subject and body', () => {
+      const keyword = rule({ type: 'KEYWORD', keywords: ['outage', 'refund'] });
+
+      expect(PriorityRuleService.matchMessageRule(keyword, { subject: 'Site OUTAGE' }, null)).toBe(true);
+      expect(PriorityRuleService.matchMessageRule(keyword, { body: 'I want a refund' }, null)).toBe(true);
+      expect(PriorityRuleService.matchMessageRule(keyword, { subject: 'Hello', body: 'Thanks' }, null)).toBe(false);
+    });
+  });
+
+  describe('applyMessageRules', () => {
+    beforeEach(() => {
+      prisma.priorityRule.findMany.mockResolvedValue([
+        rule({ id: 'rule-1', name: 'Outage', type: 'KEYWORD', priority: 'HIGH', keywords: ['outage'] }),
+        rule({ id: 'rule-2', name: 'VIP', type: 'VIP_CONTACT', priority: 'URGENT', contactAttribute: 'vip' }),
+      ]);
+    });
+
+    it('should raise to the highest matching rule', async () => {
+      prisma.conversation.findUnique.mockResolvedValue({ priority: 'NORMAL' });
+
+      const result = await service.applyMessageRules('conv-1', 'ws-1', { subject: 'Outage' }, { metadata: { vip: true } });
+
+      expect(result.priority).toBe('URGENT');
+      expect(service.conversationPriorityService.setPriority).toHaveBeenCalledWith('conv-1', 'URGENT', 'ws-1', {
+        metadata: { priorityRuleId: 'rule-2', reason: 'Priority rule "VIP" (VIP_CONTACT)' },
+      });
+    });
+
+    it('should never lower a priority', async () => {
+      prisma.conversation.findUnique.mockResolvedValue({ priority: 'URGENT' });
+
+      const result = await service.applyMessageRules('conv-1', 'ws-1', { subject: 'Outage' }, null);
+
+      expect(result).toBeNull();
+      expect(service.conversationPriorityService.setPriority).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('applyWaitingTimeRules', () => {
+    const now = new Date('2026-03-02T12:00:00Z');
+
+    beforeEach(() => {
+      prisma.priorityRule.findMany.mockResolvedValue([
+        rule({ id: 'rule-1', name: 'Waiting', type: 'WAITING_TIME', priority: 'HIGH', waitingHours: 4 }),
+        rule({ id: 'rule-2', name: 'Waiting long', type: 'WAITING_TIME', priority: 'URGENT', waitingHours: 24 }),
+      ]);
+      prisma.$queryRaw.mockResolvedValue([]);
+    });
+
+    const queryText = (call) => call[0].join('?').replace(/\s+/g, ' ');
+
+    it('should only count customer messages and replies, not internal notes', async () => {
+      await service.applyWaitingTimeRules(now);
+
+      const sql = queryText(prisma.$queryRaw.mock.calls[0]);
+      expect(sql).toContain('m."direction"::text = \'INBOUND\' AND m."isInternal" = false');
+      expect(sql).toContain('r."direction"::text = \'OUTBOUND\' AND r."isInternal" = false');
+    });
+
+    it('should apply the highest rules first with their own cutoff', async () => {
+      await service.applyWaitingTimeRules(now);
+
+      const [urgent, high] = prisma.$queryRaw.mock.calls;
+      expect(urgent).toContain('ws-1');
+      expect(urgent).toContainEqual(new Date('2026-03-01T12:00:00Z'));
+      expect(high).toContainEqual(new Date('2026-03-02T08:00:00Z'));
+    });
+
+    it('should count the conversations it raised', async () => {
+      prisma.$queryRaw
+        .mockResolvedValueOnce([{ id: 'conv-1' }, { id: 'conv-2' }])
+        .mockResolvedValueOnce([]);
+      prisma.conversation.findUnique
+        .mockResolvedValueOnce({ priority: 'NORMAL' })
+        .mockResolvedValueOnce({ priority: 'URGENT' });
+
+      await expect(service.applyWaitingTimeRules(now)).resolves.toBe(1);
+      expect(service.conversationPriorityService.setPriority).toHaveBeenCalledWith('conv-1', 'URGENT', 'ws-1', expect.any(Object));
+    });
+  });
+});
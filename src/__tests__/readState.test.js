@@ -0,0 +1,147 @@
+jest.mock('../config/database', () => ({
+  conversation: { findFirst: jest.fn() },
+  message: { findFirst: jest.fn(), count: jest.fn() },
+  conversationReadState: { upsert: jest.fn() },
+}));
+jest.mock('../config/redis', () => ({}));
+jest.mock('../services/conversationAccess.service', () => ({
+  ConversationAccessService: jest.fn().mockImplementation(() => ({
+    getVisibilityFilter: jest.fn().mockResolvedValue({}),
+  })),
+}));
+
+const prisma = require('../config/database');
+const { ConversationReadStateService } = require('../services/conversationReadState.service');
+
+const at = (minute) => new Date(Date.UTC(2026, 0, 1, 0, minute));
+const caller = { userId: 'user-1', isAppOwner: false, workspaceRole: 'MEMBER' };
+
+describe('ConversationReadStateService', () => {
+  describe('buildUnreadFilter', () => {
+    it('should only apply when unread is true', () => {
+      expect(ConversationReadStateService.buildUnreadFilter('user-1', undefined)).toBeNull();
+      expect(ConversationReadStateService.buildUnreadFilter('user-1', 'false')).toBeNull();
+      expect(ConversationReadStateService.buildUnreadFilter('user-1', '1')).toBeNull();
+      expect(ConversationReadStateService.buildUnreadFilter('user-1', 'TRUE')).not.toBeNull();
+      expect(ConversationReadStateService.buildUnreadFilter('user-1', true)).not.toBeNull();
+    });
+
+    it('should match never-read conversations with messages and read states with unread messages', () => {
+      expect(ConversationReadStateService.buildUnreadFilter('user-1', 'true')).toEqual({
+        OR: [
+          {
+            lastMessageAt: { not: null },
+            readStates: { none: { userId: 'user-1' } },
+          },
+          {
+            readStates: { some: { userId: 'user-1', unreadCount: { gt: 0 } } },
+          },
+        ],
+      });
+    });
+  });
+
+  describe('markUnread', () => {
+    let service;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      service = new ConversationReadStateService();
+      prisma.conversation.findFirst.mockResolvedValue({ id: 'conv-1' });
+      prisma.conversationReadState.upsert.mockImplementation(({ create }) => Promise.resolve(create));
+    });
+
+    it('should move the read position to the message before the target', async () => {
+      prisma.message.findFirst
+        .mockResolvedValueOnce({ id: 'msg-3', createdAt: at(3) })
+        .mockResolvedValueOnce({ id: 'msg-2', createdAt: at(2) });
+      prisma.message.count.mockResolvedValue(2);
+
+      const result = await service.markUnread('conv-1', 'ws-1', 'msg-3', caller);
+
+      expect(result).toEqual({
+        conversationId: 'conv-1',
+        lastReadMessageId: 'msg-2',
+        lastReadAt: at(2),
+        unreadCount: 2,
+      });
+      expect(prisma.message.findFirst).toHaveBeenLastCalledWith({
+        where: { conversationId: 'conv-1', createdAt: { lt: at(3) } },
+        orderBy: { createdAt: 'desc' },
+      });
+    });
+
+    it('should count messages from others from the target onwards', async () => {
+      prisma.message.findFirst
+        .mockResolvedValueOnce({ id: 'msg-3', createdAt: at(3) })
+        .mockResolvedValueOnce(null);
+      prisma.message.count.mockResolvedValue(1);
+
+      await service.markUnread('conv-1', 'ws-1', 'msg-3', caller);
+
+      expect(prisma.message.count).toHaveBeenCalledWith({
+        where: {
+          conversationId: 'conv-1',
+          createdAt: { gte: at(3) },
+          OR: [
+            { sentByUserId: null },
+            { sentByUserId: { not: 'user-1' } },
+          ],
+        },
+      });
+    });
+
+    it('should read up to just before the first message when nothing precedes it', async () => {
+      prisma.message.findFirst
+        .mockResolvedValueOnce({ id: 'msg-1', createdAt: at(1) })
+        .mockResolvedValueOnce(null);
+      prisma.message.count.mockResolvedValue(3);
+
+      const result = await service.markUnread('conv-1', 'ws-1', 'msg-1', caller);
+
+      expect(result.lastReadMessageId).toBeNull();
+      expect(result.lastReadAt).toEqual(new Date(at(1).getTime() - 1));
+      expect(result.unreadCount).toBe(3);
+    });
+
+    it('should default to the latest message from someone else', async () => {
+      prisma.message.findFirst
+        .mockResolvedValueOnce({ id: 'msg-4', createdAt: at(4) })
+        .mockResolvedValueOnce({ id: 'msg-3', createdAt: at(3) });
+      prisma.message.count.mockResolvedValue(1);
+
+      await service.markUnread('conv-1', 'ws-1', undefined, caller);
+
+      expect(prisma.message.findFirst).toHaveBeenNthCalledWith(1, {
+        where: {
+          conversationId: 'conv-1',
+          OR: [
+            { sentByUserId: null },
+            { sentByUserId: { not: 'user-1' } },
+          ],
+        },
+        orderBy: { createdAt: 'desc' },
+      });
+    });
+
+    it('should reject conversations without messages from others', async () => {
+      prisma.message.findFirst.mockResolvedValueOnce(null);
+
+      await expect(service.markUnread('conv-1', 'ws-1', undefined, caller))
+        .rejects.toThrow('Conversation has no messages to mark unread');
+      expect(prisma.conversationReadState.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should reject messages of another conversation', async () => {
+      prisma.message.findFirst.mockResolvedValueOnce(null);
+
+      await expect(service.markUnread('conv-1', 'ws-1', 'msg-9', caller))
+        .rejects.toThrow('Message not found in this conversation');
+    });
+
+    it('should reject app owners, who have no read state', async () => {
+      await expect(service.markUnread('conv-1', 'ws-1', 'msg-3', { isAppOwner: true }))
+        .rejects.toThrow('Insufficient permissions. Only workspace users have read state');
+    });
+  });
+});
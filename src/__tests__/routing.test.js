@@ -0,0 +1,131 @@
+jest.mock('../config/database', () => ({}));
+jest.mock('../config/redis', () => ({}));
+
+const { RoutingService } = require('../services/routing.service');
+
+const input = RoutingService.buildInput(
+  {
+    toEmail: 'Support@Acme.com',
+    fromEmail: 'Jane.Doe@Example.org',
+    subject: 'URGENT: Refund for order 42',
+    body: 'Please refund my order.',
+  },
+  {
+    name: 'Jane Doe',
+    phone: '+1 555 0100',
+    metadata: { plan: 'legacy', tier: 'silver' },
+    customAttributes: { tier: 'Gold' },
+  }
+);
+
+const condition = (field, operator, value, extra = {}) => ({ field, operator, value, ...extra });
+
+describe('RoutingService', () => {
+  describe('buildInput', () => {
+    it('should derive the sender domain and fall back to the sender for the contact email', () => {
+      expect(input.senderDomain).toBe('Example.org');
+      expect(input.contact.email).toBe('Jane.Doe@Example.org');
+    });
+
+    it('should default missing fields to empty values', () => {
+      expect(RoutingService.buildInput({})).toEqual({
+        toEmail: '',
+        fromEmail: '',
+        senderDomain: '',
+        subject: '',
+        body: '',
+        contact: { name: '', email: '', phone: '', metadata: {}, customAttributes: {} },
+      });
+    });
+  });
+
+  describe('evaluateCondition', () => {
+    it.each([
+      ['equals', 'toEmail', 'support@acme.com', true],
+      ['equals', 'toEmail', 'sales@acme.com', false],
+      ['notEquals', 'toEmail', 'sales@acme.com', true],
+      ['notEquals', 'toEmail', 'SUPPORT@acme.com', false],
+      ['contains', 'subject', 'refund', true],
+      ['contains', 'subject', 'invoice', false],
+      ['notContains', 'body', 'invoice', true],
+      ['notContains', 'body', 'REFUND', false],
+      ['startsWith', 'subject', 'urgent:', true],
+      ['startsWith', 'subject', 'refund', false],
+      ['endsWith', 'fromEmail', '@example.ORG', true],
+      ['endsWith', 'fromEmail', '@example.com', false],
+    ])('%s on %s with %p should be %p', (operator, field, value, expected) => {
+      expect(RoutingService.evaluateCondition(condition(field, operator, value), input)).toBe(expected);
+    });
+
+    it('should match `in` against any list value, ignoring case', () => {
+      expect(RoutingService.evaluateCondition(condition('senderDomain', 'in', ['acme.com', 'EXAMPLE.org']), input)).toBe(true);
+      expect(RoutingService.evaluateCondition(condition('senderDomain', 'in', ['acme.com']), input)).toBe(false);
+    });
+
+    it('should compare `in` against whole values only', () => {
+      expect(RoutingService.evaluateCondition(condition('senderDomain', 'in', ['example']), input)).toBe(false);
+    });
+
+    it('should match `containsAny` when any list value is a substring', () => {
+      expect(RoutingService.evaluateCondition(condition('body', 'containsAny', ['invoice', 'REFUND']), input)).toBe(true);
+      expect(RoutingService.evaluateCondition(condition('body', 'containsAny', ['invoice', 'cancel']), input)).toBe(false);
+    });
+
+    it('should ignore empty `containsAny` values', () => {
+      expect(RoutingService.evaluateCondition(condition('body', 'containsAny', ['', null]), input)).toBe(false);
+    });
+
+    it('should treat a single `in` value like a one-item list', () => {
+      expect(RoutingService.evaluateCondition(condition('senderDomain', 'in', 'example.org'), input)).toBe(true);
+    });
+
+    it('should read contact fields', () => {
+      expect(RoutingService.evaluateCondition(condition('contactName', 'equals', 'jane doe'), input)).toBe(true);
+      expect(RoutingService.evaluateCondition(condition('contactPhone', 'startsWith', '+1'), input)).toBe(true);
+    });
+
+    it('should read contact custom attributes before metadata', () => {
+      expect(RoutingService.evaluateCondition(condition('contactAttribute', 'equals', 'gold', { attribute: 'tier' }), input)).toBe(true);
+      expect(RoutingService.evaluateCondition(condition('contactAttribute', 'equals', 'legacy', { attribute: 'plan' }), input)).toBe(true);
+    });
+
+    it('should treat missing values as empty strings', () => {
+      expect(RoutingService.evaluateCondition(condition('contactAttribute', 'equals', '', { attribute: 'missing' }), input)).toBe(true);
+      expect(RoutingService.evaluateCondition(condition('contactAttribute', 'notContains', 'x', { attribute: 'missing' }), input)).toBe(true);
+    });
+
+    it('should not match unknown operators', () => {
+      expect(RoutingService.evaluateCondition(condition('subject', 'matches', 'refund'), input)).toBe(false);
+    });
+  });
+
+  describe('matchRule', () => {
+    const matching = condition('subject', 'contains', 'refund');
+    const failing = condition('subject', 'contains', 'invoice');
+
+    it('should require every condition in ALL mode', () => {
+      expect(RoutingService.matchRule({ matchMode: 'ALL', conditions: [matching, matching] }, input).matched).toBe(true);
+      expect(RoutingService.matchRule({ matchMode: 'ALL', conditions: [matching, failing] }, input).matched).toBe(false);
+    });
+
+    it('should require one condition in ANY mode', () => {
+      expect(RoutingService.matchRule({ matchMode: 'ANY', conditions: [failing, matching] }, input).matched).toBe(true);
+      expect(RoutingService.matchRule({ matchMode: 'ANY', conditions: [failing, failing] }, input).matched).toBe(false);
+    });
+
+    it('should never match without conditions', () => {
+      expect(RoutingService.matchRule({ matchMode: 'ALL', conditions: [] }, input).matched).toBe(false);
+      expect(RoutingService.matchRule({ matchMode: 'ANY', conditions: [] }, input).matched).toBe(false);
+      expect(RoutingService.matchRule({ matchMode: 'ALL' }, input).matched).toBe(false);
+    });
+
+    it('should report each condition result', () => {
+      const result = RoutingService.matchRule({ matchMode: 'ANY', conditions: [matching, failing] }, input);
+
+      expect(result.conditions).toEqual([
+        { ...matching, matched: true },
+        { ...failing, matched: false },
+      ]);
+    });
+  });
+});
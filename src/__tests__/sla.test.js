@@ -0,0 +1,106 @@
+jest.mock('../config/database', () => ({}));
+jest.mock('../config/redis', () => ({}));
+
+const { SlaService } = require('../services/sla.service');
+
+const MINUTE_MS = 60 * 1000;
+const startedAt = new Date('2026-03-01T09:00:00Z');
+const at = (minutes) => new Date(startedAt.getTime() + minutes * MINUTE_MS);
+
+// First response due after 60 minutes, resolution after 240
+const conversation = (overrides = {}) => ({
+  slaStartedAt: startedAt,
+  firstResponseDueAt: at(60),
+  firstRespondedAt: null,
+  resolutionDueAt: at(240),
+  resolvedAt: null,
+  ...overrides,
+});
+
+describe('SlaService', () => {
+  describe('computeStatus', () => {
+    it('should return no status without targets', () => {
+      expect(SlaService.computeStatus({ slaStartedAt: startedAt }, 80, at(10))).toEqual({ status: null, breachedAt: null });
+    });
+
+    it('should be ON_TRACK before the at-risk share of a target has elapsed', () => {
+      expect(SlaService.computeStatus(conversation(), 80, at(47))).toEqual({ status: 'ON_TRACK', breachedAt: null });
+    });
+
+    it('should be AT_RISK once the at-risk share of a target has elapsed', () => {
+      // 80% of the 60 minute first-response target
+      expect(SlaService.computeStatus(conversation(), 80, at(48)).status).toBe('AT_RISK');
+      expect(SlaService.computeStatus(conversation(), 80, at(59)).status).toBe('AT_RISK');
+    });
+
+    it('should use the policy at-risk percent', () => {
+      expect(SlaService.computeStatus(conversation(), 50, at(29)).status).toBe('ON_TRACK');
+      expect(SlaService.computeStatus(conversation(), 50, at(30)).status).toBe('AT_RISK');
+    });
+
+    it('should still be AT_RISK exactly at the due time', () => {
+      expect(SlaService.computeStatus(conversation(), 80, at(60)).status).toBe('AT_RISK');
+    });
+
+    it('should be BREACHED once an open target is overdue', () => {
+      expect(SlaService.computeStatus(conversation(), 80, at(61))).toEqual({ status: 'BREACHED', breachedAt: at(60) });
+    });
+
+    it('should be BREACHED when a target was met late', () => {
+      const result = SlaService.computeStatus(conversation({ firstRespondedAt: at(75) }), 80, at(90));
+
+      expect(result).toEqual({ status: 'BREACHED', breachedAt: at(60) });
+    });
+
+    it('should report the earliest missed due time', () => {
+      const result = SlaService.computeStatus(conversation(), 80, at(300));
+
+      expect(result).toEqual({ status: 'BREACHED', breachedAt: at(60) });
+    });
+
+    it('should stay BREACHED while another target is at risk', () => {
+      const result = SlaService.computeStatus(
+        conversation({ firstRespondedAt: at(70), resolutionDueAt: at(100) }),
+        80,
+        at(90)
+      );
+
+      expect(result.status).toBe('BREACHED');
+    });
+
+    it('should follow the resolution target after a timely first response', () => {
+      const answered = conversation({ firstRespondedAt: at(30) });
+
+      expect(SlaService.computeStatus(answered, 80, at(100)).status).toBe('ON_TRACK');
+      expect(SlaService.computeStatus(answered, 80, at(192)).status).toBe('AT_RISK');
+      expect(SlaService.computeStatus(answered, 80, at(241))).toEqual({ status: 'BREACHED', breachedAt: at(240) });
+    });
+
+    it('should be MET when both targets were met', () => {
+      const result = SlaService.computeStatus(conversation({ firstRespondedAt: at(30), resolvedAt: at(200) }), 80, at(500));
+
+      expect(result).toEqual({ status: 'MET', breachedAt: null });
+    });
+
+    it('should count a resolution as the first response', () => {
+      const result = SlaService.computeStatus(conversation({ resolvedAt: at(45) }), 80, at(500));
+
+      expect(result.status).toBe('MET');
+    });
+  });
+
+  describe('buildStatusFilter', () => {
+    it('should match any of the given statuses', () => {
+      expect(SlaService.buildStatusFilter('at_risk, BREACHED')).toEqual({ slaStatus: { in: ['AT_RISK', 'BREACHED'] } });
+    });
+
+    it('should return null without statuses', () => {
+      expect(SlaService.buildStatusFilter('')).toBeNull();
+      expect(SlaService.buildStatusFilter(undefined)).toBeNull();
+    });
+
+    it('should reject unknown statuses', () => {
+      expect(() => SlaService.buildStatusFilter('LATE')).toThrow('Invalid slaStatus: LATE');
+    });
+  });
+});
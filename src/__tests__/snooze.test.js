@@ -0,0 +1,111 @@
+jest.mock('../config/database', () => {
+  const tx = {
+    conversation: { updateMany: jest.fn(), findUnique: jest.fn() },
+  };
+  return {
+    tx,
+    $transaction: jest.fn(callback => callback(tx)),
+    conversation: { findUnique: jest.fn(), findMany: jest.fn() },
+  };
+});
+jest.mock('../config/redis', () => ({ del: jest.fn() }));
+jest.mock('../socket/socket', () => ({ emitToWorkspace: jest.fn(), emitToUser: jest.fn() }));
+jest.mock('../services/conversationAccess.service', () => ({
+  ConversationAccessService: jest.fn(),
+}));
+jest.mock('../services/conversationEvent.service', () => ({
+  ConversationEventService: jest.fn().mockImplementation(() => ({ recordEvent: jest.fn() })),
+}));
+
+const prisma = require('../config/database');
+const redis = require('../config/redis');
+const { ConversationSnoozeService } = require('../services/conversationSnooze.service');
+
+const { tx } = prisma;
+const snoozedAt = new Date('2026-03-01T09:00:00Z');
+const snoozedUntil = new Date('2026-03-02T09:00:00Z');
+const snoozed = { id: 'conv-1', workspaceId: 'ws-1', status: 'OPEN', snoozedAt, snoozedUntil };
+
+describe('ConversationSnoozeService', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new ConversationSnoozeService();
+    tx.conversation.findUnique.mockResolvedValue({ ...snoozed, snoozedAt: null, snoozedUntil: null });
+  });
+
+  describe('_wake', () => {
+    it('should only clear the snooze that was read', async () => {
+      tx.conversation.updateMany.mockResolvedValue({ count: 1 });
+
+      await service._wake(snoozed, 'TIMER');
+
+      expect(tx.conversation.updateMany).toHaveBeenCalledWith({
+        where: { id: 'conv-1', snoozedAt },
+        data: { snoozedAt: null, snoozedUntil: null, snoozedByUserId: null },
+      });
+    });
+
+    it('should record the wake-up and announce it after commit', async () => {
+      tx.conversation.updateMany.mockResolvedValue({ count: 1 });
+
+      const result = await service._wake(snoozed, 'CUSTOMER_REPLY', { actorUserId: 'user-1' });
+
+      expect(result.snoozedAt).toBeNull();
+      expect(service.conversationEventService.recordEvent).toHaveBeenCalledWith(
+        'conv-1',
+        'ws-1',
+        'UNSNOOZED',
+        { fromValue: { until: snoozedUntil }, metadata: { reason: 'CUSTOMER_REPLY' } },
+        expect.objectContaining({ tx, actorUserId: 'user-1' })
+      );
+      expect(redis.del).toHaveBeenCalledWith('conversation:conv-1');
+    });
+
+    it('should do nothing when the snooze changed since it was read', async () => {
+      tx.conversation.updateMany.mockResolvedValue({ count: 0 });
+
+      const result = await service._wake(snoozed, 'TIMER');
+
+      expect(result).toBeNull();
+      expect(service.conversationEventService.recordEvent).not.toHaveBeenCalled();
+      expect(tx.conversation.findUnique).not.toHaveBeenCalled();
+      expect(redis.del).not.toHaveBeenCalled();
+    });
+
+    it('should wake a conversation up once when the job and a reply race', async () => {
+      tx.conversation.updateMany
+        .mockResolvedValueOnce({ count: 1 })
+        .mockResolvedValueOnce({ count: 0 });
+
+      const results = await Promise.all([
+        service._wake(snoozed, 'TIMER'),
+        service._wake(snoozed, 'CUSTOMER_REPLY'),
+      ]);
+
+      expect(results.filter(Boolean)).toHaveLength(1);
+      expect(service.conversationEventService.recordEvent).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('wakeDueConversations', () => {
+    it('should only count conversations it woke up', async () => {
+      prisma.conversation.findMany.mockResolvedValueOnce([snoozed, { ...snoozed, id: 'conv-2' }]);
+      tx.conversation.updateMany
+        .mockResolvedValueOnce({ count: 1 })
+        .mockResolvedValueOnce({ count: 0 });
+
+      await expect(service.wakeDueConversations(snoozedUntil)).resolves.toBe(1);
+    });
+  });
+
+  describe('wakeOnReply', () => {
+    it('should leave conversations that are not snoozed alone', async () => {
+      prisma.conversation.findUnique.mockResolvedValue({ ...snoozed, snoozedAt: null });
+
+      await expect(service.wakeOnReply('conv-1')).resolves.toBe(false);
+      expect(tx.conversation.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,197 @@
+jest.mock('../config/database', () => ({
+  message: { findMany: jest.fn() },
+  conversation: { findUnique: jest.fn(), findMany: jest.fn() },
+}));
+
+const prisma = require('../config/database');
+const { ThreadingService } = require('../services/threading.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('ThreadingService', () => {
+  describe('normalizeSubject', () => {
+    it('should strip stacked reply and forward prefixes', () => {
+      expect(ThreadingService.normalizeSubject('Re: Fwd: RE: Order 42')).toBe('order 42');
+      expect(ThreadingService.normalizeSubject('AW: WG: Rechnung')).toBe('rechnung');
+      expect(ThreadingService.normalizeSubject('Re[2]: Order 42')).toBe('order 42');
+    });
+
+    it('should ignore case and collapse whitespace', () => {
+      expect(ThreadingService.normalizeSubject('  re :   Order\t 42  ')).toBe('order 42');
+    });
+
+    it('should only strip prefixes at the start', () => {
+      expect(ThreadingService.normalizeSubject('Question about Re: invoices')).toBe('question about re: invoices');
+    });
+
+    it('should return an empty string for missing subjects', () => {
+      expect(ThreadingService.normalizeSubject(null)).toBe('');
+      expect(ThreadingService.normalizeSubject('Re:')).toBe('');
+    });
+  });
+
+  describe('normalizeMessageId', () => {
+    it('should remove angle brackets and surrounding whitespace', () => {
+      expect(ThreadingService.normalizeMessageId('  <abc@example.com> ')).toBe('abc@example.com');
+      expect(ThreadingService.normalizeMessageId('< abc@example.com >')).toBe('abc@example.com');
+      expect(ThreadingService.normalizeMessageId('abc@example.com')).toBe('abc@example.com');
+    });
+
+    it('should return null when empty', () => {
+      expect(ThreadingService.normalizeMessageId('')).toBeNull();
+      expect(ThreadingService.normalizeMessageId('<>')).toBeNull();
+      expect(ThreadingService.normalizeMessageId(undefined)).toBeNull();
+    });
+  });
+
+  describe('parseHeaders', () => {
+    it('should read metadata fields', () => {
+      expect(ThreadingService.parseHeaders({
+        messageId: '<c@x>',
+        inReplyTo: '<b@x>',
+        references: ['<a@x>', '<b@x>'],
+      })).toEqual({
+        messageId: 'c@x',
+        inReplyTo: 'b@x',
+        references: ['a@x', 'b@x'],
+      });
+    });
+
+    it('should read raw headers case-insensitively and keep References in order', () => {
+      expect(ThreadingService.parseHeaders({
+        headers: {
+          'Message-ID': '<c@x>',
+          'IN-REPLY-TO': '<b@x>',
+          References: '<a@x>\r\n <b@x>',
+        },
+      })).toEqual({
+        messageId: 'c@x',
+        inReplyTo: 'b@x',
+        references: ['a@x', 'b@x'],
+      });
+    });
+
+    it('should prefer metadata fields over raw headers', () => {
+      const headers = ThreadingService.parseHeaders({
+        inReplyTo: '<meta@x>',
+        headers: { 'In-Reply-To': '<raw@x>' },
+      });
+
+      expect(headers.inReplyTo).toBe('meta@x');
+    });
+
+    it('should return empty values without metadata', () => {
+      expect(ThreadingService.parseHeaders(undefined)).toEqual({
+        messageId: null,
+        inReplyTo: null,
+        references: [],
+      });
+    });
+  });
+
+  describe('_splitIds', () => {
+    it('should split bracketed ids regardless of separators', () => {
+      expect(ThreadingService._splitIds('<a@x><b@x>, <c@x>')).toEqual(['<a@x>', '<b@x>', '<c@x>']);
+    });
+
+    it('should split unbracketed ids on whitespace and commas', () => {
+      expect(ThreadingService._splitIds('a@x  b@x,c@x')).toEqual(['a@x', 'b@x', 'c@x']);
+    });
+
+    it('should return an empty list for empty values', () => {
+      expect(ThreadingService._splitIds('')).toEqual([]);
+      expect(ThreadingService._splitIds(null)).toEqual([]);
+    });
+  });
+
+  describe('findConversation', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+    let threadingService;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      threadingService = new ThreadingService();
+      prisma.conversation.findMany.mockResolvedValue([]);
+    });
+
+    const replyTo = (messageId) => ({ subject: 'Re: Order 42', metadata: { inReplyTo: `<${messageId}>` } });
+
+    it('should continue an open conversation matched by In-Reply-To', async () => {
+      const conversation = { id: 'conv-1', status: 'ASSIGNED', statusUpdatedAt: new Date(now.getTime() - 30 * DAY_MS), mergedIntoId: null };
+      prisma.message.findMany.mockResolvedValue([{ id: 'msg-1', externalMessageId: 'a@x', conversationId: 'conv-1' }]);
+      prisma.conversation.findUnique.mockResolvedValue(conversation);
+
+      const result = await threadingService.findConversation('ws-1', 'contact-1', replyTo('a@x'), now);
+
+      expect(result.conversation).toBe(conversation);
+      expect(result.decision).toMatchObject({ strategy: 'HEADERS', header: 'In-Reply-To', matchedMessageId: 'msg-1' });
+    });
+
+    it('should reopen a conversation closed inside the window', async () => {
+      const conversation = { id: 'conv-1', status: 'CLOSED', statusUpdatedAt: new Date(now.getTime() - 2 * DAY_MS), mergedIntoId: null };
+      prisma.message.findMany.mockResolvedValue([{ id: 'msg-1', externalMessageId: 'a@x', conversationId: 'conv-1' }]);
+      prisma.conversation.findUnique.mockResolvedValue(conversation);
+
+      const result = await threadingService.findConversation('ws-1', 'contact-1', replyTo('a@x'), now);
+
+      expect(result.conversation).toBe(conversation);
+      expect(result.decision.strategy).toBe('HEADERS');
+    });
+
+    it('should start a new conversation when the matched one was closed outside the window', async () => {
+      const conversation = { id: 'conv-1', status: 'CLOSED', statusUpdatedAt: new Date(now.getTime() - 8 * DAY_MS), mergedIntoId: null };
+      prisma.message.findMany.mockResolvedValue([{ id: 'msg-1', externalMessageId: 'a@x', conversationId: 'conv-1' }]);
+      prisma.conversation.findUnique.mockResolvedValue(conversation);
+
+      const result = await threadingService.findConversation('ws-1', 'contact-1', replyTo('a@x'), now);
+
+      expect(result.conversation).toBeNull();
+      expect(result.decision).toMatchObject({
+        strategy: 'NEW',
+        reason: 'HEADER_MATCH_OUTSIDE_WINDOW',
+        previousConversationId: 'conv-1',
+      });
+      // A header match outside the window never falls back to the subject
+      expect(prisma.conversation.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should try the newest References entry first', async () => {
+      const conversation = { id: 'conv-2', status: 'TODO', statusUpdatedAt: now, mergedIntoId: null };
+      prisma.message.findMany.mockResolvedValue([
+        { id: 'msg-1', externalMessageId: 'a@x', conversationId: 'conv-1' },
+        { id: 'msg-2', externalMessageId: 'b@x', conversationId: 'conv-2' },
+      ]);
+      prisma.conversation.findUnique.mockResolvedValue(conversation);
+
+      const result = await threadingService.findConversation(
+        'ws-1',
+        'contact-1',
+        { subject: 'Order 42', metadata: { references: '<a@x> <b@x>' } },
+        now
+      );
+
+      expect(prisma.conversation.findUnique).toHaveBeenCalledWith({ where: { id: 'conv-2' } });
+      expect(result.decision).toMatchObject({ strategy: 'HEADERS', header: 'References', matchedMessageId: 'msg-2' });
+    });
+
+    it('should fall back to the normalized subject', async () => {
+      const conversation = { id: 'conv-3', subject: 'ORDER 42' };
+      prisma.conversation.findMany.mockResolvedValue([{ id: 'conv-4', subject: 'Other' }, conversation]);
+
+      const result = await threadingService.findConversation('ws-1', 'contact-1', { subject: 'Fwd: Re: order 42' }, now);
+
+      expect(prisma.message.findMany).not.toHaveBeenCalled();
+      expect(result.conversation).toBe(conversation);
+      expect(result.decision).toMatchObject({ strategy: 'SUBJECT', normalizedSubject: 'order 42' });
+    });
+
+    it('should start a new conversation when nothing matches', async () => {
+      prisma.message.findMany.mockResolvedValue([]);
+
+      const result = await threadingService.findConversation('ws-1', 'contact-1', replyTo('unknown@x'), now);
+
+      expect(result.conversation).toBeNull();
+      expect(result.decision).toMatchObject({ strategy: 'NEW', reason: 'NO_HEADER_OR_SUBJECT_MATCH' });
+    });
+  });
+});
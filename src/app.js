@@ -14,6 +14,15 @@ const departmentRoutes = require('./routes/department.routes');
 const departmentUserRoutes = require('./routes/departmentUser.routes');
 const teamRoutes = require('./routes/team.routes');
 const inboxRoutes = require('./routes/inbox.routes');
+const tagRoutes = require('./routes/tag.routes');
+const slaPolicyRoutes = require('./routes/slaPolicy.routes');
+const routingRuleRoutes = require('./routes/routingRule.routes');
+const presenceRoutes = require('./routes/presence.routes');
+const contactRoutes = require('./routes/contact.routes');
+const customAttributeRoutes = require('./routes/customAttribute.routes');
+const cannedResponseRoutes = require('./routes/cannedResponse.routes');
+const macroRoutes = require('./routes/macro.routes');
+const priorityRuleRoutes = require('./routes/priorityRule.routes');
 
 const app = express();
 
@@ -67,6 +76,15 @@ app.use(`${apiPrefix}/departments`, departmentUserRoutes);
 app.use(`${apiPrefix}/departments`, departmentRoutes);
 app.use(`${apiPrefix}/teams`, teamRoutes);
 app.use(`${apiPrefix}/inbox`, inboxRoutes);
+app.use(`${apiPrefix}/tags`, tagRoutes);
+app.use(`${apiPrefix}/sla-policies`, slaPolicyRoutes);
+app.use(`${apiPrefix}/routing-rules`, routingRuleRoutes);
+app.use(`${apiPrefix}/presence`, presenceRoutes);
+app.use(`${apiPrefix}/contacts`, contactRoutes);
+app.use(`${apiPrefix}/custom-attributes`, customAttributeRoutes);
+app.use(`${apiPrefix}/canned-responses`, cannedResponseRoutes);
+app.use(`${apiPrefix}/macros`, macroRoutes);
+app.use(`${apiPrefix}/priority-rules`, priorityRuleRoutes);
 
 // Error handling middleware (must be last)
 app.use(notFoundHandler);
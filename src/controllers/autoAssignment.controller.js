@@ -0,0 +1,131 @@
+const { AutoAssignmentService } = require('../services/autoAssignment.service');
+
+const autoAssignmentService = new AutoAssignmentService();
+
+// Map service error messages to HTTP status codes
+const getErrorStatusCode = (errorMessage) => {
+  if (errorMessage.includes('not found') || errorMessage.includes('does not belong') || errorMessage.includes('not assigned to this department')) {
+    return 404;
+  }
+  return 400;
+};
+
+// Resolve the workspace from the tenant context; responds with an error and returns null if invalid
+const resolveWorkspaceId = (req, res) => {
+  // Prioritize tenant context (verified) over query (untrusted)
+  const workspaceId = req.tenant?.workspaceId || req.query.workspaceId;
+
+  if (!workspaceId) {
+    res.status(400).json({
+      success: false,
+      error: 'Workspace ID is required. Provide it in query parameter or header (x-workspace-id)',
+    });
+    return null;
+  }
+
+  // If workspaceId from query doesn't match tenant context, reject
+  if (req.tenant?.workspaceId && workspaceId !== req.tenant.workspaceId) {
+    res.status(403).json({
+      success: false,
+      error: 'Workspace ID mismatch. Use the workspace from your tenant context',
+    });
+    return null;
+  }
+
+  return workspaceId;
+};
+
+class AutoAssignmentController {
+  /**
+   * Get auto-assignment settings and agent load of a department
+   * GET /api/v1/departments/:id/auto-assignment
+   */
+  async getSettings(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const settings = await autoAssignmentService.getSettings(req.params.id, workspaceId);
+
+      const response = {
+        success: true,
+        data: settings,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get auto-assignment settings';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Update auto-assignment settings of a department
+   * PUT /api/v1/departments/:id/auto-assignment
+   */
+  async updateSettings(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const settings = await autoAssignmentService.updateSettings(req.params.id, workspaceId, req.body);
+
+      const response = {
+        success: true,
+        data: settings,
+        message: 'Auto-assignment settings updated successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to update auto-assignment settings';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Set an agent's cap of open conversations
+   * PUT /api/v1/departments/:id/auto-assignment/agents/:userId
+   */
+  async setAgentCapacity(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const settings = await autoAssignmentService.setAgentCapacity(
+        req.params.id,
+        req.params.userId,
+        workspaceId,
+        req.body.maxOpenConversations
+      );
+
+      const response = {
+        success: true,
+        data: settings,
+        message: 'Agent capacity updated successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to update agent capacity';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+}
+
+module.exports = { AutoAssignmentController };
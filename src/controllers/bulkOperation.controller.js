@@ -0,0 +1,130 @@
+const { BulkOperationService } = require('../services/bulkOperation.service');
+
+const bulkOperationService = new BulkOperationService();
+
+// Map service error messages to HTTP status codes
+const getErrorStatusCode = (errorMessage) => {
+  if (errorMessage.includes('not found') || errorMessage.includes('does not belong')) {
+    return 404;
+  }
+  return 400;
+};
+
+// Caller info for role verification in the service layer
+const getCallerInfo = (req) => ({
+  userId: req.user.id,
+  isAppOwner: !!req.user.isAppOwner,
+  workspaceRole: req.tenant?.workspaceRole,
+});
+
+class BulkOperationController {
+  /**
+   * Apply one change to many conversations (conversationIds or filter)
+   * POST /api/v1/inbox/bulk-operations
+   * Responds 200 with per-conversation results when processed right away, 202 when queued.
+   */
+  async createOperation(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      const operation = await bulkOperationService.createOperation(
+        workspaceId,
+        req.tenant?.accountId,
+        req.body,
+        getCallerInfo(req)
+      );
+
+      const isCompleted = operation.status === 'COMPLETED';
+
+      const response = {
+        success: true,
+        data: operation,
+        message: isCompleted ? 'Bulk operation completed' : 'Bulk operation queued',
+      };
+
+      res.status(isCompleted ? 200 : 202).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to create bulk operation';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * List bulk operations (your own; admins see all)
+   * GET /api/v1/inbox/bulk-operations
+   */
+  async getOperations(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      const result = await bulkOperationService.getOperations(workspaceId, req.query, getCallerInfo(req));
+
+      const response = {
+        success: true,
+        data: result,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get bulk operations';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Get a bulk operation with its per-conversation results (filter items by status)
+   * GET /api/v1/inbox/bulk-operations/:id
+   */
+  async getOperationById(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      const operation = await bulkOperationService.getOperationById(req.params.id, workspaceId, req.query, getCallerInfo(req));
+
+      const response = {
+        success: true,
+        data: operation,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Bulk operation not found';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+}
+
+module.exports = { BulkOperationController };
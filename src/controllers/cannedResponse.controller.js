@@ -0,0 +1,254 @@
+const { CannedResponseService } = require('../services/cannedResponse.service');
+
+const cannedResponseService = new CannedResponseService();
+
+// Map service error messages to HTTP status codes
+const getErrorStatusCode = (errorMessage) => {
+  if (errorMessage.includes('not found') || errorMessage.includes('does not belong')) {
+    return 404;
+  }
+  if (errorMessage.includes('Insufficient permissions')) {
+    return 403;
+  }
+  return 400;
+};
+
+// Caller info for role verification in the service layer
+const getCallerInfo = (req) => ({
+  userId: req.user.id,
+  isAppOwner: !!req.user.isAppOwner,
+  workspaceRole: req.tenant?.workspaceRole,
+});
+
+// Resolve the workspace from the tenant context; responds with an error and returns null if invalid
+const resolveWorkspaceId = (req, res) => {
+  // Prioritize tenant context (verified) over query (untrusted)
+  const workspaceId = req.tenant?.workspaceId || req.query.workspaceId;
+
+  if (!workspaceId) {
+    res.status(400).json({
+      success: false,
+      error: 'Workspace ID is required. Provide it in query parameter or header (x-workspace-id)',
+    });
+    return null;
+  }
+
+  // If workspaceId from query doesn't match tenant context, reject
+  if (req.tenant?.workspaceId && workspaceId !== req.tenant.workspaceId) {
+    res.status(403).json({
+      success: false,
+      error: 'Workspace ID mismatch. Use the workspace from your tenant context',
+    });
+    return null;
+  }
+
+  return workspaceId;
+};
+
+class CannedResponseController {
+  /**
+   * Create a canned response (scope WORKSPACE, DEPARTMENT or USER)
+   * POST /api/v1/canned-responses
+   */
+  async createResponse(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const cannedResponse = await cannedResponseService.createResponse(workspaceId, req.tenant?.accountId, req.body, getCallerInfo(req));
+
+      const response = {
+        success: true,
+        data: cannedResponse,
+        message: 'Canned response created successfully',
+      };
+
+      res.status(201).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to create canned response';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * List or search the canned responses visible to the caller
+   * GET /api/v1/canned-responses?q=refund&folder=Billing
+   */
+  async getResponses(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const result = await cannedResponseService.getResponses(workspaceId, req.query, getCallerInfo(req));
+
+      const response = {
+        success: true,
+        data: result,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get canned responses';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * List canned response folders with their response counts
+   * GET /api/v1/canned-responses/folders
+   */
+  async getFolders(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const folders = await cannedResponseService.getFolders(workspaceId, getCallerInfo(req));
+
+      const response = {
+        success: true,
+        data: folders,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get canned response folders';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Get a canned response
+   * GET /api/v1/canned-responses/:id
+   */
+  async getResponseById(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const cannedResponse = await cannedResponseService.getResponseById(req.params.id, workspaceId, getCallerInfo(req));
+
+      const response = {
+        success: true,
+        data: cannedResponse,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Canned response not found';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Update a canned response
+   * PUT /api/v1/canned-responses/:id
+   */
+  async updateResponse(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const cannedResponse = await cannedResponseService.updateResponse(req.params.id, workspaceId, req.tenant?.accountId, req.body, getCallerInfo(req));
+
+      const response = {
+        success: true,
+        data: cannedResponse,
+        message: 'Canned response updated successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to update canned response';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Delete a canned response
+   * DELETE /api/v1/canned-responses/:id
+   */
+  async deleteResponse(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      await cannedResponseService.deleteResponse(req.params.id, workspaceId, req.tenant?.accountId, getCallerInfo(req));
+
+      const response = {
+        success: true,
+        message: 'Canned response deleted successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to delete canned response';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Render a canned response against a conversation
+   * POST /api/v1/canned-responses/:id/render { conversationId }
+   */
+  async renderResponse(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const rendered = await cannedResponseService.renderResponse(
+        req.params.id,
+        workspaceId,
+        req.tenant?.accountId,
+        req.body.conversationId,
+        getCallerInfo(req)
+      );
+
+      const response = {
+        success: true,
+        data: rendered,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to render canned response';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+}
+
+module.exports = { CannedResponseController };
@@ -0,0 +1,312 @@
+const { ContactService } = require('../services/contact.service');
+const { ContactIdentityService } = require('../services/contactIdentity.service');
+
+const contactService = new ContactService();
+const contactIdentityService = new ContactIdentityService();
+
+// Map service error messages to HTTP status codes
+const getErrorStatusCode = (errorMessage) => {
+  if (errorMessage.includes('not found') || errorMessage.includes('does not belong')) {
+    return 404;
+  }
+  if (errorMessage.includes('already') || errorMessage.includes('cannot be deleted')) {
+    return 409;
+  }
+  return 400;
+};
+
+// Caller info for visibility filtering in the service layer
+const getCallerInfo = (req) => ({
+  userId: req.user.id,
+  isAppOwner: !!req.user.isAppOwner,
+  workspaceRole: req.tenant?.workspaceRole,
+});
+
+// Resolve the workspace from the tenant context; responds with an error and returns null if invalid
+const resolveWorkspaceId = (req, res) => {
+  // Prioritize tenant context (verified) over query (untrusted)
+  const workspaceId = req.tenant?.workspaceId || req.query.workspaceId;
+
+  if (!workspaceId) {
+    res.status(400).json({
+      success: false,
+      error: 'Workspace ID is required. Provide it in query parameter or header (x-workspace-id)',
+    });
+    return null;
+  }
+
+  // If workspaceId from query doesn't match tenant context, reject
+  if (req.tenant?.workspaceId && workspaceId !== req.tenant.workspaceId) {
+    res.status(403).json({
+      success: false,
+      error: 'Workspace ID mismatch. Use the workspace from your tenant context',
+    });
+    return null;
+  }
+
+  return workspaceId;
+};
+
+class ContactController {
+  /**
+   * Create a contact
+   * POST /api/v1/contacts
+   */
+  async createContact(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const contact = await contactService.createContact(workspaceId, req.tenant?.accountId, req.body);
+
+      const response = {
+        success: true,
+        data: contact,
+        message: 'Contact created successfully',
+      };
+
+      res.status(201).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to create contact';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * List or search workspace contacts
+   * GET /api/v1/contacts?q=alice
+   */
+  async getContacts(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const result = await contactService.getContacts(workspaceId, req.query);
+
+      const response = {
+        success: true,
+        data: result,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get contacts';
+      res.status(errorMessage.includes('cursor') ? 400 : 500).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Get a contact
+   * GET /api/v1/contacts/:id
+   */
+  async getContactById(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const contact = await contactService.getContactById(req.params.id, workspaceId);
+
+      const response = {
+        success: true,
+        data: contact,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Contact not found';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Update a contact
+   * PUT /api/v1/contacts/:id
+   */
+  async updateContact(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const contact = await contactService.updateContact(req.params.id, workspaceId, req.body);
+
+      const response = {
+        success: true,
+        data: contact,
+        message: 'Contact updated successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to update contact';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Delete a contact without conversations
+   * DELETE /api/v1/contacts/:id
+   */
+  async deleteContact(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      await contactService.deleteContact(req.params.id, workspaceId);
+
+      const response = {
+        success: true,
+        message: 'Contact deleted successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to delete contact';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * List a contact's conversations visible to the caller
+   * GET /api/v1/contacts/:id/conversations
+   */
+  async getContactConversations(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const result = await contactService.getContactConversations(
+        req.params.id,
+        workspaceId,
+        req.query,
+        getCallerInfo(req)
+      );
+
+      const response = {
+        success: true,
+        data: result,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get contact conversations';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * List a contact's identities
+   * GET /api/v1/contacts/:id/identities
+   */
+  async getIdentities(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const identities = await contactIdentityService.getIdentities(req.params.id, workspaceId);
+
+      const response = {
+        success: true,
+        data: identities,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get contact identities';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Add an email, phone or external ID to a contact
+   * POST /api/v1/contacts/:id/identities
+   */
+  async addIdentity(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const identity = await contactIdentityService.addIdentity(req.params.id, workspaceId, req.body);
+
+      const response = {
+        success: true,
+        data: identity,
+        message: 'Identity added successfully',
+      };
+
+      res.status(201).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to add contact identity';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Remove an identity from a contact
+   * DELETE /api/v1/contacts/:id/identities/:identityId
+   */
+  async removeIdentity(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      await contactIdentityService.removeIdentity(req.params.id, req.params.identityId, workspaceId);
+
+      const response = {
+        success: true,
+        message: 'Identity removed successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to remove contact identity';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+}
+
+module.exports = { ContactController };
@@ -0,0 +1,137 @@
+const { ContactMergeService } = require('../services/contactMerge.service');
+
+const contactMergeService = new ContactMergeService();
+
+// Map service error messages to HTTP status codes
+const getErrorStatusCode = (errorMessage) => {
+  if (errorMessage.includes('not found') || errorMessage.includes('does not belong')) {
+    return 404;
+  }
+  return 400;
+};
+
+// Caller info for recording who merged
+const getCallerInfo = (req) => ({
+  userId: req.user.id,
+  isAppOwner: !!req.user.isAppOwner,
+  workspaceRole: req.tenant?.workspaceRole,
+});
+
+// Resolve the workspace from the tenant context; responds with an error and returns null if invalid
+const resolveWorkspaceId = (req, res) => {
+  // Prioritize tenant context (verified) over query (untrusted)
+  const workspaceId = req.tenant?.workspaceId || req.query.workspaceId;
+
+  if (!workspaceId) {
+    res.status(400).json({
+      success: false,
+      error: 'Workspace ID is required. Provide it in query parameter or header (x-workspace-id)',
+    });
+    return null;
+  }
+
+  // If workspaceId from query doesn't match tenant context, reject
+  if (req.tenant?.workspaceId && workspaceId !== req.tenant.workspaceId) {
+    res.status(403).json({
+      success: false,
+      error: 'Workspace ID mismatch. Use the workspace from your tenant context',
+    });
+    return null;
+  }
+
+  return workspaceId;
+};
+
+class ContactMergeController {
+  /**
+   * Suggest likely duplicates of a contact
+   * GET /api/v1/contacts/:id/duplicates
+   */
+  async getDuplicates(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const suggestions = await contactMergeService.findDuplicates(req.params.id, workspaceId, req.query);
+
+      const response = {
+        success: true,
+        data: suggestions,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get duplicate contacts';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Merge a contact into another
+   * POST /api/v1/contacts/:id/merge { targetContactId }
+   */
+  async mergeContact(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const contact = await contactMergeService.mergeContacts(
+        req.params.id,
+        req.body.targetContactId,
+        workspaceId,
+        getCallerInfo(req)
+      );
+
+      const response = {
+        success: true,
+        data: contact,
+        message: 'Contacts merged successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to merge contacts';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * List the contacts merged into a contact
+   * GET /api/v1/contacts/:id/merges
+   */
+  async getMergeHistory(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const merges = await contactMergeService.getMergeHistory(req.params.id, workspaceId);
+
+      const response = {
+        success: true,
+        data: merges,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get contact merges';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+}
+
+module.exports = { ContactMergeController };
@@ -0,0 +1,215 @@
+const { ConversationAssignmentService } = require('../services/conversationAssignment.service');
+const { ConversationAccessService } = require('../services/conversationAccess.service');
+
+const conversationAssignmentService = new ConversationAssignmentService();
+const conversationAccessService = new ConversationAccessService();
+
+// Map service error messages to HTTP status codes
+const getErrorStatusCode = (errorMessage) => {
+  if (errorMessage.includes('not found') || errorMessage.includes('does not belong')) {
+    return 404;
+  }
+  if (errorMessage.includes('Insufficient permissions')) {
+    return 403;
+  }
+  if (errorMessage.includes('Invalid state transition')) {
+    return 409;
+  }
+  return 400;
+};
+
+class ConversationAssignmentController {
+  /**
+   * Get assignment details of a conversation
+   * GET /api/v1/inbox/conversations/:id/assignment
+   */
+  async getAssignment(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      const conversationId = req.params.id;
+      const accountId = req.tenant?.accountId;
+
+      // Pass caller info for visibility verification
+      const callerInfo = {
+        userId: req.user.id,
+        isAppOwner: !!req.user.isAppOwner,
+        workspaceRole: req.tenant?.workspaceRole,
+      };
+
+      const canView = await conversationAccessService.canCallerViewConversation(
+        callerInfo,
+        conversationId,
+        workspaceId,
+        accountId
+      );
+
+      if (!canView) {
+        throw new Error('Insufficient permissions. You cannot view this conversation');
+      }
+
+      const assignment = await conversationAssignmentService.getAssignmentDetails(
+        conversationId,
+        workspaceId,
+        accountId
+      );
+
+      const response = {
+        success: true,
+        data: assignment,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get assignment';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Assign a conversation (claim it when no userId is given)
+   * POST /api/v1/inbox/conversations/:id/assignment
+   */
+  async assignConversation(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      const conversationId = req.params.id;
+      const accountId = req.tenant?.accountId;
+      const assigneeUserId = req.body.userId || req.user.id;
+
+      // Pass caller info for role verification
+      const callerInfo = {
+        userId: req.user.id,
+        isAppOwner: !!req.user.isAppOwner,
+        workspaceRole: req.tenant?.workspaceRole,
+      };
+
+      const canAssign = await conversationAccessService.canUserAssignConversation(
+        callerInfo,
+        conversationId,
+        assigneeUserId,
+        workspaceId,
+        accountId
+      );
+
+      if (!canAssign) {
+        throw new Error('Insufficient permissions. Only DEPARTMENT_MANAGER can assign conversations to others; HUMAN_SUPPORT can only claim conversations for themselves');
+      }
+
+      const isEligible = await conversationAccessService.canUserBeAssignedConversation(
+        assigneeUserId,
+        conversationId,
+        workspaceId,
+        accountId
+      );
+
+      if (!isEligible) {
+        throw new Error('Assignee must be a DEPARTMENT_MANAGER or HUMAN_SUPPORT user of the conversation department');
+      }
+
+      const conversation = await conversationAssignmentService.assignConversationToUser(
+        conversationId,
+        assigneeUserId,
+        workspaceId,
+        accountId,
+        { actorUserId: callerInfo.isAppOwner ? null : callerInfo.userId }
+      );
+
+      const response = {
+        success: true,
+        data: conversation,
+        message: 'Conversation assigned successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to assign conversation';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Unassign a conversation
+   * DELETE /api/v1/inbox/conversations/:id/assignment
+   */
+  async unassignConversation(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      const conversationId = req.params.id;
+      const accountId = req.tenant?.accountId;
+
+      // Pass caller info for role verification
+      const callerInfo = {
+        userId: req.user.id,
+        isAppOwner: !!req.user.isAppOwner,
+        workspaceRole: req.tenant?.workspaceRole,
+      };
+
+      const canUnassign = await conversationAccessService.canUserUnassignConversation(
+        callerInfo,
+        conversationId,
+        workspaceId,
+        accountId
+      );
+
+      if (!canUnassign) {
+        throw new Error('Insufficient permissions. Only the assignee, DEPARTMENT_MANAGER or WORKSPACE_ADMIN can unassign this conversation');
+      }
+
+      const conversation = await conversationAssignmentService.unassignConversation(
+        conversationId,
+        workspaceId,
+        accountId,
+        { actorUserId: callerInfo.isAppOwner ? null : callerInfo.userId }
+      );
+
+      const response = {
+        success: true,
+        data: conversation,
+        message: 'Conversation unassigned successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to unassign conversation';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+}
+
+module.exports = { ConversationAssignmentController };
@@ -0,0 +1,103 @@
+const { ConversationAttributeService } = require('../services/conversationAttribute.service');
+
+const conversationAttributeService = new ConversationAttributeService();
+
+// Map service error messages to HTTP status codes
+const getErrorStatusCode = (errorMessage) => {
+  if (errorMessage.includes('not found') || errorMessage.includes('does not belong')) {
+    return 404;
+  }
+  if (errorMessage.includes('Insufficient permissions')) {
+    return 403;
+  }
+  return 400;
+};
+
+// Caller info for role verification in the service layer
+const getCallerInfo = (req) => ({
+  userId: req.user.id,
+  isAppOwner: !!req.user.isAppOwner,
+  workspaceRole: req.tenant?.workspaceRole,
+});
+
+class ConversationAttributeController {
+  /**
+   * Get custom attributes of a conversation with their definitions
+   * GET /api/v1/inbox/conversations/:id/attributes
+   */
+  async getAttributes(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      const attributes = await conversationAttributeService.getAttributes(
+        req.params.id,
+        workspaceId,
+        req.tenant?.accountId,
+        getCallerInfo(req)
+      );
+
+      const response = {
+        success: true,
+        data: attributes,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get conversation attributes';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Set custom attributes of a conversation (null removes one)
+   * PUT /api/v1/inbox/conversations/:id/attributes { attributes }
+   */
+  async setAttributes(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      const attributes = await conversationAttributeService.setAttributes(
+        req.params.id,
+        workspaceId,
+        req.tenant?.accountId,
+        req.body.attributes,
+        getCallerInfo(req)
+      );
+
+      const response = {
+        success: true,
+        data: attributes,
+        message: 'Attributes updated successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to update conversation attributes';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+}
+
+module.exports = { ConversationAttributeController };
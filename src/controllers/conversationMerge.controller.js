@@ -0,0 +1,108 @@
+const { ConversationMergeService } = require('../services/conversationMerge.service');
+
+const conversationMergeService = new ConversationMergeService();
+
+// Map service error messages to HTTP status codes
+const getErrorStatusCode = (errorMessage) => {
+  if (errorMessage.includes('not found') || errorMessage.includes('does not belong')) {
+    return 404;
+  }
+  if (errorMessage.includes('Insufficient permissions')) {
+    return 403;
+  }
+  if (errorMessage.includes('already')) {
+    return 409;
+  }
+  return 400;
+};
+
+// Caller info for role verification in the service layer
+const getCallerInfo = (req) => ({
+  userId: req.user.id,
+  isAppOwner: !!req.user.isAppOwner,
+  workspaceRole: req.tenant?.workspaceRole,
+});
+
+class ConversationMergeController {
+  /**
+   * Merge a conversation into another
+   * POST /api/v1/inbox/conversations/:id/merge { targetConversationId }
+   */
+  async mergeConversation(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      const conversation = await conversationMergeService.mergeConversations(
+        req.params.id,
+        req.body.targetConversationId,
+        workspaceId,
+        req.tenant?.accountId,
+        getCallerInfo(req)
+      );
+
+      const response = {
+        success: true,
+        data: conversation,
+        message: 'Conversations merged successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to merge conversations';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Move messages of a conversation into a new conversation
+   * POST /api/v1/inbox/conversations/:id/split { messageIds, subject }
+   */
+  async splitConversation(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      const result = await conversationMergeService.splitConversation(
+        req.params.id,
+        workspaceId,
+        req.tenant?.accountId,
+        req.body,
+        getCallerInfo(req)
+      );
+
+      const response = {
+        success: true,
+        data: result,
+        message: 'Conversation split successfully',
+      };
+
+      res.status(201).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to split conversation';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+}
+
+module.exports = { ConversationMergeController };
@@ -0,0 +1,65 @@
+const { ConversationPriorityService } = require('../services/conversationPriority.service');
+
+const conversationPriorityService = new ConversationPriorityService();
+
+// Map service error messages to HTTP status codes
+const getErrorStatusCode = (errorMessage) => {
+  if (errorMessage.includes('not found') || errorMessage.includes('does not belong')) {
+    return 404;
+  }
+  if (errorMessage.includes('Insufficient permissions')) {
+    return 403;
+  }
+  return 400;
+};
+
+// Caller info for role verification in the service layer
+const getCallerInfo = (req) => ({
+  userId: req.user.id,
+  isAppOwner: !!req.user.isAppOwner,
+  workspaceRole: req.tenant?.workspaceRole,
+});
+
+class ConversationPriorityController {
+  /**
+   * Change the priority of a conversation
+   * PUT /api/v1/inbox/conversations/:id/priority { priority, reason }
+   */
+  async changePriority(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      const conversation = await conversationPriorityService.changePriority(
+        req.params.id,
+        workspaceId,
+        req.tenant?.accountId,
+        req.body,
+        getCallerInfo(req)
+      );
+
+      const response = {
+        success: true,
+        data: conversation,
+        message: 'Priority updated successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to update priority';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+}
+
+module.exports = { ConversationPriorityController };
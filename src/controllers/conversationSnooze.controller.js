@@ -0,0 +1,104 @@
+const { ConversationSnoozeService } = require('../services/conversationSnooze.service');
+
+const conversationSnoozeService = new ConversationSnoozeService();
+
+// Map service error messages to HTTP status codes
+const getErrorStatusCode = (errorMessage) => {
+  if (errorMessage.includes('not found') || errorMessage.includes('does not belong')) {
+    return 404;
+  }
+  if (errorMessage.includes('Insufficient permissions')) {
+    return 403;
+  }
+  return 400;
+};
+
+// Caller info for role verification in the service layer
+const getCallerInfo = (req) => ({
+  userId: req.user.id,
+  isAppOwner: !!req.user.isAppOwner,
+  workspaceRole: req.tenant?.workspaceRole,
+});
+
+class ConversationSnoozeController {
+  /**
+   * Snooze a conversation until a time, or until the contact replies when `until` is omitted
+   * POST /api/v1/inbox/conversations/:id/snooze
+   */
+  async snooze(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      const conversation = await conversationSnoozeService.snooze(
+        req.params.id,
+        workspaceId,
+        req.tenant?.accountId,
+        req.body || {},
+        getCallerInfo(req)
+      );
+
+      const response = {
+        success: true,
+        data: conversation,
+        message: 'Conversation snoozed successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to snooze conversation';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Wake a snoozed conversation up
+   * DELETE /api/v1/inbox/conversations/:id/snooze
+   */
+  async unsnooze(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      const conversation = await conversationSnoozeService.unsnooze(
+        req.params.id,
+        workspaceId,
+        req.tenant?.accountId,
+        getCallerInfo(req)
+      );
+
+      const response = {
+        success: true,
+        data: conversation,
+        message: 'Conversation unsnoozed successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to unsnooze conversation';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+}
+
+module.exports = { ConversationSnoozeController };
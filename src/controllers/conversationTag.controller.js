@@ -0,0 +1,143 @@
+const { ConversationTagService } = require('../services/conversationTag.service');
+
+const conversationTagService = new ConversationTagService();
+
+// Map service error messages to HTTP status codes
+const getErrorStatusCode = (errorMessage) => {
+  if (errorMessage.includes('not found') || errorMessage.includes('does not belong')) {
+    return 404;
+  }
+  if (errorMessage.includes('Insufficient permissions')) {
+    return 403;
+  }
+  return 400;
+};
+
+// Caller info for role verification in the service layer
+const getCallerInfo = (req) => ({
+  userId: req.user.id,
+  isAppOwner: !!req.user.isAppOwner,
+  workspaceRole: req.tenant?.workspaceRole,
+});
+
+class ConversationTagController {
+  /**
+   * Get tags of a conversation
+   * GET /api/v1/inbox/conversations/:id/tags
+   */
+  async getConversationTags(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      const tags = await conversationTagService.getConversationTags(
+        req.params.id,
+        workspaceId,
+        req.tenant?.accountId,
+        getCallerInfo(req)
+      );
+
+      const response = {
+        success: true,
+        data: tags,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get conversation tags';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Add tags to a conversation
+   * POST /api/v1/inbox/conversations/:id/tags
+   */
+  async addTags(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      const tags = await conversationTagService.addTags(
+        req.params.id,
+        workspaceId,
+        req.tenant?.accountId,
+        req.body.tagIds,
+        getCallerInfo(req)
+      );
+
+      const response = {
+        success: true,
+        data: tags,
+        message: 'Tags added successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to add tags';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Remove a tag from a conversation
+   * DELETE /api/v1/inbox/conversations/:id/tags/:tagId
+   */
+  async removeTag(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      const tags = await conversationTagService.removeTag(
+        req.params.id,
+        req.params.tagId,
+        workspaceId,
+        req.tenant?.accountId,
+        getCallerInfo(req)
+      );
+
+      const response = {
+        success: true,
+        data: tags,
+        message: 'Tag removed successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to remove tag';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+}
+
+module.exports = { ConversationTagController };
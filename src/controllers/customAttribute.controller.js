@@ -0,0 +1,185 @@
+const { CustomAttributeService } = require('../services/customAttribute.service');
+
+const customAttributeService = new CustomAttributeService();
+
+// Map service error messages to HTTP status codes
+const getErrorStatusCode = (errorMessage) => {
+  if (errorMessage.includes('not found') || errorMessage.includes('does not belong')) {
+    return 404;
+  }
+  if (errorMessage.includes('already exists')) {
+    return 409;
+  }
+  return 400;
+};
+
+// Resolve the workspace from the tenant context; responds with an error and returns null if invalid
+const resolveWorkspaceId = (req, res) => {
+  // Prioritize tenant context (verified) over query (untrusted)
+  const workspaceId = req.tenant?.workspaceId || req.query.workspaceId;
+
+  if (!workspaceId) {
+    res.status(400).json({
+      success: false,
+      error: 'Workspace ID is required. Provide it in query parameter or header (x-workspace-id)',
+    });
+    return null;
+  }
+
+  // If workspaceId from query doesn't match tenant context, reject
+  if (req.tenant?.workspaceId && workspaceId !== req.tenant.workspaceId) {
+    res.status(403).json({
+      success: false,
+      error: 'Workspace ID mismatch. Use the workspace from your tenant context',
+    });
+    return null;
+  }
+
+  return workspaceId;
+};
+
+class CustomAttributeController {
+  /**
+   * Create a custom attribute definition
+   * POST /api/v1/custom-attributes
+   */
+  async createDefinition(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const definition = await customAttributeService.createDefinition(workspaceId, req.tenant?.accountId, req.body);
+
+      const response = {
+        success: true,
+        data: definition,
+        message: 'Custom attribute created successfully',
+      };
+
+      res.status(201).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to create custom attribute';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * List custom attribute definitions (filter entityType: CONTACT or CONVERSATION)
+   * GET /api/v1/custom-attributes
+   */
+  async getDefinitions(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const definitions = await customAttributeService.getDefinitions(workspaceId, req.query.entityType);
+
+      const response = {
+        success: true,
+        data: definitions,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get custom attributes';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Get a custom attribute definition
+   * GET /api/v1/custom-attributes/:id
+   */
+  async getDefinitionById(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const definition = await customAttributeService.getDefinitionById(req.params.id, workspaceId);
+
+      const response = {
+        success: true,
+        data: definition,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Custom attribute not found';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Update a custom attribute definition
+   * PUT /api/v1/custom-attributes/:id
+   */
+  async updateDefinition(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const definition = await customAttributeService.updateDefinition(req.params.id, workspaceId, req.body);
+
+      const response = {
+        success: true,
+        data: definition,
+        message: 'Custom attribute updated successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to update custom attribute';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Delete a custom attribute definition (removes its values)
+   * DELETE /api/v1/custom-attributes/:id
+   */
+  async deleteDefinition(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      await customAttributeService.deleteDefinition(req.params.id, workspaceId);
+
+      const response = {
+        success: true,
+        message: 'Custom attribute deleted successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to delete custom attribute';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+}
+
+module.exports = { CustomAttributeController };
@@ -0,0 +1,186 @@
+const { EscalationService } = require('../services/escalation.service');
+
+const escalationService = new EscalationService();
+
+// Map service error messages to HTTP status codes
+const getErrorStatusCode = (errorMessage) => {
+  if (errorMessage.includes('not found') || errorMessage.includes('does not belong')) {
+    return 404;
+  }
+  if (errorMessage.includes('Insufficient permissions')) {
+    return 403;
+  }
+  if (errorMessage.includes('Invalid state transition') || errorMessage.includes('already')) {
+    return 409;
+  }
+  return 400;
+};
+
+// Caller info for role verification in the service layer
+const getCallerInfo = (req) => ({
+  userId: req.user.id,
+  isAppOwner: !!req.user.isAppOwner,
+  workspaceRole: req.tenant?.workspaceRole,
+});
+
+class EscalationController {
+  /**
+   * Escalate a conversation
+   * POST /api/v1/inbox/conversations/:id/escalations
+   */
+  async escalateConversation(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      const escalation = await escalationService.escalateConversation(
+        req.params.id,
+        workspaceId,
+        req.tenant?.accountId,
+        req.body,
+        getCallerInfo(req)
+      );
+
+      const response = {
+        success: true,
+        data: escalation,
+        message: 'Conversation escalated successfully',
+      };
+
+      res.status(201).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to escalate conversation';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Get escalation history of a conversation
+   * GET /api/v1/inbox/conversations/:id/escalations
+   */
+  async getConversationEscalations(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      const escalations = await escalationService.getConversationEscalations(
+        req.params.id,
+        workspaceId,
+        req.tenant?.accountId,
+        getCallerInfo(req)
+      );
+
+      const response = {
+        success: true,
+        data: escalations,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get escalations';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Acknowledge an escalation
+   * POST /api/v1/inbox/escalations/:escalationId/acknowledge
+   */
+  async acknowledgeEscalation(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      const escalation = await escalationService.acknowledgeEscalation(
+        req.params.escalationId,
+        workspaceId,
+        req.tenant?.accountId,
+        req.body,
+        getCallerInfo(req)
+      );
+
+      const response = {
+        success: true,
+        data: escalation,
+        message: 'Escalation acknowledged successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to acknowledge escalation';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Reject an escalation
+   * POST /api/v1/inbox/escalations/:escalationId/reject
+   */
+  async rejectEscalation(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      const escalation = await escalationService.rejectEscalation(
+        req.params.escalationId,
+        workspaceId,
+        req.tenant?.accountId,
+        req.body,
+        getCallerInfo(req)
+      );
+
+      const response = {
+        success: true,
+        data: escalation,
+        message: 'Escalation rejected successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to reject escalation';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+}
+
+module.exports = { EscalationController };
@@ -1,6 +1,14 @@
 const { InboxService } = require('../services/inbox.service');
+const { InboxQueryService } = require('../services/inboxQuery.service');
+const { ConversationNoteService } = require('../services/conversationNote.service');
+const { ConversationSearchService } = require('../services/conversationSearch.service');
+const { ConversationReadStateService } = require('../services/conversationReadState.service');
 
 const inboxService = new InboxService();
+const inboxQueryService = new InboxQueryService();
+const conversationNoteService = new ConversationNoteService();
+const conversationSearchService = new ConversationSearchService();
+const conversationReadStateService = new ConversationReadStateService();
 
 class InboxController {
   async getConversations(req, res) {
@@ -15,7 +23,14 @@ class InboxController {
         return;
       }
 
-      const result = await inboxService.getConversations(workspaceId, req.query);
+      // Pass caller info for visibility filtering
+      const callerInfo = {
+        userId: req.user.id,
+        isAppOwner: !!req.user.isAppOwner,
+        workspaceRole: req.tenant?.workspaceRole,
+      };
+
+      const result = await inboxService.getConversations(workspaceId, req.query, callerInfo);
 
       const response = {
         success: true,
@@ -25,7 +40,57 @@ class InboxController {
       res.status(200).json(response);
     } catch (error) {
       const errorMessage = error instanceof Error ? error.message : 'Failed to get conversations';
-      res.status(500).json({
+      const statusCode = errorMessage.includes('cursor')
+        || errorMessage.startsWith('Invalid slaStatus')
+        || errorMessage.startsWith('Invalid attribute filter') ? 400 : 500;
+      res.status(statusCode).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Full-text search over conversations visible to the caller
+   * GET /api/v1/inbox/search?q=refund from:alice status:todo
+   */
+  async searchConversations(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      // Pass caller info for visibility filtering
+      const callerInfo = {
+        userId: req.user.id,
+        isAppOwner: !!req.user.isAppOwner,
+        workspaceRole: req.tenant?.workspaceRole,
+      };
+
+      const result = await conversationSearchService.searchConversations(workspaceId, req.query, callerInfo);
+
+      const response = {
+        success: true,
+        data: result,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to search conversations';
+
+      // Query syntax errors are the caller's; anything else is a server error
+      let statusCode = 500;
+      if (errorMessage.toLowerCase().includes('search query')) {
+        statusCode = 400;
+      }
+
+      res.status(statusCode).json({
         success: false,
         error: errorMessage,
       });
@@ -44,7 +109,14 @@ class InboxController {
         return;
       }
 
-      const conversation = await inboxService.getConversationById(req.params.id, workspaceId);
+      // Pass caller info for visibility filtering
+      const callerInfo = {
+        userId: req.user.id,
+        isAppOwner: !!req.user.isAppOwner,
+        workspaceRole: req.tenant?.workspaceRole,
+      };
+
+      const conversation = await inboxService.getConversationById(req.params.id, workspaceId, callerInfo);
 
       const response = {
         success: true,
@@ -73,7 +145,14 @@ class InboxController {
         return;
       }
 
-      const result = await inboxService.getMessages(req.params.conversationId, workspaceId, req.query);
+      // Pass caller info for visibility filtering
+      const callerInfo = {
+        userId: req.user.id,
+        isAppOwner: !!req.user.isAppOwner,
+        workspaceRole: req.tenant?.workspaceRole,
+      };
+
+      const result = await inboxService.getMessages(req.params.conversationId, workspaceId, req.query, callerInfo);
 
       const response = {
         success: true,
@@ -83,7 +162,388 @@ class InboxController {
       res.status(200).json(response);
     } catch (error) {
       const errorMessage = error instanceof Error ? error.message : 'Failed to get messages';
-      res.status(500).json({
+      let statusCode = 500;
+      if (errorMessage.includes('not found')) {
+        statusCode = 404;
+      } else if (errorMessage.includes('cursor')) {
+        statusCode = 400;
+      }
+      res.status(statusCode).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Get the conversation timeline (events and messages, oldest first)
+   * GET /api/v1/inbox/conversations/:id/timeline
+   */
+  async getTimeline(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      // Pass caller info for role verification
+      const callerInfo = {
+        userId: req.user.id,
+        isAppOwner: !!req.user.isAppOwner,
+        workspaceRole: req.tenant?.workspaceRole,
+      };
+
+      const result = await inboxService.getTimeline(
+        req.params.id,
+        workspaceId,
+        req.tenant?.accountId,
+        req.query,
+        callerInfo
+      );
+
+      const response = {
+        success: true,
+        data: result,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get timeline';
+
+      // Determine status code based on error type
+      let statusCode = 400;
+      if (errorMessage.includes('not found')) {
+        statusCode = 404;
+      } else if (errorMessage.includes('Insufficient permissions')) {
+        statusCode = 403;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Reply to a conversation (outbound message to the contact)
+   * POST /api/v1/inbox/conversations/:id/replies
+   */
+  async createReply(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      // Pass caller info for role verification
+      const callerInfo = {
+        userId: req.user.id,
+        isAppOwner: !!req.user.isAppOwner,
+        workspaceRole: req.tenant?.workspaceRole,
+      };
+
+      const result = await inboxService.createReply(
+        req.params.id,
+        workspaceId,
+        req.tenant?.accountId,
+        req.body,
+        callerInfo
+      );
+
+      const response = {
+        success: true,
+        data: result,
+        message: result.message.deliveryStatus === 'FAILED'
+          ? 'Reply saved but delivery failed'
+          : 'Reply sent successfully',
+      };
+
+      res.status(201).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to send reply';
+
+      // Determine status code based on error type
+      let statusCode = 400;
+      if (errorMessage.includes('not found')) {
+        statusCode = 404;
+      } else if (errorMessage.includes('Insufficient permissions')) {
+        statusCode = 403;
+      } else if (errorMessage.includes('Invalid state transition')) {
+        statusCode = 409;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Add an internal note to a conversation (supports @email mentions)
+   * POST /api/v1/inbox/conversations/:id/notes
+   */
+  async createNote(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      // Pass caller info for role verification
+      const callerInfo = {
+        userId: req.user.id,
+        isAppOwner: !!req.user.isAppOwner,
+        workspaceRole: req.tenant?.workspaceRole,
+      };
+
+      const result = await conversationNoteService.createNote(
+        req.params.id,
+        workspaceId,
+        req.tenant?.accountId,
+        req.body,
+        callerInfo
+      );
+
+      const response = {
+        success: true,
+        data: result,
+        message: 'Note added successfully',
+      };
+
+      res.status(201).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to add note';
+
+      // Determine status code based on error type
+      let statusCode = 400;
+      if (errorMessage.includes('not found')) {
+        statusCode = 404;
+      } else if (errorMessage.includes('Insufficient permissions')) {
+        statusCode = 403;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Mark a conversation read up to a message for the current user
+   * POST /api/v1/inbox/conversations/:id/read { messageId } (optional, defaults to the latest message)
+   */
+  async markRead(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      const callerInfo = {
+        userId: req.user.id,
+        isAppOwner: !!req.user.isAppOwner,
+        workspaceRole: req.tenant?.workspaceRole,
+      };
+
+      const readState = await conversationReadStateService.markRead(
+        req.params.id,
+        workspaceId,
+        req.body?.messageId,
+        callerInfo
+      );
+
+      const response = {
+        success: true,
+        data: readState,
+        message: 'Conversation marked as read',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to mark conversation as read';
+
+      // Determine status code based on error type
+      let statusCode = 400;
+      if (errorMessage.includes('not found')) {
+        statusCode = 404;
+      } else if (errorMessage.includes('Insufficient permissions')) {
+        statusCode = 403;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Mark a conversation unread from a message onwards for the current user
+   * POST /api/v1/inbox/conversations/:id/unread { messageId } (optional, defaults to the latest message from someone else)
+   */
+  async markUnread(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      const callerInfo = {
+        userId: req.user.id,
+        isAppOwner: !!req.user.isAppOwner,
+        workspaceRole: req.tenant?.workspaceRole,
+      };
+
+      const readState = await conversationReadStateService.markUnread(
+        req.params.id,
+        workspaceId,
+        req.body?.messageId,
+        callerInfo
+      );
+
+      const response = {
+        success: true,
+        data: readState,
+        message: 'Conversation marked as unread',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to mark conversation as unread';
+
+      // Determine status code based on error type
+      let statusCode = 400;
+      if (errorMessage.includes('not found')) {
+        statusCode = 404;
+      } else if (errorMessage.includes('Insufficient permissions')) {
+        statusCode = 403;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Get a paginated inbox view for the current user
+   * GET /api/v1/inbox/views/:view (unassigned, mine, escalated, closed)
+   */
+  async getInboxView(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      // Pass caller info so admins see every department
+      const callerInfo = {
+        isAppOwner: !!req.user.isAppOwner,
+        workspaceRole: req.tenant?.workspaceRole,
+      };
+
+      const result = await inboxQueryService.getInboxView(req.params.view, req.user.id, workspaceId, req.query, callerInfo);
+
+      const response = {
+        success: true,
+        data: result,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get inbox view';
+
+      // Determine status code based on error type
+      let statusCode = 500;
+      if (errorMessage.startsWith('Invalid')) {
+        statusCode = 400;
+      } else if (errorMessage.includes('does not belong')) {
+        statusCode = 403;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Get conversation counts for every inbox view
+   * GET /api/v1/inbox/views/counts
+   */
+  async getInboxViewCounts(req, res) {
+    try {
+      const workspaceId = req.query.workspaceId || req.tenant?.workspaceId;
+
+      if (!workspaceId) {
+        res.status(400).json({
+          success: false,
+          error: 'Workspace ID is required',
+        });
+        return;
+      }
+
+      // Pass caller info so admins see every department
+      const callerInfo = {
+        isAppOwner: !!req.user.isAppOwner,
+        workspaceRole: req.tenant?.workspaceRole,
+      };
+
+      const counts = await inboxQueryService.getInboxViewCounts(req.user.id, workspaceId, req.query, callerInfo);
+
+      const response = {
+        success: true,
+        data: counts,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get inbox counts';
+
+      // Determine status code based on error type
+      let statusCode = 500;
+      if (errorMessage.startsWith('Invalid')) {
+        statusCode = 400;
+      } else if (errorMessage.includes('does not belong')) {
+        statusCode = 403;
+      }
+
+      res.status(statusCode).json({
         success: false,
         error: errorMessage,
       });
@@ -0,0 +1,240 @@
+const { MacroService } = require('../services/macro.service');
+
+const macroService = new MacroService();
+
+// Map service error messages to HTTP status codes
+const getErrorStatusCode = (errorMessage) => {
+  if (errorMessage.includes('not found') || errorMessage.includes('does not belong')) {
+    return 404;
+  }
+  if (errorMessage.includes('Insufficient permissions')) {
+    return 403;
+  }
+  if (errorMessage.includes('already exists') || errorMessage.includes('Invalid state transition')) {
+    return 409;
+  }
+  return 400;
+};
+
+// Caller info for role verification in the service layer
+const getCallerInfo = (req) => ({
+  userId: req.user.id,
+  isAppOwner: !!req.user.isAppOwner,
+  workspaceRole: req.tenant?.workspaceRole,
+});
+
+// Resolve the workspace from the tenant context; responds with an error and returns null if invalid
+const resolveWorkspaceId = (req, res) => {
+  // Prioritize tenant context (verified) over query (untrusted)
+  const workspaceId = req.tenant?.workspaceId || req.query.workspaceId;
+
+  if (!workspaceId) {
+    res.status(400).json({
+      success: false,
+      error: 'Workspace ID is required. Provide it in query parameter or header (x-workspace-id)',
+    });
+    return null;
+  }
+
+  // If workspaceId from query doesn't match tenant context, reject
+  if (req.tenant?.workspaceId && workspaceId !== req.tenant.workspaceId) {
+    res.status(403).json({
+      success: false,
+      error: 'Workspace ID mismatch. Use the workspace from your tenant context',
+    });
+    return null;
+  }
+
+  return workspaceId;
+};
+
+class MacroController {
+  /**
+   * Create a macro
+   * POST /api/v1/macros
+   */
+  async createMacro(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const macro = await macroService.createMacro(workspaceId, req.tenant?.accountId, req.body, getCallerInfo(req));
+
+      const response = {
+        success: true,
+        data: macro,
+        message: 'Macro created successfully',
+      };
+
+      res.status(201).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to create macro';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * List macros
+   * GET /api/v1/macros
+   */
+  async getMacros(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const macros = await macroService.getMacros(workspaceId, req.query);
+
+      const response = {
+        success: true,
+        data: macros,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get macros';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Get a macro
+   * GET /api/v1/macros/:id
+   */
+  async getMacroById(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const macro = await macroService.getMacroById(req.params.id, workspaceId);
+
+      const response = {
+        success: true,
+        data: macro,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Macro not found';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Update a macro
+   * PUT /api/v1/macros/:id
+   */
+  async updateMacro(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const macro = await macroService.updateMacro(req.params.id, workspaceId, req.body);
+
+      const response = {
+        success: true,
+        data: macro,
+        message: 'Macro updated successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to update macro';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Delete a macro
+   * DELETE /api/v1/macros/:id
+   */
+  async deleteMacro(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      await macroService.deleteMacro(req.params.id, workspaceId);
+
+      const response = {
+        success: true,
+        message: 'Macro deleted successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to delete macro';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Apply a macro to a conversation; a failed step rolls back every step
+   * POST /api/v1/macros/:id/apply { conversationId }
+   */
+  async applyMacro(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const result = await macroService.applyMacro(
+        req.params.id,
+        req.body.conversationId,
+        workspaceId,
+        req.tenant?.accountId,
+        getCallerInfo(req)
+      );
+
+      if (!result.applied) {
+        // The step report tells the client which step failed
+        res.status(getErrorStatusCode(result.error)).json({
+          success: false,
+          error: result.error,
+          data: result,
+        });
+        return;
+      }
+
+      const response = {
+        success: true,
+        data: result,
+        message: 'Macro applied successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to apply macro';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+}
+
+module.exports = { MacroController };
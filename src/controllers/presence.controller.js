@@ -0,0 +1,119 @@
+const { PresenceService } = require('../services/presence.service');
+
+const presenceService = new PresenceService();
+
+// Resolve the workspace from the tenant context; responds with an error and returns null if invalid
+const resolveWorkspaceId = (req, res) => {
+  // Prioritize tenant context (verified) over query (untrusted)
+  const workspaceId = req.tenant?.workspaceId || req.query.workspaceId;
+
+  if (!workspaceId) {
+    res.status(400).json({
+      success: false,
+      error: 'Workspace ID is required. Provide it in query parameter or header (x-workspace-id)',
+    });
+    return null;
+  }
+
+  // If workspaceId from query doesn't match tenant context, reject
+  if (req.tenant?.workspaceId && workspaceId !== req.tenant.workspaceId) {
+    res.status(403).json({
+      success: false,
+      error: 'Workspace ID mismatch. Use the workspace from your tenant context',
+    });
+    return null;
+  }
+
+  return workspaceId;
+};
+
+class PresenceController {
+  /**
+   * List presence of workspace users (everyone not OFFLINE unless `status` is given)
+   * GET /api/v1/presence?status=ONLINE,BUSY
+   */
+  async getPresence(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const presence = await presenceService.getWorkspacePresence(workspaceId, { status: req.query.status });
+
+      const response = {
+        success: true,
+        data: presence,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get presence';
+      const statusCode = errorMessage.startsWith('Invalid status') ? 400 : 500;
+      res.status(statusCode).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * List users available to take work (ONLINE)
+   * GET /api/v1/presence/available
+   */
+  async getAvailable(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const presence = await presenceService.getWorkspacePresence(workspaceId, { status: 'ONLINE' });
+
+      const response = {
+        success: true,
+        data: presence,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get available users';
+      res.status(500).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Set the caller's presence status
+   * PUT /api/v1/presence/me
+   */
+  async setMyStatus(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const presence = await presenceService.setStatus(req.user.id, workspaceId, req.body.status);
+
+      const response = {
+        success: true,
+        data: presence,
+        message: 'Presence updated successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to update presence';
+      const statusCode = errorMessage.startsWith('Invalid status') ? 400 : 500;
+      res.status(statusCode).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+}
+
+module.exports = { PresenceController };
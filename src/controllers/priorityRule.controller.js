@@ -0,0 +1,188 @@
+const { PriorityRuleService } = require('../services/priorityRule.service');
+
+const priorityRuleService = new PriorityRuleService();
+
+// Map service error messages to HTTP status codes
+const getErrorStatusCode = (errorMessage) => {
+  if (errorMessage.includes('not found') || errorMessage.includes('does not belong')) {
+    return 404;
+  }
+  if (errorMessage.includes('Insufficient permissions')) {
+    return 403;
+  }
+  if (errorMessage.includes('already exists')) {
+    return 409;
+  }
+  return 400;
+};
+
+// Resolve the workspace from the tenant context; responds with an error and returns null if invalid
+const resolveWorkspaceId = (req, res) => {
+  // Prioritize tenant context (verified) over query (untrusted)
+  const workspaceId = req.tenant?.workspaceId || req.query.workspaceId;
+
+  if (!workspaceId) {
+    res.status(400).json({
+      success: false,
+      error: 'Workspace ID is required. Provide it in query parameter or header (x-workspace-id)',
+    });
+    return null;
+  }
+
+  // If workspaceId from query doesn't match tenant context, reject
+  if (req.tenant?.workspaceId && workspaceId !== req.tenant.workspaceId) {
+    res.status(403).json({
+      success: false,
+      error: 'Workspace ID mismatch. Use the workspace from your tenant context',
+    });
+    return null;
+  }
+
+  return workspaceId;
+};
+
+class PriorityRuleController {
+  /**
+   * Create a priority rule
+   * POST /api/v1/priority-rules
+   */
+  async createRule(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const rule = await priorityRuleService.createRule(workspaceId, req.tenant?.accountId, req.body);
+
+      const response = {
+        success: true,
+        data: rule,
+        message: 'Priority rule created successfully',
+      };
+
+      res.status(201).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to create priority rule';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * List priority rules
+   * GET /api/v1/priority-rules
+   */
+  async getRules(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const rules = await priorityRuleService.getRules(workspaceId, req.query);
+
+      const response = {
+        success: true,
+        data: rules,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get priority rules';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Get a priority rule
+   * GET /api/v1/priority-rules/:id
+   */
+  async getRuleById(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const rule = await priorityRuleService.getRuleById(req.params.id, workspaceId);
+
+      const response = {
+        success: true,
+        data: rule,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Priority rule not found';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Update a priority rule
+   * PUT /api/v1/priority-rules/:id
+   */
+  async updateRule(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const rule = await priorityRuleService.updateRule(req.params.id, workspaceId, req.body);
+
+      const response = {
+        success: true,
+        data: rule,
+        message: 'Priority rule updated successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to update priority rule';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Delete a priority rule
+   * DELETE /api/v1/priority-rules/:id
+   */
+  async deleteRule(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      await priorityRuleService.deleteRule(req.params.id, workspaceId);
+
+      const response = {
+        success: true,
+        message: 'Priority rule deleted successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to delete priority rule';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+}
+
+module.exports = { PriorityRuleController };
@@ -0,0 +1,267 @@
+const { RoutingRuleService } = require('../services/routingRule.service');
+
+const routingRuleService = new RoutingRuleService();
+
+// Map service error messages to HTTP status codes
+const getErrorStatusCode = (errorMessage) => {
+  if (errorMessage.includes('not found') || errorMessage.includes('does not belong')) {
+    return 404;
+  }
+  return 400;
+};
+
+// Resolve the workspace from the tenant context; responds with an error and returns null if invalid
+const resolveWorkspaceId = (req, res) => {
+  // Prioritize tenant context (verified) over query (untrusted)
+  const workspaceId = req.tenant?.workspaceId || req.query.workspaceId;
+
+  if (!workspaceId) {
+    res.status(400).json({
+      success: false,
+      error: 'Workspace ID is required. Provide it in query parameter or header (x-workspace-id)',
+    });
+    return null;
+  }
+
+  // If workspaceId from query doesn't match tenant context, reject
+  if (req.tenant?.workspaceId && workspaceId !== req.tenant.workspaceId) {
+    res.status(403).json({
+      success: false,
+      error: 'Workspace ID mismatch. Use the workspace from your tenant context',
+    });
+    return null;
+  }
+
+  return workspaceId;
+};
+
+class RoutingRuleController {
+  /**
+   * Create a routing rule
+   * POST /api/v1/routing-rules
+   */
+  async createRule(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const rule = await routingRuleService.createRule(workspaceId, req.tenant?.accountId, req.body);
+
+      const response = {
+        success: true,
+        data: rule,
+        message: 'Routing rule created successfully',
+      };
+
+      res.status(201).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to create routing rule';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * List routing rules in evaluation order
+   * GET /api/v1/routing-rules
+   */
+  async getRules(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const rules = await routingRuleService.getRules(workspaceId);
+
+      const response = {
+        success: true,
+        data: rules,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get routing rules';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Get a routing rule
+   * GET /api/v1/routing-rules/:id
+   */
+  async getRuleById(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const rule = await routingRuleService.getRuleById(req.params.id, workspaceId);
+
+      const response = {
+        success: true,
+        data: rule,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Routing rule not found';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Update a routing rule
+   * PUT /api/v1/routing-rules/:id
+   */
+  async updateRule(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const rule = await routingRuleService.updateRule(req.params.id, workspaceId, req.body);
+
+      const response = {
+        success: true,
+        data: rule,
+        message: 'Routing rule updated successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to update routing rule';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Delete a routing rule
+   * DELETE /api/v1/routing-rules/:id
+   */
+  async deleteRule(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      await routingRuleService.deleteRule(req.params.id, workspaceId);
+
+      const response = {
+        success: true,
+        message: 'Routing rule deleted successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to delete routing rule';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Set the evaluation order of routing rules
+   * PUT /api/v1/routing-rules/reorder
+   */
+  async reorderRules(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const rules = await routingRuleService.reorderRules(workspaceId, req.body.ruleIds);
+
+      const response = {
+        success: true,
+        data: rules,
+        message: 'Routing rules reordered successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to reorder routing rules';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Dry-run routing rules against a sample message (nothing is written)
+   * POST /api/v1/routing-rules/test
+   */
+  async testRules(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const result = await routingRuleService.testRules(workspaceId, req.body);
+
+      const response = {
+        success: true,
+        data: result,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to test routing rules';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Get the match log of a routing rule
+   * GET /api/v1/routing-rules/:id/matches
+   */
+  async getRuleMatches(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const matches = await routingRuleService.getRuleMatches(req.params.id, workspaceId, req.query);
+
+      const response = {
+        success: true,
+        data: matches,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get routing rule matches';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+}
+
+module.exports = { RoutingRuleController };
@@ -0,0 +1,189 @@
+const { SlaPolicyService } = require('../services/slaPolicy.service');
+
+const slaPolicyService = new SlaPolicyService();
+
+// Map service error messages to HTTP status codes
+const getErrorStatusCode = (errorMessage) => {
+  if (errorMessage.includes('not found') || errorMessage.includes('does not belong')) {
+    return 404;
+  }
+  if (errorMessage.includes('already exists')) {
+    return 409;
+  }
+  return 400;
+};
+
+// Resolve the workspace from the tenant context; responds with an error and returns null if invalid
+const resolveWorkspaceId = (req, res) => {
+  // Prioritize tenant context (verified) over query (untrusted)
+  const workspaceId = req.tenant?.workspaceId || req.query.workspaceId;
+
+  if (!workspaceId) {
+    res.status(400).json({
+      success: false,
+      error: 'Workspace ID is required. Provide it in query parameter or header (x-workspace-id)',
+    });
+    return null;
+  }
+
+  // If workspaceId from query doesn't match tenant context, reject
+  if (req.tenant?.workspaceId && workspaceId !== req.tenant.workspaceId) {
+    res.status(403).json({
+      success: false,
+      error: 'Workspace ID mismatch. Use the workspace from your tenant context',
+    });
+    return null;
+  }
+
+  return workspaceId;
+};
+
+class SlaPolicyController {
+  /**
+   * Create an SLA policy
+   * POST /api/v1/sla-policies
+   */
+  async createPolicy(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const policy = await slaPolicyService.createPolicy(workspaceId, req.tenant?.accountId, req.body);
+
+      const response = {
+        success: true,
+        data: policy,
+        message: 'SLA policy created successfully',
+      };
+
+      res.status(201).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to create SLA policy';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * List SLA policies of the workspace
+   * GET /api/v1/sla-policies?departmentId=...&priority=...
+   */
+  async getPolicies(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const policies = await slaPolicyService.getPolicies(workspaceId, {
+        departmentId: req.query.departmentId,
+        priority: req.query.priority,
+      });
+
+      const response = {
+        success: true,
+        data: policies,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get SLA policies';
+      const statusCode = errorMessage.startsWith('Invalid') ? 400 : 500;
+      res.status(statusCode).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Get an SLA policy
+   * GET /api/v1/sla-policies/:id
+   */
+  async getPolicyById(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const policy = await slaPolicyService.getPolicyById(req.params.id, workspaceId);
+
+      const response = {
+        success: true,
+        data: policy,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'SLA policy not found';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Update an SLA policy
+   * PUT /api/v1/sla-policies/:id
+   */
+  async updatePolicy(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const policy = await slaPolicyService.updatePolicy(req.params.id, workspaceId, req.body);
+
+      const response = {
+        success: true,
+        data: policy,
+        message: 'SLA policy updated successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to update SLA policy';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Delete an SLA policy
+   * DELETE /api/v1/sla-policies/:id
+   */
+  async deletePolicy(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      await slaPolicyService.deletePolicy(req.params.id, workspaceId);
+
+      const response = {
+        success: true,
+        message: 'SLA policy deleted successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to delete SLA policy';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+}
+
+module.exports = { SlaPolicyController };
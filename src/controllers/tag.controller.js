@@ -0,0 +1,192 @@
+const { TagService } = require('../services/tag.service');
+
+const tagService = new TagService();
+
+// Map service error messages to HTTP status codes
+const getErrorStatusCode = (errorMessage) => {
+  if (errorMessage.includes('not found') || errorMessage.includes('does not belong')) {
+    return 404;
+  }
+  if (errorMessage.includes('already exists')) {
+    return 409;
+  }
+  return 400;
+};
+
+// Resolve the workspace from the tenant context; responds with an error and returns null if invalid
+const resolveWorkspaceId = (req, res) => {
+  // Prioritize tenant context (verified) over query (untrusted)
+  const workspaceId = req.tenant?.workspaceId || req.query.workspaceId;
+
+  if (!workspaceId) {
+    res.status(400).json({
+      success: false,
+      error: 'Workspace ID is required. Provide it in query parameter or header (x-workspace-id)',
+    });
+    return null;
+  }
+
+  // If workspaceId from query doesn't match tenant context, reject
+  if (req.tenant?.workspaceId && workspaceId !== req.tenant.workspaceId) {
+    res.status(403).json({
+      success: false,
+      error: 'Workspace ID mismatch. Use the workspace from your tenant context',
+    });
+    return null;
+  }
+
+  return workspaceId;
+};
+
+class TagController {
+  /**
+   * Create a tag
+   * POST /api/v1/tags
+   */
+  async createTag(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const tag = await tagService.createTag(workspaceId, req.tenant?.accountId, req.body);
+
+      const response = {
+        success: true,
+        data: tag,
+        message: 'Tag created successfully',
+      };
+
+      res.status(201).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to create tag';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * List workspace tags with counts of conversations visible to the caller
+   * GET /api/v1/tags
+   */
+  async getTags(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      // Pass caller info for visibility filtering of counts
+      const callerInfo = {
+        userId: req.user.id,
+        isAppOwner: !!req.user.isAppOwner,
+        workspaceRole: req.tenant?.workspaceRole,
+      };
+
+      const tags = await tagService.getTags(workspaceId, callerInfo);
+
+      const response = {
+        success: true,
+        data: tags,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to get tags';
+      res.status(500).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Get a tag
+   * GET /api/v1/tags/:id
+   */
+  async getTagById(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const tag = await tagService.getTagById(req.params.id, workspaceId);
+
+      const response = {
+        success: true,
+        data: tag,
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Tag not found';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Update a tag
+   * PUT /api/v1/tags/:id
+   */
+  async updateTag(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      const tag = await tagService.updateTag(req.params.id, workspaceId, req.body);
+
+      const response = {
+        success: true,
+        data: tag,
+        message: 'Tag updated successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to update tag';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+
+  /**
+   * Delete a tag (removes it from every conversation)
+   * DELETE /api/v1/tags/:id
+   */
+  async deleteTag(req, res) {
+    try {
+      const workspaceId = resolveWorkspaceId(req, res);
+      if (!workspaceId) {
+        return;
+      }
+
+      await tagService.deleteTag(req.params.id, workspaceId);
+
+      const response = {
+        success: true,
+        message: 'Tag deleted successfully',
+      };
+
+      res.status(200).json(response);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Failed to delete tag';
+      res.status(getErrorStatusCode(errorMessage)).json({
+        success: false,
+        error: errorMessage,
+      });
+    }
+  }
+}
+
+module.exports = { TagController };
@@ -0,0 +1,11 @@
+const { createJob } = require('./jobRunner');
+const { AutoAssignmentService } = require('../services/autoAssignment.service');
+
+// Auto-assignment - Hands waiting TODO conversations to agents as capacity frees up
+const autoAssignmentService = new AutoAssignmentService();
+
+module.exports = createJob({
+  name: 'auto-assignment',
+  intervalMs: parseInt(process.env.AUTO_ASSIGN_INTERVAL_MS || '30000', 10),
+  run: () => autoAssignmentService.assignAllQueuedConversations(),
+});
@@ -0,0 +1,11 @@
+const { createJob } = require('./jobRunner');
+const { BulkOperationService } = require('../services/bulkOperation.service');
+
+// Bulk operations - Works through large bulk conversation operations one batch per run
+const bulkOperationService = new BulkOperationService();
+
+module.exports = createJob({
+  name: 'bulk-operations',
+  intervalMs: parseInt(process.env.BULK_OPERATION_INTERVAL_MS || '5000', 10),
+  run: () => bulkOperationService.processPendingOperations(),
+});
@@ -0,0 +1,19 @@
+const slaEvaluatorJob = require('./slaEvaluator.job');
+const autoAssignmentJob = require('./autoAssignment.job');
+const presenceSweepJob = require('./presenceSweep.job');
+const snoozeWakeJob = require('./snoozeWake.job');
+const bulkOperationJob = require('./bulkOperation.job');
+const priorityRuleJob = require('./priorityRule.job');
+
+// Background jobs started with the HTTP server
+const jobs = [slaEvaluatorJob, autoAssignmentJob, presenceSweepJob, snoozeWakeJob, bulkOperationJob, priorityRuleJob];
+
+const startJobs = () => {
+  jobs.forEach(job => job.start());
+};
+
+const stopJobs = () => {
+  jobs.forEach(job => job.stop());
+};
+
+module.exports = { startJobs, stopJobs };
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const redis = require('../config/redis');
+const { logger } = require('../utils/logger');
+
+// Job runner - Runs background work on a fixed interval
+//
+// Every API instance starts the same jobs. Before each run the instance takes a Redis lock
+// (SET NX PX) that lives for one interval, so a job runs at most once per interval across
+// instances. When Redis is unavailable the run goes ahead locally: jobs must be safe to repeat.
+
+const instanceId = crypto.randomBytes(8).toString('hex');
+
+const acquireLock = async (name, ttlMs) => {
+  try {
+    const result = await redis.set(`job_lock:${name}`, instanceId, 'PX', ttlMs, 'NX');
+    return result === 'OK';
+  } catch (error) {
+    logger.warn(`Job ${name}: lock unavailable, running without it:`, error.message);
+    return true;
+  }
+};
+
+/**
+ * Create a periodic job
+ *
+ * @param {Object} definition - Job definition
+ * @param {string} definition.name - Job name (also the lock key)
+ * @param {number} definition.intervalMs - Time between runs
+ * @param {Function} definition.run - Async function doing the work
+ * @returns {Object} { name, start, stop }
+ */
+const createJob = ({ name, intervalMs, run }) => {
+  let timer = null;
+  let running = false;
+
+  const tick = async () => {
+    // Skip if the previous run on this instance is still going
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      // Slightly shorter than the interval so the next tick never finds its own lock
+      if (await acquireLock(name, Math.floor(intervalMs * 0.9))) {
+        await run();
+      }
+    } catch (error) {
+      logger.error(`Job ${name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  return {
+    name,
+    start() {
+      if (timer) {
+        return;
+      }
+      timer = setInterval(tick, intervalMs);
+      logger.info(`Job ${name} started (every ${intervalMs}ms)`);
+    },
+    stop() {
+      if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    },
+  };
+};
+
+module.exports = { createJob };
@@ -0,0 +1,11 @@
+const { createJob } = require('./jobRunner');
+const { PresenceService } = require('../services/presence.service');
+
+// Presence sweep - Moves users without recent heartbeats to AWAY, then OFFLINE
+const presenceService = new PresenceService();
+
+module.exports = createJob({
+  name: 'presence-sweep',
+  intervalMs: parseInt(process.env.PRESENCE_SWEEP_INTERVAL_MS || '30000', 10),
+  run: () => presenceService.sweep(),
+});
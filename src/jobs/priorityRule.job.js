@@ -0,0 +1,11 @@
+const { createJob } = require('./jobRunner');
+const { PriorityRuleService } = require('../services/priorityRule.service');
+
+// Priority rules - Raises the priority of conversations waiting longer than WAITING_TIME rules allow
+const priorityRuleService = new PriorityRuleService();
+
+module.exports = createJob({
+  name: 'priority-rules',
+  intervalMs: parseInt(process.env.PRIORITY_RULES_INTERVAL_MS || '300000', 10),
+  run: () => priorityRuleService.applyWaitingTimeRules(),
+});
@@ -0,0 +1,11 @@
+const { createJob } = require('./jobRunner');
+const { SlaService } = require('../services/sla.service');
+
+// SLA evaluator - Moves conversations to AT_RISK / BREACHED as their due times approach
+const slaService = new SlaService();
+
+module.exports = createJob({
+  name: 'sla-evaluator',
+  intervalMs: parseInt(process.env.SLA_EVALUATOR_INTERVAL_MS || '60000', 10),
+  run: () => slaService.evaluateDueConversations(),
+});
@@ -0,0 +1,11 @@
+const { createJob } = require('./jobRunner');
+const { ConversationSnoozeService } = require('../services/conversationSnooze.service');
+
+// Snooze wake - Brings snoozed conversations back once their wake-up time has passed
+const conversationSnoozeService = new ConversationSnoozeService();
+
+module.exports = createJob({
+  name: 'snooze-wake',
+  intervalMs: parseInt(process.env.SNOOZE_WAKE_INTERVAL_MS || '30000', 10),
+  run: () => conversationSnoozeService.wakeDueConversations(),
+});
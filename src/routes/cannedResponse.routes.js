@@ -0,0 +1,39 @@
+const { Router } = require('express');
+const { CannedResponseController } = require('../controllers/cannedResponse.controller');
+const { authMiddleware } = require('../middleware/auth.middleware');
+const { tenantMiddleware, requireRole, UserRole } = require('../middleware/tenant.middleware');
+const { validate } = require('../middleware/validation.middleware');
+
+const router = Router();
+const cannedResponseController = new CannedResponseController();
+
+router.use(authMiddleware);
+router.use(tenantMiddleware);
+
+// Validation middlewares
+const validateCreateResponse = validate({
+  body: ['title', 'body'],
+});
+
+const validateResponseId = validate({
+  params: ['id'],
+});
+
+const validateRenderResponse = validate({
+  params: ['id'],
+  body: ['conversationId'],
+});
+
+// Any workspace member; the service checks who can manage each scope
+// (WORKSPACE: WORKSPACE_ADMIN, DEPARTMENT: its DEPARTMENT_MANAGER, USER: the owner)
+router.post('/', requireRole(UserRole.WORKSPACE_MEMBER), validateCreateResponse, cannedResponseController.createResponse.bind(cannedResponseController));
+router.get('/', requireRole(UserRole.WORKSPACE_MEMBER), cannedResponseController.getResponses.bind(cannedResponseController));
+router.get('/folders', requireRole(UserRole.WORKSPACE_MEMBER), cannedResponseController.getFolders.bind(cannedResponseController));
+router.get('/:id', requireRole(UserRole.WORKSPACE_MEMBER), validateResponseId, cannedResponseController.getResponseById.bind(cannedResponseController));
+router.put('/:id', requireRole(UserRole.WORKSPACE_MEMBER), validateResponseId, cannedResponseController.updateResponse.bind(cannedResponseController));
+router.delete('/:id', requireRole(UserRole.WORKSPACE_MEMBER), validateResponseId, cannedResponseController.deleteResponse.bind(cannedResponseController));
+
+// Fill in template placeholders from a conversation before inserting into a reply
+router.post('/:id/render', requireRole(UserRole.WORKSPACE_MEMBER), validateRenderResponse, cannedResponseController.renderResponse.bind(cannedResponseController));
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const { Router } = require('express');
+const { ContactController } = require('../controllers/contact.controller');
+const { ContactMergeController } = require('../controllers/contactMerge.controller');
+const { authMiddleware } = require('../middleware/auth.middleware');
+const { tenantMiddleware, requireRole, UserRole } = require('../middleware/tenant.middleware');
+const { validate } = require('../middleware/validation.middleware');
+
+const router = Router();
+const contactController = new ContactController();
+const contactMergeController = new ContactMergeController();
+
+router.use(authMiddleware);
+router.use(tenantMiddleware);
+
+// Validation middlewares
+const validateCreateContact = validate({
+  body: ['email'],
+});
+
+const validateContactId = validate({
+  params: ['id'],
+});
+
+const validateAddIdentity = validate({
+  params: ['id'],
+  body: ['type', 'value'],
+});
+
+const validateIdentityId = validate({
+  params: ['id', 'identityId'],
+});
+
+const validateMergeContact = validate({
+  params: ['id'],
+  body: ['targetContactId'],
+});
+
+// Agents create and edit contacts while handling conversations: any workspace member
+router.post('/', requireRole(UserRole.WORKSPACE_MEMBER), validateCreateContact, contactController.createContact.bind(contactController));
+router.get('/', requireRole(UserRole.WORKSPACE_MEMBER), contactController.getContacts.bind(contactController));
+router.get('/:id', requireRole(UserRole.WORKSPACE_MEMBER), validateContactId, contactController.getContactById.bind(contactController));
+router.get('/:id/conversations', requireRole(UserRole.WORKSPACE_MEMBER), validateContactId, contactController.getContactConversations.bind(contactController));
+router.put('/:id', requireRole(UserRole.WORKSPACE_MEMBER), validateContactId, contactController.updateContact.bind(contactController));
+// Delete requires ACCOUNT_ADMIN or WORKSPACE_ADMIN
+router.delete('/:id', requireRole(UserRole.WORKSPACE_ADMIN), validateContactId, contactController.deleteContact.bind(contactController));
+
+// Identities (emails, phones, external IDs)
+router.get('/:id/identities', requireRole(UserRole.WORKSPACE_MEMBER), validateContactId, contactController.getIdentities.bind(contactController));
+router.post('/:id/identities', requireRole(UserRole.WORKSPACE_MEMBER), validateAddIdentity, contactController.addIdentity.bind(contactController));
+router.delete('/:id/identities/:identityId', requireRole(UserRole.WORKSPACE_MEMBER), validateIdentityId, contactController.removeIdentity.bind(contactController));
+
+// Duplicates and merge (merging deletes the source contact: ACCOUNT_ADMIN or WORKSPACE_ADMIN)
+router.get('/:id/duplicates', requireRole(UserRole.WORKSPACE_MEMBER), validateContactId, contactMergeController.getDuplicates.bind(contactMergeController));
+router.get('/:id/merges', requireRole(UserRole.WORKSPACE_MEMBER), validateContactId, contactMergeController.getMergeHistory.bind(contactMergeController));
+router.post('/:id/merge', requireRole(UserRole.WORKSPACE_ADMIN), validateMergeContact, contactMergeController.mergeContact.bind(contactMergeController));
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const { Router } = require('express');
+const { CustomAttributeController } = require('../controllers/customAttribute.controller');
+const { authMiddleware } = require('../middleware/auth.middleware');
+const { tenantMiddleware, requireRole, UserRole } = require('../middleware/tenant.middleware');
+const { validate } = require('../middleware/validation.middleware');
+
+const router = Router();
+const customAttributeController = new CustomAttributeController();
+
+router.use(authMiddleware);
+router.use(tenantMiddleware);
+
+// Validation middlewares
+const validateCreateDefinition = validate({
+  body: ['entityType', 'key', 'label', 'type'],
+});
+
+const validateDefinitionId = validate({
+  params: ['id'],
+});
+
+// Write operations require ACCOUNT_ADMIN or WORKSPACE_ADMIN
+router.post('/', requireRole(UserRole.WORKSPACE_ADMIN), validateCreateDefinition, customAttributeController.createDefinition.bind(customAttributeController));
+// Read operations allow any workspace member
+router.get('/', requireRole(UserRole.WORKSPACE_MEMBER), customAttributeController.getDefinitions.bind(customAttributeController));
+router.get('/:id', requireRole(UserRole.WORKSPACE_MEMBER), validateDefinitionId, customAttributeController.getDefinitionById.bind(customAttributeController));
+// Write operations require ACCOUNT_ADMIN or WORKSPACE_ADMIN
+router.put('/:id', requireRole(UserRole.WORKSPACE_ADMIN), validateDefinitionId, customAttributeController.updateDefinition.bind(customAttributeController));
+router.delete('/:id', requireRole(UserRole.WORKSPACE_ADMIN), validateDefinitionId, customAttributeController.deleteDefinition.bind(customAttributeController));
+
+module.exports = router;
@@ -1,11 +1,13 @@
 const { Router } = require('express');
 const { DepartmentController } = require('../controllers/department.controller');
+const { AutoAssignmentController } = require('../controllers/autoAssignment.controller');
 const { authMiddleware } = require('../middleware/auth.middleware');
 const { tenantMiddleware, requireRole, UserRole } = require('../middleware/tenant.middleware');
 const { validate } = require('../middleware/validation.middleware');
 
 const router = Router();
 const departmentController = new DepartmentController();
+const autoAssignmentController = new AutoAssignmentController();
 
 router.use(authMiddleware);
 router.use(tenantMiddleware);
@@ -19,6 +21,11 @@ const validateDepartmentId = validate({
   params: ['id'],
 });
 
+// maxOpenConversations may be null (use the department default), so it is checked by the service
+const validateAgentCapacity = validate({
+  params: ['id', 'userId'],
+});
+
 // Write operations require ACCOUNT_ADMIN or WORKSPACE_ADMIN
 router.post('/', requireRole(UserRole.WORKSPACE_ADMIN), validateCreateDepartment, departmentController.createDepartment.bind(departmentController));
 // Read operations allow any workspace member
@@ -28,5 +35,10 @@ router.get('/:id', requireRole(UserRole.WORKSPACE_MEMBER), validateDepartmentId,
 router.put('/:id', requireRole(UserRole.WORKSPACE_ADMIN), validateDepartmentId, departmentController.updateDepartment.bind(departmentController));
 router.delete('/:id', requireRole(UserRole.WORKSPACE_ADMIN), validateDepartmentId, departmentController.deleteDepartment.bind(departmentController));
 
+// Auto-assignment settings: reads for members, writes for ACCOUNT_ADMIN or WORKSPACE_ADMIN
+router.get('/:id/auto-assignment', requireRole(UserRole.WORKSPACE_MEMBER), validateDepartmentId, autoAssignmentController.getSettings.bind(autoAssignmentController));
+router.put('/:id/auto-assignment', requireRole(UserRole.WORKSPACE_ADMIN), validateDepartmentId, autoAssignmentController.updateSettings.bind(autoAssignmentController));
+router.put('/:id/auto-assignment/agents/:userId', requireRole(UserRole.WORKSPACE_ADMIN), validateAgentCapacity, autoAssignmentController.setAgentCapacity.bind(autoAssignmentController));
+
 module.exports = router;
 
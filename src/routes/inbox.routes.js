@@ -1,11 +1,27 @@
 const { Router } = require('express');
 const { InboxController } = require('../controllers/inbox.controller');
+const { ConversationAssignmentController } = require('../controllers/conversationAssignment.controller');
+const { EscalationController } = require('../controllers/escalation.controller');
+const { ConversationTagController } = require('../controllers/conversationTag.controller');
+const { ConversationSnoozeController } = require('../controllers/conversationSnooze.controller');
+const { ConversationMergeController } = require('../controllers/conversationMerge.controller');
+const { ConversationAttributeController } = require('../controllers/conversationAttribute.controller');
+const { ConversationPriorityController } = require('../controllers/conversationPriority.controller');
+const { BulkOperationController } = require('../controllers/bulkOperation.controller');
 const { authMiddleware } = require('../middleware/auth.middleware');
 const { tenantMiddleware, requireRole, UserRole } = require('../middleware/tenant.middleware');
 const { validate } = require('../middleware/validation.middleware');
 
 const router = Router();
 const inboxController = new InboxController();
+const conversationAssignmentController = new ConversationAssignmentController();
+const escalationController = new EscalationController();
+const conversationTagController = new ConversationTagController();
+const conversationSnoozeController = new ConversationSnoozeController();
+const conversationMergeController = new ConversationMergeController();
+const conversationAttributeController = new ConversationAttributeController();
+const conversationPriorityController = new ConversationPriorityController();
+const bulkOperationController = new BulkOperationController();
 
 router.use(authMiddleware);
 router.use(tenantMiddleware);
@@ -19,13 +35,123 @@ const validateConversationIdForMessages = validate({
   params: ['conversationId'],
 });
 
+const validateEscalationId = validate({
+  params: ['escalationId'],
+});
+
+const validateEscalateConversation = validate({
+  params: ['id'],
+  body: ['reason', 'targetDepartmentId'],
+});
+
+const validateAddTags = validate({
+  params: ['id'],
+  body: ['tagIds'],
+});
+
+const validateRemoveTag = validate({
+  params: ['id', 'tagId'],
+});
+
+const validateChangePriority = validate({
+  params: ['id'],
+  body: ['priority', 'reason'],
+});
+
+const validateSetAttributes = validate({
+  params: ['id'],
+  body: ['attributes'],
+});
+
+const validateCreateReply = validate({
+  params: ['id'],
+  body: ['body'],
+});
+
+const validateCreateNote = validate({
+  params: ['id'],
+  body: ['body'],
+});
+
+const validateMergeConversation = validate({
+  params: ['id'],
+  body: ['targetConversationId'],
+});
+
+const validateSplitConversation = validate({
+  params: ['id'],
+  body: ['messageIds'],
+});
+
+const validateSearch = validate({
+  query: ['q'],
+});
+
+const validateCreateBulkOperation = validate({
+  body: ['type'],
+});
+
+const validateBulkOperationId = validate({
+  params: ['id'],
+});
+
 const validateCreateMockMessage = validate({
   body: ['subject', 'body', 'fromEmail'],
 });
 
+// Inbox views for the current user ('counts' must be registered before ':view')
+router.get('/views/counts', requireRole(UserRole.WORKSPACE_MEMBER), inboxController.getInboxViewCounts.bind(inboxController));
+router.get('/views/:view', requireRole(UserRole.WORKSPACE_MEMBER), inboxController.getInboxView.bind(inboxController));
+
+router.get('/search', requireRole(UserRole.WORKSPACE_MEMBER), validateSearch, inboxController.searchConversations.bind(inboxController));
+
 router.get('/conversations', requireRole(UserRole.WORKSPACE_MEMBER), inboxController.getConversations.bind(inboxController));
 router.get('/conversations/:id', requireRole(UserRole.WORKSPACE_MEMBER), validateConversationId, inboxController.getConversationById.bind(inboxController));
 router.get('/conversations/:conversationId/messages', requireRole(UserRole.WORKSPACE_MEMBER), validateConversationIdForMessages, inboxController.getMessages.bind(inboxController));
+router.get('/conversations/:id/timeline', requireRole(UserRole.WORKSPACE_MEMBER), validateConversationId, inboxController.getTimeline.bind(inboxController));
+router.post('/conversations/:id/replies', requireRole(UserRole.WORKSPACE_MEMBER), validateCreateReply, inboxController.createReply.bind(inboxController));
+router.post('/conversations/:id/notes', requireRole(UserRole.WORKSPACE_MEMBER), validateCreateNote, inboxController.createNote.bind(inboxController));
+
+// Per-user read state
+router.post('/conversations/:id/read', requireRole(UserRole.WORKSPACE_MEMBER), validateConversationId, inboxController.markRead.bind(inboxController));
+router.post('/conversations/:id/unread', requireRole(UserRole.WORKSPACE_MEMBER), validateConversationId, inboxController.markUnread.bind(inboxController));
+
+// Tags
+router.get('/conversations/:id/tags', requireRole(UserRole.WORKSPACE_MEMBER), validateConversationId, conversationTagController.getConversationTags.bind(conversationTagController));
+router.post('/conversations/:id/tags', requireRole(UserRole.WORKSPACE_MEMBER), validateAddTags, conversationTagController.addTags.bind(conversationTagController));
+router.delete('/conversations/:id/tags/:tagId', requireRole(UserRole.WORKSPACE_MEMBER), validateRemoveTag, conversationTagController.removeTag.bind(conversationTagController));
+
+// Priority
+router.put('/conversations/:id/priority', requireRole(UserRole.WORKSPACE_MEMBER), validateChangePriority, conversationPriorityController.changePriority.bind(conversationPriorityController));
+
+// Custom attributes
+router.get('/conversations/:id/attributes', requireRole(UserRole.WORKSPACE_MEMBER), validateConversationId, conversationAttributeController.getAttributes.bind(conversationAttributeController));
+router.put('/conversations/:id/attributes', requireRole(UserRole.WORKSPACE_MEMBER), validateSetAttributes, conversationAttributeController.setAttributes.bind(conversationAttributeController));
+
+// Snooze
+router.post('/conversations/:id/snooze', requireRole(UserRole.WORKSPACE_MEMBER), validateConversationId, conversationSnoozeController.snooze.bind(conversationSnoozeController));
+router.delete('/conversations/:id/snooze', requireRole(UserRole.WORKSPACE_MEMBER), validateConversationId, conversationSnoozeController.unsnooze.bind(conversationSnoozeController));
+
+// Merge and split
+router.post('/conversations/:id/merge', requireRole(UserRole.WORKSPACE_MEMBER), validateMergeConversation, conversationMergeController.mergeConversation.bind(conversationMergeController));
+router.post('/conversations/:id/split', requireRole(UserRole.WORKSPACE_MEMBER), validateSplitConversation, conversationMergeController.splitConversation.bind(conversationMergeController));
+
+// Assignment: department role checks happen in the controller via ConversationAccessService
+router.get('/conversations/:id/assignment', requireRole(UserRole.WORKSPACE_MEMBER), validateConversationId, conversationAssignmentController.getAssignment.bind(conversationAssignmentController));
+router.post('/conversations/:id/assignment', requireRole(UserRole.WORKSPACE_MEMBER), validateConversationId, conversationAssignmentController.assignConversation.bind(conversationAssignmentController));
+router.delete('/conversations/:id/assignment', requireRole(UserRole.WORKSPACE_MEMBER), validateConversationId, conversationAssignmentController.unassignConversation.bind(conversationAssignmentController));
+
+// Escalation: department manager checks happen in EscalationService
+router.get('/conversations/:id/escalations', requireRole(UserRole.WORKSPACE_MEMBER), validateConversationId, escalationController.getConversationEscalations.bind(escalationController));
+router.post('/conversations/:id/escalations', requireRole(UserRole.WORKSPACE_MEMBER), validateEscalateConversation, escalationController.escalateConversation.bind(escalationController));
+router.post('/escalations/:escalationId/acknowledge', requireRole(UserRole.WORKSPACE_MEMBER), validateEscalationId, escalationController.acknowledgeEscalation.bind(escalationController));
+router.post('/escalations/:escalationId/reject', requireRole(UserRole.WORKSPACE_MEMBER), validateEscalationId, escalationController.rejectEscalation.bind(escalationController));
+
+// Bulk operations (each conversation is checked against the caller's permissions)
+router.post('/bulk-operations', requireRole(UserRole.WORKSPACE_MEMBER), validateCreateBulkOperation, bulkOperationController.createOperation.bind(bulkOperationController));
+router.get('/bulk-operations', requireRole(UserRole.WORKSPACE_MEMBER), bulkOperationController.getOperations.bind(bulkOperationController));
+router.get('/bulk-operations/:id', requireRole(UserRole.WORKSPACE_MEMBER), validateBulkOperationId, bulkOperationController.getOperationById.bind(bulkOperationController));
+
 router.post('/mock-message', requireRole(UserRole.WORKSPACE_MEMBER), validateCreateMockMessage, inboxController.createMockMessage.bind(inboxController));
 
 module.exports = router;
@@ -0,0 +1,39 @@
+const { Router } = require('express');
+const { MacroController } = require('../controllers/macro.controller');
+const { authMiddleware } = require('../middleware/auth.middleware');
+const { tenantMiddleware, requireRole, UserRole } = require('../middleware/tenant.middleware');
+const { validate } = require('../middleware/validation.middleware');
+
+const router = Router();
+const macroController = new MacroController();
+
+router.use(authMiddleware);
+router.use(tenantMiddleware);
+
+// Validation middlewares
+const validateCreateMacro = validate({
+  body: ['name', 'actions'],
+});
+
+const validateMacroId = validate({
+  params: ['id'],
+});
+
+const validateApplyMacro = validate({
+  params: ['id'],
+  body: ['conversationId'],
+});
+
+// Write operations require ACCOUNT_ADMIN or WORKSPACE_ADMIN
+router.post('/', requireRole(UserRole.WORKSPACE_ADMIN), validateCreateMacro, macroController.createMacro.bind(macroController));
+// Read operations allow any workspace member
+router.get('/', requireRole(UserRole.WORKSPACE_MEMBER), macroController.getMacros.bind(macroController));
+router.get('/:id', requireRole(UserRole.WORKSPACE_MEMBER), validateMacroId, macroController.getMacroById.bind(macroController));
+// Write operations require ACCOUNT_ADMIN or WORKSPACE_ADMIN
+router.put('/:id', requireRole(UserRole.WORKSPACE_ADMIN), validateMacroId, macroController.updateMacro.bind(macroController));
+router.delete('/:id', requireRole(UserRole.WORKSPACE_ADMIN), validateMacroId, macroController.deleteMacro.bind(macroController));
+
+// Any workspace member; each step is checked against the caller's permissions
+router.post('/:id/apply', requireRole(UserRole.WORKSPACE_MEMBER), validateApplyMacro, macroController.applyMacro.bind(macroController));
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const { Router } = require('express');
+const { PresenceController } = require('../controllers/presence.controller');
+const { authMiddleware } = require('../middleware/auth.middleware');
+const { tenantMiddleware, requireRole, UserRole } = require('../middleware/tenant.middleware');
+const { validate } = require('../middleware/validation.middleware');
+
+const router = Router();
+const presenceController = new PresenceController();
+
+router.use(authMiddleware);
+router.use(tenantMiddleware);
+
+// Validation middlewares
+const validateSetStatus = validate({
+  body: ['status'],
+});
+
+// Presence is visible to and set by any workspace member
+router.get('/', requireRole(UserRole.WORKSPACE_MEMBER), presenceController.getPresence.bind(presenceController));
+router.get('/available', requireRole(UserRole.WORKSPACE_MEMBER), presenceController.getAvailable.bind(presenceController));
+router.put('/me', requireRole(UserRole.WORKSPACE_MEMBER), validateSetStatus, presenceController.setMyStatus.bind(presenceController));
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const { Router } = require('express');
+const { PriorityRuleController } = require('../controllers/priorityRule.controller');
+const { authMiddleware } = require('../middleware/auth.middleware');
+const { tenantMiddleware, requireRole, UserRole } = require('../middleware/tenant.middleware');
+const { validate } = require('../middleware/validation.middleware');
+
+const router = Router();
+const priorityRuleController = new PriorityRuleController();
+
+router.use(authMiddleware);
+router.use(tenantMiddleware);
+
+// Validation middlewares
+const validateCreateRule = validate({
+  body: ['name', 'type', 'priority'],
+});
+
+const validateRuleId = validate({
+  params: ['id'],
+});
+
+// Write operations require ACCOUNT_ADMIN or WORKSPACE_ADMIN
+router.post('/', requireRole(UserRole.WORKSPACE_ADMIN), validateCreateRule, priorityRuleController.createRule.bind(priorityRuleController));
+// Read operations allow any workspace member
+router.get('/', requireRole(UserRole.WORKSPACE_MEMBER), priorityRuleController.getRules.bind(priorityRuleController));
+router.get('/:id', requireRole(UserRole.WORKSPACE_MEMBER), validateRuleId, priorityRuleController.getRuleById.bind(priorityRuleController));
+// Write operations require ACCOUNT_ADMIN or WORKSPACE_ADMIN
+router.put('/:id', requireRole(UserRole.WORKSPACE_ADMIN), validateRuleId, priorityRuleController.updateRule.bind(priorityRuleController));
+router.delete('/:id', requireRole(UserRole.WORKSPACE_ADMIN), validateRuleId, priorityRuleController.deleteRule.bind(priorityRuleController));
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const { Router } = require('express');
+const { RoutingRuleController } = require('../controllers/routingRule.controller');
+const { authMiddleware } = require('../middleware/auth.middleware');
+const { tenantMiddleware, requireRole, UserRole } = require('../middleware/tenant.middleware');
+const { validate } = require('../middleware/validation.middleware');
+
+const router = Router();
+const routingRuleController = new RoutingRuleController();
+
+router.use(authMiddleware);
+router.use(tenantMiddleware);
+
+// Validation middlewares
+const validateCreateRule = validate({
+  body: ['name', 'conditions'],
+});
+
+const validateReorder = validate({
+  body: ['ruleIds'],
+});
+
+const validateRuleId = validate({
+  params: ['id'],
+});
+
+// Static paths before /:id
+router.put('/reorder', requireRole(UserRole.WORKSPACE_ADMIN), validateReorder, routingRuleController.reorderRules.bind(routingRuleController));
+router.post('/test', requireRole(UserRole.WORKSPACE_ADMIN), routingRuleController.testRules.bind(routingRuleController));
+
+// Write operations require ACCOUNT_ADMIN or WORKSPACE_ADMIN
+router.post('/', requireRole(UserRole.WORKSPACE_ADMIN), validateCreateRule, routingRuleController.createRule.bind(routingRuleController));
+// Read operations allow any workspace member
+router.get('/', requireRole(UserRole.WORKSPACE_MEMBER), routingRuleController.getRules.bind(routingRuleController));
+router.get('/:id', requireRole(UserRole.WORKSPACE_MEMBER), validateRuleId, routingRuleController.getRuleById.bind(routingRuleController));
+// The match log lists conversations, which members may not be allowed to see
+router.get('/:id/matches', requireRole(UserRole.WORKSPACE_ADMIN), validateRuleId, routingRuleController.getRuleMatches.bind(routingRuleController));
+// Write operations require ACCOUNT_ADMIN or WORKSPACE_ADMIN
+router.put('/:id', requireRole(UserRole.WORKSPACE_ADMIN), validateRuleId, routingRuleController.updateRule.bind(routingRuleController));
+router.delete('/:id', requireRole(UserRole.WORKSPACE_ADMIN), validateRuleId, routingRuleController.deleteRule.bind(routingRuleController));
+
+module.exports = router;
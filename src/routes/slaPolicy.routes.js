@@ -0,0 +1,31 @@
+const { Router } = require('express');
+const { SlaPolicyController } = require('../controllers/slaPolicy.controller');
+const { authMiddleware } = require('../middleware/auth.middleware');
+const { tenantMiddleware, requireRole, UserRole } = require('../middleware/tenant.middleware');
+const { validate } = require('../middleware/validation.middleware');
+
+const router = Router();
+const slaPolicyController = new SlaPolicyController();
+
+router.use(authMiddleware);
+router.use(tenantMiddleware);
+
+// Validation middlewares
+const validateCreatePolicy = validate({
+  body: ['name', 'priority', 'firstResponseMinutes', 'resolutionMinutes'],
+});
+
+const validatePolicyId = validate({
+  params: ['id'],
+});
+
+// Write operations require ACCOUNT_ADMIN or WORKSPACE_ADMIN
+router.post('/', requireRole(UserRole.WORKSPACE_ADMIN), validateCreatePolicy, slaPolicyController.createPolicy.bind(slaPolicyController));
+// Read operations allow any workspace member
+router.get('/', requireRole(UserRole.WORKSPACE_MEMBER), slaPolicyController.getPolicies.bind(slaPolicyController));
+router.get('/:id', requireRole(UserRole.WORKSPACE_MEMBER), validatePolicyId, slaPolicyController.getPolicyById.bind(slaPolicyController));
+// Write operations require ACCOUNT_ADMIN or WORKSPACE_ADMIN
+router.put('/:id', requireRole(UserRole.WORKSPACE_ADMIN), validatePolicyId, slaPolicyController.updatePolicy.bind(slaPolicyController));
+router.delete('/:id', requireRole(UserRole.WORKSPACE_ADMIN), validatePolicyId, slaPolicyController.deletePolicy.bind(slaPolicyController));
+
+module.exports = router;
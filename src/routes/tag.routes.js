@@ -0,0 +1,31 @@
+const { Router } = require('express');
+const { TagController } = require('../controllers/tag.controller');
+const { authMiddleware } = require('../middleware/auth.middleware');
+const { tenantMiddleware, requireRole, UserRole } = require('../middleware/tenant.middleware');
+const { validate } = require('../middleware/validation.middleware');
+
+const router = Router();
+const tagController = new TagController();
+
+router.use(authMiddleware);
+router.use(tenantMiddleware);
+
+// Validation middlewares
+const validateCreateTag = validate({
+  body: ['name'],
+});
+
+const validateTagId = validate({
+  params: ['id'],
+});
+
+// Write operations require ACCOUNT_ADMIN or WORKSPACE_ADMIN
+router.post('/', requireRole(UserRole.WORKSPACE_ADMIN), validateCreateTag, tagController.createTag.bind(tagController));
+// Read operations allow any workspace member
+router.get('/', requireRole(UserRole.WORKSPACE_MEMBER), tagController.getTags.bind(tagController));
+router.get('/:id', requireRole(UserRole.WORKSPACE_MEMBER), validateTagId, tagController.getTagById.bind(tagController));
+// Write operations require ACCOUNT_ADMIN or WORKSPACE_ADMIN
+router.put('/:id', requireRole(UserRole.WORKSPACE_ADMIN), validateTagId, tagController.updateTag.bind(tagController));
+router.delete('/:id', requireRole(UserRole.WORKSPACE_ADMIN), validateTagId, tagController.deleteTag.bind(tagController));
+
+module.exports = router;
@@ -5,6 +5,7 @@ const { logger } = require('./utils/logger');
 const prisma = require('./config/database');
 const redis = require('./config/redis');
 const { setupSocketIO } = require('./socket/socket');
+const { startJobs, stopJobs } = require('./jobs');
 
 const PORT = process.env.PORT || 3000;
 
@@ -37,6 +38,9 @@ const startServer = async () => {
       logger.info(`Server running on port ${PORT}`);
       logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
       logger.info(`API prefix: ${process.env.API_PREFIX || '/api/v1'}`);
+
+      // Start background jobs
+      startJobs();
     });
   } catch (error) {
     logger.error('Failed to start server:', error);
@@ -47,6 +51,7 @@ const startServer = async () => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  stopJobs();
   httpServer.close(() => {
     logger.info('HTTP server closed');
   });
@@ -61,6 +66,7 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
+  stopJobs();
   httpServer.close(() => {
     logger.info('HTTP server closed');
   });
@@ -0,0 +1,449 @@
+const prisma = require('../config/database');
+const { logger } = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+const { ConversationAssignmentService } = require('./conversationAssignment.service');
+const { PresenceService } = require('./presence.service');
+
+const QUEUE_BATCH_SIZE = 100;
+
+/**
+ * Auto Assignment Service
+ *
+ * Assigns TODO conversations of a department to its HUMAN_SUPPORT agents using the
+ * department's strategy:
+ * - ROUND_ROBIN: next agent after the last one picked, in membership order
+ * - LEAST_OPEN:  agent with the fewest open (not CLOSED) conversations in the workspace
+ * - RANDOM:      any agent with capacity
+ *
+ * Inactive users and agents at their cap (DepartmentUser.maxOpenConversations, else the
+ * department's autoAssignMaxOpen) are skipped, as are agents who are not ONLINE when the
+ * department sets autoAssignOnlineOnly. Conversations that find no agent stay in TODO
+ * and are picked up by the auto-assignment job once capacity frees up.
+ */
+class AutoAssignmentService {
+  static STRATEGIES = ['ROUND_ROBIN', 'LEAST_OPEN', 'RANDOM'];
+
+  constructor() {
+    this.conversationAssignmentService = new ConversationAssignmentService();
+    this.presenceService = new PresenceService();
+  }
+
+  /**
+   * Auto-assign a conversation if its department uses auto-assignment
+   * Only unassigned TODO conversations are assigned; snoozed ones wait until they wake up.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} options - Transaction options { tx, afterCommit } (optional)
+   * @returns {Promise<Object|null>} Assigned conversation, or null if it was not assigned
+   */
+  async autoAssignConversation(conversationId, options = {}) {
+    return withTransaction(options, async (tx, afterCommit) => {
+      const conversation = await tx.conversation.findUnique({
+        where: { id: conversationId },
+        include: {
+          workspace: {
+            select: { accountId: true },
+          },
+        },
+      });
+
+      if (!conversation || conversation.status !== 'TODO' || conversation.assignedUserId || !conversation.departmentId) {
+        return null;
+      }
+
+      // Snoozed conversations keep TODO but are hidden from inbox views until they wake up
+      if (conversation.snoozedAt) {
+        return null;
+      }
+
+      // Serialize auto-assignment per department so caps and the round-robin position hold
+      await tx.$queryRaw`SELECT id FROM departments WHERE id = ${conversation.departmentId} FOR UPDATE`;
+
+      const department = await tx.department.findUnique({
+        where: { id: conversation.departmentId },
+      });
+
+      if (!department || !department.autoAssignStrategy) {
+        return null;
+      }
+
+      const agents = await this.getAgents(department, conversation.workspaceId, tx);
+      const agent = this._pickAgent(department, agents);
+
+      if (!agent) {
+        logger.info(`No agent with capacity for conversation ${conversationId} in department ${department.id}`);
+        return null;
+      }
+
+      const assignedConversation = await this.conversationAssignmentService.assignConversationToUser(
+        conversationId,
+        agent.id,
+        conversation.workspaceId,
+        conversation.workspace.accountId,
+        { tx, afterCommit }
+      );
+
+      if (department.autoAssignStrategy === 'ROUND_ROBIN') {
+        await tx.department.update({
+          where: { id: department.id },
+          data: { autoAssignLastUserId: agent.id },
+        });
+      }
+
+      logger.info(`Conversation ${conversationId} auto-assigned to user ${agent.id} (${department.autoAssignStrategy})`);
+
+      return assignedConversation;
+    });
+  }
+
+  /**
+   * Auto-assign a conversation, logging instead of throwing
+   * Used right after a conversation enters TODO, where a failure must not undo that change.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object|null>} Assigned conversation, or null
+   */
+  async tryAutoAssign(conversationId) {
+    try {
+      return await this.autoAssignConversation(conversationId);
+    } catch (error) {
+      logger.error(`Auto-assignment failed for conversation ${conversationId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Assign waiting TODO conversations of a department, oldest first
+   * Stops at the first conversation no agent has capacity for.
+   *
+   * @param {string} departmentId - Department ID
+   * @returns {Promise<number>} Number of conversations assigned
+   */
+  async assignQueuedConversations(departmentId) {
+    const conversations = await prisma.conversation.findMany({
+      where: {
+        departmentId,
+        status: 'TODO',
+        assignedUserId: null,
+        snoozedAt: null,
+      },
+      select: { id: true },
+      orderBy: { createdAt: 'asc' },
+      take: QUEUE_BATCH_SIZE,
+    });
+
+    let assigned = 0;
+    for (const conversation of conversations) {
+      const result = await this.autoAssignConversation(conversation.id);
+      if (!result) {
+        break;
+      }
+      assigned++;
+    }
+
+    return assigned;
+  }
+
+  /**
+   * Assign waiting conversations in every department with auto-assignment enabled
+   * Run periodically by the auto-assignment job.
+   *
+   * @returns {Promise<number>} Number of conversations assigned
+   */
+  async assignAllQueuedConversations() {
+    const departments = await prisma.department.findMany({
+      where: { autoAssignStrategy: { not: null } },
+      select: { id: true },
+    });
+
+    let assigned = 0;
+    for (const department of departments) {
+      try {
+        assigned += await this.assignQueuedConversations(department.id);
+      } catch (error) {
+        logger.error(`Auto-assignment failed for department ${department.id}:`, error);
+      }
+    }
+
+    if (assigned > 0) {
+      logger.info(`Auto-assignment: ${assigned} queued conversations assigned`);
+    }
+
+    return assigned;
+  }
+
+  /**
+   * Get the HUMAN_SUPPORT agents of a department with their load
+   * Memberships are read through the given client (not the department cache) so a
+   * membership removed or suspended under the department lock is never picked.
+   *
+   * @param {Object} department - Department (with autoAssignMaxOpen)
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} client - Prisma client or transaction client (optional)
+   * @returns {Promise<Array>} Agents with presence, openConversations, maxOpenConversations, hasCapacity and isAvailable
+   */
+  async getAgents(department, workspaceId, client = prisma) {
+    const departmentUsers = await client.departmentUser.findMany({
+      where: {
+        departmentId: department.id,
+        role: 'HUMAN_SUPPORT',
+        status: 'ACTIVE',
+        user: { isActive: true },
+      },
+      include: {
+        user: {
+          select: {
+            id: true,
+            email: true,
+            firstName: true,
+            lastName: true,
+            avatar: true,
+          },
+        },
+      },
+      orderBy: {
+        createdAt: 'asc',
+      },
+    });
+    const agents = departmentUsers.map(du => ({
+      ...du.user,
+      maxOpenConversations: du.maxOpenConversations,
+    }));
+
+    if (agents.length === 0) {
+      return [];
+    }
+
+    const counts = await client.conversation.groupBy({
+      by: ['assignedUserId'],
+      where: {
+        workspaceId,
+        assignedUserId: { in: agents.map(agent => agent.id) },
+        status: { not: 'CLOSED' },
+      },
+      _count: { _all: true },
+    });
+    const openByUserId = new Map(counts.map(count => [count.assignedUserId, count._count._all]));
+
+    const presenceByUserId = await this._getPresence(workspaceId, agents.map(agent => agent.id));
+
+    return agents.map(agent => {
+      const openConversations = openByUserId.get(agent.id) || 0;
+      const maxOpenConversations = agent.maxOpenConversations ?? department.autoAssignMaxOpen ?? null;
+      const presence = presenceByUserId.get(agent.id) || 'OFFLINE';
+
+      return {
+        id: agent.id,
+        email: agent.email,
+        firstName: agent.firstName,
+        lastName: agent.lastName,
+        avatar: agent.avatar,
+        presence,
+        openConversations,
+        maxOpenConversations,
+        hasCapacity: maxOpenConversations === null || openConversations < maxOpenConversations,
+        isAvailable: !department.autoAssignOnlineOnly || presence === 'ONLINE',
+      };
+    });
+  }
+
+  /**
+   * Get the auto-assignment settings of a department with current agent load
+   *
+   * @param {string} departmentId - Department ID
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Object>} { departmentId, strategy, maxOpenConversations, agents }
+   */
+  async getSettings(departmentId, workspaceId) {
+    const department = await this._getDepartment(departmentId, workspaceId);
+    const agents = await this.getAgents(department, workspaceId);
+
+    return {
+      departmentId: department.id,
+      strategy: department.autoAssignStrategy,
+      maxOpenConversations: department.autoAssignMaxOpen,
+      onlineOnly: department.autoAssignOnlineOnly,
+      agents,
+    };
+  }
+
+  /**
+   * Update the auto-assignment settings of a department
+   * Enabling auto-assignment starts assigning waiting TODO conversations in the background.
+   *
+   * @param {string} departmentId - Department ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} data - { strategy (null disables), maxOpenConversations (null = no cap), onlineOnly }
+   * @returns {Promise<Object>} Updated settings
+   */
+  async updateSettings(departmentId, workspaceId, data) {
+    const department = await this._getDepartment(departmentId, workspaceId);
+    const settings = {};
+
+    if (data.strategy !== undefined) {
+      if (data.strategy !== null && !AutoAssignmentService.STRATEGIES.includes(data.strategy)) {
+        throw new Error(`Invalid strategy: ${data.strategy}. Valid strategies are: ${AutoAssignmentService.STRATEGIES.join(', ')} (or null to disable)`);
+      }
+      settings.autoAssignStrategy = data.strategy;
+    }
+
+    if (data.maxOpenConversations !== undefined) {
+      settings.autoAssignMaxOpen = this._validateCap(data.maxOpenConversations);
+    }
+
+    if (data.onlineOnly !== undefined) {
+      if (typeof data.onlineOnly !== 'boolean') {
+        throw new Error('onlineOnly must be a boolean');
+      }
+      settings.autoAssignOnlineOnly = data.onlineOnly;
+    }
+
+    const updatedDepartment = await prisma.department.update({
+      where: { id: department.id },
+      data: settings,
+    });
+
+    if (updatedDepartment.autoAssignStrategy) {
+      this._assignQueuedInBackground(department.id);
+    }
+
+    return this.getSettings(department.id, workspaceId);
+  }
+
+  /**
+   * Set the cap of open conversations for one agent of a department
+   * When the department auto-assigns, waiting TODO conversations are assigned in the background.
+   *
+   * @param {string} departmentId - Department ID
+   * @param {string} userId - Agent user ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {number|null} maxOpenConversations - Cap, or null to use the department default
+   * @returns {Promise<Object>} Updated settings
+   */
+  async setAgentCapacity(departmentId, userId, workspaceId, maxOpenConversations) {
+    const department = await this._getDepartment(departmentId, workspaceId);
+
+    const departmentUser = await prisma.departmentUser.findUnique({
+      where: {
+        userId_departmentId: {
+          userId,
+          departmentId: department.id,
+        },
+      },
+    });
+
+    if (!departmentUser) {
+      throw new Error('User is not assigned to this department');
+    }
+
+    await prisma.departmentUser.update({
+      where: { id: departmentUser.id },
+      data: { maxOpenConversations: this._validateCap(maxOpenConversations) },
+    });
+
+    if (department.autoAssignStrategy) {
+      this._assignQueuedInBackground(department.id);
+    }
+
+    return this.getSettings(department.id, workspaceId);
+  }
+
+  /**
+   * Assign waiting conversations without holding up the request
+   * Failures are logged; the auto-assignment job picks up anything left in the queue.
+   * @private
+   */
+  _assignQueuedInBackground(departmentId) {
+    this.assignQueuedConversations(departmentId).catch(error => {
+      logger.error(`Auto-assignment failed for department ${departmentId}:`, error);
+    });
+  }
+
+  /**
+   * Pick an agent with capacity according to the department strategy
+   * @private
+   */
+  _pickAgent(department, agents) {
+    const canTakeWork = agent => agent.hasCapacity && agent.isAvailable;
+    const available = agents.filter(canTakeWork);
+
+    if (available.length === 0) {
+      return null;
+    }
+
+    switch (department.autoAssignStrategy) {
+      case 'ROUND_ROBIN': {
+        // Continue after the last picked agent, wrapping around the membership order
+        const lastIndex = agents.findIndex(agent => agent.id === department.autoAssignLastUserId);
+        for (let offset = 1; offset <= agents.length; offset++) {
+          const agent = agents[(lastIndex + offset) % agents.length];
+          if (canTakeWork(agent)) {
+            return agent;
+          }
+        }
+        return null;
+      }
+      case 'LEAST_OPEN':
+        return available.reduce((least, agent) => (agent.openConversations < least.openConversations ? agent : least));
+      case 'RANDOM':
+        return available[Math.floor(Math.random() * available.length)];
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Get presence of agents; without Redis everyone counts as OFFLINE
+   * @private
+   */
+  async _getPresence(workspaceId, userIds) {
+    try {
+      return await this.presenceService.getStatuses(workspaceId, userIds);
+    } catch (error) {
+      logger.warn('Presence unavailable for auto-assignment:', error.message);
+      return new Map();
+    }
+  }
+
+  /**
+   * Get a department of the workspace
+   * @private
+   */
+  async _getDepartment(departmentId, workspaceId) {
+    const department = await prisma.department.findFirst({
+      where: {
+        id: departmentId,
+        workspaceId,
+      },
+    });
+
+    if (!department) {
+      throw new Error('Department not found or does not belong to this workspace');
+    }
+
+    return department;
+  }
+
+  /**
+   * Validate a capacity cap (positive integer or null)
+   * @private
+   */
+  _validateCap(value) {
+    if (value === undefined) {
+      throw new Error('maxOpenConversations is required (a positive integer, or null for no cap)');
+    }
+
+    if (value === null) {
+      return null;
+    }
+
+    const cap = Number(value);
+    if (!Number.isInteger(cap) || cap <= 0) {
+      throw new Error('maxOpenConversations must be a positive integer or null');
+    }
+
+    return cap;
+  }
+}
+
+module.exports = { AutoAssignmentService };
@@ -0,0 +1,515 @@
+const prisma = require('../config/database');
+const { logger } = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+const { emitToUser } = require('../socket/socket');
+const { ConversationActionService } = require('./conversationAction.service');
+const { InboxService } = require('./inbox.service');
+
+const MAX_ITEMS = 5000;
+// Operations up to this size are processed during the request
+const SYNC_LIMIT = parseInt(process.env.BULK_SYNC_LIMIT || '25', 10);
+// Conversations processed per run of the bulk-operations job
+const BATCH_SIZE = parseInt(process.env.BULK_OPERATION_BATCH_SIZE || '100', 10);
+const STALE_SYNC_MS = 5 * 60 * 1000;
+
+/**
+ * Bulk Operation Service
+ *
+ * Applies one change to many conversations, chosen by ID or by the conversation list filters
+ * (see InboxService.buildConversationFilter):
+ * - CLOSE                        status CLOSED
+ * - REASSIGN { userId }          assign to a user
+ * - SET_PRIORITY { priority }
+ * - TAG { tagIds }               add tags
+ * - MOVE_DEPARTMENT { departmentId }
+ *
+ * Each conversation is handled in its own transaction through ConversationActionService, with the
+ * requester's current permissions (re-read for every conversation) and the state transition checks.
+ * A failure is recorded on the item and the operation moves on.
+ *
+ * Small operations complete during the request. Larger ones are left PENDING for the
+ * bulk-operations job, which processes them in batches and sends `bulk-operation-progress`
+ * to the requester after each batch.
+ */
+class BulkOperationService {
+  static TYPES = ['CLOSE', 'REASSIGN', 'SET_PRIORITY', 'TAG', 'MOVE_DEPARTMENT'];
+
+  static STATUSES = ['PENDING', 'RUNNING', 'COMPLETED'];
+
+  static ITEM_STATUSES = ['PENDING', 'SUCCEEDED', 'FAILED'];
+
+  constructor() {
+    this.conversationActionService = new ConversationActionService();
+    this.inboxService = new InboxService();
+  }
+
+  /**
+   * Create a bulk operation
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} data - { type, conversationIds or filter, userId, priority, tagIds, departmentId }
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} Operation; COMPLETED with its items when processed during the request
+   * @throws {Error} If the type, parameters or conversation selection are invalid
+   */
+  async createOperation(workspaceId, accountId, data, callerInfo) {
+    if (!BulkOperationService.TYPES.includes(data.type)) {
+      throw new Error(`Invalid bulk operation type. Valid types are: ${BulkOperationService.TYPES.join(', ')}`);
+    }
+
+    const params = this._getParams(data.type, data);
+    const action = this.conversationActionService.validateAction(
+      this._toAction(data.type, params),
+      'Invalid bulk operation'
+    );
+    await this.conversationActionService.verifyActionTargets(workspaceId, [action]);
+
+    const conversationIds = await this._resolveConversationIds(workspaceId, data, callerInfo);
+
+    const operation = await withTransaction({}, async (tx) => {
+      const created = await tx.bulkOperation.create({
+        data: {
+          workspaceId,
+          type: data.type,
+          params,
+          total: conversationIds.length,
+          callerInfo: {
+            userId: callerInfo.userId,
+            isAppOwner: !!callerInfo.isAppOwner,
+          },
+          requestedByUserId: callerInfo.isAppOwner ? null : callerInfo.userId,
+        },
+      });
+
+      await tx.bulkOperationItem.createMany({
+        data: conversationIds.map(conversationId => ({
+          bulkOperationId: created.id,
+          conversationId,
+        })),
+      });
+
+      return created;
+    });
+
+    logger.info(`Bulk operation ${operation.id} (${operation.type}) created for ${operation.total} conversations in workspace ${workspaceId}`);
+
+    if (operation.total <= SYNC_LIMIT) {
+      await this._processBatch(operation, accountId, operation.total);
+      return this.getOperationById(operation.id, workspaceId, {}, callerInfo);
+    }
+
+    return this._toResponse(operation);
+  }
+
+  /**
+   * List bulk operations, newest first
+   * WORKSPACE_ADMIN and APP_OWNER see every operation of the workspace, others their own.
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} query - { status, page, limit }
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} { data, pagination }
+   */
+  async getOperations(workspaceId, query, callerInfo) {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+
+    if (query.status && !BulkOperationService.STATUSES.includes(query.status)) {
+      throw new Error(`Invalid status. Valid statuses are: ${BulkOperationService.STATUSES.join(', ')}`);
+    }
+
+    const where = {
+      workspaceId,
+      ...this._requesterFilter(callerInfo),
+      ...(query.status && { status: query.status }),
+    };
+
+    const [operations, total] = await Promise.all([
+      prisma.bulkOperation.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.bulkOperation.count({ where }),
+    ]);
+
+    return {
+      data: operations.map(operation => this._toResponse(operation)),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Get a bulk operation with a page of its per-conversation results
+   *
+   * @param {string} operationId - Bulk operation ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} query - Item filters { status: PENDING | SUCCEEDED | FAILED, page, limit (default 100) }
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} Operation with items { data, pagination }
+   * @throws {Error} If the operation is not found or belongs to another user
+   */
+  async getOperationById(operationId, workspaceId, query, callerInfo) {
+    const operation = await prisma.bulkOperation.findFirst({
+      where: {
+        id: operationId,
+        workspaceId,
+        ...this._requesterFilter(callerInfo),
+      },
+    });
+
+    if (!operation) {
+      throw new Error('Bulk operation not found');
+    }
+
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 100, 1), 500);
+
+    if (query.status && !BulkOperationService.ITEM_STATUSES.includes(query.status)) {
+      throw new Error(`Invalid item status. Valid statuses are: ${BulkOperationService.ITEM_STATUSES.join(', ')}`);
+    }
+
+    const where = {
+      bulkOperationId: operation.id,
+      ...(query.status && { status: query.status }),
+    };
+
+    const [items, total] = await Promise.all([
+      prisma.bulkOperationItem.findMany({
+        where,
+        select: {
+          conversationId: true,
+          status: true,
+          error: true,
+          processedAt: true,
+        },
+        orderBy: { id: 'asc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.bulkOperationItem.count({ where }),
+    ]);
+
+    return {
+      ...this._toResponse(operation),
+      items: {
+        data: items,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    };
+  }
+
+  /**
+   * Process the next batch of the oldest unfinished operation
+   * Called by the bulk-operations job.
+   *
+   * @returns {Promise<Object|null>} Operation after the batch, or null if nothing is waiting
+   */
+  async processPendingOperations() {
+    const operation = await prisma.bulkOperation.findFirst({
+      where: {
+        status: { in: ['PENDING', 'RUNNING'] },
+        // Small operations are processed by their request; only pick them up if it was interrupted
+        OR: [
+          { total: { gt: SYNC_LIMIT } },
+          { updatedAt: { lt: new Date(Date.now() - STALE_SYNC_MS) } },
+        ],
+      },
+      include: {
+        workspace: {
+          select: { accountId: true },
+        },
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+
+    if (!operation) {
+      return null;
+    }
+
+    return this._processBatch(operation, operation.workspace.accountId, BATCH_SIZE);
+  }
+
+  /**
+   * Process up to `limit` pending items of an operation and record the outcome
+   * @private
+   */
+  async _processBatch(operation, accountId, limit) {
+    if (operation.status === 'PENDING') {
+      await prisma.bulkOperation.update({
+        where: { id: operation.id },
+        data: { status: 'RUNNING', startedAt: new Date() },
+      });
+    }
+
+    const items = await prisma.bulkOperationItem.findMany({
+      where: {
+        bulkOperationId: operation.id,
+        status: 'PENDING',
+      },
+      orderBy: { id: 'asc' },
+      take: limit,
+    });
+
+    const action = this._toAction(operation.type, operation.params);
+    let succeeded = 0;
+    let failed = 0;
+
+    for (const item of items) {
+      let error = null;
+
+      try {
+        await this._processItem(item.conversationId, operation, accountId, action);
+      } catch (itemError) {
+        error = itemError.message;
+      }
+
+      // Guarded on PENDING so an item is only counted once
+      const { count } = await prisma.bulkOperationItem.updateMany({
+        where: { id: item.id, status: 'PENDING' },
+        data: {
+          status: error ? 'FAILED' : 'SUCCEEDED',
+          error,
+          processedAt: new Date(),
+        },
+      });
+
+      if (count === 1) {
+        if (error) {
+          failed += 1;
+        } else {
+          succeeded += 1;
+        }
+      }
+    }
+
+    const remaining = await prisma.bulkOperationItem.count({
+      where: {
+        bulkOperationId: operation.id,
+        status: 'PENDING',
+      },
+    });
+
+    const updatedOperation = await prisma.bulkOperation.update({
+      where: { id: operation.id },
+      data: {
+        succeeded: { increment: succeeded },
+        failed: { increment: failed },
+        ...(remaining === 0 && { status: 'COMPLETED', completedAt: new Date() }),
+      },
+    });
+
+    if (remaining === 0) {
+      logger.info(`Bulk operation ${operation.id} completed: ${updatedOperation.succeeded} succeeded, ${updatedOperation.failed} failed`);
+    }
+
+    this._emitProgress(updatedOperation);
+
+    return this._toResponse(updatedOperation);
+  }
+
+  /**
+   * Apply the operation's action to one conversation in its own transaction
+   * @private
+   */
+  async _processItem(conversationId, operation, accountId, action) {
+    const callerInfo = await this._resolveRequester(operation, accountId);
+
+    await this.conversationActionService.verifyCanViewConversation(
+      callerInfo,
+      conversationId,
+      operation.workspaceId,
+      accountId
+    );
+
+    await withTransaction({}, (tx, afterCommit) => this.conversationActionService.runAction(
+      action,
+      conversationId,
+      operation.workspaceId,
+      accountId,
+      callerInfo,
+      { tx, afterCommit, actorUserId: callerInfo.isAppOwner ? null : callerInfo.userId }
+    ));
+  }
+
+  /**
+   * Resolve the requester's current access to the operation's workspace
+   * The stored callerInfo only says who asked; the role is read again for every item, so a
+   * requester who was demoted or removed since the operation was created loses their rights.
+   * @private
+   */
+  async _resolveRequester(operation, accountId) {
+    const { userId, isAppOwner } = operation.callerInfo;
+
+    if (isAppOwner) {
+      const account = await prisma.account.findFirst({
+        where: { id: accountId, appOwnerId: userId },
+        select: { id: true },
+      });
+
+      if (!account) {
+        throw new Error('Insufficient permissions. The requester no longer owns this workspace');
+      }
+
+      return { userId, isAppOwner: true, workspaceRole: 'ADMIN' };
+    }
+
+    const workspaceUser = await prisma.workspaceUser.findUnique({
+      where: { userId_workspaceId: { userId, workspaceId: operation.workspaceId } },
+      include: {
+        user: {
+          select: { isActive: true },
+        },
+      },
+    });
+
+    if (!workspaceUser || workspaceUser.status !== 'ACTIVE' || !workspaceUser.user?.isActive) {
+      throw new Error('Insufficient permissions. The requester is no longer an active member of this workspace');
+    }
+
+    return { userId, isAppOwner: false, workspaceRole: workspaceUser.role };
+  }
+
+  /**
+   * Resolve the conversations of an operation from conversationIds or a filter
+   * Filters only select conversations the caller can view; merged conversations are left out.
+   * @private
+   */
+  async _resolveConversationIds(workspaceId, data, callerInfo) {
+    let conversationIds;
+
+    if (data.conversationIds !== undefined) {
+      if (!Array.isArray(data.conversationIds) || data.conversationIds.some(id => typeof id !== 'string' || !id)) {
+        throw new Error('conversationIds must be an array of conversation IDs');
+      }
+      conversationIds = Array.from(new Set(data.conversationIds));
+    } else if (data.filter && typeof data.filter === 'object' && !Array.isArray(data.filter)) {
+      const where = await this.inboxService.buildConversationFilter(workspaceId, data.filter, callerInfo);
+      where.AND.push({ mergedIntoId: null });
+
+      const total = await prisma.conversation.count({ where });
+      if (total > MAX_ITEMS) {
+        throw new Error(`The filter matches ${total} conversations; a bulk operation can change at most ${MAX_ITEMS}`);
+      }
+
+      const conversations = await prisma.conversation.findMany({
+        where,
+        select: { id: true },
+        orderBy: { lastMessageAt: { sort: 'desc', nulls: 'last' } },
+      });
+      conversationIds = conversations.map(conversation => conversation.id);
+    } else {
+      throw new Error('Either conversationIds or filter is required');
+    }
+
+    if (conversationIds.length === 0) {
+      throw new Error('No conversations to update');
+    }
+
+    if (conversationIds.length > MAX_ITEMS) {
+      throw new Error(`A bulk operation can change at most ${MAX_ITEMS} conversations`);
+    }
+
+    return conversationIds;
+  }
+
+  /**
+   * Pick the parameters an operation type uses from the request body
+   * @private
+   */
+  _getParams(type, data) {
+    switch (type) {
+      case 'REASSIGN':
+        if (typeof data.userId !== 'string' || !data.userId) {
+          throw new Error('userId is required for REASSIGN');
+        }
+        return { userId: data.userId };
+      case 'SET_PRIORITY':
+        return { priority: data.priority };
+      case 'TAG':
+        return { tagIds: data.tagIds };
+      case 'MOVE_DEPARTMENT':
+        return { departmentId: data.departmentId };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Map an operation type and its parameters to a conversation action
+   * @private
+   */
+  _toAction(type, params) {
+    switch (type) {
+      case 'CLOSE':
+        return { type: 'SET_STATUS', status: 'CLOSED' };
+      case 'REASSIGN':
+        return { type: 'ASSIGN_USER', userId: params.userId };
+      case 'SET_PRIORITY':
+        return { type: 'SET_PRIORITY', priority: params.priority };
+      case 'TAG':
+        return { type: 'ADD_TAGS', tagIds: params.tagIds };
+      case 'MOVE_DEPARTMENT':
+        return { type: 'ASSIGN_DEPARTMENT', departmentId: params.departmentId };
+      default:
+        throw new Error(`Invalid bulk operation type: ${type}`);
+    }
+  }
+
+  /**
+   * Where fragment limiting non-admins to their own operations
+   * @private
+   */
+  _requesterFilter(callerInfo) {
+    if (callerInfo.isAppOwner || callerInfo.workspaceRole === 'ADMIN') {
+      return {};
+    }
+    return { requestedByUserId: callerInfo.userId };
+  }
+
+  /**
+   * Announce progress to the requester
+   * @private
+   */
+  _emitProgress(operation) {
+    const io = global.io;
+    if (!io) {
+      return;
+    }
+
+    emitToUser(io, operation.callerInfo.userId, 'bulk-operation-progress', {
+      operationId: operation.id,
+      type: operation.type,
+      status: operation.status,
+      total: operation.total,
+      processed: operation.succeeded + operation.failed,
+      succeeded: operation.succeeded,
+      failed: operation.failed,
+    });
+  }
+
+  /**
+   * Operation as returned by the API (the stored caller info stays internal)
+   * @private
+   */
+  _toResponse(operation) {
+    const response = { ...operation };
+    delete response.callerInfo;
+    delete response.workspace;
+    return response;
+  }
+}
+
+module.exports = { BulkOperationService };
@@ -0,0 +1,520 @@
+const prisma = require('../config/database');
+const { ConversationAccessService } = require('./conversationAccess.service');
+const { DepartmentAuthorityService } = require('./departmentAuthority.service');
+const { extractPlaceholders, renderTemplate } = require('../utils/template');
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_FOLDER_LENGTH = 50;
+const MAX_BODY_LENGTH = 10000;
+const SHORTCUT_REGEX = /^[a-z0-9][a-z0-9_-]{0,29}$/;
+
+/**
+ * Canned Response Service
+ *
+ * Manages the library of reusable replies. Each response has a scope:
+ * - WORKSPACE: shared with every workspace user, managed by WORKSPACE_ADMIN
+ * - DEPARTMENT: shared with the department's members, managed by its DEPARTMENT_MANAGER
+ * - USER: personal to its owner
+ *
+ * Bodies may contain template placeholders (see utils/template.js) that are filled in from
+ * the contact, the agent, the conversation and the workspace when the response is rendered
+ * against a conversation.
+ */
+class CannedResponseService {
+  static SCOPES = ['WORKSPACE', 'DEPARTMENT', 'USER'];
+
+  constructor() {
+    this.conversationAccessService = new ConversationAccessService();
+    this.departmentAuthorityService = new DepartmentAuthorityService();
+  }
+
+  /**
+   * Create a canned response
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} data - { title, body, bodyHtml, shortcut, folder, scope, departmentId }
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} Created canned response
+   * @throws {Error} If data is invalid or the caller cannot manage responses of the scope
+   */
+  async createResponse(workspaceId, accountId, data, callerInfo) {
+    const responseData = this._validateResponseData(data, true);
+    const scopeData = this._validateScope(data.scope || 'WORKSPACE', data.departmentId, callerInfo);
+
+    await this._verifyCanManageScope(callerInfo, scopeData, workspaceId, accountId);
+
+    return prisma.cannedResponse.create({
+      data: {
+        ...responseData,
+        ...scopeData,
+        workspaceId,
+        createdByUserId: callerInfo.isAppOwner ? null : callerInfo.userId,
+      },
+      include: this._getResponseInclude(),
+    });
+  }
+
+  /**
+   * List the canned responses visible to the caller
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} query - Query parameters
+   * @param {string} query.q - Search in title, shortcut and body (optional)
+   * @param {string} query.folder - Folder filter (optional)
+   * @param {string} query.scope - WORKSPACE, DEPARTMENT or USER (optional)
+   * @param {string} query.departmentId - Department filter (optional)
+   * @param {number} query.page - Page number (default 1)
+   * @param {number} query.limit - Page size (default 50, max 100)
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} { data, pagination }
+   */
+  async getResponses(workspaceId, query, callerInfo) {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 100);
+
+    const where = {
+      AND: [
+        await this._buildVisibilityFilter(workspaceId, callerInfo),
+        this._buildQueryFilter(query),
+      ],
+    };
+
+    const [responses, total] = await Promise.all([
+      prisma.cannedResponse.findMany({
+        where,
+        include: this._getResponseInclude(),
+        orderBy: [{ folder: { sort: 'asc', nulls: 'first' } }, { title: 'asc' }],
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.cannedResponse.count({ where }),
+    ]);
+
+    return {
+      data: responses,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * List the folders of the canned responses visible to the caller
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Array>} [{ folder, count }], responses without a folder are not listed
+   */
+  async getFolders(workspaceId, callerInfo) {
+    const groups = await prisma.cannedResponse.groupBy({
+      by: ['folder'],
+      where: {
+        AND: [
+          await this._buildVisibilityFilter(workspaceId, callerInfo),
+          { folder: { not: null } },
+        ],
+      },
+      _count: { _all: true },
+      orderBy: { folder: 'asc' },
+    });
+
+    return groups.map(group => ({ folder: group.folder, count: group._count._all }));
+  }
+
+  /**
+   * Get a canned response visible to the caller
+   *
+   * @param {string} responseId - Canned response ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} Canned response with the placeholders its body uses
+   * @throws {Error} If the response is not found or not visible to the caller
+   */
+  async getResponseById(responseId, workspaceId, callerInfo) {
+    const response = await this._getVisibleResponse(responseId, workspaceId, callerInfo);
+
+    return {
+      ...response,
+      placeholders: extractPlaceholders(`${response.body}\n${response.bodyHtml || ''}`),
+    };
+  }
+
+  /**
+   * Update a canned response
+   * Moving a response to another scope requires managing both the old and the new scope.
+   *
+   * @param {string} responseId - Canned response ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} data - { title, body, bodyHtml, shortcut, folder, scope, departmentId }
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} Updated canned response
+   * @throws {Error} If the response is not found, data is invalid or the caller cannot manage it
+   */
+  async updateResponse(responseId, workspaceId, accountId, data, callerInfo) {
+    const response = await this._getVisibleResponse(responseId, workspaceId, callerInfo);
+    await this._verifyCanManageScope(callerInfo, response, workspaceId, accountId);
+
+    const updateData = this._validateResponseData(data, false);
+
+    if (data.scope !== undefined || data.departmentId !== undefined) {
+      const scopeData = this._validateScope(
+        data.scope || response.scope,
+        data.departmentId !== undefined ? data.departmentId : response.departmentId,
+        callerInfo,
+        response
+      );
+      await this._verifyCanManageScope(callerInfo, scopeData, workspaceId, accountId);
+      Object.assign(updateData, scopeData);
+    }
+
+    return prisma.cannedResponse.update({
+      where: { id: responseId },
+      data: updateData,
+      include: this._getResponseInclude(),
+    });
+  }
+
+  /**
+   * Delete a canned response
+   *
+   * @param {string} responseId - Canned response ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @throws {Error} If the response is not found or the caller cannot manage it
+   */
+  async deleteResponse(responseId, workspaceId, accountId, callerInfo) {
+    const response = await this._getVisibleResponse(responseId, workspaceId, callerInfo);
+    await this._verifyCanManageScope(callerInfo, response, workspaceId, accountId);
+
+    await prisma.cannedResponse.delete({
+      where: { id: responseId },
+    });
+  }
+
+  /**
+   * Render a canned response against a conversation before it is inserted into a reply
+   * The caller is the agent ({{agent.*}}); the conversation must be visible to the caller.
+   *
+   * @param {string} responseId - Canned response ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} { id, title, body, bodyHtml, missing } where missing lists placeholders without a value
+   * @throws {Error} If the response or conversation is not found or not visible to the caller
+   */
+  async renderResponse(responseId, workspaceId, accountId, conversationId, callerInfo) {
+    const response = await this._getVisibleResponse(responseId, workspaceId, callerInfo);
+    const context = await this._buildTemplateContext(conversationId, workspaceId, accountId, callerInfo);
+
+    const body = renderTemplate(response.body, context);
+    const bodyHtml = response.bodyHtml ? renderTemplate(response.bodyHtml, context, { escapeHtml: true }) : null;
+
+    return {
+      id: response.id,
+      title: response.title,
+      body: body.text,
+      bodyHtml: bodyHtml ? bodyHtml.text : null,
+      missing: [...new Set([...body.missing, ...(bodyHtml ? bodyHtml.missing : [])])],
+    };
+  }
+
+  /**
+   * Build the placeholder values for a conversation and agent
+   * @private
+   */
+  async _buildTemplateContext(conversationId, workspaceId, accountId, callerInfo) {
+    const conversation = await prisma.conversation.findFirst({
+      where: {
+        id: conversationId,
+        workspaceId,
+      },
+      include: {
+        contact: true,
+        workspace: {
+          select: { name: true },
+        },
+      },
+    });
+
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    if (!callerInfo.isAppOwner && callerInfo.workspaceRole !== 'ADMIN') {
+      const canView = await this.conversationAccessService.canUserViewConversation(
+        callerInfo.userId,
+        conversationId,
+        workspaceId,
+        accountId
+      );
+
+      if (!canView) {
+        throw new Error('Insufficient permissions. You cannot access this conversation');
+      }
+    }
+
+    const agent = await prisma.user.findUnique({
+      where: { id: callerInfo.userId },
+      select: { firstName: true, lastName: true, email: true },
+    });
+
+    const contact = conversation.contact;
+    const contactName = contact?.name || null;
+
+    return {
+      contact: {
+        name: contactName,
+        firstName: contactName ? contactName.trim().split(/\s+/)[0] : null,
+        email: contact?.email || null,
+        phone: contact?.phone || null,
+        attributes: contact?.customAttributes || {},
+      },
+      agent: {
+        firstName: agent?.firstName || null,
+        lastName: agent?.lastName || null,
+        name: [agent?.firstName, agent?.lastName].filter(Boolean).join(' ') || null,
+        email: agent?.email || null,
+      },
+      conversation: {
+        id: conversation.id,
+        subject: conversation.subject,
+        status: conversation.status,
+        priority: conversation.priority,
+        attributes: conversation.customAttributes || {},
+      },
+      workspace: {
+        name: conversation.workspace.name,
+      },
+    };
+  }
+
+  /**
+   * Find a response and verify the caller can see it
+   * @private
+   */
+  async _getVisibleResponse(responseId, workspaceId, callerInfo) {
+    const response = await prisma.cannedResponse.findFirst({
+      where: {
+        AND: [
+          { id: responseId },
+          await this._buildVisibilityFilter(workspaceId, callerInfo),
+        ],
+      },
+      include: this._getResponseInclude(),
+    });
+
+    if (!response) {
+      throw new Error('Canned response not found');
+    }
+
+    return response;
+  }
+
+  /**
+   * Where clause for the responses a caller can see
+   * WORKSPACE_ADMIN and APP_OWNER see the responses of every department.
+   * @private
+   */
+  async _buildVisibilityFilter(workspaceId, callerInfo) {
+    const scopes = [
+      { scope: 'WORKSPACE' },
+      { scope: 'USER', ownerUserId: callerInfo.userId },
+    ];
+
+    if (callerInfo.isAppOwner || callerInfo.workspaceRole === 'ADMIN') {
+      scopes.push({ scope: 'DEPARTMENT' });
+    } else {
+      const departmentUsers = await prisma.departmentUser.findMany({
+        where: {
+          userId: callerInfo.userId,
+          status: 'ACTIVE',
+          department: { workspaceId },
+        },
+        select: { departmentId: true },
+      });
+
+      if (departmentUsers.length > 0) {
+        scopes.push({
+          scope: 'DEPARTMENT',
+          departmentId: { in: departmentUsers.map(du => du.departmentId) },
+        });
+      }
+    }
+
+    return { workspaceId, OR: scopes };
+  }
+
+  /**
+   * Where clause for the search and filter query parameters
+   * @private
+   */
+  _buildQueryFilter(query) {
+    const filter = {};
+
+    if (query.scope) {
+      if (!CannedResponseService.SCOPES.includes(query.scope)) {
+        throw new Error(`Scope must be one of: ${CannedResponseService.SCOPES.join(', ')}`);
+      }
+      filter.scope = query.scope;
+    }
+
+    if (query.departmentId) {
+      filter.departmentId = query.departmentId;
+    }
+
+    if (query.folder) {
+      filter.folder = String(query.folder).trim();
+    }
+
+    if (query.q && String(query.q).trim()) {
+      const q = String(query.q).trim();
+      filter.OR = [
+        { title: { contains: q, mode: 'insensitive' } },
+        { shortcut: { contains: q, mode: 'insensitive' } },
+        { body: { contains: q, mode: 'insensitive' } },
+      ];
+    }
+
+    return filter;
+  }
+
+  /**
+   * Verify the caller can create, edit or delete responses of a scope
+   * @private
+   */
+  async _verifyCanManageScope(callerInfo, { scope, departmentId, ownerUserId }, workspaceId, accountId) {
+    if (scope === 'USER') {
+      if (ownerUserId !== callerInfo.userId) {
+        throw new Error('Insufficient permissions. Personal canned responses can only be managed by their owner');
+      }
+      return;
+    }
+
+    if (callerInfo.isAppOwner || callerInfo.workspaceRole === 'ADMIN') {
+      if (scope === 'DEPARTMENT') {
+        // Verify Department → Workspace → Account chain
+        await this.departmentAuthorityService._verifyDepartmentChain(departmentId, workspaceId, accountId);
+      }
+      return;
+    }
+
+    if (scope === 'DEPARTMENT') {
+      const isManager = await this.departmentAuthorityService.isDepartmentManager(
+        callerInfo.userId,
+        departmentId,
+        workspaceId,
+        accountId
+      );
+
+      if (isManager) {
+        return;
+      }
+
+      throw new Error('Insufficient permissions. Only WORKSPACE_ADMIN or the DEPARTMENT_MANAGER can manage department canned responses');
+    }
+
+    throw new Error('Insufficient permissions. Only WORKSPACE_ADMIN can manage workspace canned responses');
+  }
+
+  /**
+   * Validate scope input and resolve the department and owner columns
+   * A personal response keeps its owner when it is edited; a new one belongs to the caller.
+   * @private
+   */
+  _validateScope(scope, departmentId, callerInfo, existing = null) {
+    if (!CannedResponseService.SCOPES.includes(scope)) {
+      throw new Error(`Scope must be one of: ${CannedResponseService.SCOPES.join(', ')}`);
+    }
+
+    if (scope === 'DEPARTMENT') {
+      if (!departmentId || typeof departmentId !== 'string') {
+        throw new Error('Department ID is required for department canned responses');
+      }
+      return { scope, departmentId, ownerUserId: null };
+    }
+
+    if (scope === 'USER') {
+      // App owners are not workspace users and cannot own personal responses
+      if (callerInfo.isAppOwner) {
+        throw new Error('Insufficient permissions. Personal canned responses belong to workspace users');
+      }
+      const ownerUserId = existing && existing.scope === 'USER' ? existing.ownerUserId : callerInfo.userId;
+      return { scope, departmentId: null, ownerUserId };
+    }
+
+    return { scope, departmentId: null, ownerUserId: null };
+  }
+
+  /**
+   * Validate and normalize canned response input
+   * @private
+   */
+  _validateResponseData(data, isCreate) {
+    const responseData = {};
+
+    if (isCreate || data.title !== undefined) {
+      const title = typeof data.title === 'string' ? data.title.trim() : '';
+      if (!title || title.length > MAX_TITLE_LENGTH) {
+        throw new Error(`Canned response title is required and must be at most ${MAX_TITLE_LENGTH} characters`);
+      }
+      responseData.title = title;
+    }
+
+    if (isCreate || data.body !== undefined) {
+      const body = typeof data.body === 'string' ? data.body : '';
+      if (!body.trim() || body.length > MAX_BODY_LENGTH) {
+        throw new Error(`Canned response body is required and must be at most ${MAX_BODY_LENGTH} characters`);
+      }
+      responseData.body = body;
+    }
+
+    if (data.bodyHtml !== undefined) {
+      if (data.bodyHtml !== null && (typeof data.bodyHtml !== 'string' || data.bodyHtml.length > MAX_BODY_LENGTH)) {
+        throw new Error(`Canned response HTML body must be a string of at most ${MAX_BODY_LENGTH} characters`);
+      }
+      responseData.bodyHtml = data.bodyHtml || null;
+    }
+
+    if (data.shortcut !== undefined) {
+      const shortcut = typeof data.shortcut === 'string' ? data.shortcut.trim().toLowerCase() : '';
+      if (shortcut && !SHORTCUT_REGEX.test(shortcut)) {
+        throw new Error('Canned response shortcut must be 1-30 lowercase letters, digits, hyphens or underscores');
+      }
+      responseData.shortcut = shortcut || null;
+    }
+
+    if (data.folder !== undefined) {
+      const folder = typeof data.folder === 'string' ? data.folder.trim() : '';
+      if (folder.length > MAX_FOLDER_LENGTH) {
+        throw new Error(`Canned response folder must be at most ${MAX_FOLDER_LENGTH} characters`);
+      }
+      responseData.folder = folder || null;
+    }
+
+    return responseData;
+  }
+
+  /**
+   * Relations returned with canned responses
+   * @private
+   */
+  _getResponseInclude() {
+    return {
+      department: {
+        select: { id: true, name: true },
+      },
+      createdBy: {
+        select: { id: true, firstName: true, lastName: true, email: true },
+      },
+    };
+  }
+}
+
+module.exports = { CannedResponseService };
@@ -0,0 +1,410 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const { withTransaction } = require('../utils/transaction');
+const { buildCursorQuery, buildCursorPage } = require('../utils/cursor');
+const { ConversationAccessService } = require('./conversationAccess.service');
+const { ConversationTagService } = require('./conversationTag.service');
+const { ContactIdentityService } = require('./contactIdentity.service');
+const { CustomAttributeService } = require('./customAttribute.service');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_NAME_LENGTH = 200;
+
+/**
+ * Contact Service
+ *
+ * Manages the contacts of a workspace. A contact is unique per workspace and email address
+ * (compared case-insensitively), so two workspaces writing to the same person keep separate
+ * names, phones and metadata.
+ *
+ * Besides its primary email a contact can have more email, phone and external ID identities
+ * (see ContactIdentityService); email lookups match any of them. Inbound messages find or
+ * create their contact through findOrCreateByEmail.
+ */
+class ContactService {
+  constructor() {
+    this.conversationAccessService = new ConversationAccessService();
+    this.contactIdentityService = new ContactIdentityService();
+    this.customAttributeService = new CustomAttributeService();
+  }
+
+  /**
+   * Create a contact
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} data - { email, name, phone, avatar, metadata, customAttributes }
+   * @returns {Promise<Object>} Created contact
+   * @throws {Error} If the workspace is not found, data is invalid or the email is already used
+   */
+  async createContact(workspaceId, accountId, data) {
+    const workspace = await prisma.workspace.findFirst({
+      where: {
+        id: workspaceId,
+        accountId,
+      },
+    });
+
+    if (!workspace) {
+      throw new Error('Workspace not found or does not belong to this account');
+    }
+
+    const contactData = this._validateContactData(data, true);
+    await this._verifyEmailAvailable(workspaceId, contactData.email);
+
+    if (data.customAttributes !== undefined) {
+      const { values } = await this.customAttributeService.applyValues(workspaceId, 'CONTACT', data.customAttributes);
+      contactData.customAttributes = values;
+    }
+
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const contact = await tx.contact.create({
+          data: {
+            ...contactData,
+            workspaceId,
+          },
+        });
+
+        await this.contactIdentityService.syncPrimaryIdentities(contact, tx);
+
+        return contact;
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new Error(`A contact with email ${contactData.email} already exists in this workspace`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List workspace contacts, newest first
+   * `q` searches name, email, phone and identities. Paged with keyset cursors (after / before).
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} query - { q, limit, after, before }
+   * @returns {Promise<Object>} { data, pagination }
+   */
+  async getContacts(workspaceId, query = {}) {
+    const cursorOptions = {
+      field: 'createdAt',
+      order: 'desc',
+      limit: Math.min(parseInt(query.limit, 10) || 20, 100),
+      after: query.after,
+      before: query.before,
+    };
+    const cursorQuery = buildCursorQuery(cursorOptions);
+
+    const where = {
+      workspaceId,
+      AND: [cursorQuery.where],
+    };
+
+    const search = typeof query.q === 'string' ? query.q.trim() : '';
+    if (search) {
+      where.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { email: { contains: search, mode: 'insensitive' } },
+        { phone: { contains: search } },
+        { identities: { some: { value: { contains: search.toLowerCase() } } } },
+      ];
+    }
+
+    const contacts = await prisma.contact.findMany({
+      where,
+      orderBy: cursorQuery.orderBy,
+      take: cursorQuery.take,
+    });
+
+    return buildCursorPage(contacts, cursorOptions);
+  }
+
+  /**
+   * Get a contact of the workspace
+   *
+   * @param {string} contactId - Contact ID
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Object>} Contact with identities and its custom attributes with their definitions (attributes)
+   * @throws {Error} If the contact is not found
+   */
+  async getContactById(contactId, workspaceId) {
+    const contact = await prisma.contact.findFirst({
+      where: {
+        id: contactId,
+        workspaceId,
+      },
+      include: {
+        identities: {
+          orderBy: { createdAt: 'asc' },
+        },
+      },
+    });
+
+    if (!contact) {
+      throw new Error('Contact not found');
+    }
+
+    return {
+      ...contact,
+      attributes: await this.customAttributeService.describeValues(workspaceId, 'CONTACT', contact.customAttributes),
+    };
+  }
+
+  /**
+   * Update a contact
+   * Metadata is replaced as a whole; only the given custom attributes change (null removes one).
+   * A new email or phone is added to the contact's identities; the previous ones stay until removed.
+   *
+   * @param {string} contactId - Contact ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} data - { email, name, phone, avatar, metadata, customAttributes }
+   * @returns {Promise<Object>} Updated contact
+   * @throws {Error} If the contact is not found, data is invalid or the email is already used
+   */
+  async updateContact(contactId, workspaceId, data) {
+    const contact = await this.getContactById(contactId, workspaceId);
+    const contactData = this._validateContactData(data, false);
+
+    if (contactData.email) {
+      await this._verifyEmailAvailable(workspaceId, contactData.email, contact.id);
+    }
+
+    if (data.customAttributes !== undefined) {
+      const { values } = await this.customAttributeService.applyValues(
+        workspaceId,
+        'CONTACT',
+        data.customAttributes,
+        contact.customAttributes
+      );
+      contactData.customAttributes = values;
+    }
+
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const updatedContact = await tx.contact.update({
+          where: { id: contact.id },
+          data: contactData,
+        });
+
+        await this.contactIdentityService.syncPrimaryIdentities(updatedContact, tx);
+
+        return updatedContact;
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new Error(`A contact with email ${contactData.email} already exists in this workspace`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a contact
+   * Contacts with conversations are kept: deleting them would delete their conversations.
+   *
+   * @param {string} contactId - Contact ID
+   * @param {string} workspaceId - Workspace ID
+   * @throws {Error} If the contact is not found or still has conversations
+   */
+  async deleteContact(contactId, workspaceId) {
+    const contact = await this.getContactById(contactId, workspaceId);
+
+    await withTransaction({}, async (tx) => {
+      // Conversations created for the contact meanwhile wait for this lock, so the count holds until the delete
+      await tx.$queryRaw`SELECT id FROM contacts WHERE id = ${contact.id} FOR UPDATE`;
+
+      const conversationCount = await tx.conversation.count({
+        where: { contactId: contact.id },
+      });
+
+      if (conversationCount > 0) {
+        throw new Error(`Contact has ${conversationCount} conversations and cannot be deleted`);
+      }
+
+      await tx.contact.delete({
+        where: { id: contact.id },
+      });
+    });
+  }
+
+  /**
+   * List a contact's conversations the caller can view, most recent activity first
+   *
+   * @param {string} contactId - Contact ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} query - { status, limit, after, before }
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} { data, pagination }
+   * @throws {Error} If the contact is not found
+   */
+  async getContactConversations(contactId, workspaceId, query, callerInfo) {
+    const contact = await this.getContactById(contactId, workspaceId);
+
+    const cursorOptions = {
+      field: 'lastMessageAt',
+      order: 'desc',
+      nullable: true,
+      limit: Math.min(parseInt(query.limit, 10) || 20, 100),
+      after: query.after,
+      before: query.before,
+    };
+    const cursorQuery = buildCursorQuery(cursorOptions);
+
+    const visibilityFilter = await this.conversationAccessService.getVisibilityFilter(callerInfo, workspaceId);
+
+    const where = {
+      workspaceId,
+      contactId: contact.id,
+      // Merged conversations live on in their target
+      mergedIntoId: null,
+      AND: [visibilityFilter, cursorQuery.where],
+    };
+
+    if (query.status) {
+      where.status = query.status;
+    }
+
+    const conversations = await prisma.conversation.findMany({
+      where,
+      include: {
+        tags: ConversationTagService.getTagsInclude(),
+      },
+      orderBy: cursorQuery.orderBy,
+      take: cursorQuery.take,
+    });
+
+    return buildCursorPage(conversations, cursorOptions);
+  }
+
+  /**
+   * Find the workspace contact of an email address, creating it when missing
+   * Used for inbound messages; an existing contact keeps its name.
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} email - Email address
+   * @param {string} name - Display name for a new contact (optional)
+   * @returns {Promise<Object>} Contact
+   */
+  async findOrCreateByEmail(workspaceId, email, name) {
+    const existing = await this.findByEmail(workspaceId, email);
+    if (existing) {
+      return existing;
+    }
+
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const contact = await tx.contact.create({
+          data: {
+            workspaceId,
+            email,
+            name,
+          },
+        });
+
+        await this.contactIdentityService.syncPrimaryIdentities(contact, tx);
+
+        return contact;
+      });
+    } catch (error) {
+      // Created concurrently by another inbound message
+      const concurrent = await this.findByEmail(workspaceId, email);
+      if (concurrent) {
+        return concurrent;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find a workspace contact by any of its email addresses (case-insensitive)
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} email - Email address
+   * @returns {Promise<Object|null>} Contact, or null when unknown
+   */
+  async findByEmail(workspaceId, email) {
+    if (!email) {
+      return null;
+    }
+
+    const identity = await prisma.contactIdentity.findUnique({
+      where: {
+        workspaceId_type_value: {
+          workspaceId,
+          type: 'EMAIL',
+          value: String(email).trim().toLowerCase(),
+        },
+      },
+      include: { contact: true },
+    });
+
+    if (identity) {
+      return identity.contact;
+    }
+
+    // Contacts created before identities existed only have their primary email
+    return prisma.contact.findFirst({
+      where: {
+        workspaceId,
+        email: { equals: email, mode: 'insensitive' },
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+  }
+
+  /**
+   * Reject an email address already used by another contact of the workspace
+   * @private
+   */
+  async _verifyEmailAvailable(workspaceId, email, contactId = null) {
+    const existing = await this.findByEmail(workspaceId, email);
+
+    if (existing && existing.id !== contactId) {
+      throw new Error(`A contact with email ${email} already exists in this workspace`);
+    }
+  }
+
+  /**
+   * Validate and normalize contact input
+   * @private
+   */
+  _validateContactData(data, isCreate) {
+    const contactData = {};
+
+    if (isCreate || data.email !== undefined) {
+      const email = typeof data.email === 'string' ? data.email.trim() : '';
+      if (!EMAIL_REGEX.test(email)) {
+        throw new Error('Contact email must be a valid email address');
+      }
+      contactData.email = email;
+    }
+
+    if (data.name !== undefined) {
+      const name = typeof data.name === 'string' ? data.name.trim() : '';
+      if (name.length > MAX_NAME_LENGTH) {
+        throw new Error(`Contact name must be at most ${MAX_NAME_LENGTH} characters`);
+      }
+      contactData.name = name || null;
+    }
+
+    if (data.phone !== undefined) {
+      contactData.phone = typeof data.phone === 'string' && data.phone.trim() ? data.phone.trim() : null;
+    }
+
+    if (data.avatar !== undefined) {
+      contactData.avatar = data.avatar || null;
+    }
+
+    if (data.metadata !== undefined) {
+      if (data.metadata !== null && (typeof data.metadata !== 'object' || Array.isArray(data.metadata))) {
+        throw new Error('Contact metadata must be an object');
+      }
+      contactData.metadata = data.metadata === null ? Prisma.DbNull : data.metadata;
+    }
+
+    return contactData;
+  }
+}
+
+module.exports = { ContactService };
@@ -0,0 +1,233 @@
+const prisma = require('../config/database');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_EXTERNAL_ID_LENGTH = 200;
+const MAX_LABEL_LENGTH = 50;
+
+/**
+ * Contact Identity Service
+ *
+ * A contact can be reached at several email addresses and phone numbers, and be known by IDs in
+ * other systems (EXTERNAL_ID, e.g. "stripe:cus_123"). Each identity belongs to one contact of the
+ * workspace, so an inbound message from any of a contact's addresses lands on that contact.
+ *
+ * Values are stored normalized (see normalize) and compared exactly. The contact's primary
+ * email (Contact.email) is always one of its identities and cannot be removed.
+ */
+class ContactIdentityService {
+  static TYPES = ['EMAIL', 'PHONE', 'EXTERNAL_ID'];
+
+  /**
+   * Normalize an identity value for storage and lookup
+   *
+   * @param {string} type - Identity type (see ContactIdentityService.TYPES)
+   * @param {string} value - Raw value
+   * @returns {string} Normalized value
+   * @throws {Error} If the type is unknown or the value is invalid for the type
+   */
+  static normalize(type, value) {
+    const raw = typeof value === 'string' ? value.trim() : '';
+
+    switch (type) {
+      case 'EMAIL': {
+        const email = raw.toLowerCase();
+        if (!EMAIL_REGEX.test(email)) {
+          throw new Error('Identity value must be a valid email address');
+        }
+        return email;
+      }
+      case 'PHONE': {
+        // Formatting characters are dropped; a leading + (international format) is kept
+        const digits = raw.replace(/\D/g, '');
+        if (digits.length < 6 || digits.length > 15) {
+          throw new Error('Identity value must be a phone number with 6 to 15 digits');
+        }
+        return raw.startsWith('+') ? `+${digits}` : digits;
+      }
+      case 'EXTERNAL_ID':
+        if (!raw || raw.length > MAX_EXTERNAL_ID_LENGTH) {
+          throw new Error(`Identity value must be an ID of 1 to ${MAX_EXTERNAL_ID_LENGTH} characters`);
+        }
+        return raw;
+      default:
+        throw new Error(`Invalid identity type. Allowed: ${ContactIdentityService.TYPES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Normalize a phone number, or return null when it is not a usable number
+   *
+   * @param {string} phone - Raw phone number
+   * @returns {string|null} Normalized phone number
+   */
+  static normalizePhone(phone) {
+    try {
+      return ContactIdentityService.normalize('PHONE', phone);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the identities of a contact, oldest first
+   *
+   * @param {string} contactId - Contact ID
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Array>} Identities
+   * @throws {Error} If the contact is not found
+   */
+  async getIdentities(contactId, workspaceId) {
+    await this._getContact(contactId, workspaceId);
+
+    return prisma.contactIdentity.findMany({
+      where: { contactId },
+      orderBy: { createdAt: 'asc' },
+    });
+  }
+
+  /**
+   * Add an identity to a contact
+   *
+   * @param {string} contactId - Contact ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} data - { type, value, label }
+   * @returns {Promise<Object>} Created identity
+   * @throws {Error} If the contact is not found, data is invalid or the identity is already used
+   */
+  async addIdentity(contactId, workspaceId, data) {
+    await this._getContact(contactId, workspaceId);
+
+    const type = data?.type;
+    const value = ContactIdentityService.normalize(type, data?.value);
+    const label = typeof data?.label === 'string' && data.label.trim() ? data.label.trim() : null;
+
+    if (label && label.length > MAX_LABEL_LENGTH) {
+      throw new Error(`Identity label must be at most ${MAX_LABEL_LENGTH} characters`);
+    }
+
+    const existing = await prisma.contactIdentity.findUnique({
+      where: {
+        workspaceId_type_value: { workspaceId, type, value },
+      },
+    });
+
+    if (existing) {
+      throw new Error(existing.contactId === contactId
+        ? `${type} ${value} already belongs to this contact`
+        : `${type} ${value} already belongs to another contact (${existing.contactId}). Merge the contacts instead`);
+    }
+
+    try {
+      return await prisma.contactIdentity.create({
+        data: {
+          workspaceId,
+          contactId,
+          type,
+          value,
+          label,
+        },
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new Error(`${type} ${value} already belongs to another contact. Merge the contacts instead`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an identity from a contact
+   *
+   * @param {string} contactId - Contact ID
+   * @param {string} identityId - Identity ID
+   * @param {string} workspaceId - Workspace ID
+   * @throws {Error} If the contact or identity is not found, or the identity is the primary email
+   */
+  async removeIdentity(contactId, identityId, workspaceId) {
+    const contact = await this._getContact(contactId, workspaceId);
+
+    const identity = await prisma.contactIdentity.findFirst({
+      where: {
+        id: identityId,
+        contactId,
+      },
+    });
+
+    if (!identity) {
+      throw new Error('Identity not found');
+    }
+
+    if (identity.type === 'EMAIL' && identity.value === contact.email.toLowerCase()) {
+      throw new Error('The primary email cannot be removed. Change the contact email first');
+    }
+
+    await prisma.contactIdentity.delete({
+      where: { id: identity.id },
+    });
+  }
+
+  /**
+   * Record the primary email and phone of a contact as identities
+   * The email must be free (or already the contact's); a phone used by another contact is skipped
+   * so shared numbers don't block edits (they show up as duplicate suggestions instead).
+   *
+   * @param {Object} contact - Contact { id, workspaceId, email, phone }
+   * @param {Object} client - Prisma client or transaction client (optional)
+   * @throws {Error} If the email belongs to another contact
+   */
+  async syncPrimaryIdentities(contact, client = prisma) {
+    const email = ContactIdentityService.normalize('EMAIL', contact.email);
+
+    const owner = await client.contactIdentity.findUnique({
+      where: {
+        workspaceId_type_value: { workspaceId: contact.workspaceId, type: 'EMAIL', value: email },
+      },
+    });
+
+    if (owner && owner.contactId !== contact.id) {
+      throw new Error(`A contact with email ${contact.email} already exists in this workspace`);
+    }
+
+    const identities = [];
+    if (!owner) {
+      identities.push({ type: 'EMAIL', value: email });
+    }
+
+    const phone = ContactIdentityService.normalizePhone(contact.phone);
+    if (phone) {
+      identities.push({ type: 'PHONE', value: phone });
+    }
+
+    if (identities.length > 0) {
+      await client.contactIdentity.createMany({
+        data: identities.map(identity => ({
+          ...identity,
+          workspaceId: contact.workspaceId,
+          contactId: contact.id,
+        })),
+        skipDuplicates: true,
+      });
+    }
+  }
+
+  /**
+   * Find a contact of the workspace
+   * @private
+   */
+  async _getContact(contactId, workspaceId) {
+    const contact = await prisma.contact.findFirst({
+      where: {
+        id: contactId,
+        workspaceId,
+      },
+    });
+
+    if (!contact) {
+      throw new Error('Contact not found');
+    }
+
+    return contact;
+  }
+}
+
+module.exports = { ContactIdentityService };
@@ -0,0 +1,376 @@
+const prisma = require('../config/database');
+const redis = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+const { emitToWorkspace } = require('../socket/socket');
+const { ConversationEventService } = require('./conversationEvent.service');
+const { ContactIdentityService } = require('./contactIdentity.service');
+
+const MAX_SUGGESTIONS = 20;
+
+// Evidence weights for duplicate suggestions (scores are capped at 100)
+const MATCH_SCORES = {
+  PHONE: 60,
+  EMAIL_LOCAL_PART: 40,
+  NAME: 30,
+};
+
+// Phone numbers match on their last digits, so +44 7700 900123 and 07700 900123 are the same number
+const PHONE_MATCH_DIGITS = 9;
+
+// Shared mailbox names say nothing about who is writing
+const GENERIC_LOCAL_PARTS = new Set([
+  'admin', 'billing', 'contact', 'hello', 'help', 'info', 'mail', 'no-reply', 'noreply',
+  'office', 'sales', 'support', 'team',
+]);
+
+/**
+ * Contact Merge Service
+ *
+ * Suggests likely duplicates of a contact and merges a contact into another.
+ *
+ * Suggestions are scored from matching evidence: the same phone number (last digits), the same
+ * email local part at another domain (jane.doe@work.com / jane.doe@home.com) and the same full name.
+ *
+ * Merging moves every conversation, identity and earlier merge record of the source contact to
+ * the target, fills the target's empty name, phone and avatar from the source and adds source
+ * metadata keys and custom attributes the target lacks. The source contact is deleted; a ContactMerge record keeps a
+ * snapshot of it, and each moved conversation gets a CONTACT_CHANGED event. Announced with
+ * `contact-merged`.
+ */
+class ContactMergeService {
+  constructor() {
+    this.conversationEventService = new ConversationEventService();
+  }
+
+  /**
+   * Suggest contacts that are likely the same person
+   *
+   * @param {string} contactId - Contact ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} query - { limit } (optional)
+   * @returns {Promise<Array>} [{ contact, score, matches: [{ type, value }] }], best match first
+   * @throws {Error} If the contact is not found
+   */
+  async findDuplicates(contactId, workspaceId, query = {}) {
+    const contact = await this._getContact(contactId, workspaceId);
+    const limit = Math.min(parseInt(query.limit, 10) || 10, MAX_SUGGESTIONS);
+
+    const candidates = new Map();
+    const addMatch = (candidateId, type, value) => {
+      if (candidateId === contact.id) {
+        return;
+      }
+      if (!candidates.has(candidateId)) {
+        candidates.set(candidateId, []);
+      }
+      const matches = candidates.get(candidateId);
+      if (!matches.some(match => match.type === type)) {
+        matches.push({ type, value });
+      }
+    };
+
+    const emails = new Set([contact.email.toLowerCase()]);
+    const phones = new Set();
+    contact.identities.forEach(identity => {
+      if (identity.type === 'EMAIL') {
+        emails.add(identity.value);
+      } else if (identity.type === 'PHONE') {
+        phones.add(identity.value);
+      }
+    });
+    const primaryPhone = ContactIdentityService.normalizePhone(contact.phone);
+    if (primaryPhone) {
+      phones.add(primaryPhone);
+    }
+
+    // Same phone number
+    for (const phone of phones) {
+      const suffix = phone.replace(/\D/g, '').slice(-PHONE_MATCH_DIGITS);
+      const identities = await prisma.contactIdentity.findMany({
+        where: {
+          workspaceId,
+          type: 'PHONE',
+          value: { endsWith: suffix },
+        },
+        select: { contactId: true },
+        take: MAX_SUGGESTIONS,
+      });
+      identities.forEach(identity => addMatch(identity.contactId, 'PHONE', phone));
+    }
+
+    // Same mailbox name at another domain
+    const localParts = new Set(Array.from(emails)
+      .map(email => email.split('@')[0])
+      .filter(localPart => localPart.length >= 3 && !GENERIC_LOCAL_PARTS.has(localPart)));
+
+    for (const localPart of localParts) {
+      const identities = await prisma.contactIdentity.findMany({
+        where: {
+          workspaceId,
+          type: 'EMAIL',
+          value: { startsWith: `${localPart}@` },
+        },
+        select: { contactId: true },
+        take: MAX_SUGGESTIONS,
+      });
+      identities.forEach(identity => addMatch(identity.contactId, 'EMAIL_LOCAL_PART', localPart));
+    }
+
+    // Same full name (single names are too common to mean anything)
+    const name = (contact.name || '').trim().replace(/\s+/g, ' ');
+    if (name.split(' ').length >= 2) {
+      const namesakes = await prisma.contact.findMany({
+        where: {
+          workspaceId,
+          name: { equals: name, mode: 'insensitive' },
+        },
+        select: { id: true },
+        take: MAX_SUGGESTIONS,
+      });
+      namesakes.forEach(namesake => addMatch(namesake.id, 'NAME', name));
+    }
+
+    if (candidates.size === 0) {
+      return [];
+    }
+
+    const contacts = await prisma.contact.findMany({
+      where: {
+        id: { in: Array.from(candidates.keys()) },
+        workspaceId,
+      },
+      include: {
+        identities: {
+          orderBy: { createdAt: 'asc' },
+        },
+      },
+    });
+
+    return contacts
+      .map(candidate => {
+        const matches = candidates.get(candidate.id);
+        const score = Math.min(100, matches.reduce((sum, match) => sum + MATCH_SCORES[match.type], 0));
+        return { contact: candidate, score, matches };
+      })
+      .sort((a, b) => b.score - a.score || b.contact.createdAt - a.contact.createdAt)
+      .slice(0, limit);
+  }
+
+  /**
+   * Merge a contact into another
+   *
+   * @param {string} sourceContactId - Contact to merge (deleted afterwards)
+   * @param {string} targetContactId - Contact that receives conversations, identities and details
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} Target contact after the merge, with identities
+   * @throws {Error} If a contact is not found, or both are the same contact
+   */
+  async mergeContacts(sourceContactId, targetContactId, workspaceId, callerInfo) {
+    if (!targetContactId) {
+      throw new Error('targetContactId is required');
+    }
+
+    if (sourceContactId === targetContactId) {
+      throw new Error('A contact cannot be merged into itself');
+    }
+
+    const actorUserId = callerInfo.isAppOwner ? null : callerInfo.userId;
+
+    await withTransaction({}, async (tx, afterCommit) => {
+      const [source, target] = await this._lockContacts(tx, [sourceContactId, targetContactId], workspaceId);
+
+      const sourceIdentities = await tx.contactIdentity.findMany({
+        where: { contactId: source.id },
+        orderBy: { createdAt: 'asc' },
+      });
+
+      const conversations = await tx.conversation.findMany({
+        where: { contactId: source.id },
+        select: { id: true },
+      });
+      const conversationIds = conversations.map(conversation => conversation.id);
+
+      await tx.conversation.updateMany({
+        where: { contactId: source.id },
+        data: { contactId: target.id },
+      });
+
+      // Identities are unique per workspace, so they can move without conflicts
+      await tx.contactIdentity.updateMany({
+        where: { contactId: source.id },
+        data: { contactId: target.id },
+      });
+
+      // The source's primary email and phone stay reachable through the target
+      await tx.contactIdentity.createMany({
+        data: [
+          { type: 'EMAIL', value: source.email.toLowerCase() },
+          { type: 'PHONE', value: ContactIdentityService.normalizePhone(source.phone) },
+        ]
+          .filter(identity => identity.value)
+          .map(identity => ({ ...identity, workspaceId, contactId: target.id })),
+        skipDuplicates: true,
+      });
+
+      await tx.contactMerge.updateMany({
+        where: { targetContactId: source.id },
+        data: { targetContactId: target.id },
+      });
+
+      const contactMerge = await tx.contactMerge.create({
+        data: {
+          workspaceId,
+          targetContactId: target.id,
+          sourceContactId: source.id,
+          mergedByUserId: actorUserId,
+          // Plain JSON (dates as ISO strings)
+          sourceSnapshot: JSON.parse(JSON.stringify({
+            ...source,
+            identities: sourceIdentities.map(identity => ({
+              type: identity.type,
+              value: identity.value,
+              label: identity.label,
+            })),
+          })),
+          conversationCount: conversationIds.length,
+        },
+      });
+
+      await tx.contact.update({
+        where: { id: target.id },
+        data: {
+          name: target.name || source.name,
+          phone: target.phone || source.phone,
+          avatar: target.avatar || source.avatar,
+          ...((source.metadata || target.metadata) && {
+            metadata: { ...(source.metadata || {}), ...(target.metadata || {}) },
+          }),
+          customAttributes: { ...(source.customAttributes || {}), ...(target.customAttributes || {}) },
+        },
+      });
+
+      for (const conversationId of conversationIds) {
+        await this.conversationEventService.recordEvent(
+          conversationId,
+          workspaceId,
+          'CONTACT_CHANGED',
+          {
+            fromValue: { contactId: source.id },
+            toValue: { contactId: target.id },
+            metadata: { contactMergeId: contactMerge.id },
+          },
+          { tx, afterCommit, actorUserId }
+        );
+      }
+
+      await tx.contact.delete({
+        where: { id: source.id },
+      });
+
+      afterCommit.push(() => this._afterContactsMerged(workspaceId, {
+        sourceContactId: source.id,
+        targetContactId: target.id,
+        conversationIds,
+      }));
+
+      logger.info(`Contact ${source.id} merged into ${target.id} (${conversationIds.length} conversations)`);
+    });
+
+    return this._getContact(targetContactId, workspaceId);
+  }
+
+  /**
+   * Get the merges a contact has absorbed, newest first
+   *
+   * @param {string} contactId - Contact ID
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Array>} ContactMerge records with the merging user
+   * @throws {Error} If the contact is not found
+   */
+  async getMergeHistory(contactId, workspaceId) {
+    await this._getContact(contactId, workspaceId);
+
+    return prisma.contactMerge.findMany({
+      where: { targetContactId: contactId },
+      include: {
+        mergedBy: {
+          select: {
+            id: true,
+            email: true,
+            firstName: true,
+            lastName: true,
+          },
+        },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  /**
+   * Find a contact of the workspace with its identities
+   * @private
+   */
+  async _getContact(contactId, workspaceId) {
+    const contact = await prisma.contact.findFirst({
+      where: {
+        id: contactId,
+        workspaceId,
+      },
+      include: {
+        identities: {
+          orderBy: { createdAt: 'asc' },
+        },
+      },
+    });
+
+    if (!contact) {
+      throw new Error('Contact not found');
+    }
+
+    return contact;
+  }
+
+  /**
+   * Lock contacts in a stable order (avoids deadlocks between opposite merges)
+   * @private
+   */
+  async _lockContacts(tx, contactIds, workspaceId) {
+    for (const id of [...contactIds].sort()) {
+      await tx.$queryRaw`SELECT id FROM contacts WHERE id = ${id} FOR UPDATE`;
+    }
+
+    const contacts = await tx.contact.findMany({
+      where: {
+        id: { in: contactIds },
+        workspaceId,
+      },
+    });
+    const byId = new Map(contacts.map(contact => [contact.id, contact]));
+
+    return contactIds.map(id => {
+      if (!byId.has(id)) {
+        throw new Error('Contact not found');
+      }
+      return byId.get(id);
+    });
+  }
+
+  /**
+   * Invalidate cached conversations and announce the merge to the workspace
+   * @private
+   */
+  async _afterContactsMerged(workspaceId, payload) {
+    if (payload.conversationIds.length > 0) {
+      await redis.del(...payload.conversationIds.map(id => `conversation:${id}`));
+    }
+
+    const io = global.io;
+    if (io) {
+      emitToWorkspace(io, workspaceId, 'contact-merged', payload);
+    }
+  }
+}
+
+module.exports = { ContactMergeService };
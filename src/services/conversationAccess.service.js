@@ -26,11 +26,12 @@ class ConversationAccessService {
    * @param {string} conversationId - Conversation ID
    * @param {string} workspaceId - Workspace ID (optional, will be fetched if not provided)
    * @param {string} accountId - Account ID (optional, will be fetched if not provided)
+   * @param {Object} client - Prisma client or transaction client (optional)
    * @returns {Promise<Object>} Conversation with workspace and account info
    * @throws {Error} If conversation not found or chain is invalid
    */
-  async _verifyConversationChain(conversationId, workspaceId = null, accountId = null) {
-    const conversation = await prisma.conversation.findFirst({
+  async _verifyConversationChain(conversationId, workspaceId = null, accountId = null, client = prisma) {
+    const conversation = await client.conversation.findFirst({
       where: {
         id: conversationId,
         ...(workspaceId && { workspaceId }),
@@ -63,20 +64,61 @@ class ConversationAccessService {
 
   /**
    * Resolve department ID for a conversation
-   * Checks metadata first, then falls back to workspace-level logic
    * 
    * @param {Object} conversation - Conversation object
-   * @returns {Promise<string|null>} Department ID or null if not found
+   * @returns {Promise<string|null>} Department ID or null if the conversation has no department
    */
   async _resolveConversationDepartmentId(conversation) {
-    // Check if departmentId is stored in metadata
-    if (conversation.metadata && conversation.metadata.departmentId) {
-      return conversation.metadata.departmentId;
+    // The calling function will handle conversations without a department
+    return conversation.departmentId || null;
+  }
+
+  /**
+   * Build a Prisma where fragment restricting conversations to those the caller can view
+   * Applies the canUserViewConversation rules in SQL so lists don't need per-row checks:
+   * - APP_OWNER and WORKSPACE_ADMIN see every conversation of the workspace
+   * - Other users see conversations assigned to them or owned by one of their departments
+   * 
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Object>} Where fragment to combine with other filters (empty for admins)
+   */
+  async getVisibilityFilter(callerInfo, workspaceId) {
+    if (callerInfo.isAppOwner || callerInfo.workspaceRole === 'ADMIN') {
+      return {};
     }
 
-    // If no departmentId in metadata, return null
-    // The calling function will handle this case
-    return null;
+    const departmentIds = await this.getUserDepartmentIds(callerInfo.userId, workspaceId);
+
+    return {
+      OR: [
+        { assignedUserId: callerInfo.userId },
+        ...(departmentIds.length > 0 ? [{ departmentId: { in: departmentIds } }] : []),
+      ],
+    };
+  }
+
+  /**
+   * Get IDs of the workspace departments a user is an ACTIVE member of
+   * Invited and removed memberships don't grant visibility.
+   * 
+   * @param {string} userId - User ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {Array<string>} roles - Only departments where the user has one of these roles (optional, any role by default)
+   * @returns {Promise<Array<string>>} Department IDs
+   */
+  async getUserDepartmentIds(userId, workspaceId, roles = null) {
+    const departmentUsers = await prisma.departmentUser.findMany({
+      where: {
+        userId,
+        status: 'ACTIVE',
+        department: { workspaceId },
+        ...(roles && { role: { in: roles } }),
+      },
+      select: { departmentId: true },
+    });
+
+    return departmentUsers.map(du => du.departmentId);
   }
 
   /**
@@ -135,6 +177,163 @@ class ConversationAccessService {
     return false;
   }
 
+  /**
+   * Check if a caller can view a conversation
+   * APP_OWNER and WORKSPACE_ADMIN can view every conversation of the workspace;
+   * other users follow the getVisibilityFilter rules.
+   * 
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID (optional, for verification)
+   * @param {string} accountId - Account ID (optional, for verification)
+   * @returns {Promise<boolean>} True if caller can view the conversation, false otherwise
+   * @throws {Error} If conversation not found or chain invalid
+   */
+  async canCallerViewConversation(callerInfo, conversationId, workspaceId = null, accountId = null) {
+    const conversation = await this._verifyConversationChain(conversationId, workspaceId, accountId);
+
+    // Same rules as the inbox lists, read from the database rather than the access cache
+    const visibilityFilter = await this.getVisibilityFilter(callerInfo, conversation.workspaceId);
+
+    const visible = await prisma.conversation.count({
+      where: {
+        id: conversationId,
+        ...visibilityFilter,
+      },
+    });
+
+    return visible > 0;
+  }
+
+  /**
+   * Check if a caller can assign a conversation to a user
+   * Rules:
+   * - APP_OWNER and WORKSPACE_ADMIN can assign any conversation in the workspace
+   * - DEPARTMENT_MANAGER can assign conversations of their department to anyone
+   * - HUMAN_SUPPORT can only claim conversations of their department for themselves
+   * - Conversations without a department can only be assigned by admins
+   * 
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @param {string} conversationId - Conversation ID
+   * @param {string} assigneeUserId - User ID the conversation would be assigned to
+   * @param {string} workspaceId - Workspace ID (optional, for verification)
+   * @param {string} accountId - Account ID (optional, for verification)
+   * @param {Object} client - Prisma client or transaction client (optional)
+   * @returns {Promise<boolean>} True if caller can make the assignment, false otherwise
+   * @throws {Error} If conversation not found or chain invalid
+   */
+  async canUserAssignConversation(callerInfo, conversationId, assigneeUserId, workspaceId = null, accountId = null, client = prisma) {
+    // Verify Conversation → Workspace → Account chain
+    const conversation = await this._verifyConversationChain(conversationId, workspaceId, accountId, client);
+
+    if (callerInfo.isAppOwner || callerInfo.workspaceRole === 'ADMIN') {
+      return true;
+    }
+
+    const departmentId = await this._resolveConversationDepartmentId(conversation);
+
+    if (!departmentId) {
+      return false;
+    }
+
+    const callerRole = await this._getDepartmentRoleSafe(callerInfo.userId, departmentId, conversation);
+
+    if (callerRole === 'DEPARTMENT_MANAGER') {
+      return true;
+    }
+
+    return callerRole === 'HUMAN_SUPPORT' && assigneeUserId === callerInfo.userId;
+  }
+
+  /**
+   * Check if a user can take ownership of a conversation
+   * Only DEPARTMENT_MANAGER and HUMAN_SUPPORT users of the conversation's department can be assignees.
+   * Conversations without a department can be assigned to any workspace member.
+   * 
+   * @param {string} userId - User ID of the prospective assignee
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID (optional, for verification)
+   * @param {string} accountId - Account ID (optional, for verification)
+   * @param {Object} client - Prisma client or transaction client (optional)
+   * @returns {Promise<boolean>} True if user can be assigned the conversation, false otherwise
+   * @throws {Error} If conversation not found or chain invalid
+   */
+  async canUserBeAssignedConversation(userId, conversationId, workspaceId = null, accountId = null, client = prisma) {
+    // Verify Conversation → Workspace → Account chain
+    const conversation = await this._verifyConversationChain(conversationId, workspaceId, accountId, client);
+
+    const departmentId = await this._resolveConversationDepartmentId(conversation);
+
+    if (!departmentId) {
+      return true;
+    }
+
+    const role = await this._getDepartmentRoleSafe(userId, departmentId, conversation);
+
+    return role === 'DEPARTMENT_MANAGER' || role === 'HUMAN_SUPPORT';
+  }
+
+  /**
+   * Check if a caller can unassign a conversation
+   * Rules:
+   * - APP_OWNER and WORKSPACE_ADMIN can unassign any conversation in the workspace
+   * - The assigned user can release their own conversation
+   * - DEPARTMENT_MANAGER can unassign conversations of their department
+   * 
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID (optional, for verification)
+   * @param {string} accountId - Account ID (optional, for verification)
+   * @param {Object} client - Prisma client or transaction client (optional)
+   * @returns {Promise<boolean>} True if caller can unassign the conversation, false otherwise
+   * @throws {Error} If conversation not found or chain invalid
+   */
+  async canUserUnassignConversation(callerInfo, conversationId, workspaceId = null, accountId = null, client = prisma) {
+    // Verify Conversation → Workspace → Account chain
+    const conversation = await this._verifyConversationChain(conversationId, workspaceId, accountId, client);
+
+    if (callerInfo.isAppOwner || callerInfo.workspaceRole === 'ADMIN') {
+      return true;
+    }
+
+    if (conversation.assignedUserId && conversation.assignedUserId === callerInfo.userId) {
+      return true;
+    }
+
+    const departmentId = await this._resolveConversationDepartmentId(conversation);
+
+    if (!departmentId) {
+      return false;
+    }
+
+    const callerRole = await this._getDepartmentRoleSafe(callerInfo.userId, departmentId, conversation);
+
+    return callerRole === 'DEPARTMENT_MANAGER';
+  }
+
+  /**
+   * Get a user's role in the conversation's department, treating lookup failures as "no role"
+   * Internal helper function
+   * 
+   * @param {string} userId - User ID
+   * @param {string} departmentId - Department ID
+   * @param {Object} conversation - Conversation with workspace info
+   * @returns {Promise<string|null>} Department role or null
+   */
+  async _getDepartmentRoleSafe(userId, departmentId, conversation) {
+    try {
+      return await this.departmentAuthorityService.getUserDepartmentRole(
+        userId,
+        departmentId,
+        conversation.workspaceId,
+        conversation.workspace.accountId
+      );
+    } catch (error) {
+      logger.warn(`Department role check failed for conversation ${conversation.id}:`, error.message);
+      return null;
+    }
+  }
+
   /**
    * Get conversation visibility scope
    * Determines whether conversation is user-assigned or department-scoped
@@ -0,0 +1,341 @@
+const prisma = require('../config/database');
+const { ConversationAccessService } = require('./conversationAccess.service');
+const { ConversationAssignmentService } = require('./conversationAssignment.service');
+const { ConversationStateService } = require('./conversationState.service');
+const { ConversationTagService } = require('./conversationTag.service');
+const { ConversationNoteService } = require('./conversationNote.service');
+const { ConversationPriorityService } = require('./conversationPriority.service');
+const { DepartmentAuthorityService } = require('./departmentAuthority.service');
+
+const MAX_NOTE_LENGTH = 10000;
+
+/**
+ * Conversation Action Service
+ *
+ * Validates and runs the conversation actions shared by macros and bulk operations. Each action
+ * goes through the service that owns the change, with the same permission and state transition
+ * checks as the individual endpoints:
+ * - SET_PRIORITY { priority }            ConversationPriorityService
+ * - ADD_TAGS { tagIds }                  ConversationTagService
+ * - ASSIGN_USER { userId }               ConversationAssignmentService (no userId: the caller claims it)
+ * - ASSIGN_DEPARTMENT { departmentId }   ConversationAssignmentService
+ * - ADD_NOTE { body }                    ConversationNoteService
+ * - SET_STATUS { status }                ConversationStateService (TODO unassigns an assigned conversation)
+ *
+ * Actions run inside the caller's transaction and their checks read through it, so they see
+ * the changes of earlier actions in the same transaction.
+ */
+class ConversationActionService {
+  static ACTION_TYPES = ['SET_PRIORITY', 'ADD_TAGS', 'ASSIGN_USER', 'ASSIGN_DEPARTMENT', 'ADD_NOTE', 'SET_STATUS'];
+
+  static STATUSES = ['TODO', 'CLOSED'];
+
+  constructor() {
+    this.conversationAccessService = new ConversationAccessService();
+    this.conversationAssignmentService = new ConversationAssignmentService();
+    this.conversationStateService = new ConversationStateService();
+    this.conversationTagService = new ConversationTagService();
+    this.conversationNoteService = new ConversationNoteService();
+    this.conversationPriorityService = new ConversationPriorityService();
+    this.departmentAuthorityService = new DepartmentAuthorityService();
+  }
+
+  /**
+   * Validate and normalize one action
+   *
+   * @param {Object} action - { type, ...params }
+   * @param {string} label - Prefix for error messages, e.g. "Action 2"
+   * @returns {Object} Normalized action
+   * @throws {Error} If the type or its parameters are invalid
+   */
+  validateAction(action, label = 'Action') {
+    if (!action || !ConversationActionService.ACTION_TYPES.includes(action.type)) {
+      throw new Error(`${label}: Invalid type. Valid types are: ${ConversationActionService.ACTION_TYPES.join(', ')}`);
+    }
+
+    switch (action.type) {
+      case 'SET_PRIORITY':
+        if (!ConversationPriorityService.PRIORITIES.includes(action.priority)) {
+          throw new Error(`${label}: Invalid priority. Valid priorities are: ${ConversationPriorityService.PRIORITIES.join(', ')}`);
+        }
+        return { type: action.type, priority: action.priority };
+      case 'ADD_TAGS': {
+        const tagIds = Array.isArray(action.tagIds)
+          ? Array.from(new Set(action.tagIds.filter(tagId => typeof tagId === 'string' && tagId)))
+          : [];
+        if (tagIds.length === 0) {
+          throw new Error(`${label}: tagIds must be a non-empty array`);
+        }
+        return { type: action.type, tagIds };
+      }
+      case 'ASSIGN_USER':
+        if (action.userId !== undefined && action.userId !== null && (typeof action.userId !== 'string' || !action.userId)) {
+          throw new Error(`${label}: userId must be a user ID, or omitted to assign the caller`);
+        }
+        return { type: action.type, userId: action.userId || null };
+      case 'ASSIGN_DEPARTMENT':
+        if (typeof action.departmentId !== 'string' || !action.departmentId) {
+          throw new Error(`${label}: departmentId is required`);
+        }
+        return { type: action.type, departmentId: action.departmentId };
+      case 'ADD_NOTE': {
+        const body = typeof action.body === 'string' ? action.body : '';
+        if (!body.trim() || body.length > MAX_NOTE_LENGTH) {
+          throw new Error(`${label}: body is required and must be at most ${MAX_NOTE_LENGTH} characters`);
+        }
+        return { type: action.type, body };
+      }
+      case 'SET_STATUS':
+        if (!ConversationActionService.STATUSES.includes(action.status)) {
+          throw new Error(`${label}: Invalid status. Valid statuses are: ${ConversationActionService.STATUSES.join(', ')}`);
+        }
+        return { type: action.type, status: action.status };
+      default:
+        throw new Error(`${label}: Invalid type`);
+    }
+  }
+
+  /**
+   * Verify the tags, departments and users the actions refer to belong to the workspace
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {Array<Object>} actions - Validated actions
+   * @throws {Error} If a tag, department or user is not found in the workspace
+   */
+  async verifyActionTargets(workspaceId, actions) {
+    const tagIds = new Set(actions.filter(action => action.type === 'ADD_TAGS').flatMap(action => action.tagIds));
+    const departmentIds = new Set(actions.filter(action => action.type === 'ASSIGN_DEPARTMENT').map(action => action.departmentId));
+    const userIds = new Set(actions.filter(action => action.type === 'ASSIGN_USER' && action.userId).map(action => action.userId));
+
+    if (tagIds.size > 0) {
+      const count = await prisma.tag.count({
+        where: { id: { in: [...tagIds] }, workspaceId },
+      });
+
+      if (count !== tagIds.size) {
+        throw new Error('Tag not found or does not belong to this workspace');
+      }
+    }
+
+    if (departmentIds.size > 0) {
+      const count = await prisma.department.count({
+        where: { id: { in: [...departmentIds] }, workspaceId },
+      });
+
+      if (count !== departmentIds.size) {
+        throw new Error('Department not found or does not belong to this workspace');
+      }
+    }
+
+    if (userIds.size > 0) {
+      const count = await prisma.workspaceUser.count({
+        where: { userId: { in: [...userIds] }, workspaceId },
+      });
+
+      if (count !== userIds.size) {
+        throw new Error('User not found or does not belong to this workspace');
+      }
+    }
+  }
+
+  /**
+   * Verify the caller can view the conversation and it has not been merged away
+   * WORKSPACE_ADMIN and APP_OWNER see every conversation of the workspace.
+   *
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @throws {Error} If the conversation is not found, merged or not visible to the caller
+   */
+  async verifyCanViewConversation(callerInfo, conversationId, workspaceId, accountId) {
+    const conversation = await prisma.conversation.findFirst({
+      where: { id: conversationId, workspaceId },
+      select: { id: true, mergedIntoId: true },
+    });
+
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    if (conversation.mergedIntoId) {
+      throw new Error(`Conversation has been merged into ${conversation.mergedIntoId}`);
+    }
+
+    if (callerInfo.isAppOwner || callerInfo.workspaceRole === 'ADMIN') {
+      return;
+    }
+
+    const canView = await this.conversationAccessService.canUserViewConversation(
+      callerInfo.userId,
+      conversationId,
+      workspaceId,
+      accountId
+    );
+
+    if (!canView) {
+      throw new Error('Insufficient permissions. You cannot access this conversation');
+    }
+  }
+
+  /**
+   * Run one action against a conversation inside the caller's transaction
+   * The caller must already have checked the conversation is visible (see verifyCanViewConversation).
+   *
+   * @param {Object} action - Validated action (see validateAction)
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @param {Object} options - Transaction options { tx, afterCommit, actorUserId } (tx is required)
+   * @returns {Promise<Object>} Summary of the change, e.g. { priority } or { userId }
+   * @throws {Error} If a permission, state transition or other check fails
+   */
+  async runAction(action, conversationId, workspaceId, accountId, callerInfo, options) {
+    const { tx } = options;
+
+    switch (action.type) {
+      case 'SET_PRIORITY': {
+        await this.conversationPriorityService.setPriority(conversationId, action.priority, workspaceId, options);
+        return { priority: action.priority };
+      }
+      case 'ADD_TAGS': {
+        const tags = await this.conversationTagService.addTags(
+          conversationId,
+          workspaceId,
+          accountId,
+          action.tagIds,
+          callerInfo,
+          options
+        );
+        return { tagIds: tags.map(tag => tag.id) };
+      }
+      case 'ASSIGN_USER': {
+        const assigneeUserId = action.userId || (callerInfo.isAppOwner ? null : callerInfo.userId);
+
+        if (!assigneeUserId) {
+          throw new Error('An assignee is required: app owners cannot claim conversations');
+        }
+
+        const canAssign = await this.conversationAccessService.canUserAssignConversation(
+          callerInfo,
+          conversationId,
+          assigneeUserId,
+          workspaceId,
+          accountId,
+          tx
+        );
+
+        if (!canAssign) {
+          throw new Error('Insufficient permissions. Only DEPARTMENT_MANAGER can assign conversations to others; HUMAN_SUPPORT can only claim conversations for themselves');
+        }
+
+        const isEligible = await this.conversationAccessService.canUserBeAssignedConversation(
+          assigneeUserId,
+          conversationId,
+          workspaceId,
+          accountId,
+          tx
+        );
+
+        if (!isEligible) {
+          throw new Error('Assignee must be a DEPARTMENT_MANAGER or HUMAN_SUPPORT user of the conversation department');
+        }
+
+        await this.conversationAssignmentService.assignConversationToUser(
+          conversationId,
+          assigneeUserId,
+          workspaceId,
+          accountId,
+          options
+        );
+        return { userId: assigneeUserId };
+      }
+      case 'ASSIGN_DEPARTMENT': {
+        await this._verifyCanMoveConversation(callerInfo, conversationId, workspaceId, accountId, tx);
+
+        await this.conversationAssignmentService.assignConversationToDepartment(
+          conversationId,
+          action.departmentId,
+          workspaceId,
+          accountId,
+          options
+        );
+        return { departmentId: action.departmentId };
+      }
+      case 'ADD_NOTE': {
+        const { message } = await this.conversationNoteService.createNote(
+          conversationId,
+          workspaceId,
+          accountId,
+          { body: action.body },
+          callerInfo,
+          options
+        );
+        return { messageId: message.id };
+      }
+      case 'SET_STATUS': {
+        const conversation = await tx.conversation.findUnique({
+          where: { id: conversationId },
+          select: { status: true, assignedUserId: true },
+        });
+
+        if (action.status === 'TODO' && conversation.assignedUserId) {
+          const canUnassign = await this.conversationAccessService.canUserUnassignConversation(
+            callerInfo,
+            conversationId,
+            workspaceId,
+            accountId,
+            tx
+          );
+
+          if (!canUnassign) {
+            throw new Error('Insufficient permissions. Only the assignee, DEPARTMENT_MANAGER or WORKSPACE_ADMIN can unassign this conversation');
+          }
+
+          await this.conversationAssignmentService.unassignConversation(conversationId, workspaceId, accountId, options);
+        } else {
+          await this.conversationStateService.setConversationState(
+            conversationId,
+            action.status,
+            workspaceId,
+            accountId,
+            options
+          );
+        }
+        return { status: action.status };
+      }
+      default:
+        throw new Error(`Invalid action type: ${action.type}`);
+    }
+  }
+
+  /**
+   * Verify the caller can move the conversation to another department
+   * APP_OWNER, WORKSPACE_ADMIN or the DEPARTMENT_MANAGER of its current department.
+   * @private
+   */
+  async _verifyCanMoveConversation(callerInfo, conversationId, workspaceId, accountId, tx) {
+    if (callerInfo.isAppOwner || callerInfo.workspaceRole === 'ADMIN') {
+      return;
+    }
+
+    const conversation = await tx.conversation.findUnique({
+      where: { id: conversationId },
+      select: { departmentId: true },
+    });
+
+    const isManager = conversation.departmentId && await this.departmentAuthorityService.isDepartmentManager(
+      callerInfo.userId,
+      conversation.departmentId,
+      workspaceId,
+      accountId
+    );
+
+    if (!isManager) {
+      throw new Error('Insufficient permissions. Only WORKSPACE_ADMIN or the DEPARTMENT_MANAGER of its department can move this conversation');
+    }
+  }
+}
+
+module.exports = { ConversationActionService };
@@ -1,6 +1,11 @@
 const prisma = require('../config/database');
 const redis = require('../config/redis');
 const { logger } = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+const { emitToWorkspace, emitToUser } = require('../socket/socket');
+const { ConversationStateService } = require('./conversationState.service');
+const { ConversationEventService } = require('./conversationEvent.service');
+const { SlaService } = require('./sla.service');
 
 /**
  * Conversation Assignment Service
@@ -9,9 +14,19 @@ const { logger } = require('../utils/logger');
  * This is an internal service used by Inbox, Escalation, and Message send flow.
  * 
  * All functions verify Conversation → Workspace → Account chain for security.
- * This is a foundation layer - no routing or escalation logic yet.
+ * Assignment changes move the conversation through ConversationStateService in the same transaction:
+ * - Assigning: TODO/ESCALATED/CLOSED → ASSIGNED
+ * - Unassigning: ASSIGNED → TODO
+ *
+ * Assignment and department changes are recorded as conversation events.
  */
 class ConversationAssignmentService {
+  constructor() {
+    this.conversationStateService = new ConversationStateService();
+    this.conversationEventService = new ConversationEventService();
+    this.slaService = new SlaService();
+  }
+
   /**
    * Verify Conversation → Workspace → Account chain
    * Internal helper function used by all public methods
@@ -19,11 +34,12 @@ class ConversationAssignmentService {
    * @param {string} conversationId - Conversation ID
    * @param {string} workspaceId - Workspace ID (optional, will be fetched if not provided)
    * @param {string} accountId - Account ID (optional, will be fetched if not provided)
+   * @param {Object} client - Prisma client or transaction client (optional)
    * @returns {Promise<Object>} Conversation with workspace and account info
    * @throws {Error} If conversation not found or chain is invalid
    */
-  async _verifyConversationChain(conversationId, workspaceId = null, accountId = null) {
-    const conversation = await prisma.conversation.findFirst({
+  async _verifyConversationChain(conversationId, workspaceId = null, accountId = null, client = prisma) {
+    const conversation = await client.conversation.findFirst({
       where: {
         id: conversationId,
         ...(workspaceId && { workspaceId }),
@@ -60,10 +76,11 @@ class ConversationAssignmentService {
    * 
    * @param {string} userId - User ID
    * @param {string} workspaceId - Workspace ID
+   * @param {Object} client - Prisma client or transaction client (optional)
    * @throws {Error} If user does not belong to workspace
    */
-  async _verifyUserInWorkspace(userId, workspaceId) {
-    const workspaceUser = await prisma.workspaceUser.findUnique({
+  async _verifyUserInWorkspace(userId, workspaceId, client = prisma) {
+    const workspaceUser = await client.workspaceUser.findUnique({
       where: {
         userId_workspaceId: {
           userId,
@@ -79,112 +96,245 @@ class ConversationAssignmentService {
 
   /**
    * Assign a conversation to a user
+   * Transitions the conversation to ASSIGNED in the same transaction (unless already ASSIGNED)
    * 
    * @param {string} conversationId - Conversation ID
    * @param {string} userId - User ID to assign to
    * @param {string} workspaceId - Workspace ID (for verification)
    * @param {string} accountId - Account ID (for verification)
+   * @param {Object} options - Transaction options { tx, afterCommit, actorUserId } (optional)
    * @returns {Promise<Object>} Updated conversation with assigned user
-   * @throws {Error} If conversation not found, user not in workspace, or chain invalid
+   * @throws {Error} If conversation not found, user not in workspace, chain invalid, or transition invalid
    */
-  async assignConversationToUser(conversationId, userId, workspaceId, accountId) {
-    // Verify Conversation → Workspace → Account chain
-    await this._verifyConversationChain(conversationId, workspaceId, accountId);
+  async assignConversationToUser(conversationId, userId, workspaceId, accountId, options = {}) {
+    return withTransaction(options, async (tx, afterCommit) => {
+      // Verify Conversation → Workspace → Account chain
+      const conversation = await this._verifyConversationChain(conversationId, workspaceId, accountId, tx);
 
-    // Verify user belongs to workspace
-    await this._verifyUserInWorkspace(userId, workspaceId);
+      // Verify user belongs to workspace
+      await this._verifyUserInWorkspace(userId, workspaceId, tx);
 
-    // Verify user exists
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-    });
+      // Verify user exists and is active
+      const user = await tx.user.findUnique({
+        where: { id: userId },
+      });
 
-    if (!user) {
-      throw new Error('User not found');
-    }
+      if (!user) {
+        throw new Error('User not found');
+      }
 
-    // Update conversation assignment
-    try {
-      const updatedConversation = await prisma.conversation.update({
-        where: { id: conversationId },
-        data: {
-          assignedUserId: userId,
-          assignedAt: new Date(),
-        },
-        include: {
-          assignedUser: {
-            select: {
-              id: true,
-              email: true,
-              firstName: true,
-              lastName: true,
-              avatar: true,
-            },
+      if (!user.isActive) {
+        throw new Error('Cannot assign conversation to an inactive user');
+      }
+
+      // Move conversation into ASSIGNED state (validates the transition)
+      if (conversation.status !== 'ASSIGNED') {
+        await this.conversationStateService.setConversationState(
+          conversationId,
+          'ASSIGNED',
+          conversation.workspaceId,
+          conversation.workspace.accountId,
+          { tx, afterCommit, actorUserId: options.actorUserId }
+        );
+      }
+
+      // Update conversation assignment
+      let updatedConversation;
+      try {
+        updatedConversation = await tx.conversation.update({
+          where: { id: conversationId },
+          data: {
+            assignedUserId: userId,
+            assignedAt: new Date(),
           },
-          contact: {
-            select: {
-              id: true,
-              email: true,
-              name: true,
+          include: {
+            assignedUser: {
+              select: {
+                id: true,
+                email: true,
+                firstName: true,
+                lastName: true,
+                avatar: true,
+              },
+            },
+            contact: {
+              select: {
+                id: true,
+                email: true,
+                name: true,
+              },
             },
           },
-        },
-      });
+        });
+      } catch (error) {
+        logger.error('Error assigning conversation:', error);
+        throw new Error('Failed to assign conversation to user');
+      }
+
+      const previousAssignedUserId = conversation.assignedUserId;
 
-      // Invalidate cache
-      await this._invalidateConversationCache(conversationId, workspaceId);
+      if (previousAssignedUserId !== userId) {
+        await this.conversationEventService.recordEvent(
+          conversationId,
+          conversation.workspaceId,
+          'ASSIGNED',
+          { fromValue: previousAssignedUserId, toValue: userId },
+          { tx, afterCommit, actorUserId: options.actorUserId }
+        );
+      }
+
+      afterCommit.push(async () => {
+        await this._invalidateConversationCache(conversationId, conversation.workspaceId, [previousAssignedUserId, userId]);
+        this._emitAssignmentEvent('conversation-assigned', updatedConversation, previousAssignedUserId);
+      });
 
       logger.info(`Conversation ${conversationId} assigned to user ${userId}`);
 
       return updatedConversation;
-    } catch (error) {
-      logger.error('Error assigning conversation:', error);
-      throw new Error('Failed to assign conversation to user');
-    }
+    });
   }
 
   /**
    * Unassign a conversation (remove assignment)
+   * Transitions an ASSIGNED conversation back to TODO in the same transaction
    * 
    * @param {string} conversationId - Conversation ID
    * @param {string} workspaceId - Workspace ID (for verification)
    * @param {string} accountId - Account ID (for verification)
+   * @param {Object} options - Transaction options { tx, afterCommit, actorUserId } (optional)
    * @returns {Promise<Object>} Updated conversation
-   * @throws {Error} If conversation not found or chain invalid
+   * @throws {Error} If conversation not found, chain invalid, or transition invalid
    */
-  async unassignConversation(conversationId, workspaceId, accountId) {
-    // Verify Conversation → Workspace → Account chain
-    await this._verifyConversationChain(conversationId, workspaceId, accountId);
+  async unassignConversation(conversationId, workspaceId, accountId, options = {}) {
+    return withTransaction(options, async (tx, afterCommit) => {
+      // Verify Conversation → Workspace → Account chain
+      const conversation = await this._verifyConversationChain(conversationId, workspaceId, accountId, tx);
+
+      // An ASSIGNED conversation without an owner goes back to the TODO queue
+      if (conversation.status === 'ASSIGNED') {
+        await this.conversationStateService.setConversationState(
+          conversationId,
+          'TODO',
+          conversation.workspaceId,
+          conversation.workspace.accountId,
+          { tx, afterCommit, actorUserId: options.actorUserId }
+        );
+      }
 
-    // Update conversation to remove assignment
-    try {
-      const updatedConversation = await prisma.conversation.update({
-        where: { id: conversationId },
-        data: {
-          assignedUserId: null,
-          assignedAt: null,
-        },
-        include: {
-          contact: {
-            select: {
-              id: true,
-              email: true,
-              name: true,
+      // Update conversation to remove assignment
+      let updatedConversation;
+      try {
+        updatedConversation = await tx.conversation.update({
+          where: { id: conversationId },
+          data: {
+            assignedUserId: null,
+            assignedAt: null,
+          },
+          include: {
+            contact: {
+              select: {
+                id: true,
+                email: true,
+                name: true,
+              },
             },
           },
-        },
-      });
+        });
+      } catch (error) {
+        logger.error('Error unassigning conversation:', error);
+        throw new Error('Failed to unassign conversation');
+      }
+
+      const previousAssignedUserId = conversation.assignedUserId;
 
-      // Invalidate cache
-      await this._invalidateConversationCache(conversationId, workspaceId);
+      if (previousAssignedUserId) {
+        await this.conversationEventService.recordEvent(
+          conversationId,
+          conversation.workspaceId,
+          'UNASSIGNED',
+          { fromValue: previousAssignedUserId, toValue: null },
+          { tx, afterCommit, actorUserId: options.actorUserId }
+        );
+      }
+
+      afterCommit.push(async () => {
+        await this._invalidateConversationCache(conversationId, conversation.workspaceId, [previousAssignedUserId]);
+        this._emitAssignmentEvent('conversation-unassigned', updatedConversation, previousAssignedUserId);
+      });
 
       logger.info(`Conversation ${conversationId} unassigned`);
 
       return updatedConversation;
-    } catch (error) {
-      logger.error('Error unassigning conversation:', error);
-      throw new Error('Failed to unassign conversation');
-    }
+    });
+  }
+
+  /**
+   * Move a conversation to a department (or remove it from any department)
+   * The department owns the conversation's visibility for unassigned users.
+   * 
+   * @param {string} conversationId - Conversation ID
+   * @param {string|null} departmentId - Target department ID, or null to clear
+   * @param {string} workspaceId - Workspace ID (for verification)
+   * @param {string} accountId - Account ID (for verification)
+   * @param {Object} options - Transaction options { tx, afterCommit, actorUserId } (optional)
+   * @returns {Promise<Object>} Updated conversation
+   * @throws {Error} If conversation or department not found, or chain invalid
+   */
+  async assignConversationToDepartment(conversationId, departmentId, workspaceId, accountId, options = {}) {
+    return withTransaction(options, async (tx, afterCommit) => {
+      // Verify Conversation → Workspace → Account chain
+      const conversation = await this._verifyConversationChain(conversationId, workspaceId, accountId, tx);
+
+      if (departmentId) {
+        const department = await tx.department.findFirst({
+          where: {
+            id: departmentId,
+            workspaceId: conversation.workspaceId,
+          },
+        });
+
+        if (!department) {
+          throw new Error('Department not found or does not belong to this workspace');
+        }
+      }
+
+      const previousDepartmentId = conversation.departmentId;
+
+      let updatedConversation = await tx.conversation.update({
+        where: { id: conversationId },
+        data: { departmentId: departmentId || null },
+      });
+
+      if (previousDepartmentId !== (departmentId || null)) {
+        // The department may have its own SLA policy
+        updatedConversation = await this.slaService.applyPolicy(conversationId, { tx, afterCommit });
+
+        await this.conversationEventService.recordEvent(
+          conversationId,
+          conversation.workspaceId,
+          'DEPARTMENT_CHANGED',
+          { fromValue: previousDepartmentId, toValue: departmentId || null },
+          { tx, afterCommit, actorUserId: options.actorUserId }
+        );
+      }
+
+      afterCommit.push(async () => {
+        await this._invalidateConversationCache(conversationId, conversation.workspaceId);
+
+        const io = global.io;
+        if (io && previousDepartmentId !== departmentId) {
+          emitToWorkspace(io, conversation.workspaceId, 'conversation-department-changed', {
+            conversationId,
+            departmentId: departmentId || null,
+            previousDepartmentId,
+          });
+        }
+      });
+
+      logger.info(`Conversation ${conversationId} moved from department ${previousDepartmentId} to ${departmentId}`);
+
+      return updatedConversation;
+    });
   }
 
   /**
@@ -303,22 +453,64 @@ class ConversationAssignmentService {
     };
   }
 
+  /**
+   * Emit assignment change to the workspace room and to the affected users
+   * Internal helper function
+   * 
+   * @param {string} event - Socket event name
+   * @param {Object} conversation - Updated conversation
+   * @param {string|null} previousAssignedUserId - User ID assigned before the change
+   */
+  _emitAssignmentEvent(event, conversation, previousAssignedUserId) {
+    const io = global.io;
+    if (!io) {
+      return;
+    }
+
+    const payload = {
+      conversationId: conversation.id,
+      assignedUserId: conversation.assignedUserId,
+      previousAssignedUserId: previousAssignedUserId || null,
+      status: conversation.status,
+      conversation,
+    };
+
+    emitToWorkspace(io, conversation.workspaceId, event, payload);
+
+    if (conversation.assignedUserId) {
+      emitToUser(io, conversation.assignedUserId, event, payload);
+    }
+
+    if (previousAssignedUserId && previousAssignedUserId !== conversation.assignedUserId) {
+      emitToUser(io, previousAssignedUserId, event, payload);
+    }
+  }
+
   /**
    * Invalidate cache for a conversation
    * Internal helper function
    * 
    * @param {string} conversationId - Conversation ID
    * @param {string} workspaceId - Workspace ID
+   * @param {Array<string>} userIds - Users whose cached access to the conversation changed (optional)
    */
-  async _invalidateConversationCache(conversationId, workspaceId) {
+  async _invalidateConversationCache(conversationId, workspaceId, userIds = []) {
     try {
       const patterns = [
         `conversation:${conversationId}`,
         `conversation_assigned:${conversationId}`,
         `conversation_assigned_user:${conversationId}`,
+        `conversation_visibility:${conversationId}`,
+        `conversation_viewers:${conversationId}`,
         `conversations:workspace:${workspaceId}`,
       ];
 
+      for (const userId of userIds) {
+        if (userId) {
+          patterns.push(`conversation_access:${userId}:${conversationId}`);
+        }
+      }
+
       // Delete specific keys
       for (const pattern of patterns) {
         await redis.del(pattern);
@@ -0,0 +1,156 @@
+const prisma = require('../config/database');
+const redis = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+const { emitToWorkspace } = require('../socket/socket');
+const { ConversationAccessService } = require('./conversationAccess.service');
+const { ConversationEventService } = require('./conversationEvent.service');
+const { CustomAttributeService } = require('./customAttribute.service');
+
+/**
+ * Conversation Attribute Service
+ *
+ * Reads and writes the custom attribute values of conversations (see CustomAttributeService for
+ * definitions and validation). Every change is recorded as an ATTRIBUTES_CHANGED conversation
+ * event and announced with `conversation-attributes-updated`.
+ */
+class ConversationAttributeService {
+  constructor() {
+    this.conversationAccessService = new ConversationAccessService();
+    this.conversationEventService = new ConversationEventService();
+    this.customAttributeService = new CustomAttributeService();
+  }
+
+  /**
+   * Get the custom attributes of a conversation with their definitions
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Array>} [{ key, label, type, options, description, value }]
+   */
+  async getAttributes(conversationId, workspaceId, accountId, callerInfo) {
+    const conversation = await this._verifyCanViewConversation(callerInfo, conversationId, workspaceId, accountId);
+
+    return this.customAttributeService.describeValues(workspaceId, 'CONVERSATION', conversation.customAttributes);
+  }
+
+  /**
+   * Set custom attribute values of a conversation
+   * Only the given keys change; a null value removes the attribute.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} attributes - { key: value }
+   * @param {Object|null} callerInfo - Caller info { userId, isAppOwner, workspaceRole }, or null for system changes
+   * @param {Object} options - Transaction options { tx, afterCommit } (optional)
+   * @returns {Promise<Array>} Attributes of the conversation after the change, with their definitions
+   * @throws {Error} If the conversation is not found, a value is invalid or caller cannot view the conversation
+   */
+  async setAttributes(conversationId, workspaceId, accountId, attributes, callerInfo, options = {}) {
+    if (callerInfo) {
+      await this._verifyCanViewConversation(callerInfo, conversationId, workspaceId, accountId);
+    }
+
+    const actorUserId = callerInfo && !callerInfo.isAppOwner ? callerInfo.userId : null;
+
+    const values = await withTransaction(options, async (tx, afterCommit) => {
+      const conversation = await tx.conversation.findFirst({
+        where: { id: conversationId, workspaceId },
+        select: { id: true, customAttributes: true },
+      });
+
+      if (!conversation) {
+        throw new Error('Conversation not found');
+      }
+
+      const { values: updatedValues, changes } = await this.customAttributeService.applyValues(
+        workspaceId,
+        'CONVERSATION',
+        attributes,
+        conversation.customAttributes
+      );
+
+      const changedKeys = Object.keys(changes);
+      if (changedKeys.length === 0) {
+        return updatedValues;
+      }
+
+      await tx.conversation.update({
+        where: { id: conversationId },
+        data: { customAttributes: updatedValues },
+      });
+
+      await this.conversationEventService.recordEvent(
+        conversationId,
+        workspaceId,
+        'ATTRIBUTES_CHANGED',
+        {
+          fromValue: Object.fromEntries(changedKeys.map(key => [key, changes[key].from])),
+          toValue: Object.fromEntries(changedKeys.map(key => [key, changes[key].to])),
+        },
+        { tx, afterCommit, actorUserId }
+      );
+
+      afterCommit.push(() => this._afterAttributesChanged(conversationId, workspaceId, updatedValues));
+      logger.info(`Attributes ${changedKeys.join(', ')} changed on conversation ${conversationId}`);
+
+      return updatedValues;
+    });
+
+    return this.customAttributeService.describeValues(workspaceId, 'CONVERSATION', values);
+  }
+
+  /**
+   * Verify the caller can view the conversation
+   * WORKSPACE_ADMIN and APP_OWNER see every conversation of the workspace.
+   * @private
+   */
+  async _verifyCanViewConversation(callerInfo, conversationId, workspaceId, accountId) {
+    const conversation = await prisma.conversation.findFirst({
+      where: { id: conversationId, workspaceId },
+      select: { id: true, customAttributes: true },
+    });
+
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    if (callerInfo.isAppOwner || callerInfo.workspaceRole === 'ADMIN') {
+      return conversation;
+    }
+
+    const canView = await this.conversationAccessService.canUserViewConversation(
+      callerInfo.userId,
+      conversationId,
+      workspaceId,
+      accountId
+    );
+
+    if (!canView) {
+      throw new Error('Insufficient permissions. You cannot access this conversation');
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Invalidate cache and announce the new values
+   * @private
+   */
+  async _afterAttributesChanged(conversationId, workspaceId, customAttributes) {
+    await redis.del(`conversation:${conversationId}`);
+
+    const io = global.io;
+    if (io) {
+      emitToWorkspace(io, workspaceId, 'conversation-attributes-updated', {
+        conversationId,
+        customAttributes,
+      });
+    }
+  }
+}
+
+module.exports = { ConversationAttributeService };
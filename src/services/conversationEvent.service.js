@@ -0,0 +1,123 @@
+const prisma = require('../config/database');
+const { emitToWorkspace } = require('../socket/socket');
+
+/**
+ * Conversation Event Service
+ *
+ * Persists the history of a conversation: state, assignment, priority, tag, department,
+ * escalation, snooze, merge, split, contact and custom attribute changes. Each event stores the actor (null for system changes) and the
+ * before/after values.
+ *
+ * Events are written through the same `options` object services already share for transactions:
+ * - options.tx / options.afterCommit - the event is written in the caller's transaction
+ * - options.actorUserId              - user who made the change (omit for system changes)
+ */
+class ConversationEventService {
+  static TYPES = [
+    'STATUS_CHANGED',
+    'ASSIGNED',
+    'UNASSIGNED',
+    'PRIORITY_CHANGED',
+    'TAG_ADDED',
+    'TAG_REMOVED',
+    'DEPARTMENT_CHANGED',
+    'ESCALATED',
+    'ESCALATION_ACKNOWLEDGED',
+    'ESCALATION_REJECTED',
+    'SNOOZED',
+    'UNSNOOZED',
+    'MERGED',
+    'SPLIT',
+    'CONTACT_CHANGED',
+    'ATTRIBUTES_CHANGED',
+  ];
+
+  /**
+   * Record a conversation event
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID (used for the real-time event)
+   * @param {string} type - Event type (see ConversationEventService.TYPES)
+   * @param {Object} changes - { fromValue, toValue, metadata } (all optional)
+   * @param {Object} options - { tx, afterCommit, actorUserId } (optional)
+   * @returns {Promise<Object>} Created event
+   * @throws {Error} If type is invalid
+   */
+  async recordEvent(conversationId, workspaceId, type, changes = {}, options = {}) {
+    if (!ConversationEventService.TYPES.includes(type)) {
+      throw new Error(`Invalid event type: ${type}`);
+    }
+
+    const client = options.tx || prisma;
+
+    const event = await client.conversationEvent.create({
+      data: {
+        conversationId,
+        type,
+        actorUserId: options.actorUserId || null,
+        fromValue: changes.fromValue ?? undefined,
+        toValue: changes.toValue ?? undefined,
+        metadata: changes.metadata ?? undefined,
+      },
+      include: {
+        actor: this._getUserSelect(),
+      },
+    });
+
+    const emit = () => {
+      const io = global.io;
+      if (io) {
+        emitToWorkspace(io, workspaceId, 'conversation-event', { conversationId, event });
+      }
+    };
+
+    // Only announce the event once the surrounding transaction has committed
+    if (options.tx && options.afterCommit) {
+      options.afterCommit.push(emit);
+    } else {
+      emit();
+    }
+
+    return event;
+  }
+
+  /**
+   * Get events of a conversation, newest first
+   * Callers are responsible for verifying access to the conversation.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} query - { limit, where } where is an extra Prisma where fragment, e.g. a keyset condition (optional)
+   * @returns {Promise<Array>} Events with actor
+   */
+  async getEvents(conversationId, query = {}) {
+    return prisma.conversationEvent.findMany({
+      where: {
+        conversationId,
+        ...query.where,
+      },
+      include: {
+        actor: this._getUserSelect(),
+      },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      ...(query.limit && { take: query.limit }),
+    });
+  }
+
+  /**
+   * Standard user select for event actors
+   * @private
+   */
+  _getUserSelect() {
+    return {
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+        avatar: true,
+      },
+    };
+  }
+}
+
+module.exports = { ConversationEventService };
@@ -0,0 +1,425 @@
+const prisma = require('../config/database');
+const redis = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+const { emitToWorkspace } = require('../socket/socket');
+const { ConversationAccessService } = require('./conversationAccess.service');
+const { ConversationEventService } = require('./conversationEvent.service');
+const { ConversationReadStateService } = require('./conversationReadState.service');
+const { ConversationTagService } = require('./conversationTag.service');
+const { SlaService } = require('./sla.service');
+const { AutoAssignmentService } = require('./autoAssignment.service');
+
+const MAX_SPLIT_MESSAGES = 500;
+
+/**
+ * Conversation Merge Service
+ *
+ * Merge: moves the messages, tags and history of a source conversation into a target
+ * conversation of the same workspace. The source is closed and keeps mergedIntoId as a redirect;
+ * it can no longer be merged, split or written to.
+ *
+ * Split: moves selected messages of a conversation into a new conversation for the same contact,
+ * department and priority. The new conversation starts in TODO with its own SLA cycle.
+ *
+ * Both operations are recorded as MERGED / SPLIT events on both conversations and announced
+ * with `conversation-merged` / `conversation-split`.
+ */
+class ConversationMergeService {
+  constructor() {
+    this.conversationAccessService = new ConversationAccessService();
+    this.conversationEventService = new ConversationEventService();
+    this.conversationReadStateService = new ConversationReadStateService();
+    this.slaService = new SlaService();
+    this.autoAssignmentService = new AutoAssignmentService();
+  }
+
+  /**
+   * Merge a conversation into another
+   *
+   * @param {string} sourceConversationId - Conversation to merge (closed afterwards)
+   * @param {string} targetConversationId - Conversation that receives messages, tags and events
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} Target conversation after the merge
+   * @throws {Error} If a conversation is not found or already merged, or caller cannot view both
+   */
+  async mergeConversations(sourceConversationId, targetConversationId, workspaceId, accountId, callerInfo) {
+    if (!targetConversationId) {
+      throw new Error('targetConversationId is required');
+    }
+
+    if (sourceConversationId === targetConversationId) {
+      throw new Error('A conversation cannot be merged into itself');
+    }
+
+    await this._verifyCanViewConversation(callerInfo, sourceConversationId, workspaceId, accountId);
+    await this._verifyCanViewConversation(callerInfo, targetConversationId, workspaceId, accountId);
+
+    const actorUserId = callerInfo.isAppOwner ? null : callerInfo.userId;
+
+    const mergedIntoId = await withTransaction({}, async (tx, afterCommit) => {
+      const [source, target] = await this._lockConversations(tx, [sourceConversationId, targetConversationId]);
+
+      if (source.mergedIntoId) {
+        throw new Error('Source conversation has already been merged');
+      }
+
+      if (target.mergedIntoId) {
+        throw new Error('Target conversation has already been merged');
+      }
+
+      const now = new Date();
+
+      const movedMessages = await tx.message.updateMany({
+        where: { conversationId: source.id },
+        data: { conversationId: target.id },
+      });
+
+      // Tags the target does not have yet move over; duplicates are dropped with the source
+      const sourceTags = await tx.conversationTag.findMany({
+        where: { conversationId: source.id },
+      });
+      const targetTags = await tx.conversationTag.findMany({
+        where: { conversationId: target.id },
+        select: { tagId: true },
+      });
+      const targetTagIds = new Set(targetTags.map(ct => ct.tagId));
+
+      for (const conversationTag of sourceTags.filter(ct => !targetTagIds.has(ct.tagId))) {
+        await tx.conversationTag.create({
+          data: {
+            conversationId: target.id,
+            tagId: conversationTag.tagId,
+            addedByUserId: conversationTag.addedByUserId,
+            createdAt: conversationTag.createdAt,
+          },
+        });
+      }
+
+      await tx.conversationTag.deleteMany({
+        where: { conversationId: source.id },
+      });
+
+      const movedEvents = await tx.conversationEvent.updateMany({
+        where: { conversationId: source.id },
+        data: { conversationId: target.id },
+      });
+
+      // Closing resolves the source's SLA cycle, as a regular close would
+      if (source.status !== 'CLOSED') {
+        await this.slaService.recordResolution(source.id, now, { tx, afterCommit });
+      }
+
+      await tx.conversation.update({
+        where: { id: source.id },
+        data: {
+          mergedIntoId: target.id,
+          mergedAt: now,
+          status: 'CLOSED',
+          statusUpdatedAt: now,
+          lastMessageAt: null,
+          snoozedAt: null,
+          snoozedUntil: null,
+          snoozedByUserId: null,
+        },
+      });
+
+      await tx.conversation.update({
+        where: { id: target.id },
+        data: {
+          lastMessageAt: this._latest(source.lastMessageAt, target.lastMessageAt),
+        },
+      });
+
+      // Users who only read the source start over on the target
+      await tx.conversationReadState.deleteMany({
+        where: { conversationId: source.id },
+      });
+      await this.conversationReadStateService.recalculate(target.id, tx);
+
+      if (source.status !== 'CLOSED') {
+        await this.conversationEventService.recordEvent(
+          source.id,
+          workspaceId,
+          'STATUS_CHANGED',
+          { fromValue: source.status, toValue: 'CLOSED', metadata: { mergedIntoId: target.id } },
+          { tx, afterCommit, actorUserId }
+        );
+      }
+
+      await this.conversationEventService.recordEvent(
+        source.id,
+        workspaceId,
+        'MERGED',
+        { toValue: { conversationId: target.id } },
+        { tx, afterCommit, actorUserId }
+      );
+
+      await this.conversationEventService.recordEvent(
+        target.id,
+        workspaceId,
+        'MERGED',
+        {
+          fromValue: { conversationId: source.id },
+          metadata: { messageCount: movedMessages.count, eventCount: movedEvents.count },
+        },
+        { tx, afterCommit, actorUserId }
+      );
+
+      afterCommit.push(() => this._afterConversationsChanged(workspaceId, 'conversation-merged', {
+        sourceConversationId: source.id,
+        targetConversationId: target.id,
+      }));
+
+      logger.info(`Conversation ${source.id} merged into ${target.id} (${movedMessages.count} messages)`);
+
+      return target.id;
+    });
+
+    return this._getConversation(mergedIntoId);
+  }
+
+  /**
+   * Split messages of a conversation into a new conversation
+   *
+   * @param {string} conversationId - Conversation to split
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} data - { messageIds, subject } (subject defaults to the first moved message's subject)
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} { conversation, sourceConversation }
+   * @throws {Error} If the conversation or a message is not found, or the split would empty the conversation
+   */
+  async splitConversation(conversationId, workspaceId, accountId, data, callerInfo) {
+    const messageIds = Array.isArray(data?.messageIds)
+      ? Array.from(new Set(data.messageIds.filter(Boolean)))
+      : [];
+
+    if (messageIds.length === 0) {
+      throw new Error('messageIds must be a non-empty array');
+    }
+
+    if (messageIds.length > MAX_SPLIT_MESSAGES) {
+      throw new Error(`At most ${MAX_SPLIT_MESSAGES} messages can be split at once`);
+    }
+
+    await this._verifyCanViewConversation(callerInfo, conversationId, workspaceId, accountId);
+
+    const actorUserId = callerInfo.isAppOwner ? null : callerInfo.userId;
+
+    const newConversationId = await withTransaction({}, async (tx, afterCommit) => {
+      const [source] = await this._lockConversations(tx, [conversationId]);
+
+      if (source.mergedIntoId) {
+        throw new Error('Conversation has already been merged');
+      }
+
+      const messages = await tx.message.findMany({
+        where: {
+          id: { in: messageIds },
+          conversationId: source.id,
+        },
+        orderBy: { createdAt: 'asc' },
+      });
+
+      if (messages.length !== messageIds.length) {
+        throw new Error('Message not found in this conversation');
+      }
+
+      const remaining = await tx.message.findFirst({
+        where: {
+          conversationId: source.id,
+          id: { notIn: messageIds },
+        },
+        orderBy: { createdAt: 'desc' },
+        select: { createdAt: true },
+      });
+
+      if (!remaining) {
+        throw new Error('Cannot split every message out of a conversation');
+      }
+
+      const subject = typeof data.subject === 'string' && data.subject.trim()
+        ? data.subject.trim()
+        : messages[0].subject || source.subject;
+
+      const conversation = await tx.conversation.create({
+        data: {
+          workspaceId,
+          contactId: source.contactId,
+          departmentId: source.departmentId,
+          priority: source.priority,
+          subject,
+          lastMessageAt: messages[messages.length - 1].createdAt,
+        },
+      });
+
+      await tx.message.updateMany({
+        where: { id: { in: messageIds } },
+        data: { conversationId: conversation.id },
+      });
+
+      await tx.conversation.update({
+        where: { id: source.id },
+        data: { lastMessageAt: remaining.createdAt },
+      });
+
+      await this.conversationReadStateService.recalculate(source.id, tx);
+
+      await this.slaService.applyPolicy(conversation.id, { tx, afterCommit });
+
+      await this.conversationEventService.recordEvent(
+        source.id,
+        workspaceId,
+        'SPLIT',
+        { toValue: { conversationId: conversation.id }, metadata: { messageIds } },
+        { tx, afterCommit, actorUserId }
+      );
+
+      await this.conversationEventService.recordEvent(
+        conversation.id,
+        workspaceId,
+        'SPLIT',
+        { fromValue: { conversationId: source.id }, metadata: { messageIds } },
+        { tx, afterCommit, actorUserId }
+      );
+
+      afterCommit.push(() => this._afterConversationsChanged(workspaceId, 'conversation-split', {
+        sourceConversationId: source.id,
+        conversationId: conversation.id,
+      }));
+
+      logger.info(`Conversation ${source.id} split: ${messageIds.length} messages moved to ${conversation.id}`);
+
+      return conversation.id;
+    });
+
+    // The new conversation is in TODO: hand it to an agent if the department auto-assigns
+    await this.autoAssignmentService.tryAutoAssign(newConversationId);
+
+    const [conversation, sourceConversation] = await Promise.all([
+      this._getConversation(newConversationId),
+      this._getConversation(conversationId),
+    ]);
+
+    return { conversation, sourceConversation };
+  }
+
+  /**
+   * Lock conversations for the rest of the transaction, in a fixed order to avoid deadlocks
+   * @private
+   */
+  async _lockConversations(tx, conversationIds) {
+    for (const id of [...conversationIds].sort()) {
+      await tx.$queryRaw`SELECT id FROM conversations WHERE id = ${id} FOR UPDATE`;
+    }
+
+    const conversations = await tx.conversation.findMany({
+      where: { id: { in: conversationIds } },
+    });
+    const byId = new Map(conversations.map(conversation => [conversation.id, conversation]));
+
+    return conversationIds.map(id => {
+      if (!byId.has(id)) {
+        throw new Error('Conversation not found');
+      }
+      return byId.get(id);
+    });
+  }
+
+  /**
+   * Later of two optional dates
+   * @private
+   */
+  _latest(a, b) {
+    if (!a) {
+      return b;
+    }
+    if (!b) {
+      return a;
+    }
+    return a > b ? a : b;
+  }
+
+  /**
+   * Get a conversation with contact and tags
+   * @private
+   */
+  async _getConversation(conversationId) {
+    return prisma.conversation.findUnique({
+      where: { id: conversationId },
+      include: {
+        contact: {
+          select: {
+            id: true,
+            email: true,
+            name: true,
+          },
+        },
+        tags: ConversationTagService.getTagsInclude(),
+      },
+    });
+  }
+
+  /**
+   * Verify the caller can view the conversation
+   * WORKSPACE_ADMIN and APP_OWNER see every conversation of the workspace.
+   * @private
+   */
+  async _verifyCanViewConversation(callerInfo, conversationId, workspaceId, accountId) {
+    const conversation = await prisma.conversation.findFirst({
+      where: { id: conversationId, workspaceId },
+      select: { id: true },
+    });
+
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    if (callerInfo.isAppOwner || callerInfo.workspaceRole === 'ADMIN') {
+      return;
+    }
+
+    const canView = await this.conversationAccessService.canUserViewConversation(
+      callerInfo.userId,
+      conversationId,
+      workspaceId,
+      accountId
+    );
+
+    if (!canView) {
+      throw new Error('Insufficient permissions. You cannot access this conversation');
+    }
+  }
+
+  /**
+   * Invalidate caches and announce the change
+   * @private
+   */
+  async _afterConversationsChanged(workspaceId, event, payload) {
+    const conversationIds = Object.values(payload);
+    for (const conversationId of conversationIds) {
+      // The merge closes the source directly, so the state and assignment caches go as well
+      const keys = [
+        `conversation:${conversationId}`,
+        `conversation_state:${conversationId}`,
+        `conversation_assigned:${conversationId}`,
+        `conversation_assigned_user:${conversationId}`,
+      ];
+
+      for (const key of keys) {
+        await redis.del(key);
+      }
+    }
+    await redis.del(`conversations:workspace:${workspaceId}`);
+
+    const io = global.io;
+    if (io) {
+      emitToWorkspace(io, workspaceId, event, payload);
+    }
+  }
+}
+
+module.exports = { ConversationMergeService };
@@ -0,0 +1,247 @@
+const prisma = require('../config/database');
+const redis = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+const { ConversationAccessService } = require('./conversationAccess.service');
+const { NotificationService } = require('./notification.service');
+const { ConversationReadStateService } = require('./conversationReadState.service');
+
+// Matches "@agent@example.com" mentions; the leading boundary keeps plain email addresses out
+const MENTION_REGEX = /(^|[^A-Za-z0-9._%+-])@([A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+/**
+ * Conversation Note Service
+ *
+ * Internal notes are messages with isInternal = true and direction INTERNAL. They are only
+ * visible to workspace users and are never dispatched through an outbound transport.
+ *
+ * Mentions are written as @<email> in the note body (or passed explicitly as user IDs).
+ * Each mentioned workspace user is checked with ConversationAccessService.canUserViewConversation;
+ * only users who can see the conversation are notified.
+ */
+class ConversationNoteService {
+  constructor() {
+    this.conversationAccessService = new ConversationAccessService();
+    this.notificationService = new NotificationService();
+    this.conversationReadStateService = new ConversationReadStateService();
+  }
+
+  /**
+   * Create an internal note on a conversation
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} data - Note data
+   * @param {string} data.body - Note body (may contain @email mentions)
+   * @param {string} data.bodyHtml - HTML note body (optional)
+   * @param {Array<string>} data.mentionedUserIds - Explicit mentions by user ID (optional)
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @param {Object} options - Transaction options { tx, afterCommit } (optional)
+   * @returns {Promise<Object>} { message, mentions } where mentions lists notified and skipped users
+   */
+  async createNote(conversationId, workspaceId, accountId, data, callerInfo, options = {}) {
+    if (callerInfo.isAppOwner) {
+      throw new Error('Insufficient permissions. Only workspace users can write notes');
+    }
+
+    const conversation = await prisma.conversation.findFirst({
+      where: {
+        id: conversationId,
+        workspaceId,
+      },
+    });
+
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    if (conversation.mergedIntoId) {
+      throw new Error(`Conversation has been merged into ${conversation.mergedIntoId}`);
+    }
+
+    if (callerInfo.workspaceRole !== 'ADMIN') {
+      const canView = await this.conversationAccessService.canUserViewConversation(
+        callerInfo.userId,
+        conversationId,
+        workspaceId,
+        accountId
+      );
+
+      if (!canView) {
+        throw new Error('Insufficient permissions. You cannot access this conversation');
+      }
+    }
+
+    const author = await prisma.user.findUnique({
+      where: { id: callerInfo.userId },
+    });
+
+    if (!author) {
+      throw new Error('User not found');
+    }
+
+    const mentionedUsers = await this._resolveMentionedUsers(workspaceId, data);
+
+    // Only users who can see the conversation get notified
+    const mentions = [];
+    for (const user of mentionedUsers) {
+      const canView = user.id === author.id || await this.conversationAccessService.canUserViewConversation(
+        user.id,
+        conversationId,
+        workspaceId,
+        accountId
+      );
+
+      mentions.push({
+        userId: user.id,
+        email: user.email,
+        canViewConversation: canView,
+      });
+    }
+
+    const recipients = mentions
+      .filter(mention => mention.canViewConversation && mention.userId !== author.id)
+      .map(mention => mention.userId);
+
+    const skipped = mentions
+      .filter(mention => !mention.canViewConversation)
+      .map(mention => mention.userId);
+
+    const message = await withTransaction(options, async (tx, afterCommit) => {
+      const created = await tx.message.create({
+        data: {
+          conversationId,
+          fromEmail: author.email,
+          fromName: [author.firstName, author.lastName].filter(Boolean).join(' ') || null,
+          toEmail: '', // Notes have no external recipient
+          body: data.body,
+          bodyHtml: data.bodyHtml,
+          isInternal: true,
+          isRead: true,
+          direction: 'INTERNAL',
+          sentByUserId: author.id,
+          metadata: {
+            mentions: mentions.map(mention => ({
+              userId: mention.userId,
+              email: mention.email,
+            })),
+          },
+        },
+        include: {
+          sentBy: {
+            select: {
+              id: true,
+              email: true,
+              firstName: true,
+              lastName: true,
+              avatar: true,
+            },
+          },
+        },
+      });
+
+      await this.conversationReadStateService.recordMessage(created, workspaceId, { tx, afterCommit });
+
+      // Notify and announce only once the note is committed
+      afterCommit.push(async () => {
+        // Invalidate cache
+        await redis.del(`conversation:${conversationId}`);
+
+        this.notificationService.notifyUsers(recipients, 'mention', {
+          conversationId,
+          workspaceId,
+          messageId: created.id,
+          mentionedBy: created.sentBy,
+          body: created.body,
+        });
+
+        // Emit Socket.IO event for real-time updates
+        const io = global.io;
+        if (io) {
+          io.to(`workspace:${workspaceId}`).emit('new-message', {
+            message: created,
+            conversation,
+          });
+        }
+      });
+
+      return created;
+    });
+
+    if (skipped.length > 0) {
+      logger.info(`Note ${message.id}: skipped mentions without conversation access: ${skipped.join(', ')}`);
+    }
+
+    return {
+      message,
+      mentions: {
+        notified: [...new Set(recipients)],
+        skipped,
+      },
+    };
+  }
+
+  /**
+   * Extract mentioned email addresses from a note body
+   *
+   * @param {string} body - Note body
+   * @returns {Array<string>} Unique lower-cased email addresses
+   */
+  parseMentions(body) {
+    const emails = new Set();
+
+    if (!body) {
+      return [];
+    }
+
+    for (const match of body.matchAll(MENTION_REGEX)) {
+      // Strip trailing punctuation picked up at the end of a sentence
+      emails.add(match[2].replace(/[.]+$/, '').toLowerCase());
+    }
+
+    return Array.from(emails);
+  }
+
+  /**
+   * Resolve mentions to active workspace users
+   * Mentions that don't match an active workspace user are ignored.
+   * @private
+   */
+  async _resolveMentionedUsers(workspaceId, data) {
+    const emails = this.parseMentions(data.body);
+    const userIds = Array.isArray(data.mentionedUserIds) ? data.mentionedUserIds : [];
+
+    if (emails.length === 0 && userIds.length === 0) {
+      return [];
+    }
+
+    const userFilters = [
+      ...emails.map(email => ({ email: { equals: email, mode: 'insensitive' } })),
+      ...(userIds.length > 0 ? [{ id: { in: userIds } }] : []),
+    ];
+
+    const workspaceUsers = await prisma.workspaceUser.findMany({
+      where: {
+        workspaceId,
+        status: 'ACTIVE',
+        user: {
+          isActive: true,
+          OR: userFilters,
+        },
+      },
+      include: {
+        user: {
+          select: {
+            id: true,
+            email: true,
+          },
+        },
+      },
+    });
+
+    return workspaceUsers.map(wu => wu.user);
+  }
+}
+
+module.exports = { ConversationNoteService };
@@ -0,0 +1,190 @@
+const prisma = require('../config/database');
+const redis = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+const { emitToWorkspace } = require('../socket/socket');
+const { ConversationAccessService } = require('./conversationAccess.service');
+const { ConversationEventService } = require('./conversationEvent.service');
+const { SlaService } = require('./sla.service');
+
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Conversation Priority Service
+ *
+ * Changes the priority of a conversation. The SLA policy is resolved per priority, so the
+ * matching policy is re-applied in the same transaction. Every change is recorded as a
+ * PRIORITY_CHANGED conversation event and announced with `conversation-priority-changed`.
+ */
+class ConversationPriorityService {
+  static PRIORITIES = ['LOW', 'NORMAL', 'HIGH', 'URGENT'];
+
+  constructor() {
+    this.conversationAccessService = new ConversationAccessService();
+    this.conversationEventService = new ConversationEventService();
+    this.slaService = new SlaService();
+  }
+
+  /**
+   * Whether a priority ranks above another
+   *
+   * @param {string} priority - Priority to compare
+   * @param {string} other - Priority to compare against
+   * @returns {boolean} True if priority is higher than other
+   */
+  static isHigher(priority, other) {
+    const { PRIORITIES } = ConversationPriorityService;
+    return PRIORITIES.indexOf(priority) > PRIORITIES.indexOf(other);
+  }
+
+  /**
+   * Change the priority of a conversation on behalf of a user
+   * Any user who can view the conversation may change it; the reason is recorded on the
+   * PRIORITY_CHANGED event.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} data - { priority, reason }
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} Updated conversation
+   * @throws {Error} If the priority or reason is invalid, or the caller cannot view the conversation
+   */
+  async changePriority(conversationId, workspaceId, accountId, data, callerInfo) {
+    if (!ConversationPriorityService.PRIORITIES.includes(data.priority)) {
+      throw new Error(`Invalid priority. Valid priorities are: ${ConversationPriorityService.PRIORITIES.join(', ')}`);
+    }
+
+    const reason = typeof data.reason === 'string' ? data.reason.trim() : '';
+    if (!reason) {
+      throw new Error('A reason is required to change the priority');
+    }
+    if (reason.length > MAX_REASON_LENGTH) {
+      throw new Error(`Reason must be at most ${MAX_REASON_LENGTH} characters`);
+    }
+
+    await this._verifyCanViewConversation(callerInfo, conversationId, workspaceId, accountId);
+
+    return this.setPriority(conversationId, data.priority, workspaceId, {
+      actorUserId: callerInfo.isAppOwner ? null : callerInfo.userId,
+      metadata: { reason },
+    });
+  }
+
+  /**
+   * Set the priority of a conversation
+   * Setting the current priority again is a no-op.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} priority - LOW, NORMAL, HIGH or URGENT
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} options - Transaction options { tx, afterCommit, actorUserId } (optional)
+   * @param {Object} options.metadata - Recorded on the PRIORITY_CHANGED event, e.g. { reason } (optional)
+   * @returns {Promise<Object>} Updated conversation
+   * @throws {Error} If the priority is invalid or the conversation is not found
+   */
+  async setPriority(conversationId, priority, workspaceId, options = {}) {
+    if (!ConversationPriorityService.PRIORITIES.includes(priority)) {
+      throw new Error(`Invalid priority: ${priority}. Valid priorities are: ${ConversationPriorityService.PRIORITIES.join(', ')}`);
+    }
+
+    return withTransaction(options, async (tx, afterCommit) => {
+      const conversation = await tx.conversation.findFirst({
+        where: {
+          id: conversationId,
+          workspaceId,
+        },
+      });
+
+      if (!conversation) {
+        throw new Error('Conversation not found');
+      }
+
+      if (conversation.priority === priority) {
+        return conversation;
+      }
+
+      await tx.conversation.update({
+        where: { id: conversationId },
+        data: { priority },
+      });
+
+      // The SLA policy depends on the priority
+      const updatedConversation = await this.slaService.applyPolicy(conversationId, { tx, afterCommit });
+
+      await this.conversationEventService.recordEvent(
+        conversationId,
+        workspaceId,
+        'PRIORITY_CHANGED',
+        { fromValue: conversation.priority, toValue: priority, metadata: options.metadata },
+        { tx, afterCommit, actorUserId: options.actorUserId }
+      );
+
+      afterCommit.push(() => this._afterPriorityChanged(
+        conversationId,
+        workspaceId,
+        priority,
+        conversation.priority,
+        options.metadata?.reason || null
+      ));
+
+      logger.info(`Conversation ${conversationId} priority changed from ${conversation.priority} to ${priority}`);
+
+      return updatedConversation;
+    });
+  }
+
+  /**
+   * Invalidate cache and announce the new priority
+   * @private
+   */
+  async _afterPriorityChanged(conversationId, workspaceId, priority, previousPriority, reason) {
+    await redis.del(`conversation:${conversationId}`);
+
+    const io = global.io;
+    if (io) {
+      emitToWorkspace(io, workspaceId, 'conversation-priority-changed', {
+        conversationId,
+        priority,
+        previousPriority,
+        reason,
+      });
+    }
+  }
+
+  /**
+   * Verify the caller can view the conversation and it has not been merged away
+   * @private
+   */
+  async _verifyCanViewConversation(callerInfo, conversationId, workspaceId, accountId) {
+    const conversation = await prisma.conversation.findFirst({
+      where: { id: conversationId, workspaceId },
+      select: { id: true, mergedIntoId: true },
+    });
+
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    if (conversation.mergedIntoId) {
+      throw new Error(`Conversation has been merged into ${conversation.mergedIntoId}`);
+    }
+
+    if (callerInfo.isAppOwner || callerInfo.workspaceRole === 'ADMIN') {
+      return;
+    }
+
+    const canView = await this.conversationAccessService.canUserViewConversation(
+      callerInfo.userId,
+      conversationId,
+      workspaceId,
+      accountId
+    );
+
+    if (!canView) {
+      throw new Error('Insufficient permissions. You cannot access this conversation');
+    }
+  }
+}
+
+module.exports = { ConversationPriorityService };
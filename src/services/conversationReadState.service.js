@@ -0,0 +1,392 @@
+const prisma = require('../config/database');
+const { withTransaction } = require('../utils/transaction');
+const { ConversationAccessService } = require('./conversationAccess.service');
+
+/**
+ * Conversation Read State Service
+ *
+ * Tracks what each user has read, per conversation. A ConversationReadState row holds the
+ * user's last read message (lastReadAt) and the number of messages from others after it.
+ *
+ * - Users without a row have read nothing: every message from someone else is unread
+ * - Writing a reply or note marks the conversation read for its author
+ * - Every other new message bumps the unread count of users who have a row
+ *
+ * Read state changes are sent to the user's own sockets as `conversation-read-state`,
+ * so badges stay in sync across devices. Message.isRead is a legacy global flag and is not used here.
+ */
+class ConversationReadStateService {
+  constructor() {
+    this.conversationAccessService = new ConversationAccessService();
+  }
+
+  /**
+   * Build a where fragment matching conversations with unread messages for a user
+   *
+   * @param {string} userId - User ID
+   * @param {string|boolean} unread - Query value; only 'true' (or true) enables the filter
+   * @returns {Object|null} Where fragment, or null when no filter applies
+   */
+  static buildUnreadFilter(userId, unread) {
+    if (unread !== true && String(unread).toLowerCase() !== 'true') {
+      return null;
+    }
+
+    return {
+      OR: [
+        {
+          lastMessageAt: { not: null },
+          readStates: { none: { userId } },
+        },
+        {
+          readStates: { some: { userId, unreadCount: { gt: 0 } } },
+        },
+      ],
+    };
+  }
+
+  /**
+   * Mark a conversation read up to a message
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} messageId - Last read message (optional, defaults to the latest message)
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} Read state { conversationId, lastReadMessageId, lastReadAt, unreadCount }
+   * @throws {Error} If the conversation or message is not found
+   */
+  async markRead(conversationId, workspaceId, messageId, callerInfo) {
+    await this._getVisibleConversation(conversationId, workspaceId, callerInfo);
+
+    const target = messageId
+      ? await this._getMessage(conversationId, messageId)
+      : await prisma.message.findFirst({
+        where: { conversationId },
+        orderBy: { createdAt: 'desc' },
+      });
+
+    // An empty conversation is read as of now
+    const lastReadAt = target ? target.createdAt : new Date();
+    const unreadCount = target
+      ? await prisma.message.count({
+        where: {
+          conversationId,
+          createdAt: { gt: lastReadAt },
+          ...ConversationReadStateService._fromOthersFilter(callerInfo.userId),
+        },
+      })
+      : 0;
+
+    return this._saveReadState(conversationId, workspaceId, callerInfo.userId, {
+      lastReadMessageId: target ? target.id : null,
+      lastReadAt,
+      unreadCount,
+    });
+  }
+
+  /**
+   * Mark a conversation unread from a message onwards
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} messageId - First unread message (optional, defaults to the latest message from someone else)
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} Read state { conversationId, lastReadMessageId, lastReadAt, unreadCount }
+   * @throws {Error} If the conversation or message is not found, or there is nothing to mark unread
+   */
+  async markUnread(conversationId, workspaceId, messageId, callerInfo) {
+    await this._getVisibleConversation(conversationId, workspaceId, callerInfo);
+
+    const fromOthers = ConversationReadStateService._fromOthersFilter(callerInfo.userId);
+
+    const target = messageId
+      ? await this._getMessage(conversationId, messageId)
+      : await prisma.message.findFirst({
+        where: { conversationId, ...fromOthers },
+        orderBy: { createdAt: 'desc' },
+      });
+
+    if (!target) {
+      throw new Error('Conversation has no messages to mark unread');
+    }
+
+    const previous = await prisma.message.findFirst({
+      where: {
+        conversationId,
+        createdAt: { lt: target.createdAt },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    const unreadCount = await prisma.message.count({
+      where: {
+        conversationId,
+        createdAt: { gte: target.createdAt },
+        ...fromOthers,
+      },
+    });
+
+    return this._saveReadState(conversationId, workspaceId, callerInfo.userId, {
+      lastReadMessageId: previous ? previous.id : null,
+      lastReadAt: previous ? previous.createdAt : new Date(target.createdAt.getTime() - 1),
+      unreadCount,
+    });
+  }
+
+  /**
+   * Update read states for a newly created message
+   * The author has read the conversation up to their own message; everyone else gains an unread message.
+   *
+   * @param {Object} message - Created message { id, conversationId, sentByUserId, createdAt }
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} options - Transaction options { tx, afterCommit } (optional)
+   */
+  async recordMessage(message, workspaceId, options = {}) {
+    return withTransaction(options, async (tx, afterCommit) => {
+      await tx.conversationReadState.updateMany({
+        where: {
+          conversationId: message.conversationId,
+          ...(message.sentByUserId && { userId: { not: message.sentByUserId } }),
+        },
+        data: {
+          unreadCount: { increment: 1 },
+        },
+      });
+
+      if (!message.sentByUserId) {
+        return;
+      }
+
+      const readState = {
+        lastReadMessageId: message.id,
+        lastReadAt: message.createdAt,
+        unreadCount: 0,
+      };
+
+      await tx.conversationReadState.upsert({
+        where: {
+          conversationId_userId: {
+            conversationId: message.conversationId,
+            userId: message.sentByUserId,
+          },
+        },
+        create: {
+          conversationId: message.conversationId,
+          userId: message.sentByUserId,
+          ...readState,
+        },
+        update: readState,
+      });
+
+      afterCommit.push(() => this._emitReadState(workspaceId, message.sentByUserId, {
+        conversationId: message.conversationId,
+        ...readState,
+      }));
+    });
+  }
+
+  /**
+   * Recount unread messages of every read state of a conversation
+   * Used after messages move between conversations (merge, split).
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} client - Prisma client or transaction client (optional)
+   */
+  async recalculate(conversationId, client = prisma) {
+    const readStates = await client.conversationReadState.findMany({
+      where: { conversationId },
+    });
+
+    for (const readState of readStates) {
+      const unreadCount = await client.message.count({
+        where: {
+          conversationId,
+          createdAt: { gt: readState.lastReadAt },
+          ...ConversationReadStateService._fromOthersFilter(readState.userId),
+        },
+      });
+
+      if (unreadCount !== readState.unreadCount) {
+        await client.conversationReadState.update({
+          where: {
+            conversationId_userId: {
+              conversationId,
+              userId: readState.userId,
+            },
+          },
+          data: { unreadCount },
+        });
+      }
+    }
+  }
+
+  /**
+   * Get a user's unread message count for several conversations
+   *
+   * @param {string} userId - User ID
+   * @param {Array<string>} conversationIds - Conversation IDs
+   * @returns {Promise<Map>} conversationId → unread count
+   */
+  async getUnreadCounts(userId, conversationIds) {
+    const counts = new Map(conversationIds.map(id => [id, 0]));
+
+    if (conversationIds.length === 0) {
+      return counts;
+    }
+
+    const readStates = await prisma.conversationReadState.findMany({
+      where: {
+        userId,
+        conversationId: { in: conversationIds },
+      },
+      select: {
+        conversationId: true,
+        unreadCount: true,
+      },
+    });
+
+    readStates.forEach(state => counts.set(state.conversationId, state.unreadCount));
+
+    // Conversations the user never read: every message from someone else is unread
+    const withState = new Set(readStates.map(state => state.conversationId));
+    const neverRead = conversationIds.filter(id => !withState.has(id));
+
+    if (neverRead.length > 0) {
+      const groups = await prisma.message.groupBy({
+        by: ['conversationId'],
+        where: {
+          conversationId: { in: neverRead },
+          ...ConversationReadStateService._fromOthersFilter(userId),
+        },
+        _count: { _all: true },
+      });
+
+      groups.forEach(group => counts.set(group.conversationId, group._count._all));
+    }
+
+    return counts;
+  }
+
+  /**
+   * Add the user's unreadCount to each conversation of a list
+   *
+   * @param {Array} conversations - Conversations with an id
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Conversations with unreadCount
+   */
+  async attachUnreadCounts(conversations, userId) {
+    const counts = await this.getUnreadCounts(userId, conversations.map(conversation => conversation.id));
+
+    return conversations.map(conversation => ({
+      ...conversation,
+      unreadCount: counts.get(conversation.id) || 0,
+    }));
+  }
+
+  /**
+   * Messages not written by the user (inbound messages have no author)
+   * @private
+   */
+  static _fromOthersFilter(userId) {
+    return {
+      OR: [
+        { sentByUserId: null },
+        { sentByUserId: { not: userId } },
+      ],
+    };
+  }
+
+  /**
+   * Find a conversation within the caller's visibility
+   * @private
+   */
+  async _getVisibleConversation(conversationId, workspaceId, callerInfo) {
+    if (callerInfo.isAppOwner) {
+      throw new Error('Insufficient permissions. Only workspace users have read state');
+    }
+
+    const visibilityFilter = await this.conversationAccessService.getVisibilityFilter(callerInfo, workspaceId);
+
+    const conversation = await prisma.conversation.findFirst({
+      where: {
+        id: conversationId,
+        workspaceId,
+        ...visibilityFilter,
+      },
+      select: { id: true },
+    });
+
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Find a message of a conversation
+   * @private
+   */
+  async _getMessage(conversationId, messageId) {
+    const message = await prisma.message.findFirst({
+      where: {
+        id: messageId,
+        conversationId,
+      },
+    });
+
+    if (!message) {
+      throw new Error('Message not found in this conversation');
+    }
+
+    return message;
+  }
+
+  /**
+   * Store a user's read state and send it to their sockets
+   * @private
+   */
+  async _saveReadState(conversationId, workspaceId, userId, readState) {
+    const saved = await prisma.conversationReadState.upsert({
+      where: {
+        conversationId_userId: {
+          conversationId,
+          userId,
+        },
+      },
+      create: {
+        conversationId,
+        userId,
+        ...readState,
+      },
+      update: readState,
+    });
+
+    const result = {
+      conversationId,
+      lastReadMessageId: saved.lastReadMessageId,
+      lastReadAt: saved.lastReadAt,
+      unreadCount: saved.unreadCount,
+    };
+
+    this._emitReadState(workspaceId, userId, result);
+
+    return result;
+  }
+
+  /**
+   * Send a read state change to all of the user's sockets
+   * @private
+   */
+  _emitReadState(workspaceId, userId, readState) {
+    const io = global.io;
+    if (io) {
+      io.to(`user:${userId}`).emit('conversation-read-state', {
+        workspaceId,
+        ...readState,
+      });
+    }
+  }
+}
+
+module.exports = { ConversationReadStateService };
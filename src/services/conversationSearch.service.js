@@ -0,0 +1,365 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const { ConversationAccessService } = require('./conversationAccess.service');
+
+// Search vectors - must match the index expressions in prisma/sql/full_text_search.sql
+const MESSAGE_VECTOR = Prisma.sql`to_tsvector('english', coalesce(m."subject", '') || ' ' || m."body")`;
+const SUBJECT_VECTOR = Prisma.sql`to_tsvector('english', coalesce(c."subject", ''))`;
+const CONTACT_VECTOR = Prisma.sql`to_tsvector('simple', coalesce(ct."name", '') || ' ' || ct."email")`;
+
+// Private-use markers wrap matches in ts_headline output; they are turned into <mark> after HTML escaping
+const MATCH_START = '\uE000';
+const MATCH_END = '\uE001';
+const HEADLINE_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "`;
+
+// operator:value or operator:"quoted value", quoted phrases, or plain words
+const TOKEN_REGEX = /([a-zA-Z]+):("[^"]*"|\S+)|"[^"]*"|\S+/g;
+
+/**
+ * Conversation Search Service
+ *
+ * Full-text search over message subjects and bodies (including internal notes), conversation
+ * subjects and contact names/emails, using Postgres tsvector/tsquery.
+ *
+ * Query syntax: free text (websearch syntax: "exact phrase", -excluded, or) plus operators
+ * - from:<text>            contact email or any message sender contains <text>
+ * - status:<status>[,...]  TODO, ASSIGNED, ESCALATED, CLOSED
+ * - assignee:<me|none|email>
+ * - before:<date> / after:<date>  last activity before / on or after the date (YYYY-MM-DD)
+ *
+ * Results are ranked by the best matching message, subject or contact, and restricted to
+ * conversations the caller can view (same rules as ConversationAccessService.getVisibilityFilter).
+ */
+class ConversationSearchService {
+  static OPERATORS = ['from', 'status', 'assignee', 'before', 'after'];
+  static STATUSES = ['TODO', 'ASSIGNED', 'ESCALATED', 'CLOSED'];
+
+  constructor() {
+    this.conversationAccessService = new ConversationAccessService();
+  }
+
+  /**
+   * Search conversations
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} query - { q, page, limit }
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} { data, pagination } where each conversation has search { rank, snippet, matchedMessageId }
+   * @throws {Error} If the query is empty or an operator value is invalid
+   */
+  async searchConversations(workspaceId, query, callerInfo) {
+    const parsed = this.parseQuery(query.q);
+
+    if (!parsed.text && !parsed.hasOperators) {
+      throw new Error('Search query is required');
+    }
+
+    const limit = Math.min(parseInt(query.limit, 10) || 20, 100);
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const offset = (page - 1) * limit;
+
+    const conditions = await this._buildConditions(workspaceId, parsed, callerInfo);
+    const where = Prisma.join(conditions, ' AND ');
+
+    // One extra row tells whether another page exists
+    const hits = parsed.text
+      ? await this._searchText(parsed.text, where, limit + 1, offset)
+      : await this._searchFilters(where, limit + 1, offset);
+
+    const pageHits = hits.slice(0, limit);
+
+    const conversations = await prisma.conversation.findMany({
+      where: { id: { in: pageHits.map(hit => hit.id) } },
+      include: {
+        contact: {
+          select: {
+            id: true,
+            email: true,
+            name: true,
+            avatar: true,
+          },
+        },
+        assignedUser: {
+          select: {
+            id: true,
+            email: true,
+            firstName: true,
+            lastName: true,
+          },
+        },
+      },
+    });
+
+    const conversationsById = new Map(conversations.map(conversation => [conversation.id, conversation]));
+
+    const data = pageHits
+      .filter(hit => conversationsById.has(hit.id))
+      .map(hit => ({
+        ...conversationsById.get(hit.id),
+        search: {
+          rank: hit.rank,
+          snippet: this._formatSnippet(hit.snippet),
+          matchedMessageId: hit.messageId,
+        },
+      }));
+
+    return {
+      data,
+      pagination: {
+        page,
+        limit,
+        hasMore: hits.length > limit,
+      },
+    };
+  }
+
+  /**
+   * Split a search string into free text and operators
+   *
+   * @param {string} q - Raw search string
+   * @returns {Object} { text, from, statuses, assignee, before, after, hasOperators }
+   * @throws {Error} If an operator value is invalid
+   */
+  parseQuery(q) {
+    const parsed = {
+      text: '',
+      from: null,
+      statuses: null,
+      assignee: null,
+      before: null,
+      after: null,
+      hasOperators: false,
+    };
+
+    const words = [];
+
+    for (const match of String(q || '').matchAll(TOKEN_REGEX)) {
+      const operator = match[1] && match[1].toLowerCase();
+
+      if (!operator || !ConversationSearchService.OPERATORS.includes(operator)) {
+        words.push(match[0]);
+        continue;
+      }
+
+      const value = match[2].replace(/^"|"$/g, '').trim();
+      if (!value) {
+        throw new Error(`Missing value for ${operator}: in search query`);
+      }
+
+      parsed.hasOperators = true;
+
+      switch (operator) {
+        case 'from':
+          parsed.from = value;
+          break;
+        case 'status': {
+          const statuses = value.split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+          const invalid = statuses.filter(s => !ConversationSearchService.STATUSES.includes(s));
+          if (invalid.length > 0) {
+            throw new Error(`Invalid status in search query: ${invalid.join(', ')}. Valid statuses are: ${ConversationSearchService.STATUSES.join(', ')}`);
+          }
+          parsed.statuses = statuses;
+          break;
+        }
+        case 'assignee':
+          parsed.assignee = value;
+          break;
+        case 'before':
+        case 'after': {
+          const date = new Date(value);
+          if (Number.isNaN(date.getTime())) {
+            throw new Error(`Invalid date in search query: ${operator}:${value}`);
+          }
+          parsed[operator] = date;
+          break;
+        }
+        default:
+          break;
+      }
+    }
+
+    parsed.text = words.join(' ').trim();
+
+    return parsed;
+  }
+
+  /**
+   * Build SQL conditions on conversations (alias c) and contacts (alias ct)
+   * @private
+   */
+  async _buildConditions(workspaceId, parsed, callerInfo) {
+    const conditions = [Prisma.sql`c."workspaceId" = ${workspaceId}`];
+
+    // Visibility: admins see everything, others their assigned and department conversations
+    if (!callerInfo.isAppOwner && callerInfo.workspaceRole !== 'ADMIN') {
+      const departmentIds = await this.conversationAccessService.getUserDepartmentIds(callerInfo.userId, workspaceId);
+
+      if (departmentIds.length > 0) {
+        conditions.push(Prisma.sql`(c."assignedUserId" = ${callerInfo.userId} OR c."departmentId" IN (${Prisma.join(departmentIds)}))`);
+      } else {
+        conditions.push(Prisma.sql`c."assignedUserId" = ${callerInfo.userId}`);
+      }
+    }
+
+    if (parsed.statuses) {
+      conditions.push(Prisma.sql`c."status"::text IN (${Prisma.join(parsed.statuses)})`);
+    }
+
+    if (parsed.assignee) {
+      const assigneeUserId = await this._resolveAssignee(parsed.assignee, workspaceId, callerInfo);
+      conditions.push(assigneeUserId
+        ? Prisma.sql`c."assignedUserId" = ${assigneeUserId}`
+        : Prisma.sql`c."assignedUserId" IS NULL`);
+    }
+
+    if (parsed.before) {
+      conditions.push(Prisma.sql`c."lastMessageAt" < ${parsed.before}`);
+    }
+
+    if (parsed.after) {
+      conditions.push(Prisma.sql`c."lastMessageAt" >= ${parsed.after}`);
+    }
+
+    if (parsed.from) {
+      const pattern = `%${parsed.from.replace(/[\\%_]/g, '\\$&')}%`;
+      conditions.push(Prisma.sql`(
+        ct."email" ILIKE ${pattern}
+        OR EXISTS (SELECT 1 FROM "messages" fm WHERE fm."conversationId" = c."id" AND fm."fromEmail" ILIKE ${pattern})
+      )`);
+    }
+
+    return conditions;
+  }
+
+  /**
+   * Resolve an assignee operator value to a user ID (null for unassigned)
+   * @private
+   */
+  async _resolveAssignee(value, workspaceId, callerInfo) {
+    const normalized = value.toLowerCase();
+
+    if (normalized === 'me') {
+      return callerInfo.userId;
+    }
+
+    if (normalized === 'none' || normalized === 'unassigned') {
+      return null;
+    }
+
+    const workspaceUser = await prisma.workspaceUser.findFirst({
+      where: {
+        workspaceId,
+        user: { email: { equals: value, mode: 'insensitive' } },
+      },
+      select: { userId: true },
+    });
+
+    if (!workspaceUser) {
+      throw new Error(`Unknown assignee in search query: ${value}`);
+    }
+
+    return workspaceUser.userId;
+  }
+
+  /**
+   * Ranked full-text search
+   * Matching messages are found through the message index first, keeping the best one per conversation.
+   * @private
+   */
+  async _searchText(text, where, limit, offset) {
+    return prisma.$queryRaw`
+      WITH search AS (
+        SELECT websearch_to_tsquery('english', ${text}) AS stemmed,
+               websearch_to_tsquery('simple', ${text}) AS plain
+      ),
+      message_hits AS (
+        SELECT DISTINCT ON (m."conversationId")
+               m."conversationId",
+               m."id" AS "messageId",
+               m."body",
+               ts_rank(${MESSAGE_VECTOR}, search.stemmed) AS "rank"
+        FROM "messages" m
+        JOIN "conversations" c ON c."id" = m."conversationId"
+        JOIN "contacts" ct ON ct."id" = c."contactId"
+        CROSS JOIN search
+        WHERE ${where}
+          AND ${MESSAGE_VECTOR} @@ search.stemmed
+        ORDER BY m."conversationId", "rank" DESC, m."createdAt" DESC
+      ),
+      page AS (
+        SELECT c."id",
+               c."subject",
+               mh."messageId",
+               mh."body",
+               GREATEST(
+                 coalesce(mh."rank", 0),
+                 ts_rank(${SUBJECT_VECTOR}, search.stemmed),
+                 ts_rank(${CONTACT_VECTOR}, search.plain)
+               ) AS "rank",
+               c."lastMessageAt"
+        FROM "conversations" c
+        JOIN "contacts" ct ON ct."id" = c."contactId"
+        CROSS JOIN search
+        LEFT JOIN message_hits mh ON mh."conversationId" = c."id"
+        WHERE ${where}
+          AND (
+            mh."messageId" IS NOT NULL
+            OR ${SUBJECT_VECTOR} @@ search.stemmed
+            OR ${CONTACT_VECTOR} @@ search.plain
+          )
+        ORDER BY "rank" DESC, c."lastMessageAt" DESC NULLS LAST, c."id"
+        LIMIT ${limit} OFFSET ${offset}
+      )
+      SELECT page."id",
+             page."messageId",
+             page."rank",
+             ts_headline(
+               'english',
+               coalesce(page."body", page."subject", ''),
+               search.stemmed,
+               ${HEADLINE_OPTIONS}
+             ) AS "snippet"
+      FROM page
+      CROSS JOIN search
+      ORDER BY page."rank" DESC, page."lastMessageAt" DESC NULLS LAST, page."id"
+    `;
+  }
+
+  /**
+   * Operator-only search, newest activity first
+   * @private
+   */
+  async _searchFilters(where, limit, offset) {
+    return prisma.$queryRaw`
+      SELECT c."id",
+             NULL AS "messageId",
+             NULL AS "rank",
+             NULL AS "snippet"
+      FROM "conversations" c
+      JOIN "contacts" ct ON ct."id" = c."contactId"
+      WHERE ${where}
+      ORDER BY c."lastMessageAt" DESC NULLS LAST, c."id"
+      LIMIT ${limit} OFFSET ${offset}
+    `;
+  }
+
+  /**
+   * HTML-escape a ts_headline snippet and wrap matches in <mark>
+   * @private
+   */
+  _formatSnippet(snippet) {
+    if (!snippet) {
+      return null;
+    }
+
+    return snippet
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .split(MATCH_START).join('<mark>')
+      .split(MATCH_END).join('</mark>');
+  }
+}
+
+module.exports = { ConversationSearchService };
@@ -0,0 +1,305 @@
+const prisma = require('../config/database');
+const redis = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+const { emitToWorkspace, emitToUser } = require('../socket/socket');
+const { ConversationAccessService } = require('./conversationAccess.service');
+const { ConversationEventService } = require('./conversationEvent.service');
+
+const WAKE_BATCH_SIZE = 500;
+
+// Longest snooze accepted (one year)
+const MAX_SNOOZE_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Conversation Snooze Service
+ *
+ * Snoozing defers a conversation without changing its status: it keeps its state, owner and
+ * department but is hidden from the inbox views (except SNOOZED) until it wakes up.
+ *
+ * A conversation wakes up when:
+ * - its snoozedUntil time passes (snooze wake job)
+ * - the contact replies (createInboundMessage), which also ends "until reply" snoozes
+ * - someone unsnoozes it
+ *
+ * Snoozing and waking are recorded as SNOOZED / UNSNOOZED conversation events. Waking up emits
+ * `conversation-unsnoozed` to the workspace room and the assignee. Closing a conversation clears
+ * its snooze (see ConversationStateService.setConversationState).
+ */
+class ConversationSnoozeService {
+  constructor() {
+    this.conversationAccessService = new ConversationAccessService();
+    this.conversationEventService = new ConversationEventService();
+  }
+
+  /**
+   * Snooze a conversation
+   * Snoozing an already snoozed conversation replaces its wake-up time.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} data - { until } ISO date in the future, or omitted/null to snooze until the contact replies
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} Updated conversation
+   * @throws {Error} If conversation not found, closed, until is invalid, or caller cannot view it
+   */
+  async snooze(conversationId, workspaceId, accountId, data, callerInfo) {
+    const snoozedUntil = this._parseUntil(data?.until);
+    const conversation = await this._verifyCanViewConversation(callerInfo, conversationId, workspaceId, accountId);
+
+    if (conversation.status === 'CLOSED') {
+      throw new Error('Closed conversations cannot be snoozed');
+    }
+
+    const actorUserId = callerInfo.isAppOwner ? null : callerInfo.userId;
+
+    return withTransaction({}, async (tx, afterCommit) => {
+      const updatedConversation = await tx.conversation.update({
+        where: { id: conversationId },
+        data: {
+          snoozedAt: new Date(),
+          snoozedUntil,
+          snoozedByUserId: actorUserId,
+        },
+      });
+
+      await this.conversationEventService.recordEvent(
+        conversationId,
+        workspaceId,
+        'SNOOZED',
+        {
+          fromValue: conversation.snoozedAt ? { until: conversation.snoozedUntil } : undefined,
+          toValue: { until: snoozedUntil },
+        },
+        { tx, afterCommit, actorUserId }
+      );
+
+      afterCommit.push(() => this._afterSnoozeChanged(updatedConversation, 'conversation-snoozed', {
+        snoozedUntil,
+        snoozedByUserId: actorUserId,
+      }));
+
+      logger.info(`Conversation ${conversationId} snoozed until ${snoozedUntil ? snoozedUntil.toISOString() : 'reply'}`);
+
+      return updatedConversation;
+    });
+  }
+
+  /**
+   * Wake a snoozed conversation up now
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} Updated conversation
+   * @throws {Error} If conversation not found or not snoozed, or caller cannot view it
+   */
+  async unsnooze(conversationId, workspaceId, accountId, callerInfo) {
+    const conversation = await this._verifyCanViewConversation(callerInfo, conversationId, workspaceId, accountId);
+
+    if (!conversation.snoozedAt) {
+      throw new Error('Conversation is not snoozed');
+    }
+
+    const actorUserId = callerInfo.isAppOwner ? null : callerInfo.userId;
+    const updatedConversation = await this._wake(conversation, 'MANUAL', { actorUserId });
+
+    return updatedConversation || conversation;
+  }
+
+  /**
+   * Wake a conversation up because the contact replied
+   * Does nothing when the conversation is not snoozed.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<boolean>} True if the conversation was woken up
+   */
+  async wakeOnReply(conversationId) {
+    const conversation = await prisma.conversation.findUnique({
+      where: { id: conversationId },
+    });
+
+    if (!conversation || !conversation.snoozedAt) {
+      return false;
+    }
+
+    return !!(await this._wake(conversation, 'CUSTOMER_REPLY'));
+  }
+
+  /**
+   * Wake up every conversation whose snooze has expired
+   * Run periodically by the snooze wake job.
+   *
+   * @param {Date} now - Current time (optional)
+   * @returns {Promise<number>} Number of conversations woken up
+   */
+  async wakeDueConversations(now = new Date()) {
+    let woken = 0;
+
+    for (;;) {
+      // Woken conversations drop out of the query, so every batch starts from the top
+      const conversations = await prisma.conversation.findMany({
+        where: {
+          snoozedAt: { not: null },
+          snoozedUntil: { lte: now },
+        },
+        orderBy: { snoozedUntil: 'asc' },
+        take: WAKE_BATCH_SIZE,
+      });
+
+      for (const conversation of conversations) {
+        if (await this._wake(conversation, 'TIMER')) {
+          woken++;
+        }
+      }
+
+      if (conversations.length < WAKE_BATCH_SIZE) {
+        break;
+      }
+    }
+
+    if (woken > 0) {
+      logger.info(`Snooze wake: ${woken} conversations woken up`);
+    }
+
+    return woken;
+  }
+
+  /**
+   * Clear a conversation's snooze and announce it
+   * Compare-and-set on snoozedAt, so concurrent wake-ups only happen once.
+   * @private
+   */
+  async _wake(conversation, reason, options = {}) {
+    return withTransaction(options, async (tx, afterCommit) => {
+      const result = await tx.conversation.updateMany({
+        where: {
+          id: conversation.id,
+          snoozedAt: conversation.snoozedAt,
+        },
+        data: {
+          snoozedAt: null,
+          snoozedUntil: null,
+          snoozedByUserId: null,
+        },
+      });
+
+      if (result.count === 0) {
+        return null;
+      }
+
+      await this.conversationEventService.recordEvent(
+        conversation.id,
+        conversation.workspaceId,
+        'UNSNOOZED',
+        {
+          fromValue: { until: conversation.snoozedUntil },
+          metadata: { reason },
+        },
+        { tx, afterCommit, actorUserId: options.actorUserId }
+      );
+
+      const updatedConversation = await tx.conversation.findUnique({
+        where: { id: conversation.id },
+      });
+
+      afterCommit.push(() => this._afterSnoozeChanged(updatedConversation, 'conversation-unsnoozed', {
+        reason,
+        snoozedUntil: conversation.snoozedUntil,
+      }));
+
+      logger.info(`Conversation ${conversation.id} woken up (${reason})`);
+
+      return updatedConversation;
+    });
+  }
+
+  /**
+   * Validate the wake-up time
+   * @private
+   */
+  _parseUntil(until) {
+    if (until === undefined || until === null || until === '') {
+      return null;
+    }
+
+    const date = new Date(until);
+
+    if (Number.isNaN(date.getTime())) {
+      throw new Error('Invalid until: must be an ISO 8601 date');
+    }
+
+    const delay = date.getTime() - Date.now();
+
+    if (delay <= 0) {
+      throw new Error('Invalid until: must be in the future');
+    }
+
+    if (delay > MAX_SNOOZE_MS) {
+      throw new Error('Invalid until: a conversation can be snoozed for at most one year');
+    }
+
+    return date;
+  }
+
+  /**
+   * Verify the caller can view the conversation
+   * WORKSPACE_ADMIN and APP_OWNER see every conversation of the workspace.
+   * @private
+   */
+  async _verifyCanViewConversation(callerInfo, conversationId, workspaceId, accountId) {
+    const conversation = await prisma.conversation.findFirst({
+      where: { id: conversationId, workspaceId },
+    });
+
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    if (callerInfo.isAppOwner || callerInfo.workspaceRole === 'ADMIN') {
+      return conversation;
+    }
+
+    const canView = await this.conversationAccessService.canUserViewConversation(
+      callerInfo.userId,
+      conversationId,
+      workspaceId,
+      accountId
+    );
+
+    if (!canView) {
+      throw new Error('Insufficient permissions. You cannot access this conversation');
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Invalidate cache and announce a snooze change to the workspace and the assignee
+   * @private
+   */
+  async _afterSnoozeChanged(conversation, event, details) {
+    await redis.del(`conversation:${conversation.id}`);
+
+    const io = global.io;
+    if (!io) {
+      return;
+    }
+
+    const payload = {
+      conversationId: conversation.id,
+      status: conversation.status,
+      assignedUserId: conversation.assignedUserId,
+      ...details,
+    };
+
+    emitToWorkspace(io, conversation.workspaceId, event, payload);
+    if (conversation.assignedUserId) {
+      emitToUser(io, conversation.assignedUserId, event, payload);
+    }
+  }
+}
+
+module.exports = { ConversationSnoozeService };
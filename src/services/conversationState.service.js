@@ -1,6 +1,9 @@
 const prisma = require('../config/database');
 const redis = require('../config/redis');
 const { logger } = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+const { ConversationEventService } = require('./conversationEvent.service');
+const { SlaService } = require('./sla.service');
 
 /**
  * Conversation State Service
@@ -9,16 +12,24 @@ const { logger } = require('../utils/logger');
  * This is an internal service used by Assignment, Escalation, and Inbox services.
  * 
  * All functions verify Conversation → Workspace → Account chain for security.
- * This is a foundation layer - no routing or escalation logic yet.
+ * Routing and escalation decisions live in their own services; this service only validates
+ * and applies the transitions they request. Closing a conversation resolves its SLA cycle
+ * and reopening it starts a new one (SlaService).
  * 
  * State Transitions:
  * - TODO → ESCALATED (when escalated to human)
  * - TODO → ASSIGNED (when assigned to a user)
  * - ESCALATED → ASSIGNED (when assigned after escalation)
+ * - ESCALATED → TODO (when an escalation is rejected)
  * - ASSIGNED → CLOSED (when conversation is closed)
+ * - ASSIGNED → TODO (when unassigned or when new inbound message arrives)
  * - CLOSED → TODO (when new inbound message arrives)
  * - CLOSED → ASSIGNED (when human agent replies)
  * - Invalid transitions are disallowed
+ *
+ * Snoozing is not a state (see ConversationSnoozeService); closing a conversation clears its snooze.
+ *
+ * Every state change is recorded as a STATUS_CHANGED conversation event.
  */
 class ConversationStateService {
   /**
@@ -27,11 +38,16 @@ class ConversationStateService {
    */
   static VALID_TRANSITIONS = {
     TODO: ['ASSIGNED', 'ESCALATED'],
-    ASSIGNED: ['CLOSED'],
-    ESCALATED: ['ASSIGNED'],
+    ASSIGNED: ['CLOSED', 'TODO'],
+    ESCALATED: ['ASSIGNED', 'TODO'],
     CLOSED: ['TODO', 'ASSIGNED'], // CLOSED is not terminal - can be reopened
   };
 
+  constructor() {
+    this.conversationEventService = new ConversationEventService();
+    this.slaService = new SlaService();
+  }
+
   /**
    * Verify Conversation → Workspace → Account chain
    * Internal helper function used by all public methods
@@ -39,11 +55,12 @@ class ConversationStateService {
    * @param {string} conversationId - Conversation ID
    * @param {string} workspaceId - Workspace ID (optional, will be fetched if not provided)
    * @param {string} accountId - Account ID (optional, will be fetched if not provided)
+   * @param {Object} client - Prisma client or transaction client (optional)
    * @returns {Promise<Object>} Conversation with workspace and account info
    * @throws {Error} If conversation not found or chain is invalid
    */
-  async _verifyConversationChain(conversationId, workspaceId = null, accountId = null) {
-    const conversation = await prisma.conversation.findFirst({
+  async _verifyConversationChain(conversationId, workspaceId = null, accountId = null, client = prisma) {
+    const conversation = await client.conversation.findFirst({
       where: {
         id: conversationId,
         ...(workspaceId && { workspaceId }),
@@ -141,64 +158,86 @@ class ConversationStateService {
    * @param {string} newState - New status (TODO, ASSIGNED, ESCALATED, CLOSED)
    * @param {string} workspaceId - Workspace ID (required for verification)
    * @param {string} accountId - Account ID (required for verification)
+   * @param {Object} options - Transaction options { tx, afterCommit, actorUserId } (optional)
    * @returns {Promise<Object>} Updated conversation
    * @throws {Error} If conversation not found, chain invalid, or transition invalid
    */
-  async setConversationState(conversationId, newState, workspaceId, accountId) {
+  async setConversationState(conversationId, newState, workspaceId, accountId, options = {}) {
     // Validate newState
     const validStates = ['TODO', 'ASSIGNED', 'ESCALATED', 'CLOSED'];
     if (!validStates.includes(newState)) {
       throw new Error(`Invalid state: ${newState}. Valid states are: ${validStates.join(', ')}`);
     }
 
-    // Verify Conversation → Workspace → Account chain
-    const conversation = await this._verifyConversationChain(conversationId, workspaceId, accountId);
+    return withTransaction(options, async (tx, afterCommit) => {
+      // Verify Conversation → Workspace → Account chain
+      const conversation = await this._verifyConversationChain(conversationId, workspaceId, accountId, tx);
 
-    // Check if transition is valid
-    if (!this._isValidTransition(conversation.status, newState)) {
-      throw new Error(
-        `Invalid state transition: Cannot transition from ${conversation.status} to ${newState}. ` +
-        `Allowed transitions from ${conversation.status}: ${ConversationStateService.VALID_TRANSITIONS[conversation.status]?.join(', ') || 'none'}`
-      );
-    }
+      // Check if transition is valid
+      if (!this._isValidTransition(conversation.status, newState)) {
+        throw new Error(
+          `Invalid state transition: Cannot transition from ${conversation.status} to ${newState}. ` +
+          `Allowed transitions from ${conversation.status}: ${ConversationStateService.VALID_TRANSITIONS[conversation.status]?.join(', ') || 'none'}`
+        );
+      }
 
-    // Update conversation state
-    try {
-      const updatedConversation = await prisma.conversation.update({
-        where: { id: conversationId },
-        data: {
-          status: newState,
-          statusUpdatedAt: new Date(),
-        },
-        include: {
-          contact: {
-            select: {
-              id: true,
-              email: true,
-              name: true,
-            },
+      const now = new Date();
+
+      // Closing resolves the SLA cycle; reopening starts a new one
+      if (newState === 'CLOSED') {
+        await this.slaService.recordResolution(conversationId, now, { tx, afterCommit });
+      } else if (conversation.status === 'CLOSED') {
+        await this.slaService.restartCycle(conversationId, now, { tx, afterCommit });
+      }
+
+      // Update conversation state
+      let updatedConversation;
+      try {
+        updatedConversation = await tx.conversation.update({
+          where: { id: conversationId },
+          data: {
+            status: newState,
+            statusUpdatedAt: now,
+            ...(newState === 'CLOSED' && { snoozedAt: null, snoozedUntil: null, snoozedByUserId: null }),
           },
-          assignedUser: {
-            select: {
-              id: true,
-              email: true,
-              firstName: true,
-              lastName: true,
+          include: {
+            contact: {
+              select: {
+                id: true,
+                email: true,
+                name: true,
+              },
+            },
+            assignedUser: {
+              select: {
+                id: true,
+                email: true,
+                firstName: true,
+                lastName: true,
+              },
             },
           },
-        },
-      });
+        });
+      } catch (error) {
+        logger.error('Error updating conversation state:', error);
+        throw new Error('Failed to update conversation state');
+      }
 
-      // Invalidate cache
-      await this._invalidateConversationStateCache(conversationId, workspaceId);
+      await this.conversationEventService.recordEvent(
+        conversationId,
+        conversation.workspaceId,
+        'STATUS_CHANGED',
+        { fromValue: conversation.status, toValue: newState },
+        { tx, afterCommit, actorUserId: options.actorUserId }
+      );
+
+      // Invalidate cache once the change is committed
+      afterCommit.push(() => this._invalidateConversationStateCache(conversationId, workspaceId));
 
       logger.info(`Conversation ${conversationId} state changed from ${conversation.status} to ${newState}`);
 
       return updatedConversation;
-    } catch (error) {
-      logger.error('Error updating conversation state:', error);
-      throw new Error('Failed to update conversation state');
-    }
+    });
   }
 
   /**
@@ -208,11 +247,12 @@ class ConversationStateService {
    * @param {string} conversationId - Conversation ID
    * @param {string} workspaceId - Workspace ID
    * @param {string} accountId - Account ID
+   * @param {Object} options - Transaction options { tx, afterCommit, actorUserId } (optional)
    * @returns {Promise<Object>} Updated conversation
    * @throws {Error} If conversation not found, chain invalid, or transition invalid
    */
-  async markAsAssigned(conversationId, workspaceId, accountId) {
-    return this.setConversationState(conversationId, 'ASSIGNED', workspaceId, accountId);
+  async markAsAssigned(conversationId, workspaceId, accountId, options = {}) {
+    return this.setConversationState(conversationId, 'ASSIGNED', workspaceId, accountId, options);
   }
 
   /**
@@ -222,11 +262,12 @@ class ConversationStateService {
    * @param {string} conversationId - Conversation ID
    * @param {string} workspaceId - Workspace ID
    * @param {string} accountId - Account ID
+   * @param {Object} options - Transaction options { tx, afterCommit, actorUserId } (optional)
    * @returns {Promise<Object>} Updated conversation
    * @throws {Error} If conversation not found, chain invalid, or transition invalid
    */
-  async markAsEscalated(conversationId, workspaceId, accountId) {
-    return this.setConversationState(conversationId, 'ESCALATED', workspaceId, accountId);
+  async markAsEscalated(conversationId, workspaceId, accountId, options = {}) {
+    return this.setConversationState(conversationId, 'ESCALATED', workspaceId, accountId, options);
   }
 
   /**
@@ -236,11 +277,12 @@ class ConversationStateService {
    * @param {string} conversationId - Conversation ID
    * @param {string} workspaceId - Workspace ID
    * @param {string} accountId - Account ID
+   * @param {Object} options - Transaction options { tx, afterCommit, actorUserId } (optional)
    * @returns {Promise<Object>} Updated conversation
    * @throws {Error} If conversation not found, chain invalid, or transition invalid
    */
-  async markAsClosed(conversationId, workspaceId, accountId) {
-    return this.setConversationState(conversationId, 'CLOSED', workspaceId, accountId);
+  async markAsClosed(conversationId, workspaceId, accountId, options = {}) {
+    return this.setConversationState(conversationId, 'CLOSED', workspaceId, accountId, options);
   }
 
   /**
@@ -251,11 +293,12 @@ class ConversationStateService {
    * @param {string} conversationId - Conversation ID
    * @param {string} workspaceId - Workspace ID
    * @param {string} accountId - Account ID
+   * @param {Object} options - Transaction options { tx, afterCommit, actorUserId } (optional)
    * @returns {Promise<Object>} Updated conversation
    * @throws {Error} If conversation not found, chain invalid, or transition invalid
    */
-  async markAsTodo(conversationId, workspaceId, accountId) {
-    return this.setConversationState(conversationId, 'TODO', workspaceId, accountId);
+  async markAsTodo(conversationId, workspaceId, accountId, options = {}) {
+    return this.setConversationState(conversationId, 'TODO', workspaceId, accountId, options);
   }
 
   /**
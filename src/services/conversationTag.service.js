@@ -0,0 +1,271 @@
+const prisma = require('../config/database');
+const redis = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+const { emitToWorkspace } = require('../socket/socket');
+const { ConversationAccessService } = require('./conversationAccess.service');
+const { ConversationEventService } = require('./conversationEvent.service');
+
+/**
+ * Conversation Tag Service
+ *
+ * Adds and removes workspace tags on conversations. Every change is recorded as a
+ * TAG_ADDED / TAG_REMOVED conversation event and announced with `conversation-tags-updated`.
+ */
+class ConversationTagService {
+  constructor() {
+    this.conversationAccessService = new ConversationAccessService();
+    this.conversationEventService = new ConversationEventService();
+  }
+
+  /**
+   * Build a conversation where fragment matching any of the given tags
+   *
+   * @param {string|Array<string>} tags - Tag IDs (array or comma-separated string)
+   * @returns {Object|null} Prisma where fragment, or null when no tags are given
+   */
+  static buildTagFilter(tags) {
+    const tagIds = (Array.isArray(tags) ? tags : String(tags || '').split(','))
+      .map(tagId => tagId.trim())
+      .filter(Boolean);
+
+    if (tagIds.length === 0) {
+      return null;
+    }
+
+    return {
+      tags: { some: { tagId: { in: tagIds } } },
+    };
+  }
+
+  /**
+   * Standard tags include for conversation queries
+   *
+   * @returns {Object} Include for Conversation.tags
+   */
+  static getTagsInclude() {
+    return {
+      select: {
+        tag: {
+          select: {
+            id: true,
+            name: true,
+            color: true,
+          },
+        },
+      },
+      orderBy: { createdAt: 'asc' },
+    };
+  }
+
+  /**
+   * Get tags of a conversation
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Array>} Tags in the order they were added
+   */
+  async getConversationTags(conversationId, workspaceId, accountId, callerInfo) {
+    await this._verifyCanViewConversation(callerInfo, conversationId, workspaceId, accountId);
+
+    return this._getTags(conversationId);
+  }
+
+  /**
+   * Add tags to a conversation
+   * Tags already on the conversation are ignored.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Array<string>} tagIds - Tag IDs to add
+   * @param {Object|null} callerInfo - Caller info { userId, isAppOwner, workspaceRole }, or null for system changes
+   * @param {Object} options - Transaction options { tx, afterCommit } (optional)
+   * @returns {Promise<Array>} Tags of the conversation after the change
+   * @throws {Error} If conversation or a tag is not found, or caller cannot view the conversation
+   */
+  async addTags(conversationId, workspaceId, accountId, tagIds, callerInfo, options = {}) {
+    const uniqueTagIds = Array.from(new Set(Array.isArray(tagIds) ? tagIds : [tagIds])).filter(Boolean);
+
+    if (uniqueTagIds.length === 0) {
+      throw new Error('At least one tag ID is required');
+    }
+
+    // System changes (routing rules) have no caller to check
+    if (callerInfo) {
+      await this._verifyCanViewConversation(callerInfo, conversationId, workspaceId, accountId);
+    }
+
+    const actorUserId = callerInfo && !callerInfo.isAppOwner ? callerInfo.userId : null;
+
+    return withTransaction(options, async (tx, afterCommit) => {
+      const tags = await tx.tag.findMany({
+        where: {
+          id: { in: uniqueTagIds },
+          workspaceId,
+        },
+      });
+
+      if (tags.length !== uniqueTagIds.length) {
+        throw new Error('Tag not found or does not belong to this workspace');
+      }
+
+      const existing = await tx.conversationTag.findMany({
+        where: { conversationId, tagId: { in: uniqueTagIds } },
+        select: { tagId: true },
+      });
+      const existingTagIds = new Set(existing.map(ct => ct.tagId));
+
+      const addedTags = tags.filter(tag => !existingTagIds.has(tag.id));
+
+      for (const tag of addedTags) {
+        await tx.conversationTag.create({
+          data: {
+            conversationId,
+            tagId: tag.id,
+            addedByUserId: actorUserId,
+          },
+        });
+
+        await this.conversationEventService.recordEvent(
+          conversationId,
+          workspaceId,
+          'TAG_ADDED',
+          { toValue: { id: tag.id, name: tag.name } },
+          { tx, afterCommit, actorUserId }
+        );
+      }
+
+      const conversationTags = await this._getTags(conversationId, tx);
+
+      if (addedTags.length > 0) {
+        afterCommit.push(() => this._afterTagsChanged(conversationId, workspaceId, conversationTags));
+        logger.info(`Tags ${addedTags.map(tag => tag.id).join(', ')} added to conversation ${conversationId}`);
+      }
+
+      return conversationTags;
+    });
+  }
+
+  /**
+   * Remove a tag from a conversation
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} tagId - Tag ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @param {Object} options - Transaction options { tx, afterCommit } (optional)
+   * @returns {Promise<Array>} Tags of the conversation after the change
+   * @throws {Error} If the tag is not on the conversation, or caller cannot view the conversation
+   */
+  async removeTag(conversationId, tagId, workspaceId, accountId, callerInfo, options = {}) {
+    await this._verifyCanViewConversation(callerInfo, conversationId, workspaceId, accountId);
+
+    const actorUserId = callerInfo.isAppOwner ? null : callerInfo.userId;
+
+    return withTransaction(options, async (tx, afterCommit) => {
+      const conversationTag = await tx.conversationTag.findUnique({
+        where: {
+          conversationId_tagId: {
+            conversationId,
+            tagId,
+          },
+        },
+        include: { tag: true },
+      });
+
+      if (!conversationTag || conversationTag.tag.workspaceId !== workspaceId) {
+        throw new Error('Tag not found on this conversation');
+      }
+
+      await tx.conversationTag.delete({
+        where: {
+          conversationId_tagId: {
+            conversationId,
+            tagId,
+          },
+        },
+      });
+
+      await this.conversationEventService.recordEvent(
+        conversationId,
+        workspaceId,
+        'TAG_REMOVED',
+        { fromValue: { id: conversationTag.tag.id, name: conversationTag.tag.name } },
+        { tx, afterCommit, actorUserId }
+      );
+
+      const conversationTags = await this._getTags(conversationId, tx);
+
+      afterCommit.push(() => this._afterTagsChanged(conversationId, workspaceId, conversationTags));
+      logger.info(`Tag ${tagId} removed from conversation ${conversationId}`);
+
+      return conversationTags;
+    });
+  }
+
+  /**
+   * Verify the caller can view the conversation
+   * WORKSPACE_ADMIN and APP_OWNER see every conversation of the workspace.
+   * @private
+   */
+  async _verifyCanViewConversation(callerInfo, conversationId, workspaceId, accountId) {
+    const conversation = await prisma.conversation.findFirst({
+      where: { id: conversationId, workspaceId },
+      select: { id: true },
+    });
+
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    if (callerInfo.isAppOwner || callerInfo.workspaceRole === 'ADMIN') {
+      return;
+    }
+
+    const canView = await this.conversationAccessService.canUserViewConversation(
+      callerInfo.userId,
+      conversationId,
+      workspaceId,
+      accountId
+    );
+
+    if (!canView) {
+      throw new Error('Insufficient permissions. You cannot access this conversation');
+    }
+  }
+
+  /**
+   * Get tags of a conversation in the order they were added
+   * @private
+   */
+  async _getTags(conversationId, client = prisma) {
+    const conversationTags = await client.conversationTag.findMany({
+      where: { conversationId },
+      ...ConversationTagService.getTagsInclude(),
+    });
+
+    return conversationTags.map(ct => ct.tag);
+  }
+
+  /**
+   * Invalidate cache and announce the new tag set
+   * @private
+   */
+  async _afterTagsChanged(conversationId, workspaceId, tags) {
+    await redis.del(`conversation:${conversationId}`);
+
+    const io = global.io;
+    if (io) {
+      emitToWorkspace(io, workspaceId, 'conversation-tags-updated', {
+        conversationId,
+        tags,
+      });
+    }
+  }
+}
+
+module.exports = { ConversationTagService };
@@ -0,0 +1,502 @@
+const prisma = require('../config/database');
+const redis = require('../config/redis');
+
+const KEY_REGEX = /^[a-z][a-z0-9_]{0,49}$/;
+const MAX_LABEL_LENGTH = 100;
+const MAX_TEXT_LENGTH = 1000;
+const MAX_OPTIONS = 100;
+const MAX_OPTION_LENGTH = 100;
+
+// Filter operators per attribute type; `eq` is used when a filter gives a bare value
+const FILTER_OPERATORS = {
+  TEXT: ['eq', 'contains'],
+  NUMBER: ['eq', 'gt', 'gte', 'lt', 'lte'],
+  DATE: ['eq', 'gt', 'gte', 'lt', 'lte'],
+  ENUM: ['eq', 'in'],
+  BOOLEAN: ['eq'],
+};
+
+/**
+ * Custom Attribute Service
+ *
+ * Manages the custom attributes a workspace defines for contacts and conversations, and
+ * validates, describes and filters their values.
+ *
+ * Values are stored in the entity's customAttributes JSON, keyed by the attribute key:
+ * - TEXT: string, NUMBER: finite number, BOOLEAN: true/false
+ * - DATE: ISO 8601 string (normalized with toISOString, so values compare in date order)
+ * - ENUM: one of the definition's options
+ *
+ * Keys not defined for the entity type are rejected on write. Deleting a definition removes its
+ * values from every contact or conversation of the workspace.
+ */
+class CustomAttributeService {
+  static ENTITY_TYPES = ['CONTACT', 'CONVERSATION'];
+
+  static TYPES = ['TEXT', 'NUMBER', 'DATE', 'ENUM', 'BOOLEAN'];
+
+  /**
+   * Create an attribute definition
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} data - { entityType, key, label, type, options, description, position }
+   * @returns {Promise<Object>} Created definition
+   * @throws {Error} If the workspace is not found, data is invalid or the key is already used
+   */
+  async createDefinition(workspaceId, accountId, data) {
+    // Verify workspace exists and belongs to account
+    const workspace = await prisma.workspace.findFirst({
+      where: {
+        id: workspaceId,
+        accountId,
+      },
+    });
+
+    if (!workspace) {
+      throw new Error('Workspace not found or does not belong to this account');
+    }
+
+    const definitionData = this._validateDefinitionData(data, null);
+
+    try {
+      const definition = await prisma.customAttributeDefinition.create({
+        data: {
+          ...definitionData,
+          workspaceId,
+        },
+      });
+
+      await redis.del(`custom-attributes:workspace:${workspaceId}`);
+
+      return definition;
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new Error(`A ${definitionData.entityType} attribute with key "${definitionData.key}" already exists in this workspace`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the attribute definitions of a workspace, in display order
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} entityType - CONTACT or CONVERSATION (optional, both when omitted)
+   * @returns {Promise<Array>} Definitions
+   * @throws {Error} If entityType is invalid
+   */
+  async getDefinitions(workspaceId, entityType) {
+    if (entityType && !CustomAttributeService.ENTITY_TYPES.includes(entityType)) {
+      throw new Error(`Invalid entityType. Allowed: ${CustomAttributeService.ENTITY_TYPES.join(', ')}`);
+    }
+
+    const definitions = await this._getWorkspaceDefinitions(workspaceId);
+
+    return entityType
+      ? definitions.filter(definition => definition.entityType === entityType)
+      : definitions;
+  }
+
+  /**
+   * Get an attribute definition by ID
+   *
+   * @param {string} definitionId - Definition ID
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Object>} Definition
+   * @throws {Error} If the definition is not found in the workspace
+   */
+  async getDefinitionById(definitionId, workspaceId) {
+    const definition = await prisma.customAttributeDefinition.findFirst({
+      where: {
+        id: definitionId,
+        workspaceId,
+      },
+    });
+
+    if (!definition) {
+      throw new Error('Custom attribute not found');
+    }
+
+    return definition;
+  }
+
+  /**
+   * Update an attribute definition
+   * The entity type, key and type cannot change: stored values depend on them.
+   */
+  async updateDefinition(definitionId, workspaceId, data) {
+    const definition = await this.getDefinitionById(definitionId, workspaceId);
+    const definitionData = this._validateDefinitionData(data, definition);
+
+    const updatedDefinition = await prisma.customAttributeDefinition.update({
+      where: { id: definition.id },
+      data: definitionData,
+    });
+
+    await redis.del(`custom-attributes:workspace:${workspaceId}`);
+
+    return updatedDefinition;
+  }
+
+  /**
+   * Delete an attribute definition
+   * Its values are removed from every contact or conversation of the workspace.
+   */
+  async deleteDefinition(definitionId, workspaceId) {
+    const definition = await this.getDefinitionById(definitionId, workspaceId);
+
+    await prisma.$transaction(async (tx) => {
+      if (definition.entityType === 'CONTACT') {
+        await tx.$executeRaw`
+          UPDATE "contacts"
+          SET "customAttributes" = "customAttributes" - ${definition.key}
+          WHERE "workspaceId" = ${workspaceId}
+            AND "customAttributes" ? ${definition.key}
+        `;
+      } else {
+        await tx.$executeRaw`
+          UPDATE "conversations"
+          SET "customAttributes" = "customAttributes" - ${definition.key}
+          WHERE "workspaceId" = ${workspaceId}
+            AND "customAttributes" ? ${definition.key}
+        `;
+      }
+
+      await tx.customAttributeDefinition.delete({
+        where: { id: definition.id },
+      });
+    });
+
+    await redis.del(`custom-attributes:workspace:${workspaceId}`);
+  }
+
+  /**
+   * Validate attribute values and apply them on top of the current values
+   * A null value removes the attribute.
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} entityType - CONTACT or CONVERSATION
+   * @param {Object} input - { key: value } to set
+   * @param {Object} current - Current customAttributes (optional)
+   * @returns {Promise<Object>} { values, changes } where changes maps each changed key to { from, to }
+   * @throws {Error} If input is not an object, a key is unknown or a value does not match its type
+   */
+  async applyValues(workspaceId, entityType, input, current = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw new Error('Custom attributes must be an object of attribute keys and values');
+    }
+
+    const definitions = await this.getDefinitions(workspaceId, entityType);
+    const byKey = new Map(definitions.map(definition => [definition.key, definition]));
+
+    const values = { ...(current || {}) };
+    const changes = {};
+
+    for (const [key, rawValue] of Object.entries(input)) {
+      const definition = byKey.get(key);
+      if (!definition) {
+        throw new Error(`Unknown ${entityType.toLowerCase()} attribute: ${key}`);
+      }
+
+      const value = rawValue === null ? null : CustomAttributeService._normalizeValue(definition, rawValue);
+      const previous = values[key] ?? null;
+
+      if (value === previous) {
+        continue;
+      }
+
+      if (value === null) {
+        delete values[key];
+      } else {
+        values[key] = value;
+      }
+      changes[key] = { from: previous, to: value };
+    }
+
+    return { values, changes };
+  }
+
+  /**
+   * Pair stored values with their definitions, for API responses
+   * Every definition is listed (value null when unset); values of deleted definitions are left out.
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} entityType - CONTACT or CONVERSATION
+   * @param {Object} values - customAttributes of the entity
+   * @returns {Promise<Array>} [{ key, label, type, options, description, value }]
+   */
+  async describeValues(workspaceId, entityType, values) {
+    const definitions = await this.getDefinitions(workspaceId, entityType);
+
+    return definitions.map(definition => ({
+      key: definition.key,
+      label: definition.label,
+      type: definition.type,
+      options: definition.options,
+      description: definition.description,
+      value: values?.[definition.key] ?? null,
+    }));
+  }
+
+  /**
+   * Build a conversation where fragment from attribute filters
+   *
+   * Filters come from the query string:
+   * - attributes[plan]=pro                  conversation attribute equals value
+   * - attributes[seats][gte]=10             operators per type (see FILTER_OPERATORS)
+   * - contactAttributes[tier][in]=gold,vip  same, on the conversation's contact
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} query - Request query with attributes / contactAttributes
+   * @returns {Promise<Object|null>} Where fragment, or null when no filter applies
+   * @throws {Error} If a filter names an unknown attribute, operator or invalid value
+   */
+  async buildFilter(workspaceId, query = {}) {
+    if (!query.attributes && !query.contactAttributes) {
+      return null;
+    }
+
+    const filters = [
+      ...(await this._buildEntityFilters(workspaceId, 'CONVERSATION', query.attributes)),
+      ...(await this._buildEntityFilters(workspaceId, 'CONTACT', query.contactAttributes))
+        .map(filter => ({ contact: filter })),
+    ];
+
+    return filters.length > 0 ? { AND: filters } : null;
+  }
+
+  /**
+   * Where fragments for one entity's attribute filters
+   * @private
+   */
+  async _buildEntityFilters(workspaceId, entityType, filters) {
+    if (!filters) {
+      return [];
+    }
+
+    if (typeof filters !== 'object' || Array.isArray(filters)) {
+      throw new Error('Invalid attribute filter: use attributes[key]=value or attributes[key][operator]=value');
+    }
+
+    const definitions = await this.getDefinitions(workspaceId, entityType);
+    const byKey = new Map(definitions.map(definition => [definition.key, definition]));
+
+    const where = [];
+
+    for (const [key, filter] of Object.entries(filters)) {
+      const definition = byKey.get(key);
+      if (!definition) {
+        throw new Error(`Invalid attribute filter: unknown ${entityType.toLowerCase()} attribute ${key}`);
+      }
+
+      const conditions = filter !== null && typeof filter === 'object' && !Array.isArray(filter)
+        ? Object.entries(filter)
+        : [['eq', filter]];
+
+      for (const [operator, rawValue] of conditions) {
+        where.push(this._buildCondition(definition, operator, rawValue));
+      }
+    }
+
+    return where;
+  }
+
+  /**
+   * Where fragment for one operator on one attribute
+   * @private
+   */
+  _buildCondition(definition, operator, rawValue) {
+    const allowed = FILTER_OPERATORS[definition.type];
+    if (!allowed.includes(operator)) {
+      throw new Error(`Invalid attribute filter: ${definition.key} supports ${allowed.join(', ')}`);
+    }
+
+    const path = [definition.key];
+    const parse = (value) => {
+      try {
+        return CustomAttributeService._normalizeValue(definition, CustomAttributeService._fromQueryValue(definition, value));
+      } catch (error) {
+        throw new Error(`Invalid attribute filter: ${error.message}`);
+      }
+    };
+
+    switch (operator) {
+      case 'contains':
+        return { customAttributes: { path, string_contains: String(rawValue) } };
+      case 'in': {
+        const values = String(rawValue).split(',').map(value => value.trim()).filter(Boolean);
+        return {
+          OR: values.map(value => ({ customAttributes: { path, equals: parse(value) } })),
+        };
+      }
+      case 'eq':
+        // A bare ENUM value may list several options
+        if (definition.type === 'ENUM' && String(rawValue).includes(',')) {
+          return this._buildCondition(definition, 'in', rawValue);
+        }
+        return { customAttributes: { path, equals: parse(rawValue) } };
+      default:
+        return { customAttributes: { path, [operator]: parse(rawValue) } };
+    }
+  }
+
+  /**
+   * Turn a query string value into the type's input value
+   * @private
+   */
+  static _fromQueryValue(definition, value) {
+    if (definition.type === 'NUMBER' && typeof value === 'string' && value.trim() !== '') {
+      return Number(value);
+    }
+    if (definition.type === 'BOOLEAN' && (value === 'true' || value === 'false')) {
+      return value === 'true';
+    }
+    return value;
+  }
+
+  /**
+   * Validate a value against its definition and return the stored form
+   * @private
+   */
+  static _normalizeValue(definition, value) {
+    const invalid = (expected) => new Error(`Invalid value for attribute "${definition.key}": expected ${expected}`);
+
+    switch (definition.type) {
+      case 'TEXT': {
+        if (typeof value !== 'string') {
+          throw invalid('text');
+        }
+        const text = value.trim();
+        if (text.length > MAX_TEXT_LENGTH) {
+          throw invalid(`text of at most ${MAX_TEXT_LENGTH} characters`);
+        }
+        return text || null;
+      }
+      case 'NUMBER':
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          throw invalid('a number');
+        }
+        return value;
+      case 'DATE': {
+        const date = typeof value === 'string' ? new Date(value) : null;
+        if (!date || Number.isNaN(date.getTime())) {
+          throw invalid('an ISO 8601 date');
+        }
+        return date.toISOString();
+      }
+      case 'ENUM':
+        if (!definition.options.includes(value)) {
+          throw invalid(`one of ${definition.options.join(', ')}`);
+        }
+        return value;
+      case 'BOOLEAN':
+        if (typeof value !== 'boolean') {
+          throw invalid('true or false');
+        }
+        return value;
+      default:
+        throw new Error(`Unsupported attribute type: ${definition.type}`);
+    }
+  }
+
+  /**
+   * Get workspace definitions (cached)
+   * @private
+   */
+  async _getWorkspaceDefinitions(workspaceId) {
+    const cacheKey = `custom-attributes:workspace:${workspaceId}`;
+
+    // Try cache first
+    const cached = await redis.get(cacheKey);
+    if (cached) {
+      return JSON.parse(cached);
+    }
+
+    const definitions = await prisma.customAttributeDefinition.findMany({
+      where: { workspaceId },
+      orderBy: [{ position: 'asc' }, { createdAt: 'asc' }],
+    });
+
+    // Cache for 5 minutes
+    await redis.setex(cacheKey, 300, JSON.stringify(definitions));
+
+    return definitions;
+  }
+
+  /**
+   * Validate and normalize definition input
+   * Pass the existing definition when updating.
+   * @private
+   */
+  _validateDefinitionData(data, existing) {
+    const definitionData = {};
+    const isCreate = !existing;
+
+    if (isCreate) {
+      if (!CustomAttributeService.ENTITY_TYPES.includes(data.entityType)) {
+        throw new Error(`Invalid entityType. Allowed: ${CustomAttributeService.ENTITY_TYPES.join(', ')}`);
+      }
+      if (typeof data.key !== 'string' || !KEY_REGEX.test(data.key)) {
+        throw new Error('Attribute key must start with a lowercase letter and contain only lowercase letters, digits and underscores (max 50)');
+      }
+      if (!CustomAttributeService.TYPES.includes(data.type)) {
+        throw new Error(`Invalid type. Allowed: ${CustomAttributeService.TYPES.join(', ')}`);
+      }
+      definitionData.entityType = data.entityType;
+      definitionData.key = data.key;
+      definitionData.type = data.type;
+    } else {
+      ['entityType', 'key', 'type'].forEach(field => {
+        if (data[field] !== undefined && data[field] !== existing[field]) {
+          throw new Error(`Attribute ${field} cannot be changed. Create a new attribute instead`);
+        }
+      });
+    }
+
+    if (isCreate || data.label !== undefined) {
+      const label = typeof data.label === 'string' ? data.label.trim() : '';
+      if (!label) {
+        throw new Error('Attribute label is required');
+      }
+      if (label.length > MAX_LABEL_LENGTH) {
+        throw new Error(`Attribute label must be at most ${MAX_LABEL_LENGTH} characters`);
+      }
+      definitionData.label = label;
+    }
+
+    const type = existing ? existing.type : definitionData.type;
+
+    if (type === 'ENUM' && (isCreate || data.options !== undefined)) {
+      const options = Array.isArray(data.options)
+        ? Array.from(new Set(data.options.map(option => (typeof option === 'string' ? option.trim() : '')).filter(Boolean)))
+        : [];
+      if (options.length === 0 || options.length > MAX_OPTIONS) {
+        throw new Error(`ENUM attributes need 1 to ${MAX_OPTIONS} options`);
+      }
+      if (options.some(option => option.length > MAX_OPTION_LENGTH)) {
+        throw new Error(`Attribute options must be at most ${MAX_OPTION_LENGTH} characters`);
+      }
+      definitionData.options = options;
+    } else if (type !== 'ENUM' && data.options !== undefined && data.options !== null
+      && !(Array.isArray(data.options) && data.options.length === 0)) {
+      throw new Error('Only ENUM attributes have options');
+    }
+
+    if (data.description !== undefined) {
+      definitionData.description = data.description || null;
+    }
+
+    if (data.position !== undefined) {
+      const position = parseInt(data.position, 10);
+      if (!Number.isInteger(position) || position < 0) {
+        throw new Error('Attribute position must be a non-negative integer');
+      }
+      definitionData.position = position;
+    }
+
+    return definitionData;
+  }
+}
+
+module.exports = { CustomAttributeService };
@@ -0,0 +1,475 @@
+const prisma = require('../config/database');
+const { logger } = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+const { emitToWorkspace } = require('../socket/socket');
+const { ConversationStateService } = require('./conversationState.service');
+const { ConversationAssignmentService } = require('./conversationAssignment.service');
+const { ConversationAccessService } = require('./conversationAccess.service');
+const { DepartmentAuthorityService } = require('./departmentAuthority.service');
+const { NotificationService } = require('./notification.service');
+const { ConversationEventService } = require('./conversationEvent.service');
+const { AutoAssignmentService } = require('./autoAssignment.service');
+
+/**
+ * Escalation Service
+ *
+ * Escalates conversations to another department and records every escalation.
+ *
+ * Escalation flow:
+ * - escalate: records reason, tier and target department, unassigns the conversation,
+ *   moves it to the target department and transitions it to ESCALATED.
+ *   DEPARTMENT_MANAGER and HUMAN_SUPPORT users of the target department are notified.
+ * - acknowledge: a DEPARTMENT_MANAGER of the target department accepts the escalation.
+ *   The conversation stays ESCALATED until someone is assigned.
+ * - reject: a DEPARTMENT_MANAGER of the target department declines the escalation.
+ *   The conversation returns to its source department as TODO.
+ * Each step is recorded as a conversation event (ESCALATED, ESCALATION_ACKNOWLEDGED, ESCALATION_REJECTED).
+ */
+class EscalationService {
+  static TIERS = ['TIER_1', 'TIER_2', 'TIER_3'];
+
+  constructor() {
+    this.conversationStateService = new ConversationStateService();
+    this.conversationAssignmentService = new ConversationAssignmentService();
+    this.conversationAccessService = new ConversationAccessService();
+    this.departmentAuthorityService = new DepartmentAuthorityService();
+    this.notificationService = new NotificationService();
+    this.conversationEventService = new ConversationEventService();
+    this.autoAssignmentService = new AutoAssignmentService();
+  }
+
+  /**
+   * Escalate a conversation to a department
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} data - Escalation data
+   * @param {string} data.reason - Why the conversation is escalated
+   * @param {string} data.targetDepartmentId - Department to escalate to
+   * @param {string} data.tier - Requested support tier (TIER_1, TIER_2, TIER_3; default TIER_2)
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} Created escalation with updated conversation
+   * @throws {Error} If validation fails, caller cannot view the conversation, or transition invalid
+   */
+  async escalateConversation(conversationId, workspaceId, accountId, data, callerInfo) {
+    const tier = data.tier || 'TIER_2';
+    if (!EscalationService.TIERS.includes(tier)) {
+      throw new Error(`Invalid tier: ${tier}. Valid tiers are: ${EscalationService.TIERS.join(', ')}`);
+    }
+
+    if (!data.reason || !data.reason.trim()) {
+      throw new Error('Escalation reason is required');
+    }
+
+    await this._verifyCanViewConversation(callerInfo, conversationId, workspaceId, accountId);
+
+    const targetDepartment = await prisma.department.findFirst({
+      where: { id: data.targetDepartmentId, workspaceId },
+    });
+
+    if (!targetDepartment) {
+      throw new Error('Target department not found or does not belong to this workspace');
+    }
+
+    const escalation = await withTransaction({}, async (tx, afterCommit) => {
+      const options = { tx, afterCommit, actorUserId: callerInfo.isAppOwner ? null : callerInfo.userId };
+
+      // Lock the conversation so concurrent escalations can't both pass the pending check
+      await tx.$queryRaw`SELECT id FROM conversations WHERE id = ${conversationId} FOR UPDATE`;
+
+      const conversation = await tx.conversation.findFirst({
+        where: { id: conversationId, workspaceId },
+      });
+
+      if (!conversation) {
+        throw new Error('Conversation not found');
+      }
+
+      const pendingEscalation = await tx.escalation.findFirst({
+        where: { conversationId, status: 'PENDING' },
+      });
+
+      if (pendingEscalation) {
+        throw new Error('Conversation already has a pending escalation');
+      }
+
+      const sourceDepartmentId = await this.conversationAccessService._resolveConversationDepartmentId(conversation);
+
+      // The target department takes over, so the current owner releases the conversation
+      if (conversation.assignedUserId) {
+        await this.conversationAssignmentService.unassignConversation(conversationId, workspaceId, accountId, options);
+      }
+
+      // Re-escalating an already ESCALATED conversation keeps its state
+      if (conversation.status !== 'ESCALATED') {
+        await this.conversationStateService.markAsEscalated(conversationId, workspaceId, accountId, options);
+      }
+
+      await this.conversationAssignmentService.assignConversationToDepartment(
+        conversationId,
+        targetDepartment.id,
+        workspaceId,
+        accountId,
+        options
+      );
+
+      const createdEscalation = await tx.escalation.create({
+        data: {
+          conversationId,
+          escalatedByUserId: callerInfo.isAppOwner ? null : callerInfo.userId,
+          reason: data.reason.trim(),
+          tier,
+          sourceDepartmentId,
+          targetDepartmentId: targetDepartment.id,
+        },
+        include: this._getEscalationInclude(),
+      });
+
+      await this.conversationEventService.recordEvent(
+        conversationId,
+        workspaceId,
+        'ESCALATED',
+        {
+          fromValue: sourceDepartmentId,
+          toValue: targetDepartment.id,
+          metadata: {
+            escalationId: createdEscalation.id,
+            reason: createdEscalation.reason,
+            tier,
+          },
+        },
+        options
+      );
+
+      return createdEscalation;
+    });
+
+    logger.info(`Conversation ${conversationId} escalated to department ${targetDepartment.id} (${tier})`);
+
+    const payload = {
+      escalation,
+      conversationId,
+      workspaceId,
+    };
+
+    this._emitToWorkspace(workspaceId, 'conversation-escalated', payload);
+
+    await this.notificationService.notifyDepartmentResponders(
+      targetDepartment.id,
+      workspaceId,
+      accountId,
+      'escalation-requested',
+      payload,
+      [callerInfo.userId]
+    );
+
+    return escalation;
+  }
+
+  /**
+   * Acknowledge a pending escalation
+   *
+   * @param {string} escalationId - Escalation ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} data - { note } (optional)
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} Updated escalation
+   * @throws {Error} If escalation not found, not pending, or caller is not a manager of the target department
+   */
+  async acknowledgeEscalation(escalationId, workspaceId, accountId, data, callerInfo) {
+    const escalation = await this._getPendingEscalationForManager(escalationId, workspaceId, accountId, callerInfo);
+
+    const updatedEscalation = await withTransaction({}, async (tx, afterCommit) => {
+      await this._markPendingEscalationHandled(escalation.id, 'ACKNOWLEDGED', data, callerInfo, tx);
+
+      const acknowledgedEscalation = await tx.escalation.findUnique({
+        where: { id: escalation.id },
+        include: this._getEscalationInclude(),
+      });
+
+      await this._recordEscalationHandledEvent('ESCALATION_ACKNOWLEDGED', acknowledgedEscalation, workspaceId, {
+        tx,
+        afterCommit,
+        actorUserId: callerInfo.isAppOwner ? null : callerInfo.userId,
+      });
+
+      return acknowledgedEscalation;
+    });
+
+    logger.info(`Escalation ${escalationId} acknowledged by ${callerInfo.userId}`);
+
+    this._emitEscalationHandled('escalation-acknowledged', updatedEscalation, workspaceId);
+
+    return updatedEscalation;
+  }
+
+  /**
+   * Reject a pending escalation
+   * The conversation goes back to its source department in TODO state. An assignee who can't
+   * handle conversations of the source department is unassigned.
+   *
+   * @param {string} escalationId - Escalation ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} data - { note } (optional)
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} Updated escalation
+   * @throws {Error} If escalation not found, not pending, or caller is not a manager of the target department
+   */
+  async rejectEscalation(escalationId, workspaceId, accountId, data, callerInfo) {
+    const escalation = await this._getPendingEscalationForManager(escalationId, workspaceId, accountId, callerInfo);
+
+    const updatedEscalation = await withTransaction({}, async (tx, afterCommit) => {
+      const options = { tx, afterCommit, actorUserId: callerInfo.isAppOwner ? null : callerInfo.userId };
+
+      await this._markPendingEscalationHandled(escalation.id, 'REJECTED', data, callerInfo, tx);
+
+      const conversation = await tx.conversation.findUnique({
+        where: { id: escalation.conversationId },
+      });
+
+      if (conversation.assignedUserId) {
+        const canKeep = await this._canHandleDepartmentConversations(
+          conversation.assignedUserId,
+          escalation.sourceDepartmentId,
+          tx
+        );
+
+        if (!canKeep) {
+          await this.conversationAssignmentService.unassignConversation(conversation.id, workspaceId, accountId, options);
+        }
+      }
+
+      if (conversation.status === 'ESCALATED') {
+        await this.conversationStateService.markAsTodo(conversation.id, workspaceId, accountId, options);
+      }
+
+      await this.conversationAssignmentService.assignConversationToDepartment(
+        conversation.id,
+        escalation.sourceDepartmentId,
+        workspaceId,
+        accountId,
+        options
+      );
+
+      const rejectedEscalation = await tx.escalation.findUnique({
+        where: { id: escalation.id },
+        include: this._getEscalationInclude(),
+      });
+
+      await this._recordEscalationHandledEvent('ESCALATION_REJECTED', rejectedEscalation, workspaceId, options);
+
+      return rejectedEscalation;
+    });
+
+    logger.info(`Escalation ${escalationId} rejected by ${callerInfo.userId}`);
+
+    this._emitEscalationHandled('escalation-rejected', updatedEscalation, workspaceId);
+
+    // The conversation is back in its source department's TODO queue
+    await this.autoAssignmentService.tryAutoAssign(updatedEscalation.conversationId);
+
+    return updatedEscalation;
+  }
+
+  /**
+   * Get escalation history of a conversation (newest first)
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Array>} Escalation records
+   * @throws {Error} If conversation not found or caller cannot view it
+   */
+  async getConversationEscalations(conversationId, workspaceId, accountId, callerInfo) {
+    await this._verifyCanViewConversation(callerInfo, conversationId, workspaceId, accountId);
+
+    return prisma.escalation.findMany({
+      where: { conversationId },
+      include: this._getEscalationInclude(),
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  /**
+   * Verify the caller can view the conversation
+   * WORKSPACE_ADMIN and APP_OWNER see every conversation of the workspace.
+   * @private
+   */
+  async _verifyCanViewConversation(callerInfo, conversationId, workspaceId, accountId) {
+    if (callerInfo.isAppOwner || callerInfo.workspaceRole === 'ADMIN') {
+      return;
+    }
+
+    const canView = await this.conversationAccessService.canUserViewConversation(
+      callerInfo.userId,
+      conversationId,
+      workspaceId,
+      accountId
+    );
+
+    if (!canView) {
+      throw new Error('Insufficient permissions. You cannot access this conversation');
+    }
+  }
+
+  /**
+   * Load a PENDING escalation and verify the caller manages its target department
+   * @private
+   */
+  async _getPendingEscalationForManager(escalationId, workspaceId, accountId, callerInfo) {
+    const escalation = await prisma.escalation.findFirst({
+      where: {
+        id: escalationId,
+        conversation: { workspaceId },
+      },
+    });
+
+    if (!escalation) {
+      throw new Error('Escalation not found');
+    }
+
+    if (escalation.status !== 'PENDING') {
+      throw new Error(`Escalation is already ${escalation.status.toLowerCase()}`);
+    }
+
+    if (!callerInfo.isAppOwner && callerInfo.workspaceRole !== 'ADMIN') {
+      const isManager = await this.departmentAuthorityService.isDepartmentManager(
+        callerInfo.userId,
+        escalation.targetDepartmentId,
+        workspaceId,
+        accountId
+      );
+
+      if (!isManager) {
+        throw new Error('Insufficient permissions. Only a DEPARTMENT_MANAGER of the target department can handle this escalation');
+      }
+    }
+
+    return escalation;
+  }
+
+  /**
+   * Move a PENDING escalation to its handled status
+   * The status check is part of the update, so only one of two concurrent handlers succeeds.
+   * @private
+   */
+  async _markPendingEscalationHandled(escalationId, status, data, callerInfo, tx) {
+    const { count } = await tx.escalation.updateMany({
+      where: { id: escalationId, status: 'PENDING' },
+      data: {
+        status,
+        handledByUserId: callerInfo.isAppOwner ? null : callerInfo.userId,
+        handledAt: new Date(),
+        responseNote: data.note || null,
+      },
+    });
+
+    if (count === 0) {
+      throw new Error('Escalation is already handled');
+    }
+  }
+
+  /**
+   * Check if a user can own conversations of a department (DEPARTMENT_MANAGER or HUMAN_SUPPORT)
+   * Conversations without a department can be owned by any workspace member.
+   * @private
+   */
+  async _canHandleDepartmentConversations(userId, departmentId, tx) {
+    if (!departmentId) {
+      return true;
+    }
+
+    const departmentUser = await tx.departmentUser.findUnique({
+      where: { userId_departmentId: { userId, departmentId } },
+    });
+
+    return !!departmentUser
+      && departmentUser.status === 'ACTIVE'
+      && ['DEPARTMENT_MANAGER', 'HUMAN_SUPPORT'].includes(departmentUser.role);
+  }
+
+  /**
+   * Record an acknowledged/rejected escalation on the conversation timeline
+   * @private
+   */
+  async _recordEscalationHandledEvent(type, escalation, workspaceId, options) {
+    await this.conversationEventService.recordEvent(
+      escalation.conversationId,
+      workspaceId,
+      type,
+      {
+        fromValue: 'PENDING',
+        toValue: escalation.status,
+        metadata: {
+          escalationId: escalation.id,
+          note: escalation.responseNote,
+        },
+      },
+      options
+    );
+  }
+
+  /**
+   * Emit escalation outcome to the workspace and notify the user who escalated
+   * @private
+   */
+  _emitEscalationHandled(event, escalation, workspaceId) {
+    const payload = {
+      escalation,
+      conversationId: escalation.conversationId,
+      workspaceId,
+    };
+
+    this._emitToWorkspace(workspaceId, event, payload);
+
+    if (escalation.escalatedByUserId) {
+      this.notificationService.notifyUsers([escalation.escalatedByUserId], event, payload);
+    }
+  }
+
+  /**
+   * Emit an event to the workspace room if Socket.IO is available
+   * @private
+   */
+  _emitToWorkspace(workspaceId, event, payload) {
+    const io = global.io;
+    if (io) {
+      emitToWorkspace(io, workspaceId, event, payload);
+    }
+  }
+
+  /**
+   * Standard escalation include object for queries
+   * @private
+   */
+  _getEscalationInclude() {
+    const userSelect = {
+      select: {
+        id: true,
+        email: true,
+        firstName: true,
+        lastName: true,
+      },
+    };
+    const departmentSelect = {
+      select: {
+        id: true,
+        name: true,
+        slug: true,
+      },
+    };
+
+    return {
+      escalatedBy: userSelect,
+      handledBy: userSelect,
+      sourceDepartment: departmentSelect,
+      targetDepartment: departmentSelect,
+    };
+  }
+}
+
+module.exports = { EscalationService };
@@ -1,19 +1,128 @@
 const prisma = require('../config/database');
 const redis = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+const { buildCursorQuery, buildCursorPage } = require('../utils/cursor');
 const { ConversationStateService } = require('./conversationState.service');
+const { ConversationAssignmentService } = require('./conversationAssignment.service');
+const { ConversationAccessService } = require('./conversationAccess.service');
+const { OutboundMessageService } = require('./outboundMessage.service');
+const { ConversationEventService } = require('./conversationEvent.service');
+const { ConversationTagService } = require('./conversationTag.service');
+const { SlaService } = require('./sla.service');
+const { RoutingService } = require('./routing.service');
+const { PriorityRuleService } = require('./priorityRule.service');
+const { AutoAssignmentService } = require('./autoAssignment.service');
+const { ConversationReadStateService } = require('./conversationReadState.service');
+const { ConversationSnoozeService } = require('./conversationSnooze.service');
+const { ThreadingService } = require('./threading.service');
+const { ContactService } = require('./contact.service');
+const { CustomAttributeService } = require('./customAttribute.service');
 
 class InboxService {
   constructor() {
     this.conversationStateService = new ConversationStateService();
+    this.conversationAssignmentService = new ConversationAssignmentService();
+    this.conversationAccessService = new ConversationAccessService();
+    this.outboundMessageService = new OutboundMessageService();
+    this.conversationEventService = new ConversationEventService();
+    this.slaService = new SlaService();
+    this.routingService = new RoutingService();
+    this.priorityRuleService = new PriorityRuleService();
+    this.autoAssignmentService = new AutoAssignmentService();
+    this.conversationReadStateService = new ConversationReadStateService();
+    this.conversationSnoozeService = new ConversationSnoozeService();
+    this.threadingService = new ThreadingService();
+    this.contactService = new ContactService();
+    this.customAttributeService = new CustomAttributeService();
   }
 
-  async getConversations(workspaceId, query) {
-    const page = query.page || 1;
-    const limit = Math.min(query.limit || 20, 100);
-    const skip = (page - 1) * limit;
+  /**
+   * List conversations the caller can view
+   * Visibility is applied in the query (see ConversationAccessService.getVisibilityFilter).
+   *
+   * Ordered by lastMessageAt (newest first) with keyset cursors:
+   * pass pagination.nextCursor as `after` for older conversations, previousCursor as `before` for newer ones.
+   * Workspace users get their own unreadCount on each conversation and can pass unread=true.
+   * Custom attributes filter with attributes[key]=value and contactAttributes[key]=value
+   * (see CustomAttributeService.buildFilter).
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} query - Filters, limit and cursor (after or before)
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} { data, pagination }
+   */
+  async getConversations(workspaceId, query, callerInfo) {
+    const cursorOptions = {
+      field: 'lastMessageAt',
+      order: 'desc',
+      nullable: true,
+      limit: Math.min(parseInt(query.limit, 10) || 20, 100),
+      after: query.after,
+      before: query.before,
+    };
+    const cursorQuery = buildCursorQuery(cursorOptions);
+
+    const where = await this.buildConversationFilter(workspaceId, query, callerInfo);
+    where.AND.push(cursorQuery.where);
+
+    const conversations = await prisma.conversation.findMany({
+      where,
+      include: {
+        contact: {
+          select: {
+            id: true,
+            email: true,
+            name: true,
+            avatar: true,
+          },
+        },
+        messages: {
+          take: 1,
+          orderBy: { createdAt: 'desc' },
+          select: {
+            id: true,
+            body: true,
+            fromEmail: true,
+            createdAt: true,
+            isRead: true,
+          },
+        },
+        tags: ConversationTagService.getTagsInclude(),
+      },
+      orderBy: cursorQuery.orderBy,
+      take: cursorQuery.take,
+    });
+
+    const page = buildCursorPage(conversations, cursorOptions);
+
+    // App owners have no read state
+    if (callerInfo.isAppOwner) {
+      return page;
+    }
+
+    return {
+      ...page,
+      data: await this.conversationReadStateService.attachUnreadCounts(page.data, callerInfo.userId),
+    };
+  }
+
+  /**
+   * Build the where clause of the conversation list filters for the conversations the caller can view
+   * Shared by getConversations and bulk operations.
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} query - status, priority, tags, slaStatus, unread, search, attributes, contactAttributes
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} Prisma where clause (AND can be extended by the caller)
+   * @throws {Error} If an attribute filter is invalid
+   */
+  async buildConversationFilter(workspaceId, query, callerInfo) {
+    const visibilityFilter = await this.conversationAccessService.getVisibilityFilter(callerInfo, workspaceId);
 
     const where = {
       workspaceId,
+      AND: [visibilityFilter],
     };
 
     if (query.status) {
@@ -24,6 +133,28 @@ class InboxService {
       where.priority = query.priority;
     }
 
+    const tagFilter = ConversationTagService.buildTagFilter(query.tags);
+    if (tagFilter) {
+      where.AND.push(tagFilter);
+    }
+
+    const slaFilter = SlaService.buildStatusFilter(query.slaStatus);
+    if (slaFilter) {
+      where.AND.push(slaFilter);
+    }
+
+    const unreadFilter = callerInfo.isAppOwner
+      ? null
+      : ConversationReadStateService.buildUnreadFilter(callerInfo.userId, query.unread);
+    if (unreadFilter) {
+      where.AND.push(unreadFilter);
+    }
+
+    const attributeFilter = await this.customAttributeService.buildFilter(workspaceId, query);
+    if (attributeFilter) {
+      where.AND.push(attributeFilter);
+    }
+
     if (query.search) {
       where.OR = [
         { subject: { contains: query.search, mode: 'insensitive' } },
@@ -32,61 +163,33 @@ class InboxService {
       ];
     }
 
-    const [conversations, total] = await Promise.all([
-      prisma.conversation.findMany({
-        where,
-        include: {
-          contact: {
-            select: {
-              id: true,
-              email: true,
-              name: true,
-              avatar: true,
-            },
-          },
-          messages: {
-            take: 1,
-            orderBy: { createdAt: 'desc' },
-            select: {
-              id: true,
-              body: true,
-              fromEmail: true,
-              createdAt: true,
-              isRead: true,
-            },
-          },
-        },
-        orderBy: {
-          lastMessageAt: 'desc',
-        },
-        skip,
-        take: limit,
-      }),
-      prisma.conversation.count({ where }),
-    ]);
-
-    return {
-      data: conversations,
-      pagination: {
-        page,
-        limit,
-        total,
-        totalPages: Math.ceil(total / limit),
-      },
-    };
+    return where;
   }
 
-  async getConversationById(conversationId, workspaceId) {
+  /**
+   * Get a conversation the caller can view
+   * Conversations outside the caller's visibility are reported as not found.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} Conversation with contact, messages and custom attributes with their definitions (attributes)
+   */
+  async getConversationById(conversationId, workspaceId, callerInfo) {
+    const visibilityFilter = await this.conversationAccessService.getVisibilityFilter(callerInfo, workspaceId);
+
     const conversation = await prisma.conversation.findFirst({
       where: {
         id: conversationId,
         workspaceId,
+        ...visibilityFilter,
       },
       include: {
         contact: true,
         messages: {
           orderBy: { createdAt: 'asc' },
         },
+        tags: ConversationTagService.getTagsInclude(),
       },
     });
 
@@ -94,15 +197,32 @@ class InboxService {
       throw new Error('Conversation not found');
     }
 
-    return conversation;
+    return {
+      ...conversation,
+      attributes: await this.customAttributeService.describeValues(workspaceId, 'CONVERSATION', conversation.customAttributes),
+    };
   }
 
-  async getMessages(conversationId, workspaceId, query) {
-    // Verify conversation belongs to workspace
+  /**
+   * Get messages of a conversation the caller can view
+   * Pages are returned oldest first. The first page holds the newest messages;
+   * pass pagination.nextCursor as `after` for older messages, previousCursor as `before` for newer ones.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} query - Limit and cursor (after or before)
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} { data, pagination }
+   */
+  async getMessages(conversationId, workspaceId, query, callerInfo) {
+    const visibilityFilter = await this.conversationAccessService.getVisibilityFilter(callerInfo, workspaceId);
+
+    // Verify conversation belongs to workspace and is visible to the caller
     const conversation = await prisma.conversation.findFirst({
       where: {
         id: conversationId,
         workspaceId,
+        ...visibilityFilter,
       },
     });
 
@@ -110,31 +230,143 @@ class InboxService {
       throw new Error('Conversation not found');
     }
 
-    const page = query.page || 1;
-    const limit = Math.min(query.limit || 50, 100);
-    const skip = (page - 1) * limit;
+    // Cursors walk from newest to oldest
+    const cursorOptions = {
+      field: 'createdAt',
+      order: 'desc',
+      limit: Math.min(parseInt(query.limit, 10) || 50, 100),
+      after: query.after,
+      before: query.before,
+    };
+    const cursorQuery = buildCursorQuery(cursorOptions);
 
-    const [messages, total] = await Promise.all([
+    const messages = await prisma.message.findMany({
+      where: {
+        conversationId,
+        ...cursorQuery.where,
+      },
+      orderBy: cursorQuery.orderBy,
+      take: cursorQuery.take,
+    });
+
+    const page = buildCursorPage(messages, cursorOptions);
+
+    return {
+      data: page.data.reverse(), // Reverse to show oldest first
+      pagination: page.pagination,
+    };
+  }
+
+  /**
+   * Get the conversation timeline: events and messages (including internal notes) merged oldest first
+   * Entries are ordered by (createdAt, type, id), so an event written in the same transaction as a
+   * message keeps a stable place. Pass pagination.previousCursor as `before` to load older entries.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} query - { limit, before }
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} { data, hasMore, pagination: { limit, hasMore, previousCursor } } where entries
+   *   are { type: 'event'|'message', createdAt, event|message }
+   */
+  async getTimeline(conversationId, workspaceId, accountId, query, callerInfo) {
+    const conversation = await prisma.conversation.findFirst({
+      where: {
+        id: conversationId,
+        workspaceId,
+      },
+    });
+
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    const canView = await this.conversationAccessService.canCallerViewConversation(
+      callerInfo,
+      conversationId,
+      workspaceId,
+      accountId
+    );
+
+    if (!canView) {
+      throw new Error('Insufficient permissions. You cannot access this conversation');
+    }
+
+    const limit = Math.min(parseInt(query.limit, 10) || 100, 500);
+    const cursor = query.before ? this._decodeTimelineCursor(query.before) : null;
+
+    // One extra entry per source tells whether older entries remain
+    const [events, messages] = await Promise.all([
+      this.conversationEventService.getEvents(conversationId, {
+        where: this._buildTimelineKeyset(cursor, 'event'),
+        limit: limit + 1,
+      }),
       prisma.message.findMany({
-        where: { conversationId },
-        orderBy: { createdAt: 'desc' },
-        skip,
-        take: limit,
+        where: {
+          conversationId,
+          ...this._buildTimelineKeyset(cursor, 'message'),
+        },
+        include: {
+          sentBy: {
+            select: {
+              id: true,
+              email: true,
+              firstName: true,
+              lastName: true,
+              avatar: true,
+            },
+          },
+        },
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        take: limit + 1,
       }),
-      prisma.message.count({ where: { conversationId } }),
     ]);
 
+    const entries = [
+      ...events.map(event => ({ type: 'event', createdAt: event.createdAt, event })),
+      ...messages.map(message => ({ type: 'message', createdAt: message.createdAt, message })),
+    ].sort((a, b) => InboxService.compareTimelineEntries(b, a));
+
+    const hasMore = entries.length > limit;
+    const data = entries.slice(0, limit).reverse(); // Reverse to show oldest first
+
     return {
-      data: messages.reverse(), // Reverse to show oldest first
+      data,
+      hasMore,
       pagination: {
-        page,
         limit,
-        total,
-        totalPages: Math.ceil(total / limit),
+        hasMore,
+        previousCursor: hasMore && data.length > 0 ? this._encodeTimelineCursor(data[0]) : null,
       },
     };
   }
 
+  /**
+   * Compare timeline entries in (createdAt, type, id) order
+   *
+   * @param {Object} a - Timeline entry
+   * @param {Object} b - Timeline entry
+   * @returns {number} Negative if a comes first, positive if b comes first
+   */
+  static compareTimelineEntries(a, b) {
+    const byTime = a.createdAt - b.createdAt;
+    if (byTime !== 0) {
+      return byTime;
+    }
+
+    if (a.type !== b.type) {
+      return a.type < b.type ? -1 : 1;
+    }
+
+    const aId = a[a.type].id;
+    const bId = b[b.type].id;
+    if (aId === bId) {
+      return 0;
+    }
+    return aId < bId ? -1 : 1;
+  }
+
   async createMockMessage(workspaceId, data) {
     // Verify workspace exists
     const workspace = await prisma.workspace.findUnique({
@@ -145,37 +377,11 @@ class InboxService {
       throw new Error('Workspace not found');
     }
 
-    // Find or create contact
-    let contact = await prisma.contact.findUnique({
-      where: { email: data.fromEmail },
-    });
-
-    if (!contact) {
-      contact = await prisma.contact.create({
-        data: {
-          email: data.fromEmail,
-          name: data.fromName,
-        },
-      });
-    }
-
-    // Find or create conversation
-    let conversation = await prisma.conversation.findFirst({
-      where: {
-        workspaceId,
-        contactId: contact.id,
-      },
-    });
+    // Find or create the workspace contact
+    const contact = await this.contactService.findOrCreateByEmail(workspaceId, data.fromEmail, data.fromName);
 
-    if (!conversation) {
-      conversation = await prisma.conversation.create({
-        data: {
-          workspaceId,
-          contactId: contact.id,
-          subject: data.subject,
-        },
-      });
-    }
+    // Find the thread this message continues, or start a new conversation
+    const { conversation, threading } = await this._resolveThread(workspace, contact, data);
 
     // Create message
     const message = await prisma.message.create({
@@ -188,9 +394,17 @@ class InboxService {
         subject: data.subject,
         body: data.body,
         bodyHtml: data.bodyHtml,
+        direction: 'INBOUND',
+        externalMessageId: threading.messageId,
+        metadata: { ...(data.metadata || {}), threading: threading.decision },
       },
     });
 
+    await this.conversationReadStateService.recordMessage(message, workspaceId);
+
+    // A reply from the contact ends any snooze
+    await this.conversationSnoozeService.wakeOnReply(conversation.id);
+
     // Update conversation last message time
     await prisma.conversation.update({
       where: { id: conversation.id },
@@ -199,6 +413,12 @@ class InboxService {
       },
     });
 
+    // VIP contacts and keywords raise the priority before the conversation is picked up
+    await this._applyPriorityRules(conversation.id, workspaceId, message, contact);
+
+    // New and reopened conversations are in TODO: hand them to an agent if the department auto-assigns
+    await this.autoAssignmentService.tryAutoAssign(conversation.id);
+
     // Invalidate cache
     await redis.del(`conversations:workspace:${workspaceId}`);
     await redis.del(`conversation:${conversation.id}`);
@@ -236,6 +456,10 @@ class InboxService {
    * - ESCALATED → keep ESCALATED (no change)
    * - TODO → no change
    *
+   * The conversation is chosen by ThreadingService (headers, then subject); otherwise a new one is created.
+   * The threading decision is stored in the message metadata (metadata.threading).
+   * A snoozed conversation wakes up when the contact replies.
+   *
    * @param {string} workspaceId - Workspace ID
    * @param {Object} data - Message data
    * @param {string} data.fromEmail - Sender email
@@ -245,7 +469,7 @@ class InboxService {
    * @param {string} data.subject - Message subject (optional)
    * @param {string} data.body - Message body
    * @param {string} data.bodyHtml - HTML message body (optional)
-   * @param {Object} data.metadata - Additional metadata (optional)
+   * @param {Object} data.metadata - Additional metadata, including messageId, inReplyTo and references (optional)
    * @returns {Promise<Object>} Created message, conversation, and contact
    */
   async createInboundMessage(workspaceId, data) {
@@ -258,37 +482,11 @@ class InboxService {
       throw new Error('Workspace not found');
     }
 
-    // Find or create contact
-    let contact = await prisma.contact.findUnique({
-      where: { email: data.fromEmail },
-    });
+    // Find or create the workspace contact
+    const contact = await this.contactService.findOrCreateByEmail(workspaceId, data.fromEmail, data.fromName);
 
-    if (!contact) {
-      contact = await prisma.contact.create({
-        data: {
-          email: data.fromEmail,
-          name: data.fromName,
-        },
-      });
-    }
-
-    // Find or create conversation
-    let conversation = await prisma.conversation.findFirst({
-      where: {
-        workspaceId,
-        contactId: contact.id,
-      },
-    });
-
-    if (!conversation) {
-      conversation = await prisma.conversation.create({
-        data: {
-          workspaceId,
-          contactId: contact.id,
-          subject: data.subject,
-        },
-      });
-    }
+    // Find the thread this message continues, or start a new conversation
+    const { conversation, threading } = await this._resolveThread(workspace, contact, data);
 
     // Create inbound message (isInternal: false)
     const message = await prisma.message.create({
@@ -302,12 +500,19 @@ class InboxService {
         body: data.body,
         bodyHtml: data.bodyHtml,
         isInternal: false, // Mark as external/inbound message
-        metadata: data.metadata,
+        direction: 'INBOUND',
+        externalMessageId: threading.messageId,
+        metadata: { ...(data.metadata || {}), threading: threading.decision },
       },
     });
 
+    await this.conversationReadStateService.recordMessage(message, workspaceId);
+
+    // A reply from the contact ends any snooze
+    await this.conversationSnoozeService.wakeOnReply(conversation.id);
+
     // Normalize conversation state for inbound messages
-    await this._normalizeConversationStateForInboundMessage(conversation, workspaceId);
+    await this._normalizeConversationStateForInboundMessage(conversation, workspaceId, workspace.accountId);
 
     // Update conversation last message time
     await prisma.conversation.update({
@@ -317,6 +522,12 @@ class InboxService {
       },
     });
 
+    // VIP contacts and keywords raise the priority before the conversation is picked up
+    await this._applyPriorityRules(conversation.id, workspaceId, message, contact);
+
+    // New and reopened conversations are in TODO: hand them to an agent if the department auto-assigns
+    await this.autoAssignmentService.tryAutoAssign(conversation.id);
+
     // Get updated conversation with latest state
     const updatedConversation = await prisma.conversation.findUnique({
       where: { id: conversation.id },
@@ -352,6 +563,307 @@ class InboxService {
     };
   }
 
+  /**
+   * Create an agent reply (outbound message to the contact)
+   *
+   * State normalization rules for outbound messages:
+   * - CLOSED → ASSIGNED (the replying agent takes ownership if nobody owns the conversation)
+   * - TODO, ASSIGNED, ESCALATED → no change
+   *
+   * The reply is stored with deliveryStatus PENDING and then dispatched through the
+   * active outbound transport, which records SENT/DELIVERED or FAILED. Replies carry a
+   * Message-ID and In-Reply-To/References headers (metadata.headers) for the transport to send.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} data - Reply data
+   * @param {string} data.body - Message body
+   * @param {string} data.bodyHtml - HTML message body (optional)
+   * @param {string} data.subject - Subject (optional, defaults to "Re: <conversation subject>")
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} Created message (with delivery status) and conversation
+   */
+  async createReply(conversationId, workspaceId, accountId, data, callerInfo) {
+    if (callerInfo.isAppOwner) {
+      throw new Error('Insufficient permissions. Only workspace users can reply to conversations');
+    }
+
+    const conversation = await prisma.conversation.findFirst({
+      where: {
+        id: conversationId,
+        workspaceId,
+      },
+      include: {
+        contact: true,
+      },
+    });
+
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    if (conversation.mergedIntoId) {
+      throw new Error(`Conversation has been merged into ${conversation.mergedIntoId}`);
+    }
+
+    if (callerInfo.workspaceRole !== 'ADMIN') {
+      const canView = await this.conversationAccessService.canUserViewConversation(
+        callerInfo.userId,
+        conversationId,
+        workspaceId,
+        accountId
+      );
+
+      if (!canView) {
+        throw new Error('Insufficient permissions. You cannot access this conversation');
+      }
+    }
+
+    const agent = await prisma.user.findUnique({
+      where: { id: callerInfo.userId },
+    });
+
+    if (!agent) {
+      throw new Error('User not found');
+    }
+
+    const fromEmail = await this._resolveReplyFromEmail(conversationId);
+    const agentName = [agent.firstName, agent.lastName].filter(Boolean).join(' ') || null;
+
+    // Message-ID and In-Reply-To/References so the contact's answer threads back here
+    const { messageId, headers } = await this.threadingService.buildReplyHeaders(conversationId, fromEmail);
+
+    const message = await withTransaction({}, async (tx, afterCommit) => {
+      const createdMessage = await tx.message.create({
+        data: {
+          conversationId,
+          fromEmail,
+          fromName: agentName,
+          toEmail: conversation.contact.email,
+          toName: conversation.contact.name,
+          subject: data.subject || this._buildReplySubject(conversation.subject),
+          body: data.body,
+          bodyHtml: data.bodyHtml,
+          isInternal: false,
+          isRead: true,
+          direction: 'OUTBOUND',
+          sentByUserId: agent.id,
+          deliveryStatus: 'PENDING',
+          externalMessageId: messageId,
+          metadata: { headers },
+        },
+      });
+
+      await tx.conversation.update({
+        where: { id: conversationId },
+        data: {
+          lastMessageAt: createdMessage.createdAt,
+        },
+      });
+
+      await this.conversationReadStateService.recordMessage(createdMessage, workspaceId, { tx, afterCommit });
+
+      // Normalize conversation state for outbound messages
+      await this._normalizeConversationStateForOutboundMessage(
+        conversation,
+        agent.id,
+        workspaceId,
+        accountId,
+        { tx, afterCommit, actorUserId: agent.id }
+      );
+
+      // After normalization, so a reply that reopens the conversation answers the new cycle
+      await this.slaService.recordFirstResponse(conversationId, createdMessage.createdAt, { tx, afterCommit });
+
+      return createdMessage;
+    });
+
+    // Invalidate cache
+    await redis.del(`conversations:workspace:${workspaceId}`);
+    await redis.del(`conversation:${conversationId}`);
+
+    // Hand the reply to the outbound transport
+    const deliveredMessage = await this.outboundMessageService.dispatch(message.id, workspaceId);
+
+    const updatedConversation = await prisma.conversation.findUnique({
+      where: { id: conversationId },
+      include: {
+        contact: {
+          select: {
+            id: true,
+            email: true,
+            name: true,
+          },
+        },
+      },
+    });
+
+    // Emit Socket.IO event for real-time updates
+    const io = global.io;
+    if (io) {
+      io.to(`workspace:${workspaceId}`).emit('new-message', {
+        message: deliveredMessage,
+        conversation: updatedConversation,
+        contact: updatedConversation.contact,
+      });
+    }
+
+    return {
+      message: deliveredMessage,
+      conversation: updatedConversation,
+    };
+  }
+
+  /**
+   * Find the conversation an inbound message belongs to, creating (and routing) a new one when
+   * threading finds none
+   *
+   * @param {Object} workspace - Workspace
+   * @param {Object} contact - Sender contact
+   * @param {Object} data - Message data { subject, metadata, ... }
+   * @returns {Promise<Object>} { conversation, threading: { messageId, decision } }
+   * @private
+   */
+  async _resolveThread(workspace, contact, data) {
+    const { conversation: existing, decision } = await this.threadingService.findConversation(
+      workspace.id,
+      contact.id,
+      data
+    );
+    const { messageId } = ThreadingService.parseHeaders(data.metadata);
+
+    if (existing) {
+      return { conversation: existing, threading: { messageId, decision } };
+    }
+
+    const created = await prisma.conversation.create({
+      data: {
+        workspaceId: workspace.id,
+        contactId: contact.id,
+        subject: data.subject,
+      },
+    });
+
+    await this._routeNewConversation(created.id, workspace, data, contact);
+
+    // Start the SLA clock (after routing, which may set department and priority)
+    const conversation = await this.slaService.applyPolicy(created.id);
+
+    return {
+      conversation,
+      threading: {
+        messageId,
+        decision: { ...decision, conversationId: conversation.id },
+      },
+    };
+  }
+
+  /**
+   * Resolve the workspace address a reply is sent from
+   * Uses the address the contact last wrote to, falling back to OUTBOUND_FROM_EMAIL.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<string>} Sender email address
+   * @private
+   */
+  async _resolveReplyFromEmail(conversationId) {
+    const lastInbound = await prisma.message.findFirst({
+      where: {
+        conversationId,
+        direction: 'INBOUND',
+      },
+      orderBy: { createdAt: 'desc' },
+      select: { toEmail: true },
+    });
+
+    const fromEmail = lastInbound?.toEmail || process.env.OUTBOUND_FROM_EMAIL;
+
+    if (!fromEmail) {
+      throw new Error('Unable to determine reply sender address. Configure OUTBOUND_FROM_EMAIL');
+    }
+
+    return fromEmail;
+  }
+
+  /**
+   * Build a reply subject from the conversation subject
+   * @private
+   */
+  _buildReplySubject(subject) {
+    if (!subject) {
+      return null;
+    }
+    return /^re:/i.test(subject) ? subject : `Re: ${subject}`;
+  }
+
+  /**
+   * Normalize conversation state for outbound messages
+   * Internal method used by createReply
+   *
+   * Rules:
+   * - CLOSED → ASSIGNED (assigns the replying agent when nobody owns the conversation)
+   * - TODO, ASSIGNED, ESCALATED → no change
+   *
+   * @param {Object} conversation - Conversation object (state before the reply)
+   * @param {string} agentUserId - Replying agent
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} options - Transaction options { tx, afterCommit, actorUserId }
+   * @private
+   */
+  async _normalizeConversationStateForOutboundMessage(conversation, agentUserId, workspaceId, accountId, options) {
+    if (conversation.status !== 'CLOSED') {
+      return;
+    }
+
+    if (conversation.assignedUserId) {
+      await this.conversationStateService.markAsAssigned(conversation.id, workspaceId, accountId, options);
+    } else {
+      // Assignment transitions CLOSED → ASSIGNED in the same transaction
+      await this.conversationAssignmentService.assignConversationToUser(
+        conversation.id,
+        agentUserId,
+        workspaceId,
+        accountId,
+        options
+      );
+    }
+
+    logger.info(`Conversation ${conversation.id} reopened as ASSIGNED by reply from ${agentUserId}`);
+  }
+
+  /**
+   * Apply the first matching routing rule to a new conversation
+   * A routing failure is logged and never blocks the inbound message.
+   * @private
+   */
+  async _routeNewConversation(conversationId, workspace, data, contact) {
+    try {
+      await this.routingService.routeConversation(
+        conversationId,
+        workspace.id,
+        workspace.accountId,
+        RoutingService.buildInput(data, contact)
+      );
+    } catch (error) {
+      logger.error(`Routing failed for conversation ${conversationId}:`, error);
+    }
+  }
+
+  /**
+   * Raise the conversation priority from the VIP_CONTACT and KEYWORD rules an inbound message matches
+   * A rule failure is logged and never blocks the inbound message.
+   * @private
+   */
+  async _applyPriorityRules(conversationId, workspaceId, message, contact) {
+    try {
+      await this.priorityRuleService.applyMessageRules(conversationId, workspaceId, message, contact);
+    } catch (error) {
+      logger.error(`Priority rules failed for conversation ${conversationId}:`, error);
+    }
+  }
+
   /**
    * Normalize conversation state for inbound messages
    * Internal method used by createInboundMessage
@@ -364,9 +876,10 @@ class InboxService {
    *
    * @param {Object} conversation - Conversation object
    * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
    * @private
    */
-  async _normalizeConversationStateForInboundMessage(conversation, workspaceId) {
+  async _normalizeConversationStateForInboundMessage(conversation, workspaceId, accountId) {
     let targetState = null;
 
     switch (conversation.status) {
@@ -393,7 +906,7 @@ class InboxService {
           conversation.id,
           targetState,
           workspaceId,
-          conversation.workspace.accountId
+          accountId
         );
       } catch (error) {
         // Log error but don't fail the message creation
@@ -401,6 +914,61 @@ class InboxService {
       }
     }
   }
+
+  /**
+   * Encode a timeline entry as an opaque cursor
+   * @private
+   */
+  _encodeTimelineCursor(entry) {
+    const payload = { t: entry.createdAt.toISOString(), type: entry.type, id: entry[entry.type].id };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  /**
+   * Decode a timeline cursor into { createdAt, type, id }
+   * @private
+   */
+  _decodeTimelineCursor(cursor) {
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new Error('Invalid cursor');
+    }
+
+    const createdAt = new Date(payload?.t);
+    if (Number.isNaN(createdAt.getTime()) || !['event', 'message'].includes(payload.type) || typeof payload.id !== 'string') {
+      throw new Error('Invalid cursor');
+    }
+
+    return { createdAt, type: payload.type, id: payload.id };
+  }
+
+  /**
+   * Where fragment for the entries of one source that come before the cursor in
+   * (createdAt, type, id) order
+   * @private
+   */
+  _buildTimelineKeyset(cursor, type) {
+    if (!cursor) {
+      return {};
+    }
+
+    // Same timestamp: entries of a lower type all come first, those of a higher type never do
+    if (type < cursor.type) {
+      return { createdAt: { lte: cursor.createdAt } };
+    }
+    if (type > cursor.type) {
+      return { createdAt: { lt: cursor.createdAt } };
+    }
+
+    return {
+      OR: [
+        { createdAt: { lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, id: { lt: cursor.id } },
+      ],
+    };
+  }
 }
 
 module.exports = { InboxService };
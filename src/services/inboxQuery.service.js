@@ -1,5 +1,11 @@
 const prisma = require('../config/database');
 const { DepartmentAuthorityService } = require('./departmentAuthority.service');
+const { ConversationAccessService } = require('./conversationAccess.service');
+const { ConversationTagService } = require('./conversationTag.service');
+const { SlaService } = require('./sla.service');
+const { ConversationReadStateService } = require('./conversationReadState.service');
+const { CustomAttributeService } = require('./customAttribute.service');
+const { ConversationPriorityService } = require('./conversationPriority.service');
 
 /**
  * Inbox Query Service
@@ -17,57 +23,174 @@ const { DepartmentAuthorityService } = require('./departmentAuthority.service');
  * - ASSIGNED_TO_ME: assignedUserId === currentUser.id, state != CLOSED
  * - ESCALATED: state === ESCALATED, visible ONLY to users with HUMAN_SUPPORT role in the department
  * - CLOSED: state === CLOSED
+ * - SNOOZED: snoozed, state != CLOSED, assigned to the user or owned by one of their departments
+ *
+ * Snoozed conversations are hidden from UNASSIGNED, ASSIGNED_TO_ME and ESCALATED until they wake up.
+ *
+ * APP_OWNER and WORKSPACE_ADMIN see the UNASSIGNED, ESCALATED, CLOSED and SNOOZED conversations
+ * of every department of the workspace.
  *
  * TODO(PRD §15): Team-based inbox will be introduced after routing & assignment schema is finalized
  */
 class InboxQueryService {
+  /**
+   * Inbox views and their URL slugs
+   */
+  static VIEWS = {
+    unassigned: 'UNASSIGNED',
+    mine: 'ASSIGNED_TO_ME',
+    escalated: 'ESCALATED',
+    closed: 'CLOSED',
+    snoozed: 'SNOOZED',
+  };
+
+  /**
+   * Fields a view can be sorted by
+   */
+  static SORT_FIELDS = ['statusUpdatedAt', 'lastMessageAt', 'createdAt', 'priority', 'snoozedUntil'];
+
   constructor() {
     this.departmentAuthorityService = new DepartmentAuthorityService();
+    this.conversationAccessService = new ConversationAccessService();
+    this.conversationReadStateService = new ConversationReadStateService();
+    this.customAttributeService = new CustomAttributeService();
   }
 
   /**
-   * Get UNASSIGNED inbox conversations
-   * Rules:
-   * - state != CLOSED
-   * - assignedUserId IS NULL
-   * - user has visibility via existing authority services
+   * Resolve a view slug (or view name) to its inbox type
+   *
+   * @param {string} view - View slug (unassigned, mine, escalated, closed, snoozed) or type (UNASSIGNED, ...)
+   * @returns {string} Inbox type
+   * @throws {Error} If view is unknown
+   */
+  resolveView(view) {
+    const views = InboxQueryService.VIEWS;
+    const normalized = String(view || '').trim();
+
+    if (views[normalized.toLowerCase()]) {
+      return views[normalized.toLowerCase()];
+    }
+
+    if (Object.values(views).includes(normalized.toUpperCase())) {
+      return normalized.toUpperCase();
+    }
+
+    throw new Error(`Invalid view: ${view}. Valid views are: ${Object.keys(views).join(', ')}`);
+  }
+
+  /**
+   * Get a paginated inbox view
+   * Each conversation carries the user's unreadCount.
    *
+   * @param {string} view - View slug or inbox type
    * @param {string} userId - Current user ID
    * @param {string} workspaceId - Workspace ID
-   * @returns {Promise<Array>} Array of conversations
+   * @param {Object} query - Query options
+   * @param {number} query.page - Page number (default 1)
+   * @param {number} query.limit - Page size (default 20, max 100)
+   * @param {string} query.sortBy - statusUpdatedAt (default), lastMessageAt, createdAt, priority, snoozedUntil
+   * @param {string} query.sortOrder - asc or desc (default desc)
+   * @param {string} query.priority - Priority filter, comma separated (optional)
+   * @param {string} query.departmentId - Department filter (optional)
+   * @param {string} query.tags - Comma-separated tag IDs, matches any (optional)
+   * @param {string} query.slaStatus - SLA status filter, comma separated (optional)
+   * @param {string} query.unread - 'true' for conversations with unread messages only (optional)
+   * @param {Object} callerInfo - Caller info { isAppOwner, workspaceRole } (optional)
+   * @returns {Promise<Object>} { data, pagination }
    */
-  async getUnassignedInbox(userId, workspaceId) {
+  async getInboxView(view, userId, workspaceId, query = {}, callerInfo = {}) {
+    const inboxType = this.resolveView(view);
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+
     // Verify user belongs to workspace
-    await this._verifyUserInWorkspace(userId, workspaceId);
+    await this._verifyUserInWorkspace(userId, workspaceId, callerInfo);
 
-    // Get user's departments for visibility checks
-    const userDepartments = await this._getUserDepartments(userId, workspaceId);
+    const where = await this._buildViewWhere(inboxType, userId, workspaceId, query, callerInfo);
 
-    if (userDepartments.length === 0) {
-      return [];
+    if (!where) {
+      return {
+        data: [],
+        pagination: { page, limit, total: 0, totalPages: 0 },
+      };
     }
 
-    const departmentIds = userDepartments.map(d => d.id);
+    const [conversations, total] = await Promise.all([
+      prisma.conversation.findMany({
+        where,
+        include: this._getConversationInclude(),
+        orderBy: this._buildOrderBy(query),
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.conversation.count({ where }),
+    ]);
 
-    // Build query for unassigned conversations
-    const conversations = await prisma.conversation.findMany({
-      where: {
-        workspaceId,
-        status: { not: 'CLOSED' },
-        assignedUserId: null,
-        workspace: {
-          departments: {
-            some: {
-              id: { in: departmentIds }
-            }
-          }
-        }
+    return {
+      data: await this.conversationReadStateService.attachUnreadCounts(conversations, userId),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
       },
-      include: this._getConversationInclude(),
-      orderBy: { statusUpdatedAt: 'desc' },
-    });
+    };
+  }
 
-    return conversations;
+  /**
+   * Get conversation counts for every inbox view in one call
+   * Filters (priority, departmentId, tags, slaStatus) apply to every view.
+   * `unread` holds, per view, the number of conversations with messages the user has not read.
+   *
+   * @param {string} userId - Current user ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} query - Filters (optional)
+   * @param {Object} callerInfo - Caller info { isAppOwner, workspaceRole } (optional)
+   * @returns {Promise<Object>} Counts keyed by view slug, plus { unread: counts keyed by view slug }
+   */
+  async getInboxViewCounts(userId, workspaceId, query = {}, callerInfo = {}) {
+    // Verify user belongs to workspace
+    await this._verifyUserInWorkspace(userId, workspaceId, callerInfo);
+
+    const slugs = Object.keys(InboxQueryService.VIEWS);
+    const unreadFilter = ConversationReadStateService.buildUnreadFilter(userId, true);
+
+    const counts = await Promise.all(
+      slugs.map(async (slug) => {
+        const where = await this._buildViewWhere(InboxQueryService.VIEWS[slug], userId, workspaceId, { ...query, unread: undefined }, callerInfo);
+        if (!where) {
+          return { total: 0, unread: 0 };
+        }
+
+        const [total, unread] = await Promise.all([
+          prisma.conversation.count({ where }),
+          prisma.conversation.count({ where: { AND: [where, unreadFilter] } }),
+        ]);
+        return { total, unread };
+      })
+    );
+
+    return slugs.reduce((result, slug, index) => {
+      result[slug] = counts[index].total;
+      result.unread[slug] = counts[index].unread;
+      return result;
+    }, { unread: {} });
+  }
+
+  /**
+   * Get UNASSIGNED inbox conversations
+   * Rules:
+   * - state != CLOSED
+   * - assignedUserId IS NULL
+   * - user has visibility via existing authority services
+   *
+   * @param {string} userId - Current user ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} query - Filters and sorting (optional)
+   * @returns {Promise<Array>} Array of conversations
+   */
+  async getUnassignedInbox(userId, workspaceId, query = {}) {
+    return this._getInboxConversations('UNASSIGNED', userId, workspaceId, query);
   }
 
   /**
@@ -78,23 +201,11 @@ class InboxQueryService {
    *
    * @param {string} userId - Current user ID
    * @param {string} workspaceId - Workspace ID
+   * @param {Object} query - Filters and sorting (optional)
    * @returns {Promise<Array>} Array of conversations
    */
-  async getAssignedToMeInbox(userId, workspaceId) {
-    // Verify user belongs to workspace
-    await this._verifyUserInWorkspace(userId, workspaceId);
-
-    const conversations = await prisma.conversation.findMany({
-      where: {
-        workspaceId,
-        assignedUserId: userId,
-        status: { not: 'CLOSED' },
-      },
-      include: this._getConversationInclude(),
-      orderBy: { statusUpdatedAt: 'desc' },
-    });
-
-    return conversations;
+  async getAssignedToMeInbox(userId, workspaceId, query = {}) {
+    return this._getInboxConversations('ASSIGNED_TO_ME', userId, workspaceId, query);
   }
 
   /**
@@ -105,38 +216,11 @@ class InboxQueryService {
    *
    * @param {string} userId - Current user ID
    * @param {string} workspaceId - Workspace ID
+   * @param {Object} query - Filters and sorting (optional)
    * @returns {Promise<Array>} Array of conversations
    */
-  async getEscalatedInbox(userId, workspaceId) {
-    // Verify user belongs to workspace
-    await this._verifyUserInWorkspace(userId, workspaceId);
-
-    // Get departments where user has HUMAN_SUPPORT role
-    const humanSupportDepartments = await this._getHumanSupportDepartments(userId, workspaceId);
-
-    if (humanSupportDepartments.length === 0) {
-      return [];
-    }
-
-    const departmentIds = humanSupportDepartments.map(d => d.id);
-
-    const conversations = await prisma.conversation.findMany({
-      where: {
-        workspaceId,
-        status: 'ESCALATED',
-        workspace: {
-          departments: {
-            some: {
-              id: { in: departmentIds }
-            }
-          }
-        }
-      },
-      include: this._getConversationInclude(),
-      orderBy: { statusUpdatedAt: 'desc' },
-    });
-
-    return conversations;
+  async getEscalatedInbox(userId, workspaceId, query = {}) {
+    return this._getInboxConversations('ESCALATED', userId, workspaceId, query);
   }
 
   /**
@@ -147,38 +231,220 @@ class InboxQueryService {
    *
    * @param {string} userId - Current user ID
    * @param {string} workspaceId - Workspace ID
+   * @param {Object} query - Filters and sorting (optional)
    * @returns {Promise<Array>} Array of conversations
    */
-  async getClosedInbox(userId, workspaceId) {
+  async getClosedInbox(userId, workspaceId, query = {}) {
+    return this._getInboxConversations('CLOSED', userId, workspaceId, query);
+  }
+
+  /**
+   * Get SNOOZED inbox conversations
+   * Rules:
+   * - snoozed and state != CLOSED
+   * - assigned to the user or owned by one of their departments
+   *
+   * @param {string} userId - Current user ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} query - Filters and sorting (optional)
+   * @returns {Promise<Array>} Array of conversations
+   */
+  async getSnoozedInbox(userId, workspaceId, query = {}) {
+    return this._getInboxConversations('SNOOZED', userId, workspaceId, query);
+  }
+
+  /**
+   * Get all conversations of an inbox type (unpaginated)
+   * @private
+   */
+  async _getInboxConversations(inboxType, userId, workspaceId, query) {
     // Verify user belongs to workspace
     await this._verifyUserInWorkspace(userId, workspaceId);
 
-    // Get user's departments for visibility checks
-    const userDepartments = await this._getUserDepartments(userId, workspaceId);
+    const where = await this._buildViewWhere(inboxType, userId, workspaceId, query);
 
-    if (userDepartments.length === 0) {
+    if (!where) {
       return [];
     }
 
-    const departmentIds = userDepartments.map(d => d.id);
-
     const conversations = await prisma.conversation.findMany({
-      where: {
-        workspaceId,
-        status: 'CLOSED',
-        workspace: {
-          departments: {
-            some: {
-              id: { in: departmentIds }
-            }
-          }
-        }
-      },
+      where,
       include: this._getConversationInclude(),
-      orderBy: { statusUpdatedAt: 'desc' },
+      orderBy: this._buildOrderBy(query),
     });
 
-    return conversations;
+    return this.conversationReadStateService.attachUnreadCounts(conversations, userId);
+  }
+
+  /**
+   * Build the where clause for an inbox type
+   * Returns null when the user has no visibility into the view at all.
+   * @private
+   */
+  async _buildViewWhere(inboxType, userId, workspaceId, query = {}, callerInfo = {}) {
+    const isAdmin = this._isWorkspaceAdmin(callerInfo);
+    let where;
+
+    switch (inboxType) {
+      case 'UNASSIGNED': {
+        // Get user's departments for visibility checks
+        const departmentIds = isAdmin ? null : await this.conversationAccessService.getUserDepartmentIds(userId, workspaceId);
+        if (departmentIds && departmentIds.length === 0) {
+          return null;
+        }
+        where = {
+          workspaceId,
+          status: { not: 'CLOSED' },
+          assignedUserId: null,
+          snoozedAt: null,
+          ...(departmentIds && this._departmentScopeFilter(departmentIds)),
+        };
+        break;
+      }
+      case 'ASSIGNED_TO_ME':
+        where = {
+          workspaceId,
+          assignedUserId: userId,
+          status: { not: 'CLOSED' },
+          snoozedAt: null,
+        };
+        break;
+      case 'ESCALATED': {
+        // Get departments where user has HUMAN_SUPPORT role
+        const departmentIds = isAdmin
+          ? null
+          : await this.conversationAccessService.getUserDepartmentIds(userId, workspaceId, ['HUMAN_SUPPORT']);
+        if (departmentIds && departmentIds.length === 0) {
+          return null;
+        }
+        where = {
+          workspaceId,
+          status: 'ESCALATED',
+          snoozedAt: null,
+          ...(departmentIds && this._departmentScopeFilter(departmentIds)),
+        };
+        break;
+      }
+      case 'CLOSED': {
+        // Get user's departments for visibility checks
+        const departmentIds = isAdmin ? null : await this.conversationAccessService.getUserDepartmentIds(userId, workspaceId);
+        if (departmentIds && departmentIds.length === 0) {
+          return null;
+        }
+        where = {
+          workspaceId,
+          status: 'CLOSED',
+          ...(departmentIds && this._departmentScopeFilter(departmentIds)),
+        };
+        break;
+      }
+      case 'SNOOZED': {
+        where = {
+          workspaceId,
+          status: { not: 'CLOSED' },
+          snoozedAt: { not: null },
+        };
+        if (!isAdmin) {
+          const departmentIds = await this.conversationAccessService.getUserDepartmentIds(userId, workspaceId);
+          where.OR = [
+            { assignedUserId: userId },
+            ...(departmentIds.length > 0 ? [this._departmentScopeFilter(departmentIds)] : []),
+          ];
+        }
+        break;
+      }
+      default:
+        throw new Error(`Invalid inbox type: ${inboxType}`);
+    }
+
+    const filtered = this._applyFilters(where, query, userId);
+
+    // Attribute filters need the workspace's definitions
+    const attributeFilter = await this.customAttributeService.buildFilter(workspaceId, query);
+
+    return attributeFilter ? { AND: [filtered, attributeFilter] } : filtered;
+  }
+
+  /**
+   * Restrict conversations to a set of departments
+   * @private
+   */
+  _departmentScopeFilter(departmentIds) {
+    return {
+      departmentId: { in: departmentIds },
+    };
+  }
+
+  /**
+   * Apply optional list filters on top of a view's where clause
+   * @private
+   */
+  _applyFilters(where, query = {}, userId = null) {
+    const filters = [];
+
+    if (query.priority) {
+      const priorities = String(query.priority)
+        .split(',')
+        .map(p => p.trim().toUpperCase())
+        .filter(Boolean);
+
+      const invalid = priorities.filter(p => !ConversationPriorityService.PRIORITIES.includes(p));
+      if (invalid.length > 0) {
+        throw new Error(`Invalid priority: ${invalid.join(', ')}. Valid priorities are: ${ConversationPriorityService.PRIORITIES.join(', ')}`);
+      }
+
+      filters.push({ priority: { in: priorities } });
+    }
+
+    if (query.departmentId) {
+      filters.push({ departmentId: query.departmentId });
+    }
+
+    const tagFilter = ConversationTagService.buildTagFilter(query.tags);
+    if (tagFilter) {
+      filters.push(tagFilter);
+    }
+
+    const slaFilter = SlaService.buildStatusFilter(query.slaStatus);
+    if (slaFilter) {
+      filters.push(slaFilter);
+    }
+
+    const unreadFilter = userId ? ConversationReadStateService.buildUnreadFilter(userId, query.unread) : null;
+    if (unreadFilter) {
+      filters.push(unreadFilter);
+    }
+
+    if (filters.length === 0) {
+      return where;
+    }
+
+    return {
+      AND: [where, ...filters],
+    };
+  }
+
+  /**
+   * Build orderBy from sortBy/sortOrder query options
+   * @private
+   */
+  _buildOrderBy(query = {}) {
+    const sortBy = query.sortBy || 'statusUpdatedAt';
+    const sortOrder = (query.sortOrder || 'desc').toLowerCase();
+
+    if (!InboxQueryService.SORT_FIELDS.includes(sortBy)) {
+      throw new Error(`Invalid sortBy: ${sortBy}. Valid fields are: ${InboxQueryService.SORT_FIELDS.join(', ')}`);
+    }
+
+    if (sortOrder !== 'asc' && sortOrder !== 'desc') {
+      throw new Error('Invalid sortOrder: must be asc or desc');
+    }
+
+    // Tie-break on id so pages are stable
+    return [
+      { [sortBy]: sortOrder },
+      { id: sortOrder },
+    ];
   }
 
   /**
@@ -215,14 +481,28 @@ class InboxQueryService {
           isRead: true,
         },
       },
+      tags: ConversationTagService.getTagsInclude(),
     };
   }
 
+  /**
+   * Check if the caller administers the workspace (APP_OWNER or WORKSPACE_ADMIN)
+   * @private
+   */
+  _isWorkspaceAdmin(callerInfo = {}) {
+    return !!callerInfo.isAppOwner || callerInfo.workspaceRole === 'ADMIN';
+  }
+
   /**
    * Verify user belongs to workspace
+   * App owners are not workspace members; the tenant middleware already checked their account.
    * @private
    */
-  async _verifyUserInWorkspace(userId, workspaceId) {
+  async _verifyUserInWorkspace(userId, workspaceId, callerInfo = {}) {
+    if (callerInfo.isAppOwner) {
+      return;
+    }
+
     const workspaceUser = await prisma.workspaceUser.findUnique({
       where: {
         userId_workspaceId: {
@@ -236,61 +516,6 @@ class InboxQueryService {
       throw new Error('User does not belong to this workspace');
     }
   }
-
-  /**
-   * Get departments where user is a member
-   * @private
-   */
-  async _getUserDepartments(userId, workspaceId) {
-    const departmentUsers = await prisma.departmentUser.findMany({
-      where: { userId },
-      include: {
-        department: {
-          where: { workspaceId },
-          select: {
-            id: true,
-            name: true,
-            workspaceId: true,
-          },
-        },
-      },
-    });
-
-    const departments = departmentUsers
-      .map(du => du.department)
-      .filter(dept => dept !== null);
-
-    return departments;
-  }
-
-  /**
-   * Get departments where user has HUMAN_SUPPORT role
-   * @private
-   */
-  async _getHumanSupportDepartments(userId, workspaceId) {
-    const departmentUsers = await prisma.departmentUser.findMany({
-      where: {
-        userId,
-        role: 'HUMAN_SUPPORT',
-      },
-      include: {
-        department: {
-          where: { workspaceId },
-          select: {
-            id: true,
-            name: true,
-            workspaceId: true,
-          },
-        },
-      },
-    });
-
-    const departments = departmentUsers
-      .map(du => du.department)
-      .filter(dept => dept !== null);
-
-    return departments;
-  }
 }
 
 module.exports = { InboxQueryService };
\ No newline at end of file
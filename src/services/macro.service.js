@@ -0,0 +1,299 @@
+const prisma = require('../config/database');
+const { logger } = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+const { ConversationActionService } = require('./conversationAction.service');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_ACTIONS = 20;
+
+/**
+ * Macro Service
+ *
+ * Macros are saved lists of conversation actions (see ConversationActionService) applied in
+ * one go. Steps run in order inside one transaction, so each step's permission and state
+ * transition checks see the changes of earlier steps. If a step fails the whole macro is
+ * rolled back and the result reports the failed step, the steps rolled back and the steps
+ * never run.
+ */
+class MacroService {
+  constructor() {
+    this.conversationActionService = new ConversationActionService();
+  }
+
+  /**
+   * Create a macro
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} data - { name, description, actions, isActive }
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} Created macro
+   * @throws {Error} If workspace not found, data invalid, or a macro with the same name exists
+   */
+  async createMacro(workspaceId, accountId, data, callerInfo) {
+    // Verify workspace exists and belongs to account
+    const workspace = await prisma.workspace.findFirst({
+      where: {
+        id: workspaceId,
+        accountId,
+      },
+    });
+
+    if (!workspace) {
+      throw new Error('Workspace not found or does not belong to this account');
+    }
+
+    const macroData = this._validateMacroData(data, true);
+    await this.conversationActionService.verifyActionTargets(workspaceId, macroData.actions);
+
+    try {
+      const macro = await prisma.macro.create({
+        data: {
+          ...macroData,
+          workspaceId,
+          createdByUserId: callerInfo.isAppOwner ? null : callerInfo.userId,
+        },
+      });
+
+      logger.info(`Macro ${macro.id} created in workspace ${workspaceId}`);
+
+      return macro;
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new Error(`A macro named "${macroData.name}" already exists in this workspace`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List macros by name
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} query - { isActive: 'true' or 'false' } (optional)
+   * @returns {Promise<Array>} Macros
+   */
+  async getMacros(workspaceId, query = {}) {
+    return prisma.macro.findMany({
+      where: {
+        workspaceId,
+        ...(query.isActive !== undefined && { isActive: query.isActive === 'true' }),
+      },
+      orderBy: { name: 'asc' },
+    });
+  }
+
+  /**
+   * Get a macro by ID
+   *
+   * @param {string} macroId - Macro ID
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Object>} Macro
+   * @throws {Error} If macro not found in the workspace
+   */
+  async getMacroById(macroId, workspaceId) {
+    const macro = await prisma.macro.findFirst({
+      where: {
+        id: macroId,
+        workspaceId,
+      },
+    });
+
+    if (!macro) {
+      throw new Error('Macro not found');
+    }
+
+    return macro;
+  }
+
+  /**
+   * Update a macro
+   *
+   * @param {string} macroId - Macro ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} data - Fields to update { name, description, actions, isActive }
+   * @returns {Promise<Object>} Updated macro
+   * @throws {Error} If macro not found, data invalid, or a macro with the same name exists
+   */
+  async updateMacro(macroId, workspaceId, data) {
+    const macro = await this.getMacroById(macroId, workspaceId);
+    const macroData = this._validateMacroData(data, false);
+
+    if (macroData.actions) {
+      await this.conversationActionService.verifyActionTargets(workspaceId, macroData.actions);
+    }
+
+    try {
+      const updatedMacro = await prisma.macro.update({
+        where: { id: macro.id },
+        data: macroData,
+      });
+
+      logger.info(`Macro ${macro.id} updated in workspace ${workspaceId}`);
+
+      return updatedMacro;
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new Error(`A macro named "${macroData.name}" already exists in this workspace`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a macro
+   *
+   * @param {string} macroId - Macro ID
+   * @param {string} workspaceId - Workspace ID
+   * @throws {Error} If macro not found in the workspace
+   */
+  async deleteMacro(macroId, workspaceId) {
+    const macro = await this.getMacroById(macroId, workspaceId);
+
+    await prisma.macro.delete({
+      where: { id: macro.id },
+    });
+
+    logger.info(`Macro ${macro.id} deleted from workspace ${workspaceId}`);
+  }
+
+  /**
+   * Apply a macro to a conversation
+   *
+   * @param {string} macroId - Macro ID
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Object>} { macroId, conversationId, applied, error, steps } where each step is
+   *   { index, type, status: APPLIED | ROLLED_BACK | FAILED | SKIPPED, result, error }
+   * @throws {Error} If the macro or conversation is not found, the macro is inactive or caller cannot view the conversation
+   */
+  async applyMacro(macroId, conversationId, workspaceId, accountId, callerInfo) {
+    const macro = await this.getMacroById(macroId, workspaceId);
+
+    if (!macro.isActive) {
+      throw new Error('Macro is inactive');
+    }
+
+    await this.conversationActionService.verifyCanViewConversation(callerInfo, conversationId, workspaceId, accountId);
+
+    const steps = macro.actions.map((action, index) => ({
+      index,
+      type: action.type,
+      status: 'SKIPPED',
+    }));
+
+    const actorUserId = callerInfo.isAppOwner ? null : callerInfo.userId;
+
+    try {
+      await withTransaction({}, async (tx, afterCommit) => {
+        for (const [index, action] of macro.actions.entries()) {
+          const step = steps[index];
+          step.status = 'FAILED';
+          step.result = await this.conversationActionService.runAction(
+            action,
+            conversationId,
+            workspaceId,
+            accountId,
+            callerInfo,
+            { tx, afterCommit, actorUserId }
+          );
+          step.status = 'APPLIED';
+        }
+      });
+    } catch (error) {
+      const failedStep = steps.find(step => step.status === 'FAILED');
+
+      // Errors outside a step (e.g. the commit itself) fail the macro as a whole
+      if (!failedStep) {
+        throw error;
+      }
+
+      failedStep.error = error.message;
+      for (const step of steps) {
+        if (step.status === 'APPLIED') {
+          step.status = 'ROLLED_BACK';
+        }
+      }
+
+      logger.info(`Macro ${macro.id} rolled back on conversation ${conversationId}: step ${failedStep.index + 1} ${failedStep.type} failed`);
+
+      return {
+        macroId: macro.id,
+        conversationId,
+        applied: false,
+        error: `Step ${failedStep.index + 1} (${failedStep.type}) failed: ${error.message}`,
+        steps,
+      };
+    }
+
+    logger.info(`Macro ${macro.id} applied to conversation ${conversationId}`);
+
+    return {
+      macroId: macro.id,
+      conversationId,
+      applied: true,
+      steps,
+    };
+  }
+
+  /**
+   * Validate and normalize a list of actions
+   * @private
+   */
+  _validateActions(actions) {
+    if (!Array.isArray(actions) || actions.length === 0) {
+      throw new Error('actions must be a non-empty array');
+    }
+
+    if (actions.length > MAX_ACTIONS) {
+      throw new Error(`A macro can have at most ${MAX_ACTIONS} actions`);
+    }
+
+    return actions.map((action, index) => this.conversationActionService.validateAction(action, `Action ${index + 1}`));
+  }
+
+  /**
+   * Validate and normalize macro input
+   * @private
+   */
+  _validateMacroData(data, isCreate) {
+    const macroData = {};
+
+    if (isCreate || data.name !== undefined) {
+      const name = typeof data.name === 'string' ? data.name.trim() : '';
+      if (!name) {
+        throw new Error('Macro name is required');
+      }
+      if (name.length > MAX_NAME_LENGTH) {
+        throw new Error(`Macro name must be at most ${MAX_NAME_LENGTH} characters`);
+      }
+      macroData.name = name;
+    }
+
+    if (data.description !== undefined) {
+      const description = typeof data.description === 'string' ? data.description.trim() : '';
+      if (description.length > MAX_DESCRIPTION_LENGTH) {
+        throw new Error(`Macro description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+      }
+      macroData.description = description || null;
+    }
+
+    if (isCreate || data.actions !== undefined) {
+      macroData.actions = this._validateActions(data.actions);
+    }
+
+    if (data.isActive !== undefined) {
+      if (typeof data.isActive !== 'boolean') {
+        throw new Error('isActive must be a boolean');
+      }
+      macroData.isActive = data.isActive;
+    }
+
+    return macroData;
+  }
+}
+
+module.exports = { MacroService };
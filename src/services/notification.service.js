@@ -0,0 +1,75 @@
+const { logger } = require('../utils/logger');
+const { emitToUser } = require('../socket/socket');
+const { DepartmentAuthorityService } = require('./departmentAuthority.service');
+
+/**
+ * Notification Service
+ *
+ * Delivers user-targeted notifications over the user's personal Socket.IO room (user:<userId>).
+ * This is an internal service used by Escalation, Notes and other collaboration flows.
+ */
+class NotificationService {
+  constructor() {
+    this.departmentAuthorityService = new DepartmentAuthorityService();
+  }
+
+  /**
+   * Notify a list of users
+   *
+   * @param {Array<string>} userIds - User IDs to notify (duplicates and empty values are ignored)
+   * @param {string} event - Socket event name
+   * @param {Object} payload - Event payload
+   * @returns {Array<string>} User IDs that were notified
+   */
+  notifyUsers(userIds, event, payload) {
+    const recipients = [...new Set(userIds.filter(Boolean))];
+
+    const io = global.io;
+    if (!io) {
+      logger.debug(`Socket.IO not initialized, skipping ${event} notification`);
+      return recipients;
+    }
+
+    for (const userId of recipients) {
+      emitToUser(io, userId, event, {
+        ...payload,
+        notifiedAt: new Date().toISOString(),
+      });
+    }
+
+    return recipients;
+  }
+
+  /**
+   * Notify the DEPARTMENT_MANAGER and HUMAN_SUPPORT users of a department
+   * Inactive users are skipped.
+   *
+   * @param {string} departmentId - Department ID
+   * @param {string} workspaceId - Workspace ID (for verification)
+   * @param {string} accountId - Account ID (for verification)
+   * @param {string} event - Socket event name
+   * @param {Object} payload - Event payload
+   * @param {Array<string>} excludeUserIds - Users that should not be notified (e.g. the actor)
+   * @returns {Promise<Array<string>>} User IDs that were notified
+   */
+  async notifyDepartmentResponders(departmentId, workspaceId, accountId, event, payload, excludeUserIds = []) {
+    try {
+      const [managers, humanSupport] = await Promise.all([
+        this.departmentAuthorityService.getDepartmentManagers(departmentId, workspaceId, accountId),
+        this.departmentAuthorityService.getHumanSupportUsers(departmentId, workspaceId, accountId),
+      ]);
+
+      const userIds = [...managers, ...humanSupport]
+        .filter(user => user && user.isActive && !excludeUserIds.includes(user.id))
+        .map(user => user.id);
+
+      return this.notifyUsers(userIds, event, payload);
+    } catch (error) {
+      // Notification failure shouldn't break the calling flow
+      logger.error(`Failed to notify department ${departmentId}:`, error.message);
+      return [];
+    }
+  }
+}
+
+module.exports = { NotificationService };
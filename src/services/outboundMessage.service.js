@@ -0,0 +1,182 @@
+const prisma = require('../config/database');
+const { logger } = require('../utils/logger');
+const { emitToWorkspace } = require('../socket/socket');
+const { LogTransport } = require('../transports/log.transport');
+
+/**
+ * Outbound Message Service
+ *
+ * Delivers agent-written messages to contacts through a pluggable transport and records
+ * the delivery status on the message (PENDING → SENT/DELIVERED or FAILED).
+ *
+ * Transports are registered by name; OUTBOUND_TRANSPORT selects the active one (default: log).
+ * Internal notes (isInternal) and inbound messages are never dispatched.
+ */
+class OutboundMessageService {
+  static transports = new Map();
+
+  /**
+   * Register an outbound transport
+   *
+   * @param {Object} transport - Transport with a unique `name` and an async `send(message, context)`
+   */
+  static registerTransport(transport) {
+    if (!transport || !transport.name || typeof transport.send !== 'function') {
+      throw new Error('Transport must have a name and a send(message, context) function');
+    }
+    OutboundMessageService.transports.set(transport.name, transport);
+  }
+
+  /**
+   * Get the active transport
+   *
+   * @returns {Object} Transport selected by OUTBOUND_TRANSPORT
+   * @throws {Error} If the configured transport is not registered
+   */
+  getTransport() {
+    const name = process.env.OUTBOUND_TRANSPORT || 'log';
+    const transport = OutboundMessageService.transports.get(name);
+
+    if (!transport) {
+      throw new Error(`Outbound transport not registered: ${name}`);
+    }
+
+    return transport;
+  }
+
+  /**
+   * Dispatch an outbound message through the active transport
+   * Delivery failures are recorded on the message, not thrown.
+   *
+   * @param {string} messageId - Message ID
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Object>} Message with updated delivery status
+   * @throws {Error} If message not found or is not deliverable
+   */
+  async dispatch(messageId, workspaceId) {
+    const message = await prisma.message.findFirst({
+      where: {
+        id: messageId,
+        conversation: { workspaceId },
+      },
+    });
+
+    if (!message) {
+      throw new Error('Message not found');
+    }
+
+    // Internal notes must never leave the workspace
+    if (message.isInternal) {
+      throw new Error('Internal notes cannot be sent through an outbound transport');
+    }
+
+    if (message.direction !== 'OUTBOUND') {
+      throw new Error('Only outbound messages can be dispatched');
+    }
+
+    let data;
+    let transportName = null;
+
+    try {
+      const transport = this.getTransport();
+      transportName = transport.name;
+
+      const result = await transport.send(message, { workspaceId });
+
+      data = {
+        deliveryStatus: result && result.status === 'DELIVERED' ? 'DELIVERED' : 'SENT',
+        deliveryError: null,
+        sentAt: new Date(),
+        metadata: {
+          ...(message.metadata || {}),
+          transport: transportName,
+          externalId: result?.externalId || null,
+        },
+      };
+    } catch (error) {
+      logger.error(`Failed to deliver outbound message ${messageId}:`, error.message);
+
+      data = {
+        deliveryStatus: 'FAILED',
+        deliveryError: error.message,
+        metadata: {
+          ...(message.metadata || {}),
+          transport: transportName,
+        },
+      };
+    }
+
+    const updatedMessage = await prisma.message.update({
+      where: { id: messageId },
+      data,
+    });
+
+    this._emitDeliveryUpdate(updatedMessage, workspaceId);
+
+    return updatedMessage;
+  }
+
+  /**
+   * Record a delivery status reported later by a transport (e.g. provider webhook)
+   *
+   * @param {string} messageId - Message ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} status - SENT, DELIVERED or FAILED
+   * @param {string} error - Failure reason (optional)
+   * @returns {Promise<Object>} Updated message
+   * @throws {Error} If message not found or status invalid
+   */
+  async updateDeliveryStatus(messageId, workspaceId, status, error = null) {
+    const validStatuses = ['SENT', 'DELIVERED', 'FAILED'];
+    if (!validStatuses.includes(status)) {
+      throw new Error(`Invalid delivery status: ${status}. Valid statuses are: ${validStatuses.join(', ')}`);
+    }
+
+    const message = await prisma.message.findFirst({
+      where: {
+        id: messageId,
+        direction: 'OUTBOUND',
+        isInternal: false,
+        conversation: { workspaceId },
+      },
+    });
+
+    if (!message) {
+      throw new Error('Message not found');
+    }
+
+    const updatedMessage = await prisma.message.update({
+      where: { id: messageId },
+      data: {
+        deliveryStatus: status,
+        deliveryError: status === 'FAILED' ? error : null,
+      },
+    });
+
+    this._emitDeliveryUpdate(updatedMessage, workspaceId);
+
+    return updatedMessage;
+  }
+
+  /**
+   * Emit delivery status change to the workspace room
+   * @private
+   */
+  _emitDeliveryUpdate(message, workspaceId) {
+    const io = global.io;
+    if (io) {
+      emitToWorkspace(io, workspaceId, 'message-delivery-updated', {
+        messageId: message.id,
+        conversationId: message.conversationId,
+        deliveryStatus: message.deliveryStatus,
+        deliveryError: message.deliveryError,
+        sentAt: message.sentAt,
+      });
+    }
+  }
+}
+
+// Built-in transports
+OutboundMessageService.registerTransport(new LogTransport());
+
+module.exports = { OutboundMessageService };
@@ -0,0 +1,262 @@
+const prisma = require('../config/database');
+const redis = require('../config/redis');
+const { logger } = require('../utils/logger');
+
+const AWAY_AFTER_MS = parseInt(process.env.PRESENCE_AWAY_AFTER_MS || '120000', 10);
+const OFFLINE_AFTER_MS = parseInt(process.env.PRESENCE_OFFLINE_AFTER_MS || '300000', 10);
+
+// Sorted set of `${workspaceId}:${userId}` scored by last heartbeat (ms), for the sweep
+const HEARTBEATS_KEY = 'presence:heartbeats';
+
+/**
+ * Presence Service
+ *
+ * Tracks whether agents are ONLINE, AWAY, BUSY or OFFLINE in each workspace. State lives in
+ * Redis: one hash per workspace (`presence:<workspaceId>`, field = userId) holding
+ * { status, manualStatus, lastSeenAt }.
+ *
+ * - Connecting to a workspace (socket join) sets ONLINE, or the status the user chose earlier
+ * - A user can choose AWAY, BUSY or OFFLINE; choosing ONLINE clears the manual status
+ * - Heartbeats keep the user present; without them the sweep moves ONLINE users to AWAY after
+ *   PRESENCE_AWAY_AFTER_MS and everyone to OFFLINE after PRESENCE_OFFLINE_AFTER_MS
+ * - Disconnecting the last socket sets OFFLINE
+ *
+ * Every status change is broadcast to the workspace as `presence-updated`.
+ */
+class PresenceService {
+  static STATUSES = ['ONLINE', 'AWAY', 'BUSY', 'OFFLINE'];
+
+  /**
+   * Mark a user present in a workspace
+   *
+   * @param {string} userId - User ID
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Object>} Presence entry
+   */
+  async connect(userId, workspaceId) {
+    const current = await this._getEntry(workspaceId, userId);
+    const manualStatus = current?.manualStatus || null;
+
+    return this._saveEntry(workspaceId, userId, manualStatus || 'ONLINE', manualStatus, current);
+  }
+
+  /**
+   * Record a heartbeat
+   * An automatic AWAY returns to ONLINE; a manual status is kept.
+   *
+   * @param {string} userId - User ID
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Object>} Presence entry
+   */
+  async heartbeat(userId, workspaceId) {
+    const current = await this._getEntry(workspaceId, userId);
+
+    if (!current || (current.status === 'OFFLINE' && !current.manualStatus)) {
+      return this.connect(userId, workspaceId);
+    }
+
+    const status = current.manualStatus || 'ONLINE';
+    return this._saveEntry(workspaceId, userId, status, current.manualStatus, current);
+  }
+
+  /**
+   * Set a status chosen by the user
+   *
+   * @param {string} userId - User ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} status - ONLINE, AWAY, BUSY or OFFLINE (case-insensitive)
+   * @returns {Promise<Object>} Presence entry
+   * @throws {Error} If status is invalid
+   */
+  async setStatus(userId, workspaceId, status) {
+    const normalized = String(status || '').trim().toUpperCase();
+
+    if (!PresenceService.STATUSES.includes(normalized)) {
+      throw new Error(`Invalid status: ${status}. Valid statuses are: ${PresenceService.STATUSES.join(', ')}`);
+    }
+
+    const current = await this._getEntry(workspaceId, userId);
+    const manualStatus = normalized === 'ONLINE' ? null : normalized;
+
+    return this._saveEntry(workspaceId, userId, normalized, manualStatus, current);
+  }
+
+  /**
+   * Mark a user offline in a workspace (last socket disconnected)
+   * A manual status is remembered for the next connection.
+   *
+   * @param {string} userId - User ID
+   * @param {string} workspaceId - Workspace ID
+   */
+  async disconnect(userId, workspaceId) {
+    const current = await this._getEntry(workspaceId, userId);
+
+    if (!current) {
+      return;
+    }
+
+    await this._saveEntry(workspaceId, userId, 'OFFLINE', current.manualStatus, current);
+  }
+
+  /**
+   * Get presence of a workspace's users
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} query - { status } comma-separated statuses (default: everyone not OFFLINE)
+   * @returns {Promise<Array>} Users with status and lastSeenAt
+   * @throws {Error} If a status is invalid
+   */
+  async getWorkspacePresence(workspaceId, query = {}) {
+    const statuses = query.status
+      ? String(query.status).split(',').map(status => status.trim().toUpperCase()).filter(Boolean)
+      : PresenceService.STATUSES.filter(status => status !== 'OFFLINE');
+
+    const invalid = statuses.filter(status => !PresenceService.STATUSES.includes(status));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid status: ${invalid.join(', ')}. Valid statuses are: ${PresenceService.STATUSES.join(', ')}`);
+    }
+
+    const entries = await redis.hgetall(`presence:${workspaceId}`);
+    const present = Object.entries(entries || {})
+      .map(([userId, value]) => ({ userId, ...JSON.parse(value) }))
+      .filter(entry => statuses.includes(entry.status));
+
+    if (present.length === 0) {
+      return [];
+    }
+
+    // Only current members of the workspace
+    const workspaceUsers = await prisma.workspaceUser.findMany({
+      where: {
+        workspaceId,
+        userId: { in: present.map(entry => entry.userId) },
+      },
+      include: {
+        user: {
+          select: {
+            id: true,
+            email: true,
+            firstName: true,
+            lastName: true,
+            avatar: true,
+          },
+        },
+      },
+    });
+    const usersById = new Map(workspaceUsers.map(wu => [wu.userId, wu.user]));
+
+    return present
+      .filter(entry => usersById.has(entry.userId))
+      .map(entry => ({
+        user: usersById.get(entry.userId),
+        status: entry.status,
+        lastSeenAt: entry.lastSeenAt,
+      }));
+  }
+
+  /**
+   * Get the status of several users in a workspace
+   * Users without an entry are OFFLINE.
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {Array<string>} userIds - User IDs
+   * @returns {Promise<Map>} userId → status
+   */
+  async getStatuses(workspaceId, userIds) {
+    const statuses = new Map(userIds.map(userId => [userId, 'OFFLINE']));
+
+    if (userIds.length === 0) {
+      return statuses;
+    }
+
+    const values = await redis.hmget(`presence:${workspaceId}`, ...userIds);
+    values.forEach((value, index) => {
+      if (value) {
+        statuses.set(userIds[index], JSON.parse(value).status);
+      }
+    });
+
+    return statuses;
+  }
+
+  /**
+   * Apply heartbeat timeouts
+   * Run periodically by the presence sweep job.
+   *
+   * @param {number} now - Current time in ms (optional)
+   * @returns {Promise<number>} Number of status changes
+   */
+  async sweep(now = Date.now()) {
+    const stale = await redis.zrangebyscore(HEARTBEATS_KEY, '-inf', now - AWAY_AFTER_MS);
+    let changed = 0;
+
+    for (const member of stale) {
+      const [workspaceId, userId] = member.split(':');
+      const current = await this._getEntry(workspaceId, userId);
+
+      if (!current) {
+        await redis.zrem(HEARTBEATS_KEY, member);
+        continue;
+      }
+
+      const lastSeen = new Date(current.lastSeenAt).getTime();
+
+      if (lastSeen <= now - OFFLINE_AFTER_MS) {
+        await this._saveEntry(workspaceId, userId, 'OFFLINE', current.manualStatus, current, { keepLastSeen: true });
+        changed++;
+      } else if (current.status === 'ONLINE') {
+        await this._saveEntry(workspaceId, userId, 'AWAY', current.manualStatus, current, { keepLastSeen: true });
+        changed++;
+      }
+    }
+
+    if (changed > 0) {
+      logger.info(`Presence sweep: ${changed} status changes`);
+    }
+
+    return changed;
+  }
+
+  /**
+   * Read a presence entry
+   * @private
+   */
+  async _getEntry(workspaceId, userId) {
+    const value = await redis.hget(`presence:${workspaceId}`, userId);
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * Write a presence entry, track its heartbeat and broadcast status changes
+   * @private
+   */
+  async _saveEntry(workspaceId, userId, status, manualStatus, current, { keepLastSeen = false } = {}) {
+    const lastSeenAt = keepLastSeen && current ? current.lastSeenAt : new Date().toISOString();
+    const entry = { status, manualStatus, lastSeenAt };
+
+    await redis.hset(`presence:${workspaceId}`, userId, JSON.stringify(entry));
+
+    // OFFLINE users have nothing left to time out
+    if (status === 'OFFLINE') {
+      await redis.zrem(HEARTBEATS_KEY, `${workspaceId}:${userId}`);
+    } else {
+      await redis.zadd(HEARTBEATS_KEY, new Date(lastSeenAt).getTime(), `${workspaceId}:${userId}`);
+    }
+
+    if (current?.status !== status) {
+      const io = global.io;
+      if (io) {
+        io.to(`workspace:${workspaceId}`).emit('presence-updated', {
+          workspaceId,
+          userId,
+          status,
+          lastSeenAt,
+        });
+      }
+    }
+
+    return { userId, ...entry };
+  }
+}
+
+module.exports = { PresenceService };
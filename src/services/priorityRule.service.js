@@ -0,0 +1,453 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const { logger } = require('../utils/logger');
+const { ConversationPriorityService } = require('./conversationPriority.service');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_KEYWORDS = 50;
+const MAX_KEYWORD_LENGTH = 100;
+const MAX_WAITING_HOURS = 24 * 30;
+// Conversations raised per WAITING_TIME rule and run of the priority-rules job
+const WAITING_BATCH_SIZE = 100;
+
+/**
+ * Priority Rule Service
+ *
+ * Manages the workspace rules that raise conversation priority automatically:
+ * - VIP_CONTACT { contactAttribute, contactAttributeValue }  the contact is a VIP
+ * - KEYWORD { keywords }                                      an inbound message mentions a keyword
+ * - WAITING_TIME { waitingHours }                             the contact has waited longer than N hours
+ *
+ * VIP_CONTACT and KEYWORD rules are evaluated on every inbound message, WAITING_TIME rules by the
+ * priority-rules job. Rules only ever raise a priority: when several match, the highest target
+ * wins, and a conversation already at or above it is left alone. Changes go through
+ * ConversationPriorityService with the rule on the PRIORITY_CHANGED event.
+ */
+class PriorityRuleService {
+  static TYPES = ['VIP_CONTACT', 'KEYWORD', 'WAITING_TIME'];
+
+  // Rules raise priority, so LOW is never a target
+  static TARGET_PRIORITIES = ['NORMAL', 'HIGH', 'URGENT'];
+
+  constructor() {
+    this.conversationPriorityService = new ConversationPriorityService();
+  }
+
+  /**
+   * Create a priority rule
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} data - Rule data
+   * @param {string} data.name - Rule name (max 100 characters)
+   * @param {string} data.type - VIP_CONTACT, KEYWORD or WAITING_TIME
+   * @param {string} data.priority - Priority to raise to: NORMAL, HIGH or URGENT
+   * @param {string} data.contactAttribute - Contact attribute marking a VIP (VIP_CONTACT)
+   * @param {string} data.contactAttributeValue - Value the attribute must have (optional, VIP_CONTACT)
+   * @param {Array<string>} data.keywords - Keywords matched case-insensitively (KEYWORD)
+   * @param {number} data.waitingHours - Hours a contact may wait (WAITING_TIME)
+   * @param {boolean} data.isActive - Whether the rule is evaluated (optional)
+   * @returns {Promise<Object>} Created rule
+   * @throws {Error} If workspace not found, data invalid, or the name is taken
+   */
+  async createRule(workspaceId, accountId, data) {
+    // Verify workspace exists and belongs to account
+    const workspace = await prisma.workspace.findFirst({
+      where: {
+        id: workspaceId,
+        accountId,
+      },
+    });
+
+    if (!workspace) {
+      throw new Error('Workspace not found or does not belong to this account');
+    }
+
+    const ruleData = this._validateRuleData(data, true);
+    this._verifyRuleSettings(ruleData);
+
+    try {
+      const rule = await prisma.priorityRule.create({
+        data: {
+          ...ruleData,
+          workspaceId,
+        },
+      });
+
+      logger.info(`Priority rule ${rule.id} created in workspace ${workspaceId}`);
+
+      return rule;
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new Error(`A priority rule named "${ruleData.name}" already exists in this workspace`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List priority rules by name
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} query - Filters { type, isActive: 'true' or 'false' }
+   * @returns {Promise<Array>} Rules
+   */
+  async getRules(workspaceId, query = {}) {
+    if (query.type && !PriorityRuleService.TYPES.includes(query.type)) {
+      throw new Error(`Invalid type. Valid types are: ${PriorityRuleService.TYPES.join(', ')}`);
+    }
+
+    return prisma.priorityRule.findMany({
+      where: {
+        workspaceId,
+        ...(query.type && { type: query.type }),
+        ...(query.isActive !== undefined && { isActive: query.isActive === 'true' }),
+      },
+      orderBy: { name: 'asc' },
+    });
+  }
+
+  /**
+   * Get a priority rule by ID
+   *
+   * @param {string} ruleId - Rule ID
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Object>} Rule
+   * @throws {Error} If rule not found in the workspace
+   */
+  async getRuleById(ruleId, workspaceId) {
+    const rule = await prisma.priorityRule.findFirst({
+      where: {
+        id: ruleId,
+        workspaceId,
+      },
+    });
+
+    if (!rule) {
+      throw new Error('Priority rule not found');
+    }
+
+    return rule;
+  }
+
+  /**
+   * Update a priority rule
+   * Only the given fields change; the rule must keep the settings its type needs.
+   *
+   * @param {string} ruleId - Rule ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} data - Fields to update (same as createRule)
+   * @returns {Promise<Object>} Updated rule
+   * @throws {Error} If rule not found, data invalid, or the name is taken
+   */
+  async updateRule(ruleId, workspaceId, data) {
+    const rule = await this.getRuleById(ruleId, workspaceId);
+    const ruleData = this._validateRuleData(data, false);
+    this._verifyRuleSettings({ ...rule, ...ruleData });
+
+    try {
+      const updatedRule = await prisma.priorityRule.update({
+        where: { id: rule.id },
+        data: ruleData,
+      });
+
+      logger.info(`Priority rule ${rule.id} updated in workspace ${workspaceId}`);
+
+      return updatedRule;
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new Error(`A priority rule named "${ruleData.name}" already exists in this workspace`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a priority rule
+   *
+   * @param {string} ruleId - Rule ID
+   * @param {string} workspaceId - Workspace ID
+   * @throws {Error} If rule not found in the workspace
+   */
+  async deleteRule(ruleId, workspaceId) {
+    const rule = await this.getRuleById(ruleId, workspaceId);
+
+    await prisma.priorityRule.delete({
+      where: { id: rule.id },
+    });
+
+    logger.info(`Priority rule ${rule.id} deleted from workspace ${workspaceId}`);
+  }
+
+  /**
+   * Evaluate a rule's VIP or keyword condition against an inbound message
+   *
+   * @param {Object} rule - VIP_CONTACT or KEYWORD rule
+   * @param {Object} message - Message { subject, body }
+   * @param {Object} contact - Contact { metadata, customAttributes }
+   * @returns {boolean} Whether the rule matches
+   */
+  static matchMessageRule(rule, message, contact) {
+    switch (rule.type) {
+      case 'VIP_CONTACT': {
+        // Custom attributes first; metadata keys predate them
+        const value = contact?.customAttributes?.[rule.contactAttribute] ?? contact?.metadata?.[rule.contactAttribute];
+
+        if (value === undefined || value === null) {
+          return false;
+        }
+
+        if (rule.contactAttributeValue !== null && rule.contactAttributeValue !== undefined) {
+          const values = Array.isArray(value) ? value : [value];
+          return values.some(item => String(item).toLowerCase() === rule.contactAttributeValue.toLowerCase());
+        }
+
+        return value !== false && value !== '' && String(value).toLowerCase() !== 'false';
+      }
+      case 'KEYWORD': {
+        const text = `${message.subject || ''}\n${message.body || ''}`.toLowerCase();
+        return rule.keywords.some(keyword => text.includes(keyword));
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Raise a conversation's priority from the VIP_CONTACT and KEYWORD rules matching an inbound message
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} message - Inbound message { subject, body }
+   * @param {Object} contact - Sender contact { metadata, customAttributes }
+   * @returns {Promise<Object|null>} { rule, priority } applied, or null when nothing was raised
+   */
+  async applyMessageRules(conversationId, workspaceId, message, contact) {
+    const rules = await prisma.priorityRule.findMany({
+      where: {
+        workspaceId,
+        isActive: true,
+        type: { in: ['VIP_CONTACT', 'KEYWORD'] },
+      },
+    });
+
+    const rule = rules
+      .filter(candidate => PriorityRuleService.matchMessageRule(candidate, message, contact))
+      .reduce(
+        (best, candidate) => (!best || ConversationPriorityService.isHigher(candidate.priority, best.priority) ? candidate : best),
+        null
+      );
+
+    if (!rule) {
+      return null;
+    }
+
+    return this._raisePriority(conversationId, workspaceId, rule);
+  }
+
+  /**
+   * Raise the priority of conversations waiting longer than their WAITING_TIME rules allow
+   * Called by the priority-rules job. A conversation waits from the oldest inbound message no
+   * reply has followed; closed, snoozed and merged conversations are not waiting.
+   *
+   * @param {Date} now - Current time (optional)
+   * @returns {Promise<number>} Number of conversations raised
+   */
+  async applyWaitingTimeRules(now = new Date()) {
+    const rules = await prisma.priorityRule.findMany({
+      where: {
+        type: 'WAITING_TIME',
+        isActive: true,
+      },
+    });
+
+    // Highest targets first, so lower rules only see conversations still below them
+    rules.sort((a, b) => ConversationPriorityService.PRIORITIES.indexOf(b.priority) - ConversationPriorityService.PRIORITIES.indexOf(a.priority));
+
+    let raised = 0;
+
+    for (const rule of rules) {
+      const cutoff = new Date(now.getTime() - rule.waitingHours * 60 * 60 * 1000);
+      const lowerPriorities = ConversationPriorityService.PRIORITIES.filter(
+        priority => ConversationPriorityService.isHigher(rule.priority, priority)
+      );
+
+      const conversations = await prisma.$queryRaw`
+        SELECT c."id"
+        FROM "conversations" c
+        WHERE c."workspaceId" = ${rule.workspaceId}
+          AND c."status"::text <> 'CLOSED'
+          AND c."snoozedAt" IS NULL
+          AND c."mergedIntoId" IS NULL
+          AND c."priority"::text IN (${Prisma.join(lowerPriorities)})
+          AND EXISTS (
+            SELECT 1 FROM "messages" m
+            WHERE m."conversationId" = c."id"
+              AND m."direction"::text = 'INBOUND'
+              AND m."isInternal" = false
+              AND m."createdAt" <= ${cutoff}
+              AND NOT EXISTS (
+                SELECT 1 FROM "messages" r
+                WHERE r."conversationId" = c."id"
+                  AND r."direction"::text = 'OUTBOUND'
+                  AND r."isInternal" = false
+                  AND r."createdAt" > m."createdAt"
+              )
+          )
+        ORDER BY c."lastMessageAt" ASC
+        LIMIT ${WAITING_BATCH_SIZE}
+      `;
+
+      for (const conversation of conversations) {
+        try {
+          if (await this._raisePriority(conversation.id, rule.workspaceId, rule)) {
+            raised++;
+          }
+        } catch (error) {
+          logger.error(`Priority rule ${rule.id} failed for conversation ${conversation.id}:`, error);
+        }
+      }
+    }
+
+    if (raised > 0) {
+      logger.info(`Priority rules: ${raised} waiting conversations raised`);
+    }
+
+    return raised;
+  }
+
+  /**
+   * Raise a conversation to the rule's priority if it is currently lower
+   * @private
+   */
+  async _raisePriority(conversationId, workspaceId, rule) {
+    const conversation = await prisma.conversation.findUnique({
+      where: { id: conversationId },
+      select: { priority: true },
+    });
+
+    if (!conversation || !ConversationPriorityService.isHigher(rule.priority, conversation.priority)) {
+      return null;
+    }
+
+    await this.conversationPriorityService.setPriority(conversationId, rule.priority, workspaceId, {
+      metadata: {
+        priorityRuleId: rule.id,
+        reason: `Priority rule "${rule.name}" (${rule.type})`,
+      },
+    });
+
+    logger.info(`Conversation ${conversationId} raised to ${rule.priority} by priority rule ${rule.id}`);
+
+    return { rule, priority: rule.priority };
+  }
+
+  /**
+   * Check the fields the rule's type needs are present
+   * @private
+   */
+  _verifyRuleSettings(rule) {
+    switch (rule.type) {
+      case 'VIP_CONTACT':
+        if (!rule.contactAttribute) {
+          throw new Error('contactAttribute is required for VIP_CONTACT rules');
+        }
+        break;
+      case 'KEYWORD':
+        if (!rule.keywords || rule.keywords.length === 0) {
+          throw new Error('keywords are required for KEYWORD rules');
+        }
+        break;
+      case 'WAITING_TIME':
+        if (!rule.waitingHours) {
+          throw new Error('waitingHours is required for WAITING_TIME rules');
+        }
+        break;
+      default:
+        throw new Error(`Invalid type. Valid types are: ${PriorityRuleService.TYPES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Validate and normalize priority rule input
+   * @private
+   */
+  _validateRuleData(data, isCreate) {
+    const ruleData = {};
+
+    if (isCreate || data.name !== undefined) {
+      const name = typeof data.name === 'string' ? data.name.trim() : '';
+      if (!name) {
+        throw new Error('Priority rule name is required');
+      }
+      if (name.length > MAX_NAME_LENGTH) {
+        throw new Error(`Priority rule name must be at most ${MAX_NAME_LENGTH} characters`);
+      }
+      ruleData.name = name;
+    }
+
+    if (isCreate || data.type !== undefined) {
+      if (!PriorityRuleService.TYPES.includes(data.type)) {
+        throw new Error(`Invalid type. Valid types are: ${PriorityRuleService.TYPES.join(', ')}`);
+      }
+      ruleData.type = data.type;
+    }
+
+    if (isCreate || data.priority !== undefined) {
+      if (!PriorityRuleService.TARGET_PRIORITIES.includes(data.priority)) {
+        throw new Error(`Invalid priority. Rules raise priority to one of: ${PriorityRuleService.TARGET_PRIORITIES.join(', ')}`);
+      }
+      ruleData.priority = data.priority;
+    }
+
+    if (data.contactAttribute !== undefined) {
+      const contactAttribute = typeof data.contactAttribute === 'string' ? data.contactAttribute.trim() : '';
+      ruleData.contactAttribute = contactAttribute || null;
+    }
+
+    if (data.contactAttributeValue !== undefined) {
+      if (data.contactAttributeValue === null || data.contactAttributeValue === '') {
+        ruleData.contactAttributeValue = null;
+      } else if (['string', 'number', 'boolean'].includes(typeof data.contactAttributeValue)) {
+        ruleData.contactAttributeValue = String(data.contactAttributeValue);
+      } else {
+        throw new Error('contactAttributeValue must be a string, number or boolean');
+      }
+    }
+
+    if (data.keywords !== undefined) {
+      if (!Array.isArray(data.keywords) || data.keywords.some(keyword => typeof keyword !== 'string')) {
+        throw new Error('keywords must be an array of strings');
+      }
+      const keywords = Array.from(new Set(data.keywords.map(keyword => keyword.trim().toLowerCase()).filter(Boolean)));
+      if (keywords.length > MAX_KEYWORDS) {
+        throw new Error(`A priority rule can have at most ${MAX_KEYWORDS} keywords`);
+      }
+      if (keywords.some(keyword => keyword.length > MAX_KEYWORD_LENGTH)) {
+        throw new Error(`Keywords must be at most ${MAX_KEYWORD_LENGTH} characters`);
+      }
+      ruleData.keywords = keywords;
+    }
+
+    if (data.waitingHours !== undefined) {
+      if (data.waitingHours === null) {
+        ruleData.waitingHours = null;
+      } else if (!Number.isInteger(data.waitingHours) || data.waitingHours < 1 || data.waitingHours > MAX_WAITING_HOURS) {
+        throw new Error(`waitingHours must be a whole number between 1 and ${MAX_WAITING_HOURS}`);
+      } else {
+        ruleData.waitingHours = data.waitingHours;
+      }
+    }
+
+    if (data.isActive !== undefined) {
+      if (typeof data.isActive !== 'boolean') {
+        throw new Error('isActive must be a boolean');
+      }
+      ruleData.isActive = data.isActive;
+    }
+
+    return ruleData;
+  }
+}
+
+module.exports = { PriorityRuleService };
@@ -0,0 +1,289 @@
+const prisma = require('../config/database');
+const redis = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+const { ConversationAssignmentService } = require('./conversationAssignment.service');
+const { ConversationEventService } = require('./conversationEvent.service');
+const { ConversationTagService } = require('./conversationTag.service');
+
+/**
+ * Routing Service
+ *
+ * Evaluates a workspace's routing rules against the first message of a new conversation
+ * and applies the actions of the first matching rule: department, priority and tags.
+ *
+ * A condition is { field, operator, value } (plus `attribute` for contactAttribute).
+ * String comparisons are case-insensitive. Every applied match is logged as a RoutingRuleMatch.
+ */
+class RoutingService {
+  static FIELDS = [
+    'toEmail',
+    'fromEmail',
+    'senderDomain',
+    'subject',
+    'body',
+    'contactName',
+    'contactEmail',
+    'contactPhone',
+    'contactAttribute',
+  ];
+
+  static OPERATORS = ['equals', 'notEquals', 'contains', 'notContains', 'startsWith', 'endsWith', 'in', 'containsAny'];
+
+  // Operators whose value is a list of strings
+  static LIST_OPERATORS = ['in', 'containsAny'];
+
+  constructor() {
+    this.conversationAssignmentService = new ConversationAssignmentService();
+    this.conversationEventService = new ConversationEventService();
+    this.conversationTagService = new ConversationTagService();
+  }
+
+  /**
+   * Build the routing input from message data and the contact
+   *
+   * @param {Object} data - Message data { toEmail, fromEmail, subject, body }
+   * @param {Object} contact - Contact { name, email, phone, metadata, customAttributes } (optional)
+   * @returns {Object} Routing input
+   */
+  static buildInput(data, contact = null) {
+    const fromEmail = data.fromEmail || contact?.email || '';
+
+    return {
+      toEmail: data.toEmail || '',
+      fromEmail,
+      senderDomain: fromEmail.includes('@') ? fromEmail.split('@').pop() : '',
+      subject: data.subject || '',
+      body: data.body || '',
+      contact: {
+        name: contact?.name || '',
+        email: contact?.email || fromEmail,
+        phone: contact?.phone || '',
+        metadata: contact?.metadata || {},
+        customAttributes: contact?.customAttributes || {},
+      },
+    };
+  }
+
+  /**
+   * Evaluate a rule against a routing input
+   *
+   * @param {Object} rule - Routing rule { matchMode, conditions }
+   * @param {Object} input - Routing input (see buildInput)
+   * @returns {Object} { matched, conditions } - each condition with its own `matched` flag
+   */
+  static matchRule(rule, input) {
+    const conditions = (rule.conditions || []).map(condition => ({
+      ...condition,
+      matched: RoutingService.evaluateCondition(condition, input),
+    }));
+
+    const matched = rule.matchMode === 'ANY'
+      ? conditions.some(condition => condition.matched)
+      : conditions.length > 0 && conditions.every(condition => condition.matched);
+
+    return { matched, conditions };
+  }
+
+  /**
+   * Evaluate a single condition
+   *
+   * @param {Object} condition - { field, operator, value, attribute }
+   * @param {Object} input - Routing input (see buildInput)
+   * @returns {boolean} Whether the condition matches
+   */
+  static evaluateCondition(condition, input) {
+    const actual = RoutingService._getFieldValue(condition, input).toLowerCase();
+    const values = (Array.isArray(condition.value) ? condition.value : [condition.value])
+      .map(value => String(value ?? '').toLowerCase());
+    const expected = values[0];
+
+    switch (condition.operator) {
+      case 'equals':
+        return actual === expected;
+      case 'notEquals':
+        return actual !== expected;
+      case 'contains':
+        return actual.includes(expected);
+      case 'notContains':
+        return !actual.includes(expected);
+      case 'startsWith':
+        return actual.startsWith(expected);
+      case 'endsWith':
+        return actual.endsWith(expected);
+      case 'in':
+        return values.includes(actual);
+      case 'containsAny':
+        return values.some(value => value && actual.includes(value));
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Get active rules of a workspace in evaluation order (cached)
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Array>} Active rules
+   */
+  async getActiveRules(workspaceId) {
+    const cacheKey = `routing_rules:workspace:${workspaceId}`;
+
+    // Try cache first
+    const cached = await redis.get(cacheKey);
+    if (cached) {
+      return JSON.parse(cached);
+    }
+
+    const rules = await prisma.routingRule.findMany({
+      where: {
+        workspaceId,
+        isActive: true,
+      },
+      orderBy: [{ position: 'asc' }, { createdAt: 'asc' }],
+    });
+
+    // Cache for 5 minutes
+    await redis.setex(cacheKey, 300, JSON.stringify(rules));
+
+    return rules;
+  }
+
+  /**
+   * Drop cached rules after a rule changes
+   *
+   * @param {string} workspaceId - Workspace ID
+   */
+  async invalidateRulesCache(workspaceId) {
+    await redis.del(`routing_rules:workspace:${workspaceId}`);
+  }
+
+  /**
+   * Find the first active rule matching the input
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} input - Routing input (see buildInput)
+   * @returns {Promise<Object|null>} Matching rule or null
+   */
+  async findMatchingRule(workspaceId, input) {
+    const rules = await this.getActiveRules(workspaceId);
+
+    return rules.find(rule => RoutingService.matchRule(rule, input).matched) || null;
+  }
+
+  /**
+   * Route a newly created conversation
+   * Applies department, priority and tags of the first matching rule and logs the match.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} input - Routing input (see buildInput)
+   * @param {Object} options - Transaction options { tx, afterCommit } (optional)
+   * @returns {Promise<Object|null>} { rule, actions } or null when no rule matched
+   */
+  async routeConversation(conversationId, workspaceId, accountId, input, options = {}) {
+    const rule = await this.findMatchingRule(workspaceId, input);
+
+    if (!rule) {
+      return null;
+    }
+
+    return withTransaction(options, async (tx, afterCommit) => {
+      const actions = {};
+
+      if (rule.departmentId) {
+        await this.conversationAssignmentService.assignConversationToDepartment(
+          conversationId,
+          rule.departmentId,
+          workspaceId,
+          accountId,
+          { tx, afterCommit }
+        );
+        actions.departmentId = rule.departmentId;
+      }
+
+      if (rule.priority) {
+        const conversation = await tx.conversation.findUnique({
+          where: { id: conversationId },
+          select: { priority: true },
+        });
+
+        if (conversation.priority !== rule.priority) {
+          await tx.conversation.update({
+            where: { id: conversationId },
+            data: { priority: rule.priority },
+          });
+
+          await this.conversationEventService.recordEvent(
+            conversationId,
+            workspaceId,
+            'PRIORITY_CHANGED',
+            { fromValue: conversation.priority, toValue: rule.priority, metadata: { routingRuleId: rule.id } },
+            { tx, afterCommit }
+          );
+        }
+        actions.priority = rule.priority;
+      }
+
+      if (rule.tagIds && rule.tagIds.length > 0) {
+        // Tags deleted since the rule was saved are skipped
+        const tags = await tx.tag.findMany({
+          where: {
+            id: { in: rule.tagIds },
+            workspaceId,
+          },
+          select: { id: true },
+        });
+
+        if (tags.length > 0) {
+          const tagIds = tags.map(tag => tag.id);
+          await this.conversationTagService.addTags(conversationId, workspaceId, accountId, tagIds, null, { tx, afterCommit });
+          actions.tagIds = tagIds;
+        }
+      }
+
+      await tx.routingRuleMatch.create({
+        data: {
+          ruleId: rule.id,
+          conversationId,
+          actions,
+        },
+      });
+
+      logger.info(`Conversation ${conversationId} routed by rule ${rule.id}`);
+
+      return { rule, actions };
+    });
+  }
+
+  /**
+   * Read the input value a condition compares against
+   * @private
+   */
+  static _getFieldValue(condition, input) {
+    let value;
+
+    switch (condition.field) {
+      case 'contactName':
+        value = input.contact?.name;
+        break;
+      case 'contactEmail':
+        value = input.contact?.email;
+        break;
+      case 'contactPhone':
+        value = input.contact?.phone;
+        break;
+      case 'contactAttribute':
+        // Custom attributes first; metadata keys predate them
+        value = input.contact?.customAttributes?.[condition.attribute] ?? input.contact?.metadata?.[condition.attribute];
+        break;
+      default:
+        value = input[condition.field];
+    }
+
+    return value === undefined || value === null ? '' : String(value);
+  }
+}
+
+module.exports = { RoutingService };
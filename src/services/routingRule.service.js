@@ -0,0 +1,473 @@
+const prisma = require('../config/database');
+const { logger } = require('../utils/logger');
+const { buildCursorQuery, buildCursorPage } = require('../utils/cursor');
+const { RoutingService } = require('./routing.service');
+const { ConversationPriorityService } = require('./conversationPriority.service');
+const { ContactService } = require('./contact.service');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_CONDITIONS = 20;
+
+/**
+ * Routing Rule Service
+ *
+ * Manages the ordered routing rules of a workspace, dry-runs them against sample messages
+ * and exposes the log of conversations each rule has routed. Evaluation itself lives in
+ * RoutingService.
+ */
+class RoutingRuleService {
+  constructor() {
+    this.routingService = new RoutingService();
+    this.contactService = new ContactService();
+  }
+
+  /**
+   * Create a routing rule
+   * New rules are evaluated after existing ones unless a position is given.
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} data - Rule data
+   * @param {string} data.name - Rule name (max 100 characters)
+   * @param {Array<Object>} data.conditions - { field, operator, value, attribute } conditions
+   * @param {string} data.matchMode - ALL or ANY (optional, default ALL)
+   * @param {number} data.position - Evaluation position (optional)
+   * @param {boolean} data.isActive - Whether the rule is evaluated (optional)
+   * @param {string} data.departmentId - Department to route to (optional)
+   * @param {string} data.priority - Priority to set (optional)
+   * @param {Array<string>} data.tagIds - Tags to apply (optional)
+   * @returns {Promise<Object>} Created rule
+   * @throws {Error} If workspace not found, data invalid, or a target is not in the workspace
+   */
+  async createRule(workspaceId, accountId, data) {
+    // Verify workspace exists and belongs to account
+    const workspace = await prisma.workspace.findFirst({
+      where: {
+        id: workspaceId,
+        accountId,
+      },
+    });
+
+    if (!workspace) {
+      throw new Error('Workspace not found or does not belong to this account');
+    }
+
+    const ruleData = this._validateRuleData(data, true);
+    await this._verifyActionTargets(workspaceId, ruleData);
+
+    if (ruleData.position === undefined) {
+      const last = await prisma.routingRule.findFirst({
+        where: { workspaceId },
+        orderBy: { position: 'desc' },
+        select: { position: true },
+      });
+      ruleData.position = last ? last.position + 1 : 0;
+    }
+
+    const rule = await prisma.routingRule.create({
+      data: {
+        ...ruleData,
+        workspaceId,
+      },
+    });
+
+    await this.routingService.invalidateRulesCache(workspaceId);
+
+    logger.info(`Routing rule ${rule.id} created in workspace ${workspaceId}`);
+
+    return rule;
+  }
+
+  /**
+   * List routing rules in evaluation order with their match counts
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Array>} Rules with their department and matchCount
+   */
+  async getRules(workspaceId) {
+    const rules = await prisma.routingRule.findMany({
+      where: { workspaceId },
+      include: {
+        department: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
+        _count: {
+          select: { matches: true },
+        },
+      },
+      orderBy: [{ position: 'asc' }, { createdAt: 'asc' }],
+    });
+
+    return rules.map(({ _count, ...rule }) => ({
+      ...rule,
+      matchCount: _count.matches,
+    }));
+  }
+
+  /**
+   * Get a routing rule by ID
+   *
+   * @param {string} ruleId - Rule ID
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Object>} Rule
+   * @throws {Error} If rule not found in the workspace
+   */
+  async getRuleById(ruleId, workspaceId) {
+    const rule = await prisma.routingRule.findFirst({
+      where: {
+        id: ruleId,
+        workspaceId,
+      },
+    });
+
+    if (!rule) {
+      throw new Error('Routing rule not found');
+    }
+
+    return rule;
+  }
+
+  /**
+   * Update a routing rule
+   * Only the given fields change; the rule must keep at least one action.
+   *
+   * @param {string} ruleId - Rule ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} data - Fields to update (same as createRule)
+   * @returns {Promise<Object>} Updated rule
+   * @throws {Error} If rule not found, data invalid, or a target is not in the workspace
+   */
+  async updateRule(ruleId, workspaceId, data) {
+    const rule = await this.getRuleById(ruleId, workspaceId);
+    const ruleData = this._validateRuleData(data, false);
+    await this._verifyActionTargets(workspaceId, ruleData);
+
+    const next = { ...rule, ...ruleData };
+    if (!next.departmentId && !next.priority && next.tagIds.length === 0) {
+      throw new Error('A routing rule needs at least one action: departmentId, priority or tagIds');
+    }
+
+    const updatedRule = await prisma.routingRule.update({
+      where: { id: rule.id },
+      data: ruleData,
+    });
+
+    await this.routingService.invalidateRulesCache(workspaceId);
+
+    logger.info(`Routing rule ${rule.id} updated in workspace ${workspaceId}`);
+
+    return updatedRule;
+  }
+
+  /**
+   * Delete a routing rule (its match log is deleted with it)
+   *
+   * @param {string} ruleId - Rule ID
+   * @param {string} workspaceId - Workspace ID
+   * @throws {Error} If rule not found in the workspace
+   */
+  async deleteRule(ruleId, workspaceId) {
+    const rule = await this.getRuleById(ruleId, workspaceId);
+
+    await prisma.routingRule.delete({
+      where: { id: rule.id },
+    });
+
+    await this.routingService.invalidateRulesCache(workspaceId);
+
+    logger.info(`Routing rule ${rule.id} deleted from workspace ${workspaceId}`);
+  }
+
+  /**
+   * Set the evaluation order
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {Array<string>} ruleIds - Every rule ID of the workspace, in the new order
+   * @returns {Promise<Array>} Rules in the new order
+   * @throws {Error} If the list is not exactly the workspace's rules
+   */
+  async reorderRules(workspaceId, ruleIds) {
+    if (!Array.isArray(ruleIds) || ruleIds.length === 0) {
+      throw new Error('ruleIds must be a non-empty array');
+    }
+
+    const rules = await prisma.routingRule.findMany({
+      where: { workspaceId },
+      select: { id: true },
+    });
+
+    const known = new Set(rules.map(rule => rule.id));
+    const unique = new Set(ruleIds);
+
+    if (unique.size !== ruleIds.length || ruleIds.length !== known.size || !ruleIds.every(id => known.has(id))) {
+      throw new Error('ruleIds must list every routing rule of the workspace exactly once');
+    }
+
+    await prisma.$transaction(
+      ruleIds.map((id, position) => prisma.routingRule.update({
+        where: { id },
+        data: { position },
+      }))
+    );
+
+    await this.routingService.invalidateRulesCache(workspaceId);
+
+    return this.getRules(workspaceId);
+  }
+
+  /**
+   * Dry-run the active rules against a sample message
+   * Nothing is written. When no contact is given, the stored contact of fromEmail is used.
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} data - { toEmail, fromEmail, subject, body, contact: { name, email, phone, metadata, customAttributes } }
+   * @returns {Promise<Object>} { matchedRule, actions, evaluations }
+   */
+  async testRules(workspaceId, data = {}) {
+    let contact = data.contact || null;
+
+    if (!contact && data.fromEmail) {
+      contact = await this.contactService.findByEmail(workspaceId, data.fromEmail);
+    }
+
+    const input = RoutingService.buildInput(data, contact);
+
+    const rules = await prisma.routingRule.findMany({
+      where: {
+        workspaceId,
+        isActive: true,
+      },
+      orderBy: [{ position: 'asc' }, { createdAt: 'asc' }],
+    });
+
+    let matchedRule = null;
+    const evaluations = rules.map(rule => {
+      const result = RoutingService.matchRule(rule, input);
+      if (result.matched && !matchedRule) {
+        matchedRule = rule;
+      }
+
+      return {
+        ruleId: rule.id,
+        name: rule.name,
+        position: rule.position,
+        matched: result.matched,
+        conditions: result.conditions,
+      };
+    });
+
+    return {
+      matchedRule,
+      actions: matchedRule
+        ? {
+          departmentId: matchedRule.departmentId,
+          priority: matchedRule.priority,
+          tagIds: matchedRule.tagIds,
+        }
+        : null,
+      evaluations,
+    };
+  }
+
+  /**
+   * Get the match log of a rule, newest first (cursor paginated)
+   *
+   * @param {string} ruleId - Rule ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} query - { limit, after, before }
+   * @returns {Promise<Object>} { data, pagination }
+   */
+  async getRuleMatches(ruleId, workspaceId, query = {}) {
+    const rule = await this.getRuleById(ruleId, workspaceId);
+
+    const cursorOptions = {
+      field: 'createdAt',
+      order: 'desc',
+      limit: Math.min(parseInt(query.limit, 10) || 20, 100),
+      after: query.after,
+      before: query.before,
+    };
+    const cursorQuery = buildCursorQuery(cursorOptions);
+
+    const matches = await prisma.routingRuleMatch.findMany({
+      where: {
+        ruleId: rule.id,
+        ...cursorQuery.where,
+      },
+      include: {
+        conversation: {
+          select: {
+            id: true,
+            subject: true,
+            status: true,
+          },
+        },
+      },
+      orderBy: cursorQuery.orderBy,
+      take: cursorQuery.take,
+    });
+
+    return buildCursorPage(matches, cursorOptions);
+  }
+
+  /**
+   * Verify the department and tags a rule sets belong to the workspace
+   * @private
+   */
+  async _verifyActionTargets(workspaceId, ruleData) {
+    if (ruleData.departmentId) {
+      const department = await prisma.department.findFirst({
+        where: {
+          id: ruleData.departmentId,
+          workspaceId,
+        },
+      });
+
+      if (!department) {
+        throw new Error('Department not found or does not belong to this workspace');
+      }
+    }
+
+    if (ruleData.tagIds && ruleData.tagIds.length > 0) {
+      const count = await prisma.tag.count({
+        where: {
+          id: { in: ruleData.tagIds },
+          workspaceId,
+        },
+      });
+
+      if (count !== ruleData.tagIds.length) {
+        throw new Error('Tag not found or does not belong to this workspace');
+      }
+    }
+  }
+
+  /**
+   * Validate a list of conditions
+   * @private
+   */
+  _validateConditions(conditions) {
+    if (!Array.isArray(conditions) || conditions.length === 0) {
+      throw new Error('conditions must be a non-empty array');
+    }
+
+    if (conditions.length > MAX_CONDITIONS) {
+      throw new Error(`A routing rule can have at most ${MAX_CONDITIONS} conditions`);
+    }
+
+    return conditions.map((condition, index) => {
+      const label = `Condition ${index + 1}`;
+
+      if (!condition || !RoutingService.FIELDS.includes(condition.field)) {
+        throw new Error(`${label}: Invalid field. Valid fields are: ${RoutingService.FIELDS.join(', ')}`);
+      }
+
+      if (!RoutingService.OPERATORS.includes(condition.operator)) {
+        throw new Error(`${label}: Invalid operator. Valid operators are: ${RoutingService.OPERATORS.join(', ')}`);
+      }
+
+      const normalized = {
+        field: condition.field,
+        operator: condition.operator,
+      };
+
+      if (condition.field === 'contactAttribute') {
+        if (typeof condition.attribute !== 'string' || !condition.attribute.trim()) {
+          throw new Error(`${label}: attribute is required for contactAttribute`);
+        }
+        normalized.attribute = condition.attribute.trim();
+      }
+
+      if (RoutingService.LIST_OPERATORS.includes(condition.operator)) {
+        const values = Array.isArray(condition.value)
+          ? condition.value.filter(value => typeof value === 'string' && value.trim()).map(value => value.trim())
+          : [];
+        if (values.length === 0) {
+          throw new Error(`${label}: value must be a non-empty array of strings for ${condition.operator}`);
+        }
+        normalized.value = values;
+      } else {
+        if (typeof condition.value !== 'string' || !condition.value.trim()) {
+          throw new Error(`${label}: value must be a non-empty string`);
+        }
+        normalized.value = condition.value.trim();
+      }
+
+      return normalized;
+    });
+  }
+
+  /**
+   * Validate and normalize rule input
+   * @private
+   */
+  _validateRuleData(data, isCreate) {
+    const ruleData = {};
+
+    if (isCreate || data.name !== undefined) {
+      const name = typeof data.name === 'string' ? data.name.trim() : '';
+      if (!name) {
+        throw new Error('Routing rule name is required');
+      }
+      if (name.length > MAX_NAME_LENGTH) {
+        throw new Error(`Routing rule name must be at most ${MAX_NAME_LENGTH} characters`);
+      }
+      ruleData.name = name;
+    }
+
+    if (isCreate || data.conditions !== undefined) {
+      ruleData.conditions = this._validateConditions(data.conditions);
+    }
+
+    if (data.matchMode !== undefined) {
+      if (!['ALL', 'ANY'].includes(data.matchMode)) {
+        throw new Error('Invalid matchMode: must be ALL or ANY');
+      }
+      ruleData.matchMode = data.matchMode;
+    }
+
+    if (data.position !== undefined) {
+      const position = Number(data.position);
+      if (!Number.isInteger(position) || position < 0) {
+        throw new Error('position must be a non-negative integer');
+      }
+      ruleData.position = position;
+    }
+
+    if (data.isActive !== undefined) {
+      if (typeof data.isActive !== 'boolean') {
+        throw new Error('isActive must be a boolean');
+      }
+      ruleData.isActive = data.isActive;
+    }
+
+    if (data.departmentId !== undefined) {
+      ruleData.departmentId = data.departmentId || null;
+    }
+
+    if (data.priority !== undefined) {
+      if (data.priority && !ConversationPriorityService.PRIORITIES.includes(data.priority)) {
+        throw new Error(`Invalid priority: ${data.priority}. Valid priorities are: ${ConversationPriorityService.PRIORITIES.join(', ')}`);
+      }
+      ruleData.priority = data.priority || null;
+    }
+
+    if (data.tagIds !== undefined) {
+      if (!Array.isArray(data.tagIds)) {
+        throw new Error('tagIds must be an array');
+      }
+      ruleData.tagIds = Array.from(new Set(data.tagIds.filter(Boolean)));
+    }
+
+    if (isCreate && !ruleData.departmentId && !ruleData.priority && !(ruleData.tagIds && ruleData.tagIds.length > 0)) {
+      throw new Error('A routing rule needs at least one action: departmentId, priority or tagIds');
+    }
+
+    return ruleData;
+  }
+}
+
+module.exports = { RoutingRuleService };
@@ -0,0 +1,430 @@
+const prisma = require('../config/database');
+const redis = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+const { emitToWorkspace, emitToUser } = require('../socket/socket');
+
+const EVALUATION_BATCH_SIZE = 500;
+const DEFAULT_AT_RISK_PERCENT = 80;
+
+/**
+ * SLA Service
+ *
+ * Tracks first-response and resolution targets of conversations.
+ *
+ * The policy of a conversation is the active SlaPolicy for its priority in its department,
+ * falling back to the workspace default (departmentId null). Due times are measured from the
+ * start of the current SLA cycle: conversation creation, or the last time it was reopened.
+ *
+ * SLA status:
+ * - ON_TRACK - targets still open and less than atRiskPercent of the time used
+ * - AT_RISK  - an open target has used atRiskPercent of its time
+ * - BREACHED - a target was missed (stays BREACHED for the rest of the cycle)
+ * - MET      - both targets were met
+ *
+ * Transitions to AT_RISK and BREACHED are announced with `sla-at-risk` / `sla-breached`
+ * to the workspace and to the assignee.
+ */
+class SlaService {
+  static STATUSES = ['ON_TRACK', 'AT_RISK', 'BREACHED', 'MET'];
+
+  // Statuses the evaluator keeps re-checking as time passes
+  static OPEN_STATUSES = ['ON_TRACK', 'AT_RISK'];
+
+  /**
+   * Build a conversation where fragment matching any of the given SLA statuses
+   *
+   * @param {string|Array<string>} slaStatus - SLA statuses (array or comma-separated string)
+   * @returns {Object|null} Prisma where fragment, or null when no status is given
+   * @throws {Error} If a status is invalid
+   */
+  static buildStatusFilter(slaStatus) {
+    const statuses = (Array.isArray(slaStatus) ? slaStatus : String(slaStatus || '').split(','))
+      .map(status => status.trim().toUpperCase())
+      .filter(Boolean);
+
+    if (statuses.length === 0) {
+      return null;
+    }
+
+    const invalid = statuses.filter(status => !SlaService.STATUSES.includes(status));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid slaStatus: ${invalid.join(', ')}. Valid SLA statuses are: ${SlaService.STATUSES.join(', ')}`);
+    }
+
+    return {
+      slaStatus: { in: statuses },
+    };
+  }
+
+  /**
+   * Compute the SLA status of a conversation
+   *
+   * @param {Object} conversation - { slaStartedAt, firstResponseDueAt, firstRespondedAt, resolutionDueAt, resolvedAt }
+   * @param {number} atRiskPercent - Share of a target that may elapse before it is AT_RISK
+   * @param {Date} now - Evaluation time
+   * @returns {Object} { status, breachedAt } - breachedAt is the earliest missed due time (or null)
+   */
+  static computeStatus(conversation, atRiskPercent = DEFAULT_AT_RISK_PERCENT, now = new Date()) {
+    // Resolving a conversation also answers it
+    const targets = [
+      { dueAt: conversation.firstResponseDueAt, doneAt: conversation.firstRespondedAt || conversation.resolvedAt },
+      { dueAt: conversation.resolutionDueAt, doneAt: conversation.resolvedAt },
+    ].filter(target => target.dueAt);
+
+    if (targets.length === 0) {
+      return { status: null, breachedAt: null };
+    }
+
+    let status = 'MET';
+    let breachedAt = null;
+
+    for (const target of targets) {
+      const dueAt = new Date(target.dueAt);
+      const doneAt = target.doneAt ? new Date(target.doneAt) : null;
+
+      if ((doneAt && doneAt > dueAt) || (!doneAt && now > dueAt)) {
+        status = 'BREACHED';
+        if (!breachedAt || dueAt < breachedAt) {
+          breachedAt = dueAt;
+        }
+        continue;
+      }
+
+      if (doneAt || status === 'BREACHED') {
+        continue;
+      }
+
+      const startedAt = new Date(conversation.slaStartedAt || dueAt);
+      const atRiskAt = new Date(startedAt.getTime() + (dueAt - startedAt) * (atRiskPercent / 100));
+
+      if (now >= atRiskAt) {
+        status = 'AT_RISK';
+      } else if (status !== 'AT_RISK') {
+        status = 'ON_TRACK';
+      }
+    }
+
+    return { status, breachedAt };
+  }
+
+  /**
+   * Resolve the active policy for a conversation
+   * A department policy wins over the workspace default.
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {string|null} departmentId - Department of the conversation
+   * @param {string} priority - Conversation priority
+   * @param {Object} client - Prisma client or transaction client (optional)
+   * @returns {Promise<Object|null>} Policy or null if none applies
+   */
+  async resolvePolicy(workspaceId, departmentId, priority, client = prisma) {
+    const policies = await client.slaPolicy.findMany({
+      where: {
+        workspaceId,
+        priority,
+        isActive: true,
+        OR: departmentId ? [{ departmentId }, { departmentId: null }] : [{ departmentId: null }],
+      },
+    });
+
+    return policies.find(policy => policy.departmentId) || policies[0] || null;
+  }
+
+  /**
+   * (Re)apply the matching policy to a conversation
+   * Called when a conversation is created or its department or priority changes.
+   * The current SLA cycle start and recorded response/resolution times are kept.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} options - Transaction options { tx, afterCommit } (optional)
+   * @returns {Promise<Object>} Updated conversation
+   */
+  async applyPolicy(conversationId, options = {}) {
+    return this._refresh(conversationId, {}, true, options);
+  }
+
+  /**
+   * Start a new SLA cycle (conversation reopened)
+   * Response and resolution targets are measured again from startedAt.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {Date} startedAt - Start of the new cycle
+   * @param {Object} options - Transaction options { tx, afterCommit } (optional)
+   * @returns {Promise<Object>} Updated conversation
+   */
+  async restartCycle(conversationId, startedAt, options = {}) {
+    return this._refresh(
+      conversationId,
+      {
+        slaStartedAt: startedAt,
+        firstRespondedAt: null,
+        resolvedAt: null,
+        slaBreachedAt: null,
+      },
+      true,
+      options
+    );
+  }
+
+  /**
+   * Record the first agent response of the current cycle
+   * Later responses are ignored.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {Date} respondedAt - Time of the response
+   * @param {Object} options - Transaction options { tx, afterCommit } (optional)
+   * @returns {Promise<Object|null>} Updated conversation, or null if already responded
+   */
+  async recordFirstResponse(conversationId, respondedAt, options = {}) {
+    return withTransaction(options, async (tx, afterCommit) => {
+      const conversation = await tx.conversation.findUnique({
+        where: { id: conversationId },
+        select: { firstRespondedAt: true },
+      });
+
+      if (!conversation || conversation.firstRespondedAt) {
+        return null;
+      }
+
+      return this._refresh(conversationId, { firstRespondedAt: respondedAt }, false, { tx, afterCommit });
+    });
+  }
+
+  /**
+   * Record the resolution of the current cycle
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {Date} resolvedAt - Time the conversation was closed
+   * @param {Object} options - Transaction options { tx, afterCommit } (optional)
+   * @returns {Promise<Object>} Updated conversation
+   */
+  async recordResolution(conversationId, resolvedAt, options = {}) {
+    return this._refresh(conversationId, { resolvedAt }, false, options);
+  }
+
+  /**
+   * Reapply policies to open conversations in a policy's scope
+   * Called after a policy is created, changed or deleted. A workspace default policy
+   * affects every department; closed conversations keep the SLA they were closed with.
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} scope - { priority, departmentId }
+   * @returns {Promise<number>} Number of conversations updated
+   */
+  async reapplyPolicies(workspaceId, scope) {
+    let cursorId = null;
+    let updated = 0;
+
+    for (;;) {
+      const conversations = await prisma.conversation.findMany({
+        where: {
+          workspaceId,
+          priority: scope.priority,
+          status: { not: 'CLOSED' },
+          ...(scope.departmentId && { departmentId: scope.departmentId }),
+          ...(cursorId && { id: { gt: cursorId } }),
+        },
+        select: { id: true },
+        orderBy: { id: 'asc' },
+        take: EVALUATION_BATCH_SIZE,
+      });
+
+      for (const conversation of conversations) {
+        await this.applyPolicy(conversation.id);
+        updated++;
+      }
+
+      if (conversations.length < EVALUATION_BATCH_SIZE) {
+        break;
+      }
+      cursorId = conversations[conversations.length - 1].id;
+    }
+
+    return updated;
+  }
+
+  /**
+   * Re-evaluate every conversation with an open SLA
+   * Run periodically by the SLA evaluator job. Status changes are written with a
+   * compare-and-set on the previous status so concurrent updates are never overwritten.
+   *
+   * @param {Date} now - Evaluation time (optional)
+   * @returns {Promise<Object>} { evaluated, changed }
+   */
+  async evaluateDueConversations(now = new Date()) {
+    let cursorId = null;
+    let evaluated = 0;
+    let changed = 0;
+
+    for (;;) {
+      const conversations = await prisma.conversation.findMany({
+        where: {
+          slaStatus: { in: SlaService.OPEN_STATUSES },
+          ...(cursorId && { id: { gt: cursorId } }),
+        },
+        include: {
+          slaPolicy: {
+            select: { atRiskPercent: true },
+          },
+        },
+        orderBy: { id: 'asc' },
+        take: EVALUATION_BATCH_SIZE,
+      });
+
+      for (const conversation of conversations) {
+        evaluated++;
+
+        const atRiskPercent = conversation.slaPolicy?.atRiskPercent ?? DEFAULT_AT_RISK_PERCENT;
+        const { status, breachedAt } = SlaService.computeStatus(conversation, atRiskPercent, now);
+
+        if (status === conversation.slaStatus) {
+          continue;
+        }
+
+        const result = await prisma.conversation.updateMany({
+          where: {
+            id: conversation.id,
+            slaStatus: conversation.slaStatus,
+          },
+          data: {
+            slaStatus: status,
+            slaBreachedAt: breachedAt,
+          },
+        });
+
+        if (result.count === 0) {
+          continue;
+        }
+
+        changed++;
+        await this._afterSlaChanged(
+          { ...conversation, slaStatus: status, slaBreachedAt: breachedAt },
+          conversation.slaStatus
+        );
+      }
+
+      if (conversations.length < EVALUATION_BATCH_SIZE) {
+        break;
+      }
+      cursorId = conversations[conversations.length - 1].id;
+    }
+
+    if (changed > 0) {
+      logger.info(`SLA evaluation: ${changed} of ${evaluated} conversations changed status`);
+    }
+
+    return { evaluated, changed };
+  }
+
+  /**
+   * Merge changes into a conversation and recompute its SLA fields
+   * @private
+   */
+  async _refresh(conversationId, changes, resolvePolicy, options) {
+    return withTransaction(options, async (tx, afterCommit) => {
+      const conversation = await tx.conversation.findUnique({
+        where: { id: conversationId },
+        include: { slaPolicy: true },
+      });
+
+      if (!conversation) {
+        throw new Error('Conversation not found');
+      }
+
+      const merged = { ...conversation, ...changes };
+      const policy = resolvePolicy
+        ? await this.resolvePolicy(merged.workspaceId, merged.departmentId, merged.priority, tx)
+        : conversation.slaPolicy;
+
+      const updatedConversation = await tx.conversation.update({
+        where: { id: conversationId },
+        data: {
+          ...changes,
+          ...this._buildSlaData(merged, policy),
+        },
+      });
+
+      if (updatedConversation.slaStatus !== conversation.slaStatus) {
+        afterCommit.push(() => this._afterSlaChanged(updatedConversation, conversation.slaStatus));
+      }
+
+      return updatedConversation;
+    });
+  }
+
+  /**
+   * Build SLA fields of a conversation for a policy
+   * @private
+   */
+  _buildSlaData(conversation, policy) {
+    if (!policy) {
+      return {
+        slaPolicyId: null,
+        slaStatus: null,
+        firstResponseDueAt: null,
+        resolutionDueAt: null,
+        slaBreachedAt: null,
+      };
+    }
+
+    const slaStartedAt = conversation.slaStartedAt || conversation.createdAt;
+    const firstResponseDueAt = new Date(slaStartedAt.getTime() + policy.firstResponseMinutes * 60 * 1000);
+    const resolutionDueAt = new Date(slaStartedAt.getTime() + policy.resolutionMinutes * 60 * 1000);
+
+    const { status, breachedAt } = SlaService.computeStatus(
+      { ...conversation, slaStartedAt, firstResponseDueAt, resolutionDueAt },
+      policy.atRiskPercent
+    );
+
+    return {
+      slaPolicyId: policy.id,
+      slaStartedAt,
+      firstResponseDueAt,
+      resolutionDueAt,
+      slaStatus: status,
+      slaBreachedAt: breachedAt,
+    };
+  }
+
+  /**
+   * Invalidate cache and announce AT_RISK / BREACHED transitions
+   * @private
+   */
+  async _afterSlaChanged(conversation, previousStatus) {
+    await redis.del(`conversation:${conversation.id}`);
+
+    const io = global.io;
+    if (!io || previousStatus === conversation.slaStatus) {
+      return;
+    }
+
+    let event = null;
+    if (conversation.slaStatus === 'AT_RISK') {
+      event = 'sla-at-risk';
+    } else if (conversation.slaStatus === 'BREACHED') {
+      event = 'sla-breached';
+    }
+
+    if (!event) {
+      return;
+    }
+
+    const payload = {
+      conversationId: conversation.id,
+      slaStatus: conversation.slaStatus,
+      previousStatus,
+      firstResponseDueAt: conversation.firstResponseDueAt,
+      resolutionDueAt: conversation.resolutionDueAt,
+      slaBreachedAt: conversation.slaBreachedAt,
+      assignedUserId: conversation.assignedUserId,
+    };
+
+    emitToWorkspace(io, conversation.workspaceId, event, payload);
+    if (conversation.assignedUserId) {
+      emitToUser(io, conversation.assignedUserId, event, payload);
+    }
+  }
+}
+
+module.exports = { SlaService };
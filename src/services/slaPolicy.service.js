@@ -0,0 +1,324 @@
+const prisma = require('../config/database');
+const { logger } = require('../utils/logger');
+const { SlaService } = require('./sla.service');
+const { ConversationPriorityService } = require('./conversationPriority.service');
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * SLA Policy Service
+ *
+ * Manages per-workspace SLA policies. A policy sets first-response and resolution targets
+ * for one priority, either for a department or as the workspace default (departmentId null).
+ * Only one active policy may exist per workspace, department and priority.
+ *
+ * Open conversations in a policy's scope are re-evaluated whenever the policy changes.
+ */
+class SlaPolicyService {
+  constructor() {
+    this.slaService = new SlaService();
+  }
+
+  /**
+   * Create an SLA policy
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} data - Policy data
+   * @param {string} data.name - Policy name (max 100 characters)
+   * @param {string} data.priority - Conversation priority the policy applies to
+   * @param {number} data.firstResponseMinutes - First response target in minutes
+   * @param {number} data.resolutionMinutes - Resolution target in minutes
+   * @param {number} data.atRiskPercent - Share of a target after which it is at risk (optional, 1-99)
+   * @param {string} data.departmentId - Department (optional, null for the workspace default)
+   * @param {boolean} data.isActive - Whether the policy applies (optional)
+   * @returns {Promise<Object>} Created policy
+   * @throws {Error} If workspace or department not found, data invalid, or an active policy has the same scope
+   */
+  async createPolicy(workspaceId, accountId, data) {
+    // Verify workspace exists and belongs to account
+    const workspace = await prisma.workspace.findFirst({
+      where: {
+        id: workspaceId,
+        accountId,
+      },
+    });
+
+    if (!workspace) {
+      throw new Error('Workspace not found or does not belong to this account');
+    }
+
+    const policyData = this._validatePolicyData(data, true);
+    await this._verifyDepartment(workspaceId, policyData.departmentId);
+
+    if (policyData.isActive !== false) {
+      await this._ensureNoActiveConflict(workspaceId, policyData.departmentId, policyData.priority);
+    }
+
+    const policy = await prisma.slaPolicy.create({
+      data: {
+        ...policyData,
+        workspaceId,
+      },
+    });
+
+    await this._reapply(workspaceId, [policy]);
+
+    logger.info(`SLA policy ${policy.id} created in workspace ${workspaceId}`);
+
+    return policy;
+  }
+
+  /**
+   * List SLA policies of a workspace
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} query - Filters { departmentId, priority } (optional)
+   * @returns {Promise<Array>} Policies, workspace defaults first
+   */
+  async getPolicies(workspaceId, query = {}) {
+    const where = { workspaceId };
+
+    if (query.departmentId) {
+      where.departmentId = query.departmentId;
+    }
+
+    if (query.priority) {
+      where.priority = this._validatePriority(query.priority);
+    }
+
+    return prisma.slaPolicy.findMany({
+      where,
+      include: {
+        department: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
+      },
+      orderBy: [
+        { departmentId: { sort: 'asc', nulls: 'first' } },
+        { priority: 'desc' },
+        { createdAt: 'asc' },
+      ],
+    });
+  }
+
+  /**
+   * Get an SLA policy by ID
+   *
+   * @param {string} policyId - Policy ID
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Object>} Policy
+   * @throws {Error} If policy not found in the workspace
+   */
+  async getPolicyById(policyId, workspaceId) {
+    const policy = await prisma.slaPolicy.findFirst({
+      where: {
+        id: policyId,
+        workspaceId,
+      },
+    });
+
+    if (!policy) {
+      throw new Error('SLA policy not found');
+    }
+
+    return policy;
+  }
+
+  /**
+   * Update an SLA policy
+   * Only the given fields change; open conversations of the old and new scope are re-evaluated.
+   *
+   * @param {string} policyId - Policy ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} data - Fields to update (same as createPolicy)
+   * @returns {Promise<Object>} Updated policy
+   * @throws {Error} If policy or department not found, data invalid, or an active policy has the same scope
+   */
+  async updatePolicy(policyId, workspaceId, data) {
+    const policy = await this.getPolicyById(policyId, workspaceId);
+    const policyData = this._validatePolicyData(data, false);
+
+    const next = { ...policy, ...policyData };
+
+    if (next.firstResponseMinutes > next.resolutionMinutes) {
+      throw new Error('firstResponseMinutes cannot be greater than resolutionMinutes');
+    }
+
+    if (policyData.departmentId !== undefined) {
+      await this._verifyDepartment(workspaceId, next.departmentId);
+    }
+
+    if (next.isActive) {
+      await this._ensureNoActiveConflict(workspaceId, next.departmentId, next.priority, policy.id);
+    }
+
+    const updatedPolicy = await prisma.slaPolicy.update({
+      where: { id: policy.id },
+      data: policyData,
+    });
+
+    // The old scope loses this policy, the new scope gains it
+    await this._reapply(workspaceId, [policy, updatedPolicy]);
+
+    logger.info(`SLA policy ${policy.id} updated in workspace ${workspaceId}`);
+
+    return updatedPolicy;
+  }
+
+  /**
+   * Delete a policy
+   * Open conversations that used it fall back to the next matching policy (or none).
+   */
+  async deletePolicy(policyId, workspaceId) {
+    const policy = await this.getPolicyById(policyId, workspaceId);
+
+    await prisma.slaPolicy.delete({
+      where: { id: policy.id },
+    });
+
+    await this._reapply(workspaceId, [policy]);
+
+    logger.info(`SLA policy ${policy.id} deleted from workspace ${workspaceId}`);
+  }
+
+  /**
+   * Re-evaluate open conversations in the scopes of the given policies
+   * @private
+   */
+  async _reapply(workspaceId, policies) {
+    const scopes = new Map();
+    for (const policy of policies) {
+      scopes.set(`${policy.departmentId || ''}:${policy.priority}`, {
+        departmentId: policy.departmentId,
+        priority: policy.priority,
+      });
+    }
+
+    for (const scope of scopes.values()) {
+      await this.slaService.reapplyPolicies(workspaceId, scope);
+    }
+  }
+
+  /**
+   * Verify a department belongs to the workspace
+   * @private
+   */
+  async _verifyDepartment(workspaceId, departmentId) {
+    if (!departmentId) {
+      return;
+    }
+
+    const department = await prisma.department.findFirst({
+      where: {
+        id: departmentId,
+        workspaceId,
+      },
+    });
+
+    if (!department) {
+      throw new Error('Department not found or does not belong to this workspace');
+    }
+  }
+
+  /**
+   * Ensure no other active policy covers the same department and priority
+   * @private
+   */
+  async _ensureNoActiveConflict(workspaceId, departmentId, priority, excludePolicyId = null) {
+    const conflict = await prisma.slaPolicy.findFirst({
+      where: {
+        workspaceId,
+        departmentId: departmentId || null,
+        priority,
+        isActive: true,
+        ...(excludePolicyId && { id: { not: excludePolicyId } }),
+      },
+    });
+
+    if (conflict) {
+      const scope = departmentId ? 'this department' : 'the workspace default';
+      throw new Error(`An active SLA policy for ${priority} priority already exists for ${scope}`);
+    }
+  }
+
+  /**
+   * Validate a priority value
+   * @private
+   */
+  _validatePriority(priority) {
+    const normalized = String(priority).trim().toUpperCase();
+
+    if (!ConversationPriorityService.PRIORITIES.includes(normalized)) {
+      throw new Error(`Invalid priority: ${priority}. Valid priorities are: ${ConversationPriorityService.PRIORITIES.join(', ')}`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Validate and normalize policy input
+   * @private
+   */
+  _validatePolicyData(data, isCreate) {
+    const policyData = {};
+
+    if (isCreate || data.name !== undefined) {
+      const name = typeof data.name === 'string' ? data.name.trim() : '';
+      if (!name) {
+        throw new Error('SLA policy name is required');
+      }
+      if (name.length > MAX_NAME_LENGTH) {
+        throw new Error(`SLA policy name must be at most ${MAX_NAME_LENGTH} characters`);
+      }
+      policyData.name = name;
+    }
+
+    if (isCreate || data.priority !== undefined) {
+      if (!data.priority) {
+        throw new Error('priority is required');
+      }
+      policyData.priority = this._validatePriority(data.priority);
+    }
+
+    for (const field of ['firstResponseMinutes', 'resolutionMinutes']) {
+      if (isCreate || data[field] !== undefined) {
+        const minutes = Number(data[field]);
+        if (!Number.isInteger(minutes) || minutes <= 0) {
+          throw new Error(`${field} must be a positive whole number of minutes`);
+        }
+        policyData[field] = minutes;
+      }
+    }
+
+    if (isCreate && policyData.firstResponseMinutes > policyData.resolutionMinutes) {
+      throw new Error('firstResponseMinutes cannot be greater than resolutionMinutes');
+    }
+
+    if (data.atRiskPercent !== undefined) {
+      const percent = Number(data.atRiskPercent);
+      if (!Number.isInteger(percent) || percent < 1 || percent > 99) {
+        throw new Error('atRiskPercent must be a whole number between 1 and 99');
+      }
+      policyData.atRiskPercent = percent;
+    }
+
+    if (data.departmentId !== undefined) {
+      policyData.departmentId = data.departmentId || null;
+    }
+
+    if (data.isActive !== undefined) {
+      if (typeof data.isActive !== 'boolean') {
+        throw new Error('isActive must be a boolean');
+      }
+      policyData.isActive = data.isActive;
+    }
+
+    return policyData;
+  }
+}
+
+module.exports = { SlaPolicyService };
@@ -0,0 +1,244 @@
+const prisma = require('../config/database');
+const redis = require('../config/redis');
+const { ConversationAccessService } = require('./conversationAccess.service');
+const { RoutingService } = require('./routing.service');
+
+const COLOR_REGEX = /^#[0-9a-fA-F]{6}$/;
+const MAX_NAME_LENGTH = 50;
+
+/**
+ * Tag Service
+ *
+ * Manages the per-workspace tag catalog. Tags are attached to conversations through
+ * ConversationTagService.
+ */
+class TagService {
+  constructor() {
+    this.conversationAccessService = new ConversationAccessService();
+    this.routingService = new RoutingService();
+  }
+
+  /**
+   * Create a tag in the workspace catalog
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} accountId - Account ID
+   * @param {Object} data - Tag data
+   * @param {string} data.name - Tag name, unique in the workspace (max 50 characters)
+   * @param {string} data.color - Hex color like #1E90FF (optional)
+   * @param {string} data.description - Description (optional)
+   * @returns {Promise<Object>} Created tag
+   * @throws {Error} If workspace not found, data invalid, or a tag with the same name exists
+   */
+  async createTag(workspaceId, accountId, data) {
+    // Verify workspace exists and belongs to account
+    const workspace = await prisma.workspace.findFirst({
+      where: {
+        id: workspaceId,
+        accountId,
+      },
+    });
+
+    if (!workspace) {
+      throw new Error('Workspace not found or does not belong to this account');
+    }
+
+    const tagData = this._validateTagData(data, true);
+
+    try {
+      const tag = await prisma.tag.create({
+        data: {
+          ...tagData,
+          workspaceId,
+        },
+      });
+
+      await redis.del(`tags:workspace:${workspaceId}`);
+
+      return tag;
+    } catch (error) {
+      // Handle Prisma unique constraint violation
+      if (error.code === 'P2002') {
+        throw new Error(`A tag named "${tagData.name}" already exists in this workspace`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the workspace tag catalog with conversation counts
+   * Counts only include conversations the caller can view.
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} callerInfo - Caller info { userId, isAppOwner, workspaceRole }
+   * @returns {Promise<Array>} Tags with conversationCount
+   */
+  async getTags(workspaceId, callerInfo) {
+    const [tags, visibilityFilter] = await Promise.all([
+      this._getWorkspaceTags(workspaceId),
+      this.conversationAccessService.getVisibilityFilter(callerInfo, workspaceId),
+    ]);
+
+    const counts = await prisma.conversationTag.groupBy({
+      by: ['tagId'],
+      where: {
+        tag: { workspaceId },
+        conversation: visibilityFilter,
+      },
+      _count: { _all: true },
+    });
+
+    const countsByTagId = new Map(counts.map(count => [count.tagId, count._count._all]));
+
+    return tags.map(tag => ({
+      ...tag,
+      conversationCount: countsByTagId.get(tag.id) || 0,
+    }));
+  }
+
+  /**
+   * Get a tag of the workspace
+   *
+   * @param {string} tagId - Tag ID
+   * @param {string} workspaceId - Workspace ID
+   * @returns {Promise<Object>} Tag
+   * @throws {Error} If tag not found in the workspace
+   */
+  async getTagById(tagId, workspaceId) {
+    const tag = await prisma.tag.findFirst({
+      where: {
+        id: tagId,
+        workspaceId,
+      },
+    });
+
+    if (!tag) {
+      throw new Error('Tag not found');
+    }
+
+    return tag;
+  }
+
+  /**
+   * Update a tag's name, color or description
+   *
+   * @param {string} tagId - Tag ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} data - Fields to update { name, color, description }
+   * @returns {Promise<Object>} Updated tag
+   * @throws {Error} If tag not found, data invalid, or the new name is taken
+   */
+  async updateTag(tagId, workspaceId, data) {
+    const tag = await this.getTagById(tagId, workspaceId);
+    const tagData = this._validateTagData(data, false);
+
+    try {
+      const updatedTag = await prisma.tag.update({
+        where: { id: tag.id },
+        data: tagData,
+      });
+
+      await redis.del(`tags:workspace:${workspaceId}`);
+
+      return updatedTag;
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new Error(`A tag named "${tagData.name}" already exists in this workspace`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a tag
+   * The tag is removed from every conversation (cascade) and from routing rule actions.
+   *
+   * @param {string} tagId - Tag ID
+   * @param {string} workspaceId - Workspace ID
+   * @throws {Error} If tag not found in the workspace
+   */
+  async deleteTag(tagId, workspaceId) {
+    const tag = await this.getTagById(tagId, workspaceId);
+
+    const rules = await prisma.routingRule.findMany({
+      where: {
+        workspaceId,
+        tagIds: { has: tag.id },
+      },
+      select: { id: true, tagIds: true },
+    });
+
+    await prisma.$transaction([
+      ...rules.map(rule => prisma.routingRule.update({
+        where: { id: rule.id },
+        data: { tagIds: rule.tagIds.filter(id => id !== tag.id) },
+      })),
+      prisma.tag.delete({
+        where: { id: tag.id },
+      }),
+    ]);
+
+    await redis.del(`tags:workspace:${workspaceId}`);
+    if (rules.length > 0) {
+      await this.routingService.invalidateRulesCache(workspaceId);
+    }
+  }
+
+  /**
+   * Get workspace tags (cached)
+   * @private
+   */
+  async _getWorkspaceTags(workspaceId) {
+    const cacheKey = `tags:workspace:${workspaceId}`;
+
+    // Try cache first
+    const cached = await redis.get(cacheKey);
+    if (cached) {
+      return JSON.parse(cached);
+    }
+
+    const tags = await prisma.tag.findMany({
+      where: { workspaceId },
+      orderBy: { name: 'asc' },
+    });
+
+    // Cache for 5 minutes
+    await redis.setex(cacheKey, 300, JSON.stringify(tags));
+
+    return tags;
+  }
+
+  /**
+   * Validate and normalize tag input
+   * @private
+   */
+  _validateTagData(data, isCreate) {
+    const tagData = {};
+
+    if (isCreate || data.name !== undefined) {
+      const name = typeof data.name === 'string' ? data.name.trim() : '';
+      if (!name) {
+        throw new Error('Tag name is required');
+      }
+      if (name.length > MAX_NAME_LENGTH) {
+        throw new Error(`Tag name must be at most ${MAX_NAME_LENGTH} characters`);
+      }
+      tagData.name = name;
+    }
+
+    if (data.color !== undefined) {
+      if (!COLOR_REGEX.test(data.color)) {
+        throw new Error('Tag color must be a hex color like #1E90FF');
+      }
+      tagData.color = data.color.toUpperCase();
+    }
+
+    if (data.description !== undefined) {
+      tagData.description = data.description || null;
+    }
+
+    return tagData;
+  }
+}
+
+module.exports = { TagService };
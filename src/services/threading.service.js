@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const { logger } = require('../utils/logger');
+
+// Closed conversations (header match) and quiet conversations (subject match) older than this start a new thread
+const WINDOW_DAYS = parseFloat(process.env.THREADING_WINDOW_DAYS || '7');
+
+// Reply/forward prefixes stripped before comparing subjects (English, German, Nordic, Spanish)
+const SUBJECT_PREFIX_REGEX = /^\s*((re|fw|fwd|aw|wg|sv|vs|rv)(\[\d+\])?\s*:\s*)+/i;
+
+const MAX_REDIRECTS = 10;
+
+/**
+ * Threading Service
+ *
+ * Decides which conversation an inbound email belongs to, the way mail clients thread:
+ *
+ * 1. Headers: In-Reply-To, then References (newest first), matched against the Message-IDs of
+ *    messages already in the workspace. Merged conversations are followed to their target.
+ *    A match on a conversation closed for longer than the window starts a new conversation.
+ * 2. Subject: the normalized subject (reply/forward prefixes stripped, case and spacing ignored)
+ *    of the same contact's conversations with activity inside the window, most recent first.
+ * 3. Otherwise a new conversation.
+ *
+ * Headers are read from message metadata: { messageId, inReplyTo, references } or
+ * metadata.headers with the raw header names. Every decision is returned so callers can store
+ * it on the message (metadata.threading) for debugging.
+ *
+ * The window is THREADING_WINDOW_DAYS (default 7).
+ */
+class ThreadingService {
+  /**
+   * Normalize a subject for comparison
+   *
+   * @param {string} subject - Subject line
+   * @returns {string} Lower-cased subject without reply/forward prefixes ('' when empty)
+   */
+  static normalizeSubject(subject) {
+    return String(subject || '')
+      .replace(SUBJECT_PREFIX_REGEX, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+  }
+
+  /**
+   * Normalize a Message-ID (angle brackets and whitespace removed)
+   *
+   * @param {string} value - Message-ID
+   * @returns {string|null} Normalized Message-ID, or null when empty
+   */
+  static normalizeMessageId(value) {
+    const normalized = String(value || '').trim().replace(/^<|>$/g, '').trim();
+    return normalized || null;
+  }
+
+  /**
+   * Read threading headers from message metadata
+   *
+   * @param {Object} metadata - Message metadata (optional)
+   * @returns {Object} { messageId, inReplyTo, references } with references oldest first
+   */
+  static parseHeaders(metadata) {
+    const headers = {};
+    Object.entries(metadata?.headers || {}).forEach(([name, value]) => {
+      headers[name.toLowerCase()] = value;
+    });
+
+    const rawReferences = metadata?.references ?? headers.references;
+    const references = (Array.isArray(rawReferences) ? rawReferences : ThreadingService._splitIds(rawReferences))
+      .map(ThreadingService.normalizeMessageId)
+      .filter(Boolean);
+
+    return {
+      messageId: ThreadingService.normalizeMessageId(metadata?.messageId ?? headers['message-id']),
+      inReplyTo: ThreadingService.normalizeMessageId(metadata?.inReplyTo ?? headers['in-reply-to']),
+      references,
+    };
+  }
+
+  /**
+   * Find the conversation an inbound message continues
+   *
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} contactId - Contact ID
+   * @param {Object} data - Message data { subject, metadata }
+   * @param {Date} now - Current time (optional)
+   * @returns {Promise<Object>} { conversation, decision } where conversation is null for a new thread
+   */
+  async findConversation(workspaceId, contactId, data, now = new Date()) {
+    const headers = ThreadingService.parseHeaders(data.metadata);
+    const cutoff = new Date(now.getTime() - WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    const headerMatch = await this._matchHeaders(workspaceId, headers);
+
+    if (headerMatch) {
+      const { conversation, header, matchedMessageId } = headerMatch;
+
+      if (conversation.status === 'CLOSED' && conversation.statusUpdatedAt < cutoff) {
+        return this._decide(null, {
+          strategy: 'NEW',
+          reason: 'HEADER_MATCH_OUTSIDE_WINDOW',
+          header,
+          matchedMessageId,
+          previousConversationId: conversation.id,
+        });
+      }
+
+      return this._decide(conversation, {
+        strategy: 'HEADERS',
+        header,
+        matchedMessageId,
+      });
+    }
+
+    const normalizedSubject = ThreadingService.normalizeSubject(data.subject);
+
+    if (normalizedSubject) {
+      const candidates = await prisma.conversation.findMany({
+        where: {
+          workspaceId,
+          contactId,
+          mergedIntoId: null,
+          lastMessageAt: { gte: cutoff },
+        },
+        orderBy: { lastMessageAt: 'desc' },
+        take: 50,
+      });
+
+      const conversation = candidates.find(candidate => (
+        ThreadingService.normalizeSubject(candidate.subject) === normalizedSubject
+      ));
+
+      if (conversation) {
+        return this._decide(conversation, {
+          strategy: 'SUBJECT',
+          normalizedSubject,
+        });
+      }
+    }
+
+    return this._decide(null, {
+      strategy: 'NEW',
+      reason: headers.inReplyTo || headers.references.length > 0 ? 'NO_HEADER_OR_SUBJECT_MATCH' : 'NO_SUBJECT_MATCH',
+      normalizedSubject: normalizedSubject || null,
+    });
+  }
+
+  /**
+   * Build the Message-ID and reply headers of an outbound message
+   * The reply answers the latest message of the conversation that has a Message-ID.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} fromEmail - Sender address (its domain is used in the Message-ID)
+   * @returns {Promise<Object>} { messageId, headers } where headers uses the raw header names
+   */
+  async buildReplyHeaders(conversationId, fromEmail) {
+    const domain = String(fromEmail || '').split('@')[1] || 'localhost';
+    const messageId = `${crypto.randomUUID()}@${domain}`;
+    const headers = { 'Message-ID': `<${messageId}>` };
+
+    const previous = await prisma.message.findFirst({
+      where: {
+        conversationId,
+        externalMessageId: { not: null },
+        isInternal: false,
+      },
+      orderBy: { createdAt: 'desc' },
+      select: {
+        externalMessageId: true,
+        metadata: true,
+      },
+    });
+
+    if (previous) {
+      const references = ThreadingService.parseHeaders(previous.metadata).references
+        .filter(id => id !== previous.externalMessageId);
+      references.push(previous.externalMessageId);
+
+      headers['In-Reply-To'] = `<${previous.externalMessageId}>`;
+      headers.References = references.map(id => `<${id}>`).join(' ');
+    }
+
+    return { messageId, headers };
+  }
+
+  /**
+   * Find the conversation of the newest message referenced by In-Reply-To or References
+   * @private
+   */
+  async _matchHeaders(workspaceId, headers) {
+    const candidates = [];
+    if (headers.inReplyTo) {
+      candidates.push({ id: headers.inReplyTo, header: 'In-Reply-To' });
+    }
+    [...headers.references].reverse().forEach(id => candidates.push({ id, header: 'References' }));
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const messages = await prisma.message.findMany({
+      where: {
+        externalMessageId: { in: candidates.map(candidate => candidate.id) },
+        conversation: { workspaceId },
+      },
+      select: {
+        id: true,
+        externalMessageId: true,
+        conversationId: true,
+      },
+    });
+
+    for (const candidate of candidates) {
+      const message = messages.find(m => m.externalMessageId === candidate.id);
+      if (!message) {
+        continue;
+      }
+
+      const conversation = await this._followRedirects(message.conversationId);
+      if (conversation) {
+        return { conversation, header: candidate.header, matchedMessageId: message.id };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve a conversation through merge redirects
+   * @private
+   */
+  async _followRedirects(conversationId) {
+    let conversation = await prisma.conversation.findUnique({
+      where: { id: conversationId },
+    });
+
+    for (let hops = 0; conversation && conversation.mergedIntoId && hops < MAX_REDIRECTS; hops++) {
+      conversation = await prisma.conversation.findUnique({
+        where: { id: conversation.mergedIntoId },
+      });
+    }
+
+    return conversation && !conversation.mergedIntoId ? conversation : null;
+  }
+
+  /**
+   * Split a raw References header into Message-IDs
+   * @private
+   */
+  static _splitIds(value) {
+    if (!value) {
+      return [];
+    }
+
+    const bracketed = String(value).match(/<[^>]+>/g);
+    return bracketed || String(value).split(/[\s,]+/);
+  }
+
+  /**
+   * Package a decision
+   * @private
+   */
+  _decide(conversation, decision) {
+    const result = {
+      ...decision,
+      conversationId: conversation ? conversation.id : null,
+      windowDays: WINDOW_DAYS,
+    };
+
+    logger.debug(`Threading decision: ${JSON.stringify(result)}`);
+
+    return { conversation, decision: result };
+  }
+}
+
+module.exports = { ThreadingService };
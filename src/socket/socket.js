@@ -2,6 +2,24 @@ const { Server: SocketIOServer } = require('socket.io');
 const { verifyToken } = require('../utils/jwt');
 const prisma = require('../config/database');
 const { logger } = require('../utils/logger');
+const { PresenceService } = require('../services/presence.service');
+
+const presenceService = new PresenceService();
+
+// Workspace IDs of the workspace rooms a socket is in
+const getJoinedWorkspaceIds = (socket) => Array.from(socket.rooms)
+  .filter(room => room.startsWith('workspace:'))
+  .map(room => room.slice('workspace:'.length));
+
+// Mark the user offline in a workspace unless another of their sockets is still in it
+const leavePresence = async (io, socket, workspaceId) => {
+  const sockets = await io.in(`user:${socket.userId}`).fetchSockets();
+  const stillPresent = sockets.some(other => other.id !== socket.id && other.rooms.has(`workspace:${workspaceId}`));
+
+  if (!stillPresent) {
+    await presenceService.disconnect(socket.userId, workspaceId);
+  }
+};
 
 const setupSocketIO = (httpServer) => {
   const io = new SocketIOServer(httpServer, {
@@ -48,6 +66,9 @@ const setupSocketIO = (httpServer) => {
   io.on('connection', async (socket) => {
     logger.info(`Socket connected: ${socket.id}, User: ${socket.userId}`);
 
+    // Personal room for user-targeted events (assignments, notifications)
+    socket.join(`user:${socket.userId}`);
+
     // Join workspace room
     socket.on('join-workspace', async (workspaceId) => {
       try {
@@ -74,7 +95,12 @@ const setupSocketIO = (httpServer) => {
         socket.join(`workspace:${workspaceId}`);
         socket.workspaceId = workspaceId;
         logger.info(`User ${socket.userId} joined workspace ${workspaceId}`);
-        
+
+        // Presence is best effort; joining must not fail without Redis
+        presenceService.connect(socket.userId, workspaceId).catch((error) => {
+          logger.error('Error updating presence:', error);
+        });
+
         socket.emit('joined-workspace', { workspaceId });
       } catch (error) {
         logger.error('Error joining workspace:', error);
@@ -83,9 +109,52 @@ const setupSocketIO = (httpServer) => {
     });
 
     // Leave workspace room
-    socket.on('leave-workspace', (workspaceId) => {
+    socket.on('leave-workspace', async (workspaceId) => {
       socket.leave(`workspace:${workspaceId}`);
       logger.info(`User ${socket.userId} left workspace ${workspaceId}`);
+
+      try {
+        await leavePresence(io, socket, workspaceId);
+      } catch (error) {
+        logger.error('Error updating presence:', error);
+      }
+    });
+
+    // Keep the user present in every joined workspace (clients send this periodically)
+    socket.on('presence-heartbeat', async () => {
+      try {
+        for (const workspaceId of getJoinedWorkspaceIds(socket)) {
+          await presenceService.heartbeat(socket.userId, workspaceId);
+        }
+      } catch (error) {
+        logger.error('Error recording presence heartbeat:', error);
+      }
+    });
+
+    // Set a presence status chosen by the user
+    socket.on('set-presence', async (data = {}) => {
+      try {
+        if (!socket.rooms.has(`workspace:${data.workspaceId}`)) {
+          socket.emit('error', { message: 'Join the workspace before setting presence' });
+          return;
+        }
+
+        await presenceService.setStatus(socket.userId, data.workspaceId, data.status);
+      } catch (error) {
+        logger.error('Error setting presence:', error);
+        socket.emit('error', { message: error.message.startsWith('Invalid status') ? error.message : 'Failed to set presence' });
+      }
+    });
+
+    // Rooms are still known while disconnecting
+    socket.on('disconnecting', async () => {
+      try {
+        for (const workspaceId of getJoinedWorkspaceIds(socket)) {
+          await leavePresence(io, socket, workspaceId);
+        }
+      } catch (error) {
+        logger.error('Error updating presence:', error);
+      }
     });
 
     // Handle disconnect
@@ -102,8 +171,14 @@ const emitToWorkspace = (io, workspaceId, event, data) => {
   io.to(`workspace:${workspaceId}`).emit(event, data);
 };
 
+// Helper function to emit events to every socket of a user
+const emitToUser = (io, userId, event, data) => {
+  io.to(`user:${userId}`).emit(event, data);
+};
+
 module.exports = {
   setupSocketIO,
   emitToWorkspace,
+  emitToUser,
 };
 
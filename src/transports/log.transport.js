@@ -0,0 +1,33 @@
+const { logger } = require('../utils/logger');
+
+/**
+ * Log Transport
+ *
+ * Default outbound transport. Writes outbound messages to the application log instead of
+ * delivering them, so replies can be exercised without a mail provider.
+ *
+ * Transport interface:
+ * - name: unique transport name (selected with OUTBOUND_TRANSPORT)
+ * - send(message, context): delivers the message and resolves to { status, externalId }
+ *   where status is SENT or DELIVERED. Throwing marks the message as FAILED.
+ */
+class LogTransport {
+  constructor() {
+    this.name = 'log';
+  }
+
+  async send(message, context) {
+    logger.info(`[log transport] Outbound message ${message.id} from ${message.fromEmail} to ${message.toEmail}`, {
+      conversationId: message.conversationId,
+      workspaceId: context.workspaceId,
+      subject: message.subject,
+    });
+
+    return {
+      status: 'SENT',
+      externalId: `log-${message.id}`,
+    };
+  }
+}
+
+module.exports = { LogTransport };
@@ -0,0 +1,146 @@
+// Cursor Helper - Keyset pagination on (timestamp sortField, id)
+//
+// Cursors are opaque base64url strings holding the sort value and id of a boundary record.
+// Lists are ordered by the sort field then id (same direction), with NULL sort values last.
+// - after:  records that come after the cursor in list order (next page)
+// - before: records that come before the cursor in list order (previous page)
+//
+// Only the keyset condition is added to the caller's where clause, so the (scope, sortField)
+// indexes keep serving the query without an OFFSET or COUNT.
+
+const encodeCursor = (record, field) => {
+  const value = record[field] instanceof Date ? record[field].toISOString() : record[field];
+  return Buffer.from(JSON.stringify({ v: value ?? null, id: record.id })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!parsed || typeof parsed.id !== 'string' || parsed.v === undefined) {
+    throw new Error('Invalid cursor');
+  }
+
+  // Sort fields are timestamps
+  const value = parsed.v === null ? null : new Date(parsed.v);
+  if (value && Number.isNaN(value.getTime())) {
+    throw new Error('Invalid cursor');
+  }
+
+  return { value, id: parsed.id };
+};
+
+// Where clause for records strictly after the cursor in (field, id) order
+const buildKeysetWhere = (field, cursor, order, nulls) => {
+  const op = order === 'desc' ? 'lt' : 'gt';
+  const sameValueTiebreak = { [field]: cursor.value, id: { [op]: cursor.id } };
+
+  if (cursor.value === null) {
+    const nullTiebreak = { [field]: null, id: { [op]: cursor.id } };
+    // NULLs last: nothing but other NULLs follows a NULL cursor
+    return nulls === 'first'
+      ? { OR: [nullTiebreak, { [field]: { not: null } }] }
+      : nullTiebreak;
+  }
+
+  const conditions = [{ [field]: { [op]: cursor.value } }, sameValueTiebreak];
+  if (nulls === 'last') {
+    conditions.push({ [field]: null });
+  }
+
+  return { OR: conditions };
+};
+
+/**
+ * Build the Prisma query parts for a cursor page
+ *
+ * @param {Object} options
+ * @param {string} options.field - Sort field (e.g. lastMessageAt, createdAt)
+ * @param {string} options.order - List order: 'desc' (default) or 'asc'
+ * @param {boolean} options.nullable - Whether the sort field can be NULL
+ * @param {number} options.limit - Page size
+ * @param {string} options.after - Cursor to page forward from (optional)
+ * @param {string} options.before - Cursor to page backward from (optional)
+ * @returns {Object} { where, orderBy, take } to merge into findMany
+ */
+const buildCursorQuery = ({ field, order = 'desc', nullable = false, limit, after, before }) => {
+  if (after && before) {
+    throw new Error('Use either the after or the before cursor, not both');
+  }
+
+  const isBackward = !!before;
+  // Paging backward walks the list in reverse and flips the page afterwards
+  const reverseOrder = order === 'desc' ? 'asc' : 'desc';
+  const queryOrder = isBackward ? reverseOrder : order;
+  const queryNulls = isBackward ? 'first' : 'last';
+
+  const cursor = after || before;
+  const where = cursor
+    ? buildKeysetWhere(field, decodeCursor(cursor), queryOrder, nullable ? queryNulls : null)
+    : {};
+
+  return {
+    where,
+    orderBy: [
+      { [field]: nullable ? { sort: queryOrder, nulls: queryNulls } : queryOrder },
+      { id: queryOrder },
+    ],
+    // One extra record tells whether more records exist in that direction
+    take: limit + 1,
+  };
+};
+
+/**
+ * Turn the records fetched with buildCursorQuery into a page in list order
+ *
+ * @param {Array} records - Records returned by findMany
+ * @param {Object} options - Same options passed to buildCursorQuery
+ * @returns {Object} { data, pagination: { limit, hasMore, hasNext, hasPrevious, nextCursor, previousCursor } }
+ */
+const buildCursorPage = (records, { field, limit, after, before }) => {
+  const isBackward = !!before;
+  const hasMore = records.length > limit;
+  const data = records.slice(0, limit);
+
+  if (isBackward) {
+    data.reverse();
+  }
+
+  // Coming from a cursor means a record exists on the other side of it
+  const hasNext = isBackward ? true : hasMore;
+  const hasPrevious = isBackward ? hasMore : !!after;
+
+  // An empty page keeps the cursor it was requested with
+  let nextCursor = null;
+  if (hasNext) {
+    nextCursor = data.length > 0 ? encodeCursor(data[data.length - 1], field) : before;
+  }
+
+  let previousCursor = null;
+  if (hasPrevious) {
+    previousCursor = data.length > 0 ? encodeCursor(data[0], field) : after;
+  }
+
+  return {
+    data,
+    pagination: {
+      limit,
+      hasMore,
+      hasNext,
+      hasPrevious,
+      nextCursor,
+      previousCursor,
+    },
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildCursorQuery,
+  buildCursorPage,
+};
@@ -0,0 +1,80 @@
+// Template Helper - Renders {{placeholder}} variables in canned response bodies
+//
+// Placeholders are dotted paths into a context object: {{contact.name}}, {{agent.firstName}},
+// {{conversation.attributes.order_id}}. A fallback used when the value is empty can follow a
+// pipe: {{contact.firstName | "there"}}. Whitespace inside the braces is ignored.
+//
+// Unknown or empty placeholders without a fallback render as an empty string and are reported
+// in `missing`, so the agent can fill them in before sending.
+
+const PLACEHOLDER_REGEX = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*(?:\.[a-zA-Z0-9_]+)*)\s*(?:\|\s*"([^"]*)"\s*)?\}\}/g;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+const escapeHtml = (value) => value.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const resolvePath = (context, path) => {
+  let value = context;
+  for (const segment of path.split('.')) {
+    if (value === null || value === undefined || typeof value !== 'object') {
+      return undefined;
+    }
+    value = Object.prototype.hasOwnProperty.call(value, segment) ? value[segment] : undefined;
+  }
+  return value;
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    // Only scalars render; objects and arrays count as missing
+    return '';
+  }
+  return String(value);
+};
+
+// Names of the placeholders used in a template, in order of first use
+const extractPlaceholders = (template) => {
+  const names = new Set();
+  for (const match of String(template || '').matchAll(PLACEHOLDER_REGEX)) {
+    names.add(match[1]);
+  }
+  return [...names];
+};
+
+// Render a template against a context; escapeHtml escapes substituted values for HTML bodies
+const renderTemplate = (template, context, options = {}) => {
+  const missing = new Set();
+
+  const text = String(template || '').replace(PLACEHOLDER_REGEX, (match, path, fallback) => {
+    let value = formatValue(resolvePath(context, path));
+
+    if (value === '') {
+      if (fallback !== undefined) {
+        value = fallback;
+      } else {
+        missing.add(path);
+      }
+    }
+
+    return options.escapeHtml ? escapeHtml(value) : value;
+  });
+
+  return { text, missing: [...missing] };
+};
+
+module.exports = {
+  extractPlaceholders,
+  renderTemplate,
+};
@@ -0,0 +1,37 @@
+const prisma = require('../config/database');
+const { logger } = require('./logger');
+
+// Transaction helper - Lets services share one database transaction
+//
+// Services accept an optional `options` object:
+// - options.tx          Prisma transaction client to run inside (caller owns the transaction)
+// - options.afterCommit Array the service pushes side effects into (cache invalidation, socket emits)
+// - options.actorUserId User making the change, recorded on conversation events (omit for system changes)
+//
+// When no tx is supplied a new transaction is opened and queued side effects run once it commits.
+// When a tx is supplied the caller must also supply afterCommit and run it after its own commit.
+
+const runAfterCommit = async (effects) => {
+  for (const effect of effects) {
+    try {
+      await effect();
+    } catch (error) {
+      // Side effects must never undo a committed change
+      logger.error('After-commit side effect failed:', error.message);
+    }
+  }
+};
+
+const withTransaction = async (options, callback) => {
+  if (options && options.tx) {
+    return callback(options.tx, options.afterCommit || []);
+  }
+
+  const afterCommit = [];
+  const result = await prisma.$transaction((tx) => callback(tx, afterCommit));
+  await runAfterCommit(afterCommit);
+
+  return result;
+};
+
+module.exports = { withTransaction, runAfterCommit };